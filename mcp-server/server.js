@@ -1,6 +1,7 @@
 #!/usr/bin/env bun
 
 import GuidantEvolutionServer from './src/index.js';
+import { resolveTransportConfig } from './src/transport-config.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -13,7 +14,15 @@ async function startServer() {
 	console.log('🚀 Starting Guidant Evolution MCP Server...');
 	console.log('🏃‍♂️ Runtime: Bun');
 
-	const server = new GuidantEvolutionServer();
+	let transport;
+	try {
+		transport = resolveTransportConfig({ argv: process.argv.slice(2), env: process.env });
+	} catch (error) {
+		console.error(`❌ ${error.message}`);
+		process.exit(1);
+	}
+
+	const server = new GuidantEvolutionServer(transport);
 
 	// Handle graceful shutdown
 	process.on('SIGINT', async () => {
@@ -0,0 +1,136 @@
+/**
+ * Guidant MCP Server
+ * FastMCP keeps the tools, resources and prompts it is given to itself and only builds
+ * sessions inside start(), where the HTTP transports listen on a port of their own.
+ * This subclass keeps a copy of everything registered so sessions can also be created
+ * for transports served elsewhere, such as the HTTP gateway.
+ *
+ * Every session also gets a scope of its own: the roots its client declared and the
+ * project it works on by default. Each message a session receives is handled inside
+ * that scope, so tools and resources see only their own client's roots.
+ */
+
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { runInSession } from './tools/shared/project-context.js';
+
+export class GuidantMCP extends FastMCP {
+	#scopes = new WeakMap();
+	#prompts = [];
+	#resources = [];
+	#resourcesTemplates = [];
+	#tools = [];
+
+	addPrompt(prompt) {
+		super.addPrompt(prompt);
+		this.#prompts.push(prompt);
+	}
+
+	addResource(resource) {
+		super.addResource(resource);
+		this.#resources.push(resource);
+	}
+
+	addResourceTemplate(resource) {
+		super.addResourceTemplate(resource);
+		this.#resourcesTemplates.push(resource);
+	}
+
+	addTool(tool) {
+		super.addTool(tool);
+		this.#tools.push(tool);
+	}
+
+	/**
+	 * Start the server. Stdio sessions are created here so they get a scope like
+	 * any other session; the HTTP transports are served by the gateway instead.
+	 * @param {object} options - FastMCP start options
+	 */
+	async start(options = { transportType: 'stdio' }) {
+		if (options.transportType !== 'stdio') {
+			return super.start(options);
+		}
+
+		const session = await this.createSession();
+		await this.connectSession(session, new StdioServerTransport());
+	}
+
+	/**
+	 * Get the scope of a session
+	 * @param {FastMCPSession} session - Session from createSession
+	 * @returns {{clientRoots: string[], projectRoot: string|undefined}} Scope, updated in place
+	 */
+	getSessionScope(session) {
+		if (!this.#scopes.has(session)) {
+			this.#scopes.set(session, { clientRoots: [], projectRoot: undefined });
+		}
+		return this.#scopes.get(session);
+	}
+
+	/**
+	 * Create a session with everything registered so far
+	 * @param {import('http').IncomingMessage} [request] - HTTP request that opened the session, passed to the authenticate hook
+	 * @returns {Promise<FastMCPSession>}
+	 * @throws {Response} When the authenticate hook rejects the request
+	 */
+	async createSession(request) {
+		const auth = request && this.options.authenticate ? await this.options.authenticate(request) : undefined;
+
+		return new FastMCPSession({
+			auth,
+			instructions: this.options.instructions,
+			name: this.options.name,
+			ping: this.options.ping,
+			prompts: this.#prompts,
+			resources: this.#resources,
+			resourcesTemplates: this.#resourcesTemplates,
+			roots: this.options.roots,
+			tools: this.#tools,
+			version: this.options.version
+		});
+	}
+
+	/**
+	 * Connect a session to its transport. A `connecting` event is emitted first, while
+	 * capabilities can still be registered, and a `connect` event once connected.
+	 * Resolves once the client has initialized the session.
+	 * @param {FastMCPSession} session - Session from createSession
+	 * @param {object} transport - MCP transport
+	 */
+	async connectSession(session, transport) {
+		const scope = this.getSessionScope(session);
+
+		// The session sets its message handler while connecting, so wrap whatever it sets
+		let onmessage = transport.onmessage;
+		Object.defineProperty(transport, 'onmessage', {
+			configurable: true,
+			get: () => onmessage,
+			set: handler => {
+				onmessage = handler && ((...args) => runInSession(scope, () => handler(...args)));
+			}
+		});
+
+		this.emit('connecting', { session });
+		try {
+			await session.connect(transport);
+		} catch (error) {
+			this.emit('disconnect', { session });
+			throw error;
+		}
+		this.sessions.push(session);
+		this.emit('connect', { session });
+	}
+
+	/**
+	 * Forget a closed session and announce it with a `disconnect` event
+	 * @param {FastMCPSession} session - Session from createSession
+	 */
+	async closeSession(session) {
+		const index = this.sessions.indexOf(session);
+		if (index !== -1) {
+			this.sessions.splice(index, 1);
+			this.emit('disconnect', { session });
+		}
+		await session.close();
+	}
+}
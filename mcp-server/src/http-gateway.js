@@ -0,0 +1,156 @@
+/**
+ * HTTP Gateway
+ * Front door for the HTTP and SSE transports: listens on the configured host and port,
+ * serves the health check, checks bearer tokens on every request and hands the rest to
+ * the MCP transport, which runs in the same process.
+ *
+ * Web pages the user visits can reach a local server too, so browser requests are only
+ * let through from the origins in GUIDANT_MCP_ALLOWED_ORIGINS, and a server listening on
+ * loopback only answers requests addressed to a loopback name (against DNS rebinding).
+ */
+
+import http from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { isLoopbackHost } from './transport-config.js';
+
+const CORS_ALLOWED_HEADERS = 'Authorization, Content-Type, Accept, Last-Event-ID, Mcp-Session-Id, Mcp-Protocol-Version';
+
+/**
+ * Check the bearer token of a request
+ * @param {http.IncomingMessage} request
+ * @param {string[]} authTokens - Accepted tokens; with none, every request is accepted
+ * @returns {boolean}
+ */
+export function isAuthorized(request, authTokens) {
+	if (authTokens.length === 0) return true;
+
+	const match = (request.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+	if (!match) return false;
+
+	// Compare digests so neither the length nor the content of a token leaks through timing
+	const presented = digest(match[1].trim());
+	return authTokens.some(token => timingSafeEqual(presented, digest(token)));
+}
+
+/**
+ * FastMCP `authenticate` hook, rejecting sessions started without a valid token
+ * @param {string[]} authTokens - Accepted tokens
+ * @returns {function(http.IncomingMessage): Promise<object>}
+ */
+export function createAuthenticator(authTokens) {
+	return async request => {
+		if (!isAuthorized(request, authTokens)) {
+			throw new Response(null, { status: 401, statusText: 'Unauthorized' });
+		}
+		return { authenticated: true };
+	};
+}
+
+/**
+ * Start the gateway
+ * @param {object} options
+ * @param {string} options.host - Interface to listen on
+ * @param {number} options.port - Port to listen on; 0 picks a free one
+ * @param {string} options.healthPath - Path of the health check
+ * @param {string[]} options.authTokens - Accepted bearer tokens
+ * @param {string[]} [options.allowedOrigins=[]] - Browser origins allowed to call the server
+ * @param {function(): object} options.getHealth - Details reported by the health check
+ * @param {{handleRequest: function(http.IncomingMessage, http.ServerResponse): Promise<void>, close: function(): Promise<void>}} options.handler - MCP transport, see createMcpHttpHandler
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+export async function startHttpGateway({ host, port, healthPath, authTokens, allowedOrigins = [], getHealth, handler }) {
+	const sockets = new Set();
+	const loopbackOnly = isLoopbackHost(host);
+
+	const server = http.createServer((request, response) => {
+		const { pathname } = new URL(request.url, 'http://localhost');
+
+		// A rebound DNS name reaches a loopback server with a foreign Host header
+		if (loopbackOnly && !isLoopbackHost(getHostname(request.headers.host))) {
+			sendJson(response, 403, { error: 'Requests must be addressed to a loopback host' });
+			return;
+		}
+
+		const { origin } = request.headers;
+		if (origin && !allowedOrigins.includes(origin)) {
+			sendJson(response, 403, { error: `Origin ${origin} is not allowed` });
+			return;
+		}
+
+		if (request.method === 'GET' && pathname === healthPath) {
+			sendJson(response, 200, { status: 'ok', ...getHealth() });
+			return;
+		}
+
+		if (origin) {
+			setCorsHeaders(response, origin);
+		}
+
+		// Browsers send CORS preflights without credentials
+		if (request.method === 'OPTIONS') {
+			response.writeHead(204);
+			response.end();
+			return;
+		}
+
+		if (!isAuthorized(request, authTokens)) {
+			response.setHeader('WWW-Authenticate', 'Bearer realm="guidant"');
+			sendJson(response, 401, { error: 'Missing or invalid bearer token' });
+			return;
+		}
+
+		handler.handleRequest(request, response);
+	});
+
+	server.on('connection', socket => {
+		sockets.add(socket);
+		socket.on('close', () => sockets.delete(socket));
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(port, host, () => {
+			server.off('error', reject);
+			resolve();
+		});
+	});
+
+	return {
+		url: `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`,
+		close: async () => {
+			await handler.close();
+			await new Promise(resolve => {
+				// Streaming responses never end by themselves
+				for (const socket of sockets) {
+					socket.destroy();
+				}
+				server.close(() => resolve());
+			});
+		}
+	};
+}
+
+function setCorsHeaders(response, origin) {
+	response.setHeader('Access-Control-Allow-Origin', origin);
+	response.setHeader('Vary', 'Origin');
+	response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+	response.setHeader('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS);
+	response.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+}
+
+function getHostname(hostHeader = '') {
+	try {
+		return new URL(`http://${hostHeader}`).hostname.replace(/^\[(.*)\]$/, '$1');
+	} catch {
+		return '';
+	}
+}
+
+function sendJson(response, status, body) {
+	response.writeHead(status, { 'Content-Type': 'application/json' });
+	response.end(JSON.stringify(body));
+}
+
+function digest(value) {
+	return createHash('sha256').update(value).digest();
+}
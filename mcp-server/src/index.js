@@ -1,9 +1,16 @@
-import { FastMCP } from 'fastmcp';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { registerAllGuidantTools } from './tools/index.js';
+import { normalizeClientRoots, resolveProjectRoot } from '../../src/file-management/workspace-registry.js';
+import { TRANSPORTS } from './transport-config.js';
+import { registerProjectResources } from './resources/project-resources.js';
+import { ResourceSubscriptions } from './resources/resource-subscriptions.js';
+import { registerPhasePrompts } from './prompts/phase-prompts.js';
+import { GuidantMCP } from './guidant-mcp.js';
+import { createAuthenticator, startHttpGateway } from './http-gateway.js';
+import { createMcpHttpHandler } from './mcp-http-transport.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,7 +24,10 @@ const __dirname = path.dirname(__filename);
  * Provides AI coordination tools for systematic software development
  */
 class GuidantEvolutionServer {
-	constructor() {
+	/**
+	 * @param {object} [transport] - From resolveTransportConfig; defaults to stdio
+	 */
+	constructor(transport = { transportType: TRANSPORTS.STDIO }) {
 		// Get version from package.json
 		const packagePath = path.join(__dirname, '../../package.json');
 		const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
@@ -28,8 +38,18 @@ class GuidantEvolutionServer {
 			description: 'AI Agent Workflow Framework for systematic software development'
 		};
 
-		this.server = new FastMCP(this.options);
+		this.transport = transport;
+		if (transport.authTokens?.length > 0) {
+			this.options.authenticate = createAuthenticator(transport.authTokens);
+		}
+
+		this.server = new GuidantMCP(this.options);
 		this.initialized = false;
+		this.gateway = null;
+		this.startedAt = null;
+
+		// Clients subscribed to guidant:// resources, notified when the files change
+		this.resourceSubscriptions = new ResourceSubscriptions();
 
 		// Bind methods
 		this.init = this.init.bind(this);
@@ -52,11 +72,60 @@ class GuidantEvolutionServer {
 		console.log('📋 Registering MCP tools...');
 		registerAllGuidantTools(this.server);
 
+		// Publish .guidant project files as guidant:// resources
+		console.log('📚 Registering MCP resources...');
+		registerProjectResources(this.server);
+
+		// Phase and deliverable prompts, filled in with the live project context
+		console.log('💬 Registering MCP prompts...');
+		registerPhasePrompts(this.server);
+
+		this.trackClientRoots();
+		this.trackResourceSubscriptions();
+
 		this.initialized = true;
 		console.log('✅ MCP server initialization complete');
 		return this;
 	}
 
+	/**
+	 * Keep each session's scope in sync with the roots its client declares
+	 */
+	trackClientRoots() {
+		const updateScope = async (session, roots) => {
+			const scope = this.server.getSessionScope(session);
+			scope.clientRoots = normalizeClientRoots(roots);
+			try {
+				scope.projectRoot = await resolveProjectRoot({ clientRoots: scope.clientRoots });
+			} catch (error) {
+				scope.projectRoot = undefined;
+				console.error('No default project for MCP session:', error.message);
+			}
+		};
+
+		this.server.on('connect', ({ session }) => {
+			updateScope(session, session.roots || []);
+
+			session.on('rootsChanged', ({ roots }) => {
+				updateScope(session, roots);
+			});
+		});
+	}
+
+	/**
+	 * Handle resource subscriptions for each connected client
+	 */
+	trackResourceSubscriptions() {
+		// Capabilities go out with the reply to initialize, so add them before connecting
+		this.server.on('connecting', ({ session }) => {
+			this.resourceSubscriptions.attach(session);
+		});
+
+		this.server.on('disconnect', ({ session }) => {
+			this.resourceSubscriptions.detach(session);
+		});
+	}
+
 	/**
 	 * Start the MCP server
 	 */
@@ -67,6 +136,10 @@ class GuidantEvolutionServer {
 			await this.init();
 		}
 
+		if (this.transport.transportType !== TRANSPORTS.STDIO) {
+			return this.startHttp();
+		}
+
 		console.log('🔌 Starting FastMCP server with stdio transport...');
 
 		// Start the FastMCP server
@@ -82,10 +155,60 @@ class GuidantEvolutionServer {
 		return this;
 	}
 
+	/**
+	 * Start the streamable HTTP or SSE transport. The gateway owns the configured host
+	 * and port, the health check, CORS and the bearer token check, and serves the MCP
+	 * transport in this process; nothing else listens.
+	 */
+	async startHttp() {
+		const { transportType, host, port, endpoint, healthPath, authTokens, allowedOrigins } = this.transport;
+		const label = transportType === TRANSPORTS.SSE ? 'SSE' : 'streamable HTTP';
+		console.log(`🔌 Starting FastMCP server with ${label} transport...`);
+
+		this.startedAt = Date.now();
+		this.gateway = await startHttpGateway({
+			host,
+			port,
+			healthPath,
+			authTokens,
+			allowedOrigins,
+			getHealth: () => this.getHealth(),
+			handler: createMcpHttpHandler({ server: this.server, transportType, endpoint })
+		});
+
+		console.log('🎯 MCP server is running and ready for connections!');
+		console.log(`📡 Transport: ${label} at ${this.gateway.url}${endpoint}`);
+		console.log(`💓 Health check: ${this.gateway.url}${healthPath}`);
+		if (authTokens.length === 0) {
+			console.log('⚠️  No GUIDANT_MCP_AUTH_TOKEN set; any local client can connect');
+		}
+
+		return this;
+	}
+
+	/**
+	 * Details reported by the health check
+	 */
+	getHealth() {
+		return {
+			name: this.options.name,
+			version: this.options.version,
+			transport: this.transport.transportType,
+			endpoint: this.transport.endpoint,
+			sessions: this.server.sessions.length,
+			uptimeSeconds: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0
+		};
+	}
+
 	/**
 	 * Stop the MCP server
 	 */
 	async stop() {
+		if (this.gateway) {
+			await this.gateway.close();
+			this.gateway = null;
+		}
+		await this.resourceSubscriptions.close();
 		if (this.server) {
 			await this.server.stop();
 		}
@@ -0,0 +1,161 @@
+/**
+ * MCP HTTP Transport
+ * Serves the streamable HTTP and SSE transports inside the process, for the HTTP gateway
+ * to hand requests to once they pass its checks. Nothing listens on a port of its own,
+ * so there is no way around the gateway.
+ *
+ *   streamable HTTP   POST, GET and DELETE on the endpoint, sessions named by the Mcp-Session-Id header
+ *   SSE               GET on the endpoint opens the event stream, messages are POSTed to /messages
+ */
+
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { TRANSPORTS } from './transport-config.js';
+
+export const SSE_MESSAGES_PATH = '/messages';
+
+// Same limit as the SDK transports
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Create the request handler for an HTTP transport
+ * @param {object} options
+ * @param {import('./guidant-mcp.js').GuidantMCP} options.server - Server the sessions are created from
+ * @param {string} options.transportType - TRANSPORTS.HTTP_STREAM or TRANSPORTS.SSE
+ * @param {string} options.endpoint - MCP endpoint path
+ * @returns {{handleRequest: function(http.IncomingMessage, http.ServerResponse): Promise<void>, close: function(): Promise<void>}}
+ */
+export function createMcpHttpHandler({ server, transportType, endpoint }) {
+	const transports = new Map();
+
+	const handleRequest = transportType === TRANSPORTS.SSE
+		? (request, response) => handleSse(request, response, { server, endpoint, transports })
+		: (request, response) => handleStreamableHttp(request, response, { server, endpoint, transports });
+
+	return {
+		handleRequest: async (request, response) => {
+			try {
+				await handleRequest(request, response);
+			} catch (error) {
+				if (error instanceof Response) {
+					sendError(response, error.status, -32000, error.statusText);
+					return;
+				}
+				console.error('MCP request failed:', error.message);
+				if (!response.headersSent) {
+					sendError(response, 500, -32603, 'Internal server error');
+				}
+			}
+		},
+		close: async () => {
+			for (const transport of [...transports.values()]) {
+				await transport.close();
+			}
+			transports.clear();
+		}
+	};
+}
+
+async function handleStreamableHttp(request, response, { server, endpoint, transports }) {
+	if (getPathname(request) !== endpoint) {
+		sendError(response, 404, -32000, 'Not found');
+		return;
+	}
+
+	const sessionId = request.headers['mcp-session-id'];
+	if (sessionId) {
+		const transport = transports.get(sessionId);
+		if (!transport) {
+			sendError(response, 404, -32001, 'Session not found');
+			return;
+		}
+		await transport.handleRequest(request, response, request.method === 'POST' ? await readJsonBody(request) : undefined);
+		return;
+	}
+
+	const body = request.method === 'POST' ? await readJsonBody(request) : undefined;
+	if (!isInitializeRequest(body)) {
+		sendError(response, 400, -32000, 'Bad Request: No valid session ID provided');
+		return;
+	}
+
+	const session = await server.createSession(request);
+	const transport = new StreamableHTTPServerTransport({
+		sessionIdGenerator: randomUUID,
+		onsessioninitialized: id => transports.set(id, transport)
+	});
+	transport.onclose = () => {
+		if (transports.delete(transport.sessionId)) {
+			server.closeSession(session).catch(error => console.error('Closing MCP session failed:', error.message));
+		}
+	};
+
+	// Connecting waits for the initialize request, which is handled below
+	server.connectSession(session, transport).catch(error => console.error('MCP session failed to connect:', error.message));
+	await transport.handleRequest(request, response, body);
+}
+
+async function handleSse(request, response, { server, endpoint, transports }) {
+	const pathname = getPathname(request);
+
+	if (request.method === 'GET' && pathname === endpoint) {
+		const session = await server.createSession(request);
+		const transport = new SSEServerTransport(SSE_MESSAGES_PATH, response);
+		transports.set(transport.sessionId, transport);
+		response.on('close', () => {
+			if (transports.delete(transport.sessionId)) {
+				server.closeSession(session).catch(error => console.error('Closing MCP session failed:', error.message));
+			}
+		});
+		await server.connectSession(session, transport);
+		return;
+	}
+
+	if (request.method === 'POST' && pathname === SSE_MESSAGES_PATH) {
+		const sessionId = new URL(request.url, 'http://localhost').searchParams.get('sessionId');
+		const transport = sessionId && transports.get(sessionId);
+		if (!transport) {
+			sendError(response, 404, -32001, 'Session not found');
+			return;
+		}
+		await transport.handlePostMessage(request, response);
+		return;
+	}
+
+	sendError(response, 404, -32000, 'Not found');
+}
+
+function readJsonBody(request) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		request.on('data', chunk => {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(new Response(null, { status: 413, statusText: 'Request body too large' }));
+				request.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		request.on('end', () => {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+			} catch {
+				reject(new Response(null, { status: 400, statusText: 'Parse error: invalid JSON' }));
+			}
+		});
+		request.on('error', reject);
+	});
+}
+
+function getPathname(request) {
+	return new URL(request.url, 'http://localhost').pathname;
+}
+
+function sendError(response, status, code, message) {
+	response.writeHead(status, { 'Content-Type': 'application/json' });
+	response.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
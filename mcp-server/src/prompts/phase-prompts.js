@@ -0,0 +1,263 @@
+/**
+ * Phase Prompts
+ * Publishes an MCP prompt for each phase and each deliverable type, so clients that
+ * show prompts as slash-commands can start phase work directly
+ *
+ *   guidant_start_design_phase          plan the work of a phase
+ *   guidant_write_user_personas         write a deliverable
+ *   guidant_draft_api_specification
+ *
+ * Prompts are filled in when they are requested: the enhanced context of the project
+ * (EnhancedContextOrchestrator, rendered with the ContextInjector templates), the state
+ * of the deliverables and the deliverable's template skeleton. The prompt list itself
+ * is fixed when the server starts, so it covers the built-in phases.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getProjectRoot } from '../tools/shared/project-context.js';
+import { createEnhancedContextOrchestrator } from '../../../src/ai-integration/index.js';
+import { readProjectFile } from '../../../src/file-management/project-structure.js';
+import { PHASE_DEFINITIONS, loadPhaseDefinitions, getDeliverableDirectory, getPhaseOrder } from '../../../src/workflow-logic/phase-definitions.js';
+import { getDeliverableTemplate, renderDeliverableTemplate } from '../../../src/workflow-logic/deliverable-templates.js';
+import { getDeliverableState } from '../../../src/workflow-logic/deliverable-lifecycle.js';
+import { PROJECT_CONFIG, CURRENT_PHASE, QUALITY_GATES, DELIVERABLES_DIR } from '../../../src/constants/paths.js';
+
+/**
+ * Verb that opens the prompt name of each built-in deliverable type; others use "write"
+ */
+export const DELIVERABLE_PROMPT_VERBS = {
+	market_analysis: 'write',
+	user_personas: 'write',
+	competitor_research: 'write',
+	prd_complete: 'draft',
+	user_stories: 'write',
+	feature_specifications: 'draft',
+	wireframes: 'design',
+	user_flows: 'design',
+	component_specifications: 'draft',
+	system_design: 'design',
+	database_schema: 'design',
+	api_specification: 'draft',
+	core_features: 'implement',
+	testing_suite: 'build',
+	documentation: 'write',
+	production_environment: 'set_up',
+	monitoring_setup: 'configure',
+	user_documentation: 'write'
+};
+
+const focusArgument = {
+	name: 'focus',
+	description: 'Anything to concentrate on or take into account, e.g. "mobile users first"',
+	required: false
+};
+
+/**
+ * List the prompts for a set of phase definitions
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase
+ * @returns {Array<{name: string, description: string, kind: 'phase'|'deliverable', phase: string, deliverable?: string}>}
+ */
+export function listPhasePrompts(definitions = PHASE_DEFINITIONS) {
+	const prompts = [];
+	for (const phase of getPhaseOrder(definitions)) {
+		const definition = definitions[phase];
+		prompts.push({
+			name: `guidant_start_${phase}_phase`,
+			description: `Plan the ${definition.name || phase} phase: ${definition.description || 'its deliverables'}, with the current project context`,
+			kind: 'phase',
+			phase
+		});
+
+		for (const deliverable of definition.requiredDeliverables || []) {
+			const verb = DELIVERABLE_PROMPT_VERBS[deliverable] || 'write';
+			prompts.push({
+				name: `guidant_${verb}_${deliverable}`,
+				description: `${toSentence(verb)} the ${humanize(deliverable)} deliverable of the ${definition.name || phase} phase, with the current project context and its template`,
+				kind: 'deliverable',
+				phase,
+				deliverable
+			});
+		}
+	}
+	return prompts;
+}
+
+/**
+ * Register the phase and deliverable prompts with the MCP server
+ * @param {object} server - MCP server instance
+ * @param {object} [options]
+ * @param {object} [options.orchestrator] - Enhanced context orchestrator; one without caching is created by default
+ */
+export function registerPhasePrompts(server, options = {}) {
+	// Prompts are requested when work starts, so the context must not be minutes old
+	const orchestrator = options.orchestrator || createEnhancedContextOrchestrator({ enableCaching: false });
+
+	for (const prompt of listPhasePrompts()) {
+		server.addPrompt({
+			name: prompt.name,
+			description: prompt.description,
+			arguments: [focusArgument],
+			load: async ({ focus } = {}) => prompt.kind === 'phase'
+				? buildPhasePrompt(prompt.phase, getProjectRoot(), { orchestrator, focus })
+				: buildDeliverablePrompt(prompt.deliverable, getProjectRoot(), { orchestrator, focus })
+		});
+	}
+}
+
+/**
+ * Build the prompt that plans the work of a phase
+ * @param {string} phase - Phase key
+ * @param {string} projectRoot - Project directory
+ * @param {object} options
+ * @param {object} options.orchestrator - Enhanced context orchestrator
+ * @param {string} [options.focus] - What the user wants to concentrate on
+ * @returns {Promise<string>} Prompt text
+ */
+export async function buildPhasePrompt(phase, projectRoot, { orchestrator, focus }) {
+	const project = await loadPromptState(projectRoot);
+	const definition = project.definitions[phase];
+	if (!definition) {
+		throw new Error(`Unknown phase: ${phase}`);
+	}
+
+	const role = definition.roles?.[0] || 'AI Assistant';
+	const deliverables = definition.requiredDeliverables || [];
+	const context = await getInjectedContext(orchestrator, projectRoot, phase, deliverables.join(', ') || phase, {
+		role,
+		templateType: 'task_generation'
+	});
+
+	const deliverableLines = [];
+	for (const deliverable of deliverables) {
+		const { title } = await getDeliverableTemplate(deliverable, projectRoot);
+		const verb = DELIVERABLE_PROMPT_VERBS[deliverable] || 'write';
+		deliverableLines.push(`- ${title} (${deliverable}): ${stateOf(project, phase, deliverable)}; prompt guidant_${verb}_${deliverable}`);
+	}
+
+	return [
+		`# Start the ${definition.name || phase} phase`,
+		'',
+		`You are the ${role} for "${project.name}".`,
+		...(definition.description ? [`Goal of the phase: ${definition.description}.`] : []),
+		...phaseNote(project, phase),
+		...focusLines(focus),
+		'',
+		'## Deliverables',
+		...(deliverableLines.length > 0 ? deliverableLines : ['This phase has no required deliverables.']),
+		'',
+		'## Context',
+		context,
+		'',
+		'## Next steps',
+		`Plan the work for the deliverables that are not approved yet, then write each one in ${path.posix.join(DELIVERABLES_DIR, getDeliverableDirectory(phase, project.definitions))}/ and report it with guidant_report_progress.`
+	].join('\n');
+}
+
+/**
+ * Build the prompt that writes a deliverable
+ * @param {string} deliverable - Deliverable type, e.g. user_personas
+ * @param {string} projectRoot - Project directory
+ * @param {object} options
+ * @param {object} options.orchestrator - Enhanced context orchestrator
+ * @param {string} [options.focus] - What the user wants to concentrate on
+ * @returns {Promise<string>} Prompt text
+ */
+export async function buildDeliverablePrompt(deliverable, projectRoot, { orchestrator, focus }) {
+	const project = await loadPromptState(projectRoot);
+	const phase = Object.keys(project.definitions).find(key =>
+		project.definitions[key].requiredDeliverables?.includes(deliverable)
+	);
+	if (!phase) {
+		throw new Error(`No phase requires the deliverable: ${deliverable}`);
+	}
+
+	const definition = project.definitions[phase];
+	const role = definition.roles?.[0] || 'AI Assistant';
+	const context = await getInjectedContext(orchestrator, projectRoot, phase, deliverable, {
+		role,
+		templateType: 'deliverable'
+	});
+	const { template, content } = await renderDeliverableTemplate(deliverable, projectRoot);
+	const file = path.posix.join(DELIVERABLES_DIR, getDeliverableDirectory(phase, project.definitions), `${deliverable}.md`);
+	const exists = await fs.access(path.join(projectRoot, file)).then(() => true, () => false);
+
+	return [
+		`# ${toSentence(DELIVERABLE_PROMPT_VERBS[deliverable] || 'write')} the ${template.title}`,
+		'',
+		`You are the ${role} for "${project.name}", working on the ${definition.name || phase} phase. The deliverable is ${stateOf(project, phase, deliverable)}.`,
+		...(exists ? [`An earlier version is in ${file}; revise it rather than starting over.`] : []),
+		...phaseNote(project, phase),
+		...focusLines(focus),
+		'',
+		'## Context',
+		context,
+		'',
+		'## Structure',
+		template.source === 'generic'
+			? 'There is no template for this deliverable; this outline is a starting point:'
+			: 'Use these sections; the structure check expects every one of them:',
+		'',
+		'```markdown',
+		content.trim(),
+		'```',
+		'',
+		'## When done',
+		`Save the deliverable as ${file} and report it with guidant_report_progress (deliverable "${deliverable}").`
+	].join('\n');
+}
+
+async function loadPromptState(projectRoot) {
+	const [config, currentPhase, qualityGates, definitions] = await Promise.all([
+		readProjectFile(PROJECT_CONFIG, projectRoot).catch(() => ({})),
+		readProjectFile(CURRENT_PHASE, projectRoot).catch(() => ({})),
+		readProjectFile(QUALITY_GATES, projectRoot).catch(() => ({})),
+		loadPhaseDefinitions(projectRoot).catch(() => PHASE_DEFINITIONS)
+	]);
+
+	return {
+		name: config.name || path.basename(projectRoot),
+		currentPhase: currentPhase.phase || null,
+		qualityGates,
+		definitions
+	};
+}
+
+async function getInjectedContext(orchestrator, projectRoot, phase, deliverable, options) {
+	const result = await orchestrator.generateEnhancedContext(projectRoot, phase, deliverable, options);
+	if (result.success) {
+		return result.injectedTemplate;
+	}
+
+	// The fallback context still carries the phase and deliverable
+	const injection = await orchestrator.injector.injectContext(result.fallbackContext, options.templateType, {
+		role: options.role,
+		phase,
+		deliverable
+	});
+	return injection.injectedTemplate;
+}
+
+function stateOf(project, phase, deliverable) {
+	return getDeliverableState(project.qualityGates[phase], deliverable).replace(/_/g, ' ');
+}
+
+function phaseNote(project, phase) {
+	if (!project.currentPhase || project.currentPhase === phase) {
+		return [];
+	}
+	return [`Note: the project is currently in the ${project.currentPhase} phase.`];
+}
+
+function focusLines(focus) {
+	return focus?.trim() ? ['', `Focus: ${focus.trim()}`] : [];
+}
+
+function humanize(key) {
+	return key.replace(/_/g, ' ');
+}
+
+function toSentence(verb) {
+	const words = humanize(verb);
+	return words[0].toUpperCase() + words.slice(1);
+}
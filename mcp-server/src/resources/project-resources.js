@@ -0,0 +1,219 @@
+/**
+ * Project Resources
+ * Publishes the .guidant project files as MCP resources under guidant:// URIs
+ *
+ *   guidant://project/phases                       phase progress
+ *   guidant://workflow/current-phase               the current phase
+ *   guidant://workflow/quality-gates               quality gate results
+ *   guidant://context/decisions                    recorded decisions
+ *   guidant://deliverables                         index of deliverable resources
+ *   guidant://deliverables/{directory}/{file}      a deliverable, e.g. requirements/prd.md
+ *   guidant://tickets                              index of ticket resources
+ *   guidant://tickets/{ticketId}                   a task ticket
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getProjectRoot } from '../tools/shared/project-context.js';
+import { loadTaskTickets, getTicketId } from '../../../src/workflow-logic/task-dependencies.js';
+import {
+	PROJECT_PHASES,
+	CURRENT_PHASE,
+	QUALITY_GATES,
+	DECISIONS,
+	DELIVERABLES_DIR,
+	TASK_TICKETS
+} from '../../../src/constants/paths.js';
+
+export const RESOURCE_SCHEME = 'guidant://';
+
+const DELIVERABLES_URI = `${RESOURCE_SCHEME}deliverables`;
+const TICKETS_URI = `${RESOURCE_SCHEME}tickets`;
+
+/**
+ * Resources backed by a single project file
+ */
+export const FILE_RESOURCES = [
+	{ uri: `${RESOURCE_SCHEME}project/phases`, name: 'Project phases', file: PROJECT_PHASES },
+	{ uri: `${RESOURCE_SCHEME}workflow/current-phase`, name: 'Current phase', file: CURRENT_PHASE },
+	{ uri: `${RESOURCE_SCHEME}workflow/quality-gates`, name: 'Quality gates', file: QUALITY_GATES },
+	{ uri: `${RESOURCE_SCHEME}context/decisions`, name: 'Decisions', file: DECISIONS }
+];
+
+// Directory and file names in deliverable URIs; no path separators or hidden files
+const SAFE_SEGMENT = /^[\w-][\w.-]*$/;
+
+/**
+ * Register the project resources with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerProjectResources(server) {
+	for (const resource of FILE_RESOURCES) {
+		server.addResource({
+			uri: resource.uri,
+			name: resource.name,
+			mimeType: 'application/json',
+			load: async () => ({ text: await readResourceFile(resource.file, resource.uri) })
+		});
+	}
+
+	server.addResource({
+		uri: DELIVERABLES_URI,
+		name: 'Deliverables',
+		mimeType: 'application/json',
+		load: async () => ({ text: JSON.stringify(await listDeliverableResources(getProjectRoot()), null, 2) })
+	});
+
+	server.addResource({
+		uri: TICKETS_URI,
+		name: 'Task tickets',
+		mimeType: 'application/json',
+		load: async () => ({ text: JSON.stringify(await listTicketResources(getProjectRoot()), null, 2) })
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: `${DELIVERABLES_URI}/{directory}/{file}`,
+		name: 'Deliverable',
+		mimeType: 'text/markdown',
+		arguments: [
+			{ name: 'directory', description: 'Deliverables directory, e.g. requirements or wireframes', required: true },
+			{ name: 'file', description: 'File name, e.g. prd.md', required: true }
+		],
+		load: async ({ directory, file }) => {
+			const uri = `${DELIVERABLES_URI}/${directory}/${file}`;
+			const resolved = resolveResourceUri(uri);
+			if (!resolved) {
+				throw new Error(`Invalid deliverable resource: ${uri}`);
+			}
+			return { text: await readResourceFile(resolved.file, uri) };
+		}
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: `${TICKETS_URI}/{ticketId}`,
+		name: 'Task ticket',
+		mimeType: 'application/json',
+		arguments: [
+			{ name: 'ticketId', description: 'Ticket ID, see guidant://tickets', required: true }
+		],
+		load: async ({ ticketId }) => {
+			const ticket = (await loadTaskTickets(getProjectRoot())).find(candidate => getTicketId(candidate) === ticketId);
+			if (!ticket) {
+				throw new Error(`Ticket not found: ${ticketId}`);
+			}
+			const { file: _file, ...content } = ticket;
+			return { text: JSON.stringify(content, null, 2) };
+		}
+	});
+}
+
+/**
+ * Map a resource URI to the project file behind it
+ * @param {string} uri - guidant:// URI
+ * @returns {{file: string, mimeType: string}|null} File relative to the project root; null for unknown or unsafe URIs
+ */
+export function resolveResourceUri(uri) {
+	const fileResource = FILE_RESOURCES.find(resource => resource.uri === uri);
+	if (fileResource) {
+		return { file: fileResource.file, mimeType: 'application/json' };
+	}
+
+	const deliverable = uri.match(/^guidant:\/\/deliverables\/([^/]+)\/([^/]+)$/);
+	if (deliverable?.slice(1).every(segment => SAFE_SEGMENT.test(segment))) {
+		return { file: path.posix.join(DELIVERABLES_DIR, deliverable[1], deliverable[2]), mimeType: mimeTypeFor(deliverable[2]) };
+	}
+	return null;
+}
+
+/**
+ * List the URIs a changed project file affects
+ * @param {string} file - File relative to the project root, with forward slashes
+ * @param {string} [projectRoot] - Used to read the ID of a changed ticket
+ * @returns {Promise<{uris: string[], list: string|null}>} Changed resources, and the index resource whose list changes when the file is added or removed
+ */
+export async function resourceUrisForFile(file, projectRoot) {
+	const fileResource = FILE_RESOURCES.find(resource => resource.file === file);
+	if (fileResource) {
+		return { uris: [fileResource.uri], list: null };
+	}
+
+	if (file.startsWith(`${DELIVERABLES_DIR}/`)) {
+		const relative = file.slice(DELIVERABLES_DIR.length + 1);
+		const uri = `${DELIVERABLES_URI}/${relative}`;
+		return resolveResourceUri(uri) ? { uris: [uri, DELIVERABLES_URI], list: DELIVERABLES_URI } : { uris: [], list: null };
+	}
+
+	if (file.startsWith(`${TASK_TICKETS}/`) && file.endsWith('.json')) {
+		let ticketId = path.posix.basename(file, '.json');
+		try {
+			ticketId = getTicketId(JSON.parse(await fs.readFile(path.join(projectRoot, file), 'utf8'))) || ticketId;
+		} catch {
+			// Removed or half-written; the file name is the usual ID
+		}
+		return { uris: [`${TICKETS_URI}/${ticketId}`, TICKETS_URI], list: TICKETS_URI };
+	}
+
+	return { uris: [], list: null };
+}
+
+/**
+ * List every resource of a project, including each deliverable and ticket
+ * @param {string} projectRoot - Project directory
+ * @returns {Promise<Array<{uri: string, name: string, mimeType: string}>>}
+ */
+export async function listProjectResources(projectRoot) {
+	return [
+		...FILE_RESOURCES.map(({ uri, name }) => ({ uri, name, mimeType: 'application/json' })),
+		{ uri: DELIVERABLES_URI, name: 'Deliverables', mimeType: 'application/json' },
+		...await listDeliverableResources(projectRoot),
+		{ uri: TICKETS_URI, name: 'Task tickets', mimeType: 'application/json' },
+		...await listTicketResources(projectRoot)
+	];
+}
+
+async function listDeliverableResources(projectRoot) {
+	const resources = [];
+	let directories;
+	try {
+		directories = await fs.readdir(path.join(projectRoot, DELIVERABLES_DIR), { withFileTypes: true });
+	} catch {
+		return resources;
+	}
+
+	for (const directory of directories.filter(entry => entry.isDirectory() && SAFE_SEGMENT.test(entry.name))) {
+		const files = await fs.readdir(path.join(projectRoot, DELIVERABLES_DIR, directory.name), { withFileTypes: true });
+		for (const file of files.filter(entry => entry.isFile() && SAFE_SEGMENT.test(entry.name)).sort((a, b) => a.name.localeCompare(b.name))) {
+			resources.push({
+				uri: `${DELIVERABLES_URI}/${directory.name}/${file.name}`,
+				name: `${directory.name}/${file.name}`,
+				mimeType: mimeTypeFor(file.name)
+			});
+		}
+	}
+	return resources;
+}
+
+async function listTicketResources(projectRoot) {
+	return (await loadTaskTickets(projectRoot)).map(ticket => ({
+		uri: `${TICKETS_URI}/${getTicketId(ticket)}`,
+		name: `${getTicketId(ticket)}: ${ticket.title || 'Untitled ticket'}`,
+		mimeType: 'application/json'
+	}));
+}
+
+async function readResourceFile(file, uri) {
+	try {
+		return await fs.readFile(path.join(getProjectRoot(), file), 'utf8');
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			throw new Error(`Resource not found: ${uri}`);
+		}
+		throw error;
+	}
+}
+
+function mimeTypeFor(file) {
+	if (file.endsWith('.md')) return 'text/markdown';
+	if (file.endsWith('.json')) return 'application/json';
+	return 'text/plain';
+}
@@ -0,0 +1,167 @@
+/**
+ * Resource Subscriptions
+ * Lets MCP clients subscribe to guidant:// resources and notifies them when the files
+ * behind them change on disk. FastMCP has no subscription support, so the capability and
+ * handlers are added to each session's protocol server before it connects.
+ *
+ * Resources are read from the project of the session asking for them (getProjectRoot()),
+ * and each project's files are watched once any session subscribes to one of them.
+ */
+
+import path from 'path';
+import chokidar from 'chokidar';
+import { z } from 'zod';
+import { FILE_RESOURCES, RESOURCE_SCHEME, resolveResourceUri, resourceUrisForFile, listProjectResources } from './project-resources.js';
+import { DELIVERABLES_DIR, TASK_TICKETS } from '../../../src/constants/paths.js';
+import { getProjectRoot } from '../tools/shared/project-context.js';
+
+const DEFAULT_DEBOUNCE_MS = 200;
+
+const uriParams = z.object({ uri: z.string().min(1) });
+const SubscribeRequestSchema = z.object({ method: z.literal('resources/subscribe'), params: uriParams });
+const UnsubscribeRequestSchema = z.object({ method: z.literal('resources/unsubscribe'), params: uriParams });
+const ListResourcesRequestSchema = z.object({ method: z.literal('resources/list'), params: z.object({}).passthrough().optional() });
+
+/**
+ * Tracks which session subscribed to which resource and watches the files behind them
+ */
+export class ResourceSubscriptions {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.debounceMs=200] - Wait this long after the last write before notifying
+	 */
+	constructor(options = {}) {
+		this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+		// Session -> project root -> subscribed URIs
+		this.sessions = new Map();
+		this.timers = new Map();
+		// Project root -> { watcher, ready }
+		this.watchers = new Map();
+	}
+
+	/**
+	 * Add the subscription capability and handlers to a session. Must be called before
+	 * the session connects, as capabilities are sent in reply to initialize.
+	 * @param {object} session - FastMCP session
+	 */
+	attach(session) {
+		const protocol = session.server;
+		protocol.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+		this.sessions.set(session, new Map());
+
+		protocol.setRequestHandler(SubscribeRequestSchema, async request => {
+			await this.subscribe(session, request.params.uri);
+			return {};
+		});
+		protocol.setRequestHandler(UnsubscribeRequestSchema, async request => {
+			this.sessions.get(session)?.get(getProjectRoot())?.delete(request.params.uri);
+			return {};
+		});
+		// List each deliverable and ticket, not only the fixed resources
+		protocol.setRequestHandler(ListResourcesRequestSchema, async () => ({
+			resources: await listProjectResources(getProjectRoot())
+		}));
+	}
+
+	/**
+	 * Forget a disconnected session
+	 * @param {object} session - FastMCP session
+	 */
+	detach(session) {
+		this.sessions.delete(session);
+	}
+
+	/**
+	 * Subscribe a session to a resource of the current project
+	 * @param {object} session - FastMCP session
+	 * @param {string} uri - guidant:// URI
+	 * @param {string} [projectRoot=getProjectRoot()] - Project the resource belongs to
+	 * @throws {Error} For URIs that are not Guidant resources
+	 */
+	async subscribe(session, uri, projectRoot = getProjectRoot()) {
+		if (!isSubscribableUri(uri)) {
+			throw new Error(`Unknown resource: ${uri}`);
+		}
+		if (!this.sessions.has(session)) {
+			this.sessions.set(session, new Map());
+		}
+		const projects = this.sessions.get(session);
+		if (!projects.has(projectRoot)) {
+			projects.set(projectRoot, new Set());
+		}
+		projects.get(projectRoot).add(uri);
+		await this.startWatching(projectRoot);
+	}
+
+	/**
+	 * Stop watching and forget every subscription
+	 */
+	async close() {
+		for (const timer of this.timers.values()) {
+			clearTimeout(timer);
+		}
+		this.timers.clear();
+		this.sessions.clear();
+
+		for (const { watcher } of this.watchers.values()) {
+			await watcher.close();
+		}
+		this.watchers.clear();
+	}
+
+	startWatching(projectRoot) {
+		if (!this.watchers.has(projectRoot)) {
+			const targets = [...FILE_RESOURCES.map(resource => resource.file), DELIVERABLES_DIR, TASK_TICKETS];
+			const watcher = chokidar.watch(targets.map(target => path.join(projectRoot, target)), {
+				ignoreInitial: true,
+				ignored: filePath => path.basename(filePath).startsWith('.')
+			});
+			for (const event of ['add', 'change', 'unlink']) {
+				watcher.on(event, filePath => this.schedule(projectRoot, filePath, event));
+			}
+			watcher.on('error', error => console.error('Resource watcher error:', error.message));
+			this.watchers.set(projectRoot, { watcher, ready: new Promise(resolve => watcher.once('ready', resolve)) });
+		}
+		return this.watchers.get(projectRoot).ready;
+	}
+
+	schedule(projectRoot, filePath, event) {
+		const previous = this.timers.get(filePath);
+		clearTimeout(previous?.timer);
+
+		// An add or unlink followed by a change still changes the list
+		const listChanged = previous?.listChanged || event !== 'change';
+		this.timers.set(filePath, {
+			listChanged,
+			timer: setTimeout(() => {
+				this.timers.delete(filePath);
+				this.notify(projectRoot, filePath, listChanged).catch(error => console.error('Resource notification failed:', error.message));
+			}, this.debounceMs)
+		});
+	}
+
+	async notify(projectRoot, filePath, listChanged) {
+		const file = path.relative(projectRoot, filePath).split(path.sep).join('/');
+		const { uris, list } = await resourceUrisForFile(file, projectRoot);
+
+		// Only sessions subscribed to something in this project hear about it
+		for (const [session, projects] of this.sessions) {
+			const subscribed = projects.get(projectRoot);
+			if (!subscribed) continue;
+			for (const uri of uris.filter(candidate => subscribed.has(candidate))) {
+				await session.server.sendResourceUpdated({ uri });
+			}
+			if (listChanged && list) {
+				await session.server.sendResourceListChanged();
+			}
+		}
+	}
+}
+
+function isSubscribableUri(uri) {
+	return Boolean(resolveResourceUri(uri))
+		|| uri === `${RESOURCE_SCHEME}deliverables`
+		|| uri === `${RESOURCE_SCHEME}tickets`
+		|| /^guidant:\/\/tickets\/[^/]+$/.test(uri);
+}
@@ -0,0 +1,126 @@
+/**
+ * Blocker Tools
+ * Tools for recording, listing and resolving blockers on tickets and deliverables
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import {
+	getBlockers,
+	createBlocker,
+	resolveBlocker,
+	BLOCKER_SEVERITIES,
+	BLOCKER_STATUSES
+} from '../../../../src/workflow-logic/workflow-engine.js';
+
+/**
+ * Register blocker tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerBlockerTools(server) {
+	// Create blocker
+	server.addTool({
+		name: 'guidant_create_blocker',
+		description: 'Record a blocker on a ticket or deliverable, with a severity and an owner responsible for clearing it. The blocked work is skipped by guidant_get_current_task until the blocker is resolved. Blockers sent with guidant_report_progress are recorded the same way.',
+		parameters: z.object({
+			description: z.string().min(1).describe('What is blocking the work'),
+			ticketId: z.string().min(1).optional().describe('Ticket that is blocked'),
+			deliverable: z.string().min(1).optional().describe('Deliverable that is blocked, when no ticket is given'),
+			severity: z.enum(Object.values(BLOCKER_SEVERITIES)).optional().describe('How badly the blocker holds up the project (default medium)'),
+			owner: z.string().min(1).optional().describe('Who is responsible for clearing the blocker'),
+			reportedBy: z.string().min(1).optional().describe('Who is reporting the blocker')
+		}),
+		execute: async ({ description, ticketId, deliverable, severity, owner, reportedBy }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await createBlocker({ description, ticketId, deliverable, severity, owner, reportedBy }, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ blocker: result.blocker },
+					result.message,
+					'Tell the user about the blocker and continue with guidant_get_current_task'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// List blockers
+	server.addTool({
+		name: 'guidant_list_blockers',
+		description: 'List blockers on tickets and deliverables, most severe first. Lists open blockers unless another status is asked for.',
+		parameters: z.object({
+			status: z.enum([...Object.values(BLOCKER_STATUSES), 'all']).default(BLOCKER_STATUSES.OPEN).describe('Blockers to list (default open)'),
+			ticketId: z.string().min(1).optional().describe('Only list blockers on this ticket'),
+			deliverable: z.string().min(1).optional().describe('Only list blockers on this deliverable')
+		}),
+		execute: async ({ status = BLOCKER_STATUSES.OPEN, ticketId, deliverable }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const blockers = await getBlockers(projectRoot, {
+					status: status === 'all' ? undefined : status,
+					ticketId,
+					deliverable
+				});
+
+				return formatSuccessResponse(
+					{ blockers },
+					`${blockers.length} ${status === 'all' ? '' : `${status} `}blocker${blockers.length === 1 ? '' : 's'}`,
+					blockers.some(blocker => blocker.status === BLOCKER_STATUSES.OPEN)
+						? 'Resolve cleared blockers with guidant_resolve_blocker'
+						: null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Resolve blocker
+	server.addTool({
+		name: 'guidant_resolve_blocker',
+		description: 'Mark a blocker as resolved, recording how it was cleared. The work it blocked can be picked up again.',
+		parameters: z.object({
+			blockerId: z.string().min(1).describe('Blocker to resolve (e.g. BLK-001)'),
+			resolution: z.string().min(1).describe('How the blocker was cleared'),
+			resolvedBy: z.string().min(1).optional().describe('Who cleared the blocker')
+		}),
+		execute: async ({ blockerId, resolution, resolvedBy }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await resolveBlocker(blockerId, { resolution, resolvedBy }, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_list_blockers to see open blockers');
+				}
+
+				return formatSuccessResponse(
+					{ blocker: result.blocker },
+					result.message,
+					'Use guidant_get_current_task to continue'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
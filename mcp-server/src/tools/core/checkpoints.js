@@ -0,0 +1,164 @@
+/**
+ * Checkpoint Tools
+ * Tools for taking, comparing and restoring named snapshots of the .guidant directory
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { checkpointNameSchema } from '../shared/validation.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import {
+	createCheckpoint,
+	listCheckpoints,
+	diffCheckpoint,
+	restoreCheckpoint,
+	pruneCheckpoints
+} from '../../../../src/file-management/checkpoint-manager.js';
+
+/**
+ * Register checkpoint tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerCheckpointTools(server) {
+	// Create checkpoint
+	server.addTool({
+		name: 'guidant_create_checkpoint',
+		description: 'Take a named snapshot of every .guidant file before a risky change so it can be restored later',
+		parameters: z.object({
+			name: checkpointNameSchema,
+			reason: z.string().optional().describe('Why the checkpoint is being taken')
+		}),
+		execute: async ({ name, reason }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await createCheckpoint(name, { reason, projectRoot });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ checkpoint: result.checkpoint },
+					result.message,
+					`Use guidant_restore_checkpoint with name "${name}" to return to this state`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// List checkpoints
+	server.addTool({
+		name: 'guidant_list_checkpoints',
+		description: 'List .guidant checkpoints, newest first, including automatic ones taken before phase transitions',
+		parameters: z.object({}),
+		execute: async () => {
+			try {
+				const result = await listCheckpoints(getProjectRoot());
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ checkpoints: result.checkpoints, total: result.total },
+					`Found ${result.total} checkpoints`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Diff checkpoint
+	server.addTool({
+		name: 'guidant_diff_checkpoint',
+		description: 'Show which .guidant files were added, removed or modified since a checkpoint, or between two checkpoints',
+		parameters: z.object({
+			name: checkpointNameSchema,
+			against: checkpointNameSchema.optional().describe('Checkpoint to compare to (defaults to the current files)')
+		}),
+		execute: async ({ name, against }) => {
+			try {
+				const result = await diffCheckpoint(name, { against, projectRoot: getProjectRoot() });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				const { success, ...diff } = result;
+				return formatSuccessResponse(
+					diff,
+					result.hasChanges ? `Changes between ${result.from} and ${result.to}` : 'No changes'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Restore checkpoint
+	server.addTool({
+		name: 'guidant_restore_checkpoint',
+		description: 'Restore every .guidant file from a checkpoint in one operation. The current state is checkpointed first so the restore can be undone.',
+		parameters: z.object({
+			name: checkpointNameSchema,
+			confirmRestore: z.boolean().describe('Confirm that the current .guidant files should be replaced')
+		}),
+		execute: async ({ name, confirmRestore }) => {
+			try {
+				if (!confirmRestore) {
+					return formatErrorResponse('Checkpoint restore not confirmed');
+				}
+
+				const result = await restoreCheckpoint(name, { projectRoot: getProjectRoot() });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{
+						restored: result.restored,
+						removed: result.removed,
+						safetyCheckpoint: result.safetyCheckpoint
+					},
+					result.message,
+					`Restore "${result.safetyCheckpoint}" to undo`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Prune checkpoints
+	server.addTool({
+		name: 'guidant_prune_checkpoints',
+		description: 'Delete old checkpoints by count or age',
+		parameters: z.object({
+			keep: z.number().int().min(0).optional().describe('Keep this many of the newest checkpoints'),
+			olderThanDays: z.number().min(0).optional().describe('Delete checkpoints older than this many days'),
+			autoOnly: z.boolean().default(false).describe('Only prune automatic checkpoints')
+		}),
+		execute: async ({ keep, olderThanDays, autoOnly }) => {
+			try {
+				const result = await pruneCheckpoints({ keep, olderThanDays, autoOnly, projectRoot: getProjectRoot() });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ pruned: result.pruned, remaining: result.remaining },
+					result.message
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,221 @@
+/**
+ * Decision Tools
+ * Tools for recording, searching, reviewing, superseding and archiving the project's decisions
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized, readProjectFile } from '../../../../src/file-management/project-structure.js';
+import {
+	recordDecision,
+	getDecisions,
+	reviewDecision,
+	supersedeDecision,
+	archiveDecision,
+	isDecisionOverdue,
+	DECISION_TYPES,
+	IMPACT_LEVELS,
+	DECISION_STATUSES
+} from '../../../../src/context/decision-tracker.js';
+import { CURRENT_PHASE } from '../../../../src/constants/paths.js';
+
+const decisionFields = {
+	title: z.string().min(1).describe('Short statement of what was decided'),
+	description: z.string().optional().describe('The decision in full'),
+	rationale: z.string().optional().describe('Why this was decided'),
+	type: z.enum(Object.values(DECISION_TYPES)).optional().describe('Kind of decision'),
+	impact: z.enum(Object.values(IMPACT_LEVELS)).optional().describe('How much of the project the decision affects'),
+	alternatives: z.array(z.string()).optional().describe('Options that were considered and not chosen'),
+	consequences: z.array(z.string()).optional().describe('Expected consequences of the decision'),
+	stakeholders: z.array(z.string()).optional().describe('People the decision was made with or for'),
+	tags: z.array(z.string()).optional().describe('Tags to find the decision by'),
+	reviewDate: z.string().optional().describe('When the decision should be reviewed (ISO date); guidant status lists it once the date has passed')
+};
+
+/**
+ * Register decision tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerDecisionTools(server) {
+	// Record decision
+	server.addTool({
+		name: 'guidant_record_decision',
+		description: 'Record a business or technical decision with its rationale and the alternatives considered, so later sessions keep to it. Record every decision the user makes and every major technical choice.',
+		parameters: z.object({
+			...decisionFields,
+			phase: z.string().optional().describe('Phase the decision was made in (default the current phase)'),
+			recordedBy: z.string().min(1).optional().describe('Who made or recorded the decision')
+		}),
+		execute: async ({ phase, ...decisionData }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await recordDecision({
+					...decisionData,
+					phase: phase || await getCurrentPhase(projectRoot)
+				}, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ decision: result.decision },
+					`Recorded ${result.decision.id}: ${result.decision.title}`,
+					'Use guidant_search_decisions to check earlier decisions before making related ones'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Search decisions
+	server.addTool({
+		name: 'guidant_search_decisions',
+		description: 'Search the decision log, newest first. Use it before making a decision that earlier ones may settle. Superseded decisions name their replacement in supersededBy.',
+		parameters: z.object({
+			query: z.string().optional().describe('Text to find in the title, description, rationale or tags'),
+			type: z.enum(Object.values(DECISION_TYPES)).optional().describe('Only decisions of this type'),
+			phase: z.string().optional().describe('Only decisions made in this phase'),
+			impact: z.enum(Object.values(IMPACT_LEVELS)).optional().describe('Only decisions with this impact'),
+			status: z.enum([...Object.values(DECISION_STATUSES), 'all']).default('all').describe('Only decisions with this status (default all)'),
+			tag: z.string().optional().describe('Only decisions with this tag'),
+			overdue: z.boolean().optional().describe('Only decisions whose review date has passed'),
+			limit: z.number().int().min(1).optional().describe('Return at most this many decisions')
+		}),
+		execute: async ({ status = 'all', ...criteria }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await getDecisions({
+					...criteria,
+					status: status === 'all' ? undefined : status
+				}, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				const overdue = result.decisions.filter(decision => isDecisionOverdue(decision)).length;
+				return formatSuccessResponse(
+					{ decisions: result.decisions, total: result.total, overdue },
+					`${result.total} decision${result.total === 1 ? '' : 's'} found${overdue > 0 ? `, ${overdue} due for review` : ''}`,
+					overdue > 0 ? 'Ask the user whether the overdue decisions still hold, then use guidant_review_decision' : null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Review decision
+	server.addTool({
+		name: 'guidant_review_decision',
+		description: 'Record that a decision was reviewed and still holds, with the outcome and optionally the next review date. To change the decision, use guidant_supersede_decision instead.',
+		parameters: z.object({
+			decisionId: z.string().min(1).describe('Decision that was reviewed'),
+			outcome: z.string().optional().describe('Outcome of the review, e.g. "still valid"'),
+			notes: z.string().optional().describe('Review notes'),
+			nextReviewDate: z.string().optional().describe('When to review the decision again (ISO date)'),
+			reviewedBy: z.string().min(1).optional().describe('Who reviewed the decision')
+		}),
+		execute: async ({ decisionId, outcome, notes, nextReviewDate, reviewedBy }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await reviewDecision(decisionId, { outcome, notes, nextReviewDate, reviewedBy }, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_search_decisions to find the decision');
+				}
+
+				return formatSuccessResponse(
+					{ decision: result.decision },
+					`Reviewed ${decisionId}${result.decision.reviewDate ? `; next review ${result.decision.reviewDate}` : ''}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Supersede decision
+	server.addTool({
+		name: 'guidant_supersede_decision',
+		description: 'Replace a decision with a new one. The new decision is recorded with a link to the one it replaces, and the old one is marked superseded. Type, impact, phase and tags default to those of the old decision.',
+		parameters: z.object({
+			decisionId: z.string().min(1).describe('Decision being replaced'),
+			...decisionFields,
+			phase: z.string().optional().describe('Phase the new decision was made in (default that of the old decision)'),
+			recordedBy: z.string().min(1).optional().describe('Who made or recorded the new decision')
+		}),
+		execute: async ({ decisionId, ...decisionData }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await supersedeDecision(decisionId, withoutUndefined(decisionData), projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_search_decisions to find the decision');
+				}
+
+				return formatSuccessResponse(
+					{ decision: result.decision, superseded: result.superseded },
+					result.message
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Archive decision
+	server.addTool({
+		name: 'guidant_archive_decision',
+		description: 'Archive a decision that no longer applies and has no replacement. It stays in the log but is no longer due for review.',
+		parameters: z.object({
+			decisionId: z.string().min(1).describe('Decision to archive'),
+			reason: z.string().optional().describe('Why the decision no longer applies'),
+			archivedBy: z.string().min(1).optional().describe('Who archived the decision')
+		}),
+		execute: async ({ decisionId, reason, archivedBy }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await archiveDecision(decisionId, projectRoot, { reason, archivedBy });
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_search_decisions to find the decision');
+				}
+
+				return formatSuccessResponse({ decision: result.decision }, `Archived ${decisionId}`);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
+
+async function getCurrentPhase(projectRoot) {
+	const currentPhase = await readProjectFile(CURRENT_PHASE, projectRoot).catch(() => ({}));
+	return currentPhase.phase;
+}
+
+// Fields left out must not override the defaults taken from the superseded decision
+function withoutUndefined(object) {
+	return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
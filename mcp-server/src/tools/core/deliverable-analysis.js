@@ -13,6 +13,7 @@ import {
   analyzePhaseDeliverables 
 } from '../../../../src/data-processing/deliverable-analyzer.js';
 import { formatMCPResponse, formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
 
 // Input validation schemas
 const AnalyzeDeliverableSchema = z.object({
@@ -57,7 +58,7 @@ that can be used for phase transitions and context-aware task generation.`,
   
   async handler({ deliverablePath, deliverableType, aiEnhanced = false, projectRoot }) {
     try {
-      const analyzer = new DeliverableContentAnalyzer(projectRoot || process.cwd(), {
+      const analyzer = new DeliverableContentAnalyzer(projectRoot || getProjectRoot(), {
         aiEnhancementEnabled: aiEnhanced,
         fallbackToRules: true
       });
@@ -124,7 +125,7 @@ that can inform phase transition decisions and next-phase task generation.`,
 
   async handler({ phaseDirectory, aiEnhanced = false, projectRoot }) {
     try {
-      const analyzer = new DeliverableContentAnalyzer(projectRoot || process.cwd(), {
+      const analyzer = new DeliverableContentAnalyzer(projectRoot || getProjectRoot(), {
         aiEnhancementEnabled: aiEnhanced,
         fallbackToRules: true
       });
@@ -179,7 +180,7 @@ before committing to the project structure.`,
 
   async handler({ content, contentType, deliverableType, aiEnhanced = false }) {
     try {
-      const analyzer = new DeliverableContentAnalyzer(process.cwd(), {
+      const analyzer = new DeliverableContentAnalyzer(getProjectRoot(), {
         aiEnhancementEnabled: aiEnhanced,
         fallbackToRules: true
       });
@@ -0,0 +1,59 @@
+/**
+ * Deliverable Template Tools
+ * Tools for getting the scaffolding template of a deliverable
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import {
+	renderDeliverableTemplate,
+	listDeliverableTemplates
+} from '../../../../src/workflow-logic/deliverable-templates.js';
+
+/**
+ * Register deliverable template tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerDeliverableTemplateTools(server) {
+	server.addTool({
+		name: 'guidant_get_deliverable_template',
+		description: 'Get the Markdown skeleton for a deliverable (e.g. market_analysis, user_personas, api_specification) with the sections it must contain. Deliverables are scored on these sections, so start from the skeleton and fill in every section. Projects can override a template in .guidant/templates/deliverables/<deliverable>.md.',
+		parameters: z.object({
+			deliverable: z.string().min(1).describe('Deliverable type, e.g. market_analysis or api_specification'),
+			includeGuidance: z.boolean().optional().default(true).describe('Describe what goes in each section as an HTML comment')
+		}),
+		execute: async ({ deliverable, includeGuidance = true }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				const { template, content } = await renderDeliverableTemplate(deliverable, projectRoot, { includeGuidance });
+
+				if (template.source === 'generic') {
+					const available = (await listDeliverableTemplates(projectRoot)).map(entry => entry.type);
+					return formatSuccessResponse(
+						{ deliverable, source: template.source, sections: [], content, availableTemplates: available },
+						`No template for "${deliverable}"; returning a generic skeleton`,
+						`Add .guidant/templates/deliverables/${deliverable}.md to define its sections`
+					);
+				}
+
+				return formatSuccessResponse(
+					{
+						deliverable,
+						title: template.title,
+						source: template.source,
+						...(template.path && { templatePath: template.path }),
+						sections: template.sections.map(section => section.heading),
+						content
+					},
+					`${template.source === 'project' ? 'Project' : 'Built-in'} template for ${deliverable} with ${template.sections.length} sections`,
+					'Fill in every section, then save the result with guidant_save_deliverable'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
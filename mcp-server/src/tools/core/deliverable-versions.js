@@ -0,0 +1,129 @@
+/**
+ * Deliverable Version Tools
+ * Tools for listing, comparing and restoring the saved versions of a deliverable
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+import { claimAgentIdSchema } from '../shared/validation.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import {
+	getDeliverableVersions,
+	diffDeliverableVersions,
+	restoreDeliverableVersion,
+	scoreDeliverableVersion
+} from '../../../../src/workflow-logic/workflow-engine.js';
+
+const fileSchema = z.string().min(1)
+	.describe('Deliverable file, e.g. requirements/prd.md or .guidant/deliverables/requirements/prd.md, or a deliverable name saved to a single file');
+const versionSchema = z.number().int().positive();
+
+/**
+ * Register deliverable version tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerDeliverableVersionTools(server) {
+	// List versions
+	server.addTool({
+		name: 'guidant_list_deliverable_versions',
+		description: 'List the saved versions of a deliverable, oldest first, with the content hash, author, time, phase and quality score of each.',
+		parameters: z.object({
+			file: fileSchema
+		}),
+		execute: async ({ file }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await getDeliverableVersions(file, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Versions are recorded when a deliverable is saved with guidant_save_deliverable');
+				}
+
+				return formatSuccessResponse(
+					{ file: result.file, versions: result.versions },
+					`${result.file} has ${result.versions.length} version${result.versions.length === 1 ? '' : 's'}`,
+					result.versions.length > 1 ? 'Use guidant_diff_deliverable_versions to see what changed between two versions' : null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Diff versions
+	server.addTool({
+		name: 'guidant_diff_deliverable_versions',
+		description: 'Show a unified diff between two saved versions of a deliverable.',
+		parameters: z.object({
+			file: fileSchema,
+			fromVersion: versionSchema.describe('Older version'),
+			toVersion: versionSchema.optional().describe('Newer version; defaults to the latest'),
+			context: z.number().int().min(0).max(20).optional().describe('Unchanged lines shown around each change (default 3)')
+		}),
+		execute: async ({ file, fromVersion, toVersion, context }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await diffDeliverableVersions(file, fromVersion, toVersion, projectRoot, { context });
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_list_deliverable_versions to see the versions');
+				}
+
+				const { success: _success, ...diff } = result;
+				return formatSuccessResponse(
+					diff,
+					result.identical
+						? `Versions ${result.from.version} and ${result.to.version} are identical`
+						: `${result.added} line(s) added, ${result.removed} removed between versions ${result.from.version} and ${result.to.version}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Restore version
+	server.addTool({
+		name: 'guidant_restore_deliverable_version',
+		description: 'Restore an earlier version of a deliverable. The file gets that content again and it is saved as a new version, so later versions stay available.',
+		parameters: z.object({
+			file: fileSchema,
+			version: versionSchema.describe('Version to restore'),
+			agentId: claimAgentIdSchema.optional().describe('Agent restoring the version, recorded as its author')
+		}),
+		execute: async ({ file, version, agentId }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await restoreDeliverableVersion(file, version, projectRoot, { author: agentId });
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_list_deliverable_versions to see the versions');
+				}
+
+				const quality = result.created
+					? await scoreDeliverableVersion(result.file, result.version.version, projectRoot)
+					: result.version.quality;
+
+				return formatSuccessResponse(
+					{ file: result.file, version: result.version, qualityScore: quality?.score ?? null },
+					result.message,
+					'Use guidant_report_progress if the restored deliverable needs another review'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
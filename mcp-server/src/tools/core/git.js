@@ -0,0 +1,61 @@
+/**
+ * Git Tools
+ * Tools for linking the local git history to tickets and deliverables
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import { getGitLinks, suggestCompletedTickets } from '../../../../src/workflow-logic/workflow-engine.js';
+
+/**
+ * Register git tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerGitTools(server) {
+	// Get git links
+	server.addTool({
+		name: 'guidant_get_git_links',
+		description: 'Read the local git repository and list the commits linked to each ticket and deliverable. Commits are linked by trailers (Guidant-Ticket: IMPL-001, Guidant-Deliverable: wireframes) or by branch names containing a ticket ID (feature/IMPL-001-login) or starting with deliverable/. Tickets whose commits are merged into the main branch are suggested as done.',
+		parameters: z.object({
+			ticketId: z.string().min(1).optional().describe('Only show the commits of this ticket'),
+			mainBranch: z.string().min(1).optional().describe('Branch work is merged into (default main, then master)')
+		}),
+		execute: async ({ ticketId, mainBranch }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const links = await getGitLinks(projectRoot, { mainBranch });
+				if (!links.success) {
+					return formatErrorResponse(links.error);
+				}
+				if (!links.available) {
+					return formatErrorResponse('The project is not a git repository with commits');
+				}
+
+				const suggestions = suggestCompletedTickets(links);
+				return formatSuccessResponse(
+					{
+						mainBranch: links.mainBranch,
+						head: links.head,
+						tickets: ticketId ? links.tickets.filter(ticket => ticket.ticketId === ticketId) : links.tickets,
+						deliverables: ticketId ? [] : links.deliverables,
+						completionSuggestions: suggestions
+					},
+					`${links.tickets.length} tickets and ${links.deliverables.length} deliverables have linked commits`,
+					suggestions.length > 0
+						? `Confirm with the user and mark ${suggestions.map(suggestion => suggestion.ticketId).join(', ')} done with guidant_report_progress`
+						: null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
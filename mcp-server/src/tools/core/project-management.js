@@ -4,10 +4,12 @@
  */
 
 import { z } from 'zod';
-import fs from 'fs/promises';
 import path from 'path';
 import { formatMCPResponse, formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+import { PROJECT_CONFIG } from '../../../../src/constants/paths.js';
 import {
+	claimAgentIdSchema,
 	projectNameSchema,
 	projectDescriptionSchema,
 	availableToolsSchema,
@@ -32,7 +34,10 @@ import {
 } from '../../../../src/ai-coordination/capability-discovery.js';
 import {
 	getCurrentWorkflowState,
-	getDeliverableDirectory
+	getDeliverableDirectory,
+	recordDeliverableCommit,
+	saveDeliverableVersion,
+	scoreDeliverableVersion
 } from '../../../../src/workflow-logic/workflow-engine.js';
 import {
 	processPRDContent
@@ -55,7 +60,7 @@ export function registerProjectManagementTools(server) {
 		}),
 		execute: async ({ projectName, description = '', availableTools, prdContent }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 
 				// Check if already initialized
 				if (await isProjectInitialized(projectRoot)) {
@@ -132,7 +137,7 @@ export function registerProjectManagementTools(server) {
 					prdProcessed: !!prdContent
 				};
 
-				await writeProjectFile('PROJECT_CONFIG', projectConfig, projectRoot);
+				await writeProjectFile(PROJECT_CONFIG, projectConfig, projectRoot);
 
 				const response = {
 					message: `Project "${projectName}" initialized successfully`,
@@ -169,7 +174,7 @@ export function registerProjectManagementTools(server) {
 		parameters: z.object({}),
 		execute: async () => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 				
 				if (!(await isProjectInitialized(projectRoot))) {
 					return formatErrorResponse(
@@ -203,39 +208,55 @@ export function registerProjectManagementTools(server) {
 	// Save deliverable content
 	server.addTool({
 		name: 'guidant_save_deliverable',
-		description: 'Save completed deliverable content to appropriate location in project structure',
+		description: 'Save completed deliverable content to appropriate location in project structure. Each save that changes the content is kept as a new version with its author and quality score, so earlier versions can be compared and restored. When the project is a git repository, the commit checked out at the time is recorded against the deliverable.',
 		parameters: z.object({
 			deliverable: deliverableSchema,
 			content: contentSchema,
 			filename: filenameSchema,
-			directory: directorySchema
+			directory: directorySchema,
+			agentId: claimAgentIdSchema.optional().describe('Agent saving the deliverable, recorded as the author of the version')
 		}),
-		execute: async ({ deliverable, content, filename, directory = '' }) => {
+		execute: async ({ deliverable, content, filename, directory = '', agentId }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 				
 				// Get current phase to determine appropriate directory
 				const workflowState = await getCurrentWorkflowState(projectRoot);
 				const currentPhase = workflowState.currentPhase.phase;
 				
 				// Use provided directory or auto-detect based on phase
-				const targetDirectory = directory || getDeliverableDirectory(currentPhase);
+				const targetDirectory = directory || getDeliverableDirectory(currentPhase, workflowState.phaseDefinitions);
 				
 				const basePath = path.join(projectRoot, '.guidant', 'deliverables');
 				const fullDirectory = path.join(basePath, targetDirectory);
 				const filePath = path.join(fullDirectory, filename);
 
-				// Ensure directory exists
-				await fs.mkdir(fullDirectory, { recursive: true });
-				
-				// Save content
-				await fs.writeFile(filePath, content, 'utf8');
+				// Save content as a new version, keeping the previous ones
+				const { version, created } = await saveDeliverableVersion(filePath, content, {
+					deliverable,
+					phase: currentPhase,
+					author: agentId,
+					projectRoot
+				});
+				const quality = created
+					? await scoreDeliverableVersion(filePath, version.version, projectRoot, { phaseDefinitions: workflowState.phaseDefinitions })
+					: version.quality;
+
+				// Remember which commit the deliverable was written against
+				const commit = await recordDeliverableCommit(deliverable, path.relative(projectRoot, filePath), projectRoot);
 
 				return formatMCPResponse({
 					success: true,
 					message: `Deliverable "${deliverable}" saved successfully`,
 					filePath: path.relative(projectRoot, filePath),
 					savedTo: `deliverables/${targetDirectory}/`,
+					version: {
+						number: version.version,
+						created,
+						contentHash: version.contentHash,
+						qualityScore: quality?.score ?? null
+					},
+					...(commit && { commit: { sha: commit.sha, branch: commit.branch, dirty: commit.dirty } }),
 					nextAction: 'Use guidant_report_progress to mark as completed'
 				});
 			} catch (error) {
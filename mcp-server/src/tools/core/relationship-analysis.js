@@ -1,337 +1,377 @@
 /**
- * MCP Tools for Cross-Phase Relationship Analysis
- * Exposes relationship tracking functionality to AI agents
+ * Relationship Analysis Tools
+ * Tools for detecting relationships between deliverables, analyzing the impact of
+ * changes and querying the stored relationship graph
  */
 
 import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
 import { RelationshipOrchestrator } from '../../../../src/data-processing/relationship-orchestrator.js';
-import { validateDetectionOptions, validateQueryOptions } from '../../../../src/data-processing/schemas/relationship-schemas.js';
+import {
+	validateDetectionOptions,
+	validateQueryOptions,
+	RelationshipTypeSchema
+} from '../../../../src/data-processing/schemas/relationship-schemas.js';
+import {
+	loadRelationshipGraph,
+	queryRelationships,
+	findNeighbors,
+	findShortestPath,
+	findOrphanedDeliverables,
+	DIRECTIONS
+} from '../../../../src/data-processing/relationship-queries.js';
 
-// Initialize relationship orchestrator
+// The orchestrator cache is not keyed by project, and tools can act on any workspace project
 const relationshipOrchestrator = new RelationshipOrchestrator({
-  enableCaching: true,
-  cacheTTL: 30 * 60 * 1000, // 30 minutes
-  enableParallelDetection: true
+	enableCaching: false,
+	enableParallelDetection: true
 });
 
+const relationshipTypesSchema = z.array(RelationshipTypeSchema).optional().describe('Only use relationships of these types, e.g. depends_on or references');
+const minStrengthSchema = z.number().min(0).max(1).optional().describe('Only use relationships at least this strong (0-1)');
+const maxStrengthSchema = z.number().min(0).max(1).optional().describe('Only use relationships at most this strong (0-1)');
+const directionSchema = z.enum(DIRECTIONS).optional().default('both').describe('Follow relationships from the deliverable (outgoing), to it (incoming) or both');
+
+const NOT_ANALYZED_ACTION = 'Use guidant_analyze_project_relationships to detect relationships first';
+
 /**
- * Analyze relationships across all project deliverables
+ * Register relationship analysis tools with the MCP server
+ * @param {object} server - MCP server instance
  */
-export const analyzeProjectRelationships = {
-  name: 'guidant_analyze_project_relationships',
-  description: 'Analyze and map relationships between all deliverables in the project',
-  inputSchema: z.object({
-    projectRoot: z.string().optional().describe('Project root directory (defaults to current)'),
-    options: z.object({
-      algorithms: z.array(z.string()).optional().describe('Specific detection algorithms to use'),
-      minConfidence: z.number().min(0).max(1).default(0.3).describe('Minimum confidence threshold'),
-      maxRelationships: z.number().min(1).default(100).describe('Maximum relationships to detect'),
-      includeWeakRelationships: z.boolean().default(false).describe('Include weak relationships'),
-      semanticAnalysis: z.boolean().default(true).describe('Enable semantic analysis'),
-      structuralAnalysis: z.boolean().default(true).describe('Enable structural analysis'),
-      contentAnalysis: z.boolean().default(true).describe('Enable content analysis'),
-      crossPhaseOnly: z.boolean().default(false).describe('Only detect cross-phase relationships'),
-      targetPhases: z.array(z.string()).optional().describe('Specific phases to analyze'),
-      excludeTypes: z.array(z.string()).optional().describe('Relationship types to exclude')
-    }).optional().describe('Analysis options')
-  }),
+export function registerRelationshipAnalysisTools(server) {
+	// Analyze project relationships
+	server.addTool({
+		name: 'guidant_analyze_project_relationships',
+		description: 'Detect the relationships between all deliverables in the project and store them as the relationship graph that the other relationship tools query.',
+		parameters: z.object({
+			options: z.object({
+				algorithms: z.array(z.string()).optional().describe('Specific detection algorithms to use'),
+				minConfidence: z.number().min(0).max(1).default(0.3).describe('Minimum confidence threshold'),
+				maxRelationships: z.number().min(1).default(100).describe('Maximum relationships to detect'),
+				includeWeakRelationships: z.boolean().default(false).describe('Include weak relationships'),
+				semanticAnalysis: z.boolean().default(true).describe('Enable semantic analysis'),
+				structuralAnalysis: z.boolean().default(true).describe('Enable structural analysis'),
+				contentAnalysis: z.boolean().default(true).describe('Enable content analysis'),
+				crossPhaseOnly: z.boolean().default(false).describe('Only detect cross-phase relationships'),
+				targetPhases: z.array(z.string()).optional().describe('Specific phases to analyze'),
+				excludeTypes: z.array(RelationshipTypeSchema).optional().describe('Relationship types to exclude')
+			}).optional().describe('Analysis options')
+		}),
+		execute: async ({ options = {} }) => {
+			try {
+				const relationshipGraph = await relationshipOrchestrator.analyzeProjectRelationships(
+					getProjectRoot(),
+					validateDetectionOptions(options)
+				);
 
-  async handler({ projectRoot = process.cwd(), options = {} }) {
-    try {
-      console.log('🔄 Starting comprehensive relationship analysis...');
-      
-      // Validate options
-      const validatedOptions = validateDetectionOptions(options);
-      
-      // Perform relationship analysis
-      const relationshipGraph = await relationshipOrchestrator.analyzeProjectRelationships(
-        projectRoot,
-        validatedOptions
-      );
+				const summary = {
+					totalRelationships: relationshipGraph.relationships.length,
+					totalDeliverables: relationshipGraph.deliverables.length,
+					relationshipsByType: relationshipGraph.statistics.relationshipsByType,
+					relationshipsByPhase: relationshipGraph.statistics.relationshipsByPhase,
+					averageStrength: relationshipGraph.statistics.averageStrength,
+					averageConfidence: relationshipGraph.statistics.averageConfidence,
+					qualityScore: relationshipGraph.metadata.qualityScore,
+					detectionAlgorithms: relationshipGraph.metadata.detectionAlgorithms
+				};
 
-      // Generate summary
-      const summary = {
-        totalRelationships: relationshipGraph.relationships.length,
-        totalDeliverables: relationshipGraph.deliverables.length,
-        relationshipsByType: relationshipGraph.statistics.relationshipsByType,
-        relationshipsByPhase: relationshipGraph.statistics.relationshipsByPhase,
-        averageStrength: relationshipGraph.statistics.averageStrength,
-        averageConfidence: relationshipGraph.statistics.averageConfidence,
-        qualityScore: relationshipGraph.metadata.qualityScore,
-        detectionAlgorithms: relationshipGraph.metadata.detectionAlgorithms
-      };
+				return formatSuccessResponse(
+					{ summary, relationshipGraph, metrics: relationshipOrchestrator.getMetrics() },
+					`Analyzed ${relationshipGraph.relationships.length} relationships across ${relationshipGraph.deliverables.length} deliverables`,
+					'Use guidant_find_orphaned_deliverables to find deliverables nothing relates to'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-      return {
-        success: true,
-        message: `Successfully analyzed ${relationshipGraph.relationships.length} relationships across ${relationshipGraph.deliverables.length} deliverables`,
-        data: {
-          summary,
-          relationshipGraph,
-          metrics: relationshipOrchestrator.getMetrics()
-        }
-      };
+	// Get deliverable relationships
+	server.addTool({
+		name: 'guidant_get_deliverable_relationships',
+		description: 'Get the relationships of a deliverable, split into incoming and outgoing.',
+		parameters: z.object({
+			deliverableId: z.string().min(1).describe('Deliverable name or phase_name, e.g. user_personas or concept_user_personas'),
+			options: z.object({
+				relationshipTypes: z.array(RelationshipTypeSchema).optional().describe('Filter by relationship types'),
+				minStrength: z.number().min(0).max(1).optional().describe('Minimum relationship strength'),
+				sortBy: z.enum(['strength', 'confidence', 'type', 'created']).default('strength').describe('Sort criteria'),
+				sortOrder: z.enum(['asc', 'desc']).default('desc').describe('Sort order'),
+				limit: z.number().min(1).max(1000).default(50).describe('Maximum results to return')
+			}).optional().describe('Query options')
+		}),
+		execute: async ({ deliverableId, options = {} }) => {
+			try {
+				const relationships = await relationshipOrchestrator.getDeliverableRelationships(
+					getProjectRoot(),
+					deliverableId,
+					validateQueryOptions(options)
+				);
 
-    } catch (error) {
-      console.error('Error in relationship analysis:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to analyze project relationships'
-      };
-    }
-  }
-};
+				const isDeliverable = ref => ref.name === deliverableId || `${ref.phase}_${ref.name}` === deliverableId;
+				const categorized = {
+					incoming: relationships.filter(rel => isDeliverable(rel.target)),
+					outgoing: relationships.filter(rel => isDeliverable(rel.source))
+				};
 
-/**
- * Get relationships for a specific deliverable
- */
-export const getDeliverableRelationships = {
-  name: 'guidant_get_deliverable_relationships',
-  description: 'Get all relationships for a specific deliverable',
-  inputSchema: z.object({
-    deliverableId: z.string().describe('Deliverable identifier (name or phase_name format)'),
-    projectRoot: z.string().optional().describe('Project root directory (defaults to current)'),
-    options: z.object({
-      relationshipTypes: z.array(z.string()).optional().describe('Filter by relationship types'),
-      minStrength: z.number().min(0).max(1).optional().describe('Minimum relationship strength'),
-      maxDepth: z.number().min(1).max(10).default(3).describe('Maximum traversal depth'),
-      includeMetadata: z.boolean().default(true).describe('Include relationship metadata'),
-      includeEvidence: z.boolean().default(false).describe('Include detection evidence'),
-      sortBy: z.enum(['strength', 'confidence', 'type', 'created']).default('strength').describe('Sort criteria'),
-      sortOrder: z.enum(['asc', 'desc']).default('desc').describe('Sort order'),
-      limit: z.number().min(1).max(1000).default(50).describe('Maximum results to return')
-    }).optional().describe('Query options')
-  }),
+				const insights = {
+					totalRelationships: relationships.length,
+					incomingCount: categorized.incoming.length,
+					outgoingCount: categorized.outgoing.length,
+					strongestRelationship: relationships.reduce((strongest, rel) =>
+						rel.strength > (strongest?.strength || 0) ? rel : strongest, null
+					),
+					relationshipTypes: [...new Set(relationships.map(rel => rel.type))],
+					averageStrength: relationships.length > 0
+						? relationships.reduce((sum, rel) => sum + rel.strength, 0) / relationships.length
+						: 0,
+					averageConfidence: relationships.length > 0
+						? relationships.reduce((sum, rel) => sum + rel.confidence, 0) / relationships.length
+						: 0
+				};
 
-  async handler({ deliverableId, projectRoot = process.cwd(), options = {} }) {
-    try {
-      console.log(`🔍 Getting relationships for deliverable: ${deliverableId}`);
-      
-      // Validate options
-      const validatedOptions = validateQueryOptions(options);
-      
-      // Get relationships
-      const relationships = await relationshipOrchestrator.getDeliverableRelationships(
-        projectRoot,
-        deliverableId,
-        validatedOptions
-      );
+				return formatSuccessResponse(
+					{ deliverableId, relationships, categorized, insights },
+					`Found ${relationships.length} relationships for ${deliverableId}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-      // Categorize relationships
-      const categorized = {
-        incoming: relationships.filter(rel => 
-          rel.target.name === deliverableId || 
-          `${rel.target.phase}_${rel.target.name}` === deliverableId
-        ),
-        outgoing: relationships.filter(rel => 
-          rel.source.name === deliverableId || 
-          `${rel.source.phase}_${rel.source.name}` === deliverableId
-        )
-      };
+	// Analyze change impact
+	server.addTool({
+		name: 'guidant_analyze_change_impact',
+		description: 'Analyze how a change to a deliverable propagates to related deliverables, with severity, effort estimates and recommendations. Detects relationships first if none are stored.',
+		parameters: z.object({
+			deliverableId: z.string().min(1).describe('Deliverable that is being changed'),
+			changeData: z.object({
+				type: z.enum(['creation', 'modification', 'deletion', 'restructure']).default('modification').describe('Type of change'),
+				scope: z.enum(['trivial', 'minor', 'moderate', 'major', 'critical']).default('minor').describe('Scope of change'),
+				description: z.string().describe('Description of the change'),
+				confidence: z.number().min(0).max(1).default(0.8).describe('Confidence in change assessment')
+			}).describe('Details about the change'),
+			options: z.object({
+				maxDepth: z.number().min(1).max(10).default(5).describe('Maximum impact propagation depth'),
+				minImpactThreshold: z.number().min(0).max(1).default(0.1).describe('Minimum impact threshold'),
+				includeRecommendations: z.boolean().default(true).describe('Include recommendations'),
+				includeEffortEstimates: z.boolean().default(true).describe('Include effort estimates')
+			}).optional().describe('Analysis options')
+		}),
+		execute: async ({ deliverableId, changeData, options = {} }) => {
+			try {
+				const impactAnalysis = await relationshipOrchestrator.analyzeChangeImpact(
+					getProjectRoot(),
+					deliverableId,
+					changeData,
+					options
+				);
+				const impacted = impactAnalysis.impactedDeliverables;
 
-      // Generate insights
-      const insights = {
-        totalRelationships: relationships.length,
-        incomingCount: categorized.incoming.length,
-        outgoingCount: categorized.outgoing.length,
-        strongestRelationship: relationships.reduce((strongest, rel) => 
-          rel.strength > (strongest?.strength || 0) ? rel : strongest, null
-        ),
-        relationshipTypes: [...new Set(relationships.map(rel => rel.type))],
-        averageStrength: relationships.length > 0 
-          ? relationships.reduce((sum, rel) => sum + rel.strength, 0) / relationships.length 
-          : 0,
-        averageConfidence: relationships.length > 0 
-          ? relationships.reduce((sum, rel) => sum + rel.confidence, 0) / relationships.length 
-          : 0
-      };
+				const executiveSummary = {
+					sourceDeliverable: impactAnalysis.sourceDeliverable,
+					changeDescription: impactAnalysis.changeDescription,
+					totalImpacted: impactAnalysis.summary.totalImpacted,
+					highestSeverity: impactAnalysis.summary.highestSeverity,
+					averageConfidence: impactAnalysis.summary.averageConfidence,
+					criticalPath: impactAnalysis.summary.criticalPath,
+					estimatedTotalEffort: impactAnalysis.summary.estimatedTotalEffort,
+					keyRecommendations: impacted
+						.filter(impact => impact.severity === 'high' || impact.severity === 'critical')
+						.flatMap(impact => impact.recommendations || [])
+						.slice(0, 5)
+				};
 
-      return {
-        success: true,
-        message: `Found ${relationships.length} relationships for ${deliverableId}`,
-        data: {
-          deliverableId,
-          relationships,
-          categorized,
-          insights
-        }
-      };
+				const impactsBySeverity = {};
+				for (const severity of ['critical', 'high', 'medium', 'low', 'minimal']) {
+					impactsBySeverity[severity] = impacted.filter(impact => impact.severity === severity);
+				}
 
-    } catch (error) {
-      console.error('Error getting deliverable relationships:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: `Failed to get relationships for ${deliverableId}`
-      };
-    }
-  }
-};
+				return formatSuccessResponse(
+					{
+						executiveSummary,
+						fullAnalysis: impactAnalysis,
+						impactsBySeverity,
+						analysisMetadata: {
+							analyzedAt: impactAnalysis.analyzedAt,
+							analyzer: impactAnalysis.metadata.analyzer,
+							qualityScore: impactAnalysis.metadata.qualityScore
+						}
+					},
+					`Impact analysis complete: ${impactAnalysis.summary.totalImpacted} deliverables affected with ${impactAnalysis.summary.highestSeverity} severity`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-/**
- * Analyze impact of changes to a deliverable
- */
-export const analyzeChangeImpact = {
-  name: 'guidant_analyze_change_impact',
-  description: 'Analyze the impact of changes to a deliverable on related deliverables',
-  inputSchema: z.object({
-    deliverableId: z.string().describe('Deliverable that is being changed'),
-    changeData: z.object({
-      type: z.enum(['creation', 'modification', 'deletion', 'restructure']).default('modification').describe('Type of change'),
-      scope: z.enum(['trivial', 'minor', 'moderate', 'major', 'critical']).default('minor').describe('Scope of change'),
-      description: z.string().describe('Description of the change'),
-      confidence: z.number().min(0).max(1).default(0.8).describe('Confidence in change assessment')
-    }).describe('Details about the change'),
-    projectRoot: z.string().optional().describe('Project root directory (defaults to current)'),
-    options: z.object({
-      maxDepth: z.number().min(1).max(10).default(5).describe('Maximum impact propagation depth'),
-      minImpactThreshold: z.number().min(0).max(1).default(0.1).describe('Minimum impact threshold'),
-      includeRecommendations: z.boolean().default(true).describe('Include recommendations'),
-      includeEffortEstimates: z.boolean().default(true).describe('Include effort estimates')
-    }).optional().describe('Analysis options')
-  }),
+	// Relationship system health
+	server.addTool({
+		name: 'guidant_get_relationship_system_health',
+		description: 'Get the health of the relationship storage and the detectors and metrics of the relationship tracking system.',
+		parameters: z.object({}),
+		execute: async () => {
+			try {
+				const storageHealth = await relationshipOrchestrator.getStorageHealth(getProjectRoot());
+				const metrics = relationshipOrchestrator.getMetrics();
+				const detectorInfo = relationshipOrchestrator.getDetectorInfo();
+				const analyzerInfo = relationshipOrchestrator.getAnalyzerInfo();
+				const systemStatus = storageHealth.status === 'healthy' && detectorInfo.length > 0 ? 'healthy' : 'degraded';
 
-  async handler({ deliverableId, changeData, projectRoot = process.cwd(), options = {} }) {
-    try {
-      console.log(`🔍 Analyzing impact of changes to ${deliverableId}...`);
-      
-      // Perform impact analysis
-      const impactAnalysis = await relationshipOrchestrator.analyzeChangeImpact(
-        projectRoot,
-        deliverableId,
-        changeData,
-        options
-      );
+				return formatSuccessResponse(
+					{
+						systemStatus,
+						storageHealth,
+						metrics,
+						detectorInfo,
+						analyzerInfo,
+						capabilities: {
+							relationshipDetection: detectorInfo.length > 0,
+							impactAnalysis: !!analyzerInfo,
+							parallelProcessing: true
+						}
+					},
+					`Relationship system status: ${systemStatus}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-      // Generate executive summary
-      const executiveSummary = {
-        sourceDeliverable: impactAnalysis.sourceDeliverable,
-        changeDescription: impactAnalysis.changeDescription,
-        totalImpacted: impactAnalysis.summary.totalImpacted,
-        highestSeverity: impactAnalysis.summary.highestSeverity,
-        averageConfidence: impactAnalysis.summary.averageConfidence,
-        criticalPath: impactAnalysis.summary.criticalPath,
-        estimatedTotalEffort: impactAnalysis.summary.estimatedTotalEffort,
-        keyRecommendations: impactAnalysis.impactedDeliverables
-          .filter(impact => impact.severity === 'high' || impact.severity === 'critical')
-          .flatMap(impact => impact.recommendations || [])
-          .slice(0, 5) // Top 5 recommendations
-      };
+	// Query relationships
+	server.addTool({
+		name: 'guidant_query_relationships',
+		description: 'List the stored relationships between deliverables, strongest first, filtered by relationship type, strength or phase.',
+		parameters: z.object({
+			relationshipTypes: relationshipTypesSchema,
+			minStrength: minStrengthSchema,
+			maxStrength: maxStrengthSchema,
+			phase: z.string().min(1).optional().describe('Only relationships with a deliverable in this phase'),
+			limit: z.number().int().min(1).max(1000).optional().default(50).describe('Maximum relationships to return')
+		}),
+		execute: async ({ relationshipTypes, minStrength, maxStrength, phase, limit = 50 }) => {
+			try {
+				const graph = await loadRelationshipGraph(getProjectRoot());
+				if (isEmptyGraph(graph)) {
+					return formatErrorResponse('No relationships have been analyzed yet', NOT_ANALYZED_ACTION);
+				}
 
-      // Categorize impacts by severity
-      const impactsBySeverity = {
-        critical: impactAnalysis.impactedDeliverables.filter(i => i.severity === 'critical'),
-        high: impactAnalysis.impactedDeliverables.filter(i => i.severity === 'high'),
-        medium: impactAnalysis.impactedDeliverables.filter(i => i.severity === 'medium'),
-        low: impactAnalysis.impactedDeliverables.filter(i => i.severity === 'low'),
-        minimal: impactAnalysis.impactedDeliverables.filter(i => i.severity === 'minimal')
-      };
+				const result = queryRelationships(graph, { relationshipTypes, minStrength, maxStrength, phase, limit });
+				return formatSuccessResponse(
+					{ total: result.total, byType: result.byType, relationships: result.relationships },
+					`${result.total} relationships match`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-      return {
-        success: true,
-        message: `Impact analysis complete: ${impactAnalysis.summary.totalImpacted} deliverables affected with ${impactAnalysis.summary.highestSeverity} severity`,
-        data: {
-          executiveSummary,
-          fullAnalysis: impactAnalysis,
-          impactsBySeverity,
-          analysisMetadata: {
-            analyzedAt: impactAnalysis.analyzedAt,
-            analyzer: impactAnalysis.metadata.analyzer,
-            qualityScore: impactAnalysis.metadata.qualityScore
-          }
-        }
-      };
+	// Neighbors
+	server.addTool({
+		name: 'guidant_get_relationship_neighbors',
+		description: 'Get the deliverables related to a deliverable, directly or up to a few hops away, with the relationships that connect them.',
+		parameters: z.object({
+			deliverableId: z.string().min(1).describe('Deliverable name or phase_name, e.g. user_personas or concept_user_personas'),
+			direction: directionSchema,
+			depth: z.number().int().min(1).max(5).optional().default(1).describe('Number of hops to follow (default 1, direct neighbors)'),
+			relationshipTypes: relationshipTypesSchema,
+			minStrength: minStrengthSchema,
+			maxStrength: maxStrengthSchema
+		}),
+		execute: async ({ deliverableId, direction = 'both', depth = 1, relationshipTypes, minStrength, maxStrength }) => {
+			try {
+				const graph = await loadRelationshipGraph(getProjectRoot());
+				if (isEmptyGraph(graph)) {
+					return formatErrorResponse('No relationships have been analyzed yet', NOT_ANALYZED_ACTION);
+				}
 
-    } catch (error) {
-      console.error('Error in change impact analysis:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: `Failed to analyze impact for ${deliverableId}`
-      };
-    }
-  }
-};
+				const result = findNeighbors(graph, deliverableId, { direction, depth, relationshipTypes, minStrength, maxStrength });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
 
-/**
- * Get relationship system health and metrics
- */
-export const getRelationshipSystemHealth = {
-  name: 'guidant_get_relationship_system_health',
-  description: 'Get health status and metrics for the relationship tracking system',
-  inputSchema: z.object({
-    projectRoot: z.string().optional().describe('Project root directory (defaults to current)')
-  }),
+				return formatSuccessResponse(
+					{ deliverable: result.deliverable, neighbors: result.neighbors },
+					`${result.deliverable} has ${result.neighbors.length} related deliverables within ${depth} hop${depth === 1 ? '' : 's'}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-  async handler({ projectRoot = process.cwd() }) {
-    try {
-      console.log('🔍 Checking relationship system health...');
-      
-      // Get storage health
-      const storageHealth = await relationshipOrchestrator.getStorageHealth();
-      
-      // Get system metrics
-      const metrics = relationshipOrchestrator.getMetrics();
-      
-      // Get detector information
-      const detectorInfo = relationshipOrchestrator.getDetectorInfo();
-      
-      // Get analyzer information
-      const analyzerInfo = relationshipOrchestrator.getAnalyzerInfo();
+	// Shortest path
+	server.addTool({
+		name: 'guidant_find_relationship_path',
+		description: 'Find the shortest chain of relationships between two deliverables, e.g. how a persona leads to an API endpoint. Among equally short chains the stronger relationships are preferred.',
+		parameters: z.object({
+			from: z.string().min(1).describe('Deliverable to start from (name or phase_name)'),
+			to: z.string().min(1).describe('Deliverable to reach (name or phase_name)'),
+			direction: z.enum(['both', 'outgoing']).optional().default('both').describe('Follow relationships either way, or only from source to target'),
+			relationshipTypes: relationshipTypesSchema,
+			minStrength: minStrengthSchema
+		}),
+		execute: async ({ from, to, direction = 'both', relationshipTypes, minStrength }) => {
+			try {
+				const graph = await loadRelationshipGraph(getProjectRoot());
+				if (isEmptyGraph(graph)) {
+					return formatErrorResponse('No relationships have been analyzed yet', NOT_ANALYZED_ACTION);
+				}
 
-      // Overall system status
-      const systemStatus = storageHealth.status === 'healthy' && 
-                          detectorInfo.length > 0 ? 'healthy' : 'degraded';
+				const result = findShortestPath(graph, from, to, { direction, relationshipTypes, minStrength });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
 
-      return {
-        success: true,
-        message: `Relationship system status: ${systemStatus}`,
-        data: {
-          systemStatus,
-          storageHealth,
-          metrics,
-          detectorInfo,
-          analyzerInfo,
-          capabilities: {
-            relationshipDetection: detectorInfo.length > 0,
-            impactAnalysis: !!analyzerInfo,
-            caching: true,
-            parallelProcessing: true
-          }
-        }
-      };
+				const { success: _success, ...data } = result;
+				return formatSuccessResponse(
+					data,
+					result.found
+						? `${result.from} reaches ${result.to} in ${result.length} step${result.length === 1 ? '' : 's'}`
+						: `No chain of relationships connects ${result.from} to ${result.to}`,
+					result.found ? null : 'Loosen the type or strength filters, or use guidant_find_orphaned_deliverables'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 
-    } catch (error) {
-      console.error('Error checking relationship system health:', error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to check relationship system health'
-      };
-    }
-  }
-};
-
-/**
- * Register all relationship analysis tools with the MCP server
- * @param {object} server - MCP server instance
- */
-export function registerRelationshipAnalysisTools(server) {
-  try {
-    // Register relationship analysis tools
-    server.addTool(analyzeProjectRelationships);
-    server.addTool(getDeliverableRelationships);
-    server.addTool(analyzeChangeImpact);
-    server.addTool(getRelationshipSystemHealth);
+	// Orphaned deliverables
+	server.addTool({
+		name: 'guidant_find_orphaned_deliverables',
+		description: 'Find deliverables that no relationship connects to any other deliverable. With type or strength filters, deliverables whose only relationships are filtered out count as orphaned.',
+		parameters: z.object({
+			relationshipTypes: relationshipTypesSchema,
+			minStrength: minStrengthSchema
+		}),
+		execute: async ({ relationshipTypes, minStrength }) => {
+			try {
+				const graph = await loadRelationshipGraph(getProjectRoot());
+				if (isEmptyGraph(graph)) {
+					return formatErrorResponse('No relationships have been analyzed yet', NOT_ANALYZED_ACTION);
+				}
 
-    console.log('✅ Relationship analysis tools registered successfully');
-    console.log('   • guidant_analyze_project_relationships');
-    console.log('   • guidant_get_deliverable_relationships');
-    console.log('   • guidant_analyze_change_impact');
-    console.log('   • guidant_get_relationship_system_health');
+				const result = findOrphanedDeliverables(graph, { relationshipTypes, minStrength });
+				return formatSuccessResponse(
+					{ totalDeliverables: result.totalDeliverables, orphaned: result.orphaned },
+					`${result.orphaned.length} of ${result.totalDeliverables} deliverables have no relationships`,
+					result.orphaned.length > 0 ? 'Reference the orphaned deliverables from the deliverables that build on them' : null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
 
-  } catch (error) {
-    console.error('❌ Error registering relationship analysis tools:', error);
-    throw error;
-  }
+function isEmptyGraph(graph) {
+	return (graph.relationships || []).length === 0 && (graph.deliverables || []).length === 0;
 }
@@ -0,0 +1,90 @@
+/**
+ * Subtask Tools
+ * Tools for scoring implementation tickets and breaking them into ordered subtasks
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import { expandTicket, formatImplementationTicket } from '../../../../src/workflow-logic/workflow-engine.js';
+import { analyzeTicketComplexity } from '../../../../src/ai-integration/complexity-analyzer.js';
+
+/**
+ * Register subtask tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerSubtaskTools(server) {
+	// Expand ticket
+	server.addTool({
+		name: 'guidant_expand_ticket',
+		description: 'Break an implementation ticket into ordered subtasks, each with its own status and acceptance criteria. Report progress on a subtask with guidant_report_progress (ticketId and subtaskId); the ticket progress is rolled up from its subtasks.',
+		parameters: z.object({
+			ticketId: z.string().min(1).describe('Ticket to expand'),
+			count: z.number().int().min(1).max(20).optional().describe('Number of subtasks to aim for (default 4)'),
+			force: z.boolean().optional().describe('Replace the subtasks of a ticket that was already expanded')
+		}),
+		execute: async ({ ticketId, count, force = false }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await expandTicket(ticketId, { count, force }, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{
+						subtasks: result.subtasks,
+						source: result.source,
+						formattedTicket: formatImplementationTicket({ task: result.ticket })
+					},
+					result.message,
+					`Start with ${result.subtasks[0]?.id} and report progress with guidant_report_progress`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Analyze ticket complexity
+	server.addTool({
+		name: 'guidant_analyze_complexity',
+		description: 'Score implementation tickets for complexity (1-10) with a rationale and a recommended number of subtasks. Uses the configured AI provider, falling back to a deterministic heuristic. The scores are stored on the tickets and in a complexity report under .guidant/reports.',
+		parameters: z.object({
+			ticketIds: z.array(z.string().min(1)).optional().describe('Tickets to analyze (default: all tickets)'),
+			threshold: z.number().min(1).max(10).optional().describe('Score at which expansion into subtasks is recommended (default 5)'),
+			useAI: z.boolean().optional().describe('Ask the AI provider before falling back to the heuristic (default true)')
+		}),
+		execute: async ({ ticketIds, threshold, useAI = true }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await analyzeTicketComplexity(projectRoot, { ticketIds, threshold, useAI });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				const { expansionRecommended } = result.report.summary;
+				return formatSuccessResponse(
+					{ report: result.report, reportPath: result.reportPath },
+					result.message,
+					expansionRecommended.length > 0
+						? `Expand ${expansionRecommended.join(', ')} with guidant_expand_ticket`
+						: 'No tickets need expanding'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
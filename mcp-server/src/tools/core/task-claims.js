@@ -0,0 +1,78 @@
+/**
+ * Task Claim Tools
+ * Tools for inspecting and releasing the task leases held by agents sharing a project
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+import { claimAgentIdSchema } from '../shared/validation.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import { getTaskClaims, releaseTaskClaims } from '../../../../src/workflow-logic/workflow-engine.js';
+
+/**
+ * Register task claim tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerTaskClaimTools(server) {
+	// List task claims
+	server.addTool({
+		name: 'guidant_list_task_claims',
+		description: 'List the tasks currently claimed by agents, with who holds each lease and when it expires. Expired leases are not listed; their tasks are available again.',
+		parameters: z.object({
+			agentId: claimAgentIdSchema.optional().describe('Only list the leases held by this agent')
+		}),
+		execute: async ({ agentId }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const claims = (await getTaskClaims(projectRoot))
+					.filter(claim => !agentId || claim.agentId === agentId);
+
+				return formatSuccessResponse(
+					{ claims },
+					`${claims.length} active task claim${claims.length === 1 ? '' : 's'}`,
+					claims.length > 0 ? 'Release a lease with guidant_release_task_claim if its agent has stopped working' : null
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Release task claims
+	server.addTool({
+		name: 'guidant_release_task_claim',
+		description: 'Release task leases so other agents can pick the work up: every lease of an agent, or the lease on one task. Use when an agent stops working on a task before finishing it.',
+		parameters: z.object({
+			agentId: claimAgentIdSchema.optional().describe('Release the leases held by this agent'),
+			taskKey: z.string().min(1).optional().describe('Release the lease on this task (e.g. ticket:IMPL-001 or deliverable:design/wireframes)')
+		}),
+		execute: async ({ agentId, taskKey }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await releaseTaskClaims({ agentId, taskKey }, projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ released: result.released },
+					`Released ${result.released.length} task claim${result.released.length === 1 ? '' : 's'}`,
+					'Use guidant_get_current_task with an agentId to claim the next task'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
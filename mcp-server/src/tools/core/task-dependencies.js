@@ -0,0 +1,71 @@
+/**
+ * Task Dependency Tools
+ * Tools for reading and editing the dependency graph of implementation tickets
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import { getTicketGraph, setTicketDependencies } from '../../../../src/workflow-logic/workflow-engine.js';
+
+/**
+ * Register task dependency tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerTaskDependencyTools(server) {
+	// Get dependency graph
+	server.addTool({
+		name: 'guidant_get_dependency_graph',
+		description: 'Get the dependency graph of implementation tickets: which tickets block which, their topological order, the next unblocked ticket, and any cycles or links to unknown tickets',
+		parameters: z.object({}),
+		execute: async () => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const graph = await getTicketGraph(projectRoot);
+				const problems = graph.cycles.length + graph.missing.length;
+
+				return formatSuccessResponse(
+					{ graph },
+					`${graph.nodes.length} tickets, ${graph.edges.length} dependencies`,
+					problems > 0
+						? 'Fix the cycles and unknown links with guidant_set_ticket_dependencies; tickets in a cycle can never start'
+						: graph.next ? `Work on ${graph.next} next` : undefined
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Set ticket dependencies
+	server.addTool({
+		name: 'guidant_set_ticket_dependencies',
+		description: 'Replace the tickets an implementation ticket depends on. Links to unknown tickets and links that would create a cycle are refused.',
+		parameters: z.object({
+			ticketId: z.string().min(1).describe('Ticket to update'),
+			dependsOn: z.array(z.string().min(1)).describe('IDs of the tickets that must be done first (empty to remove every dependency)')
+		}),
+		execute: async ({ ticketId, dependsOn }) => {
+			try {
+				const result = await setTicketDependencies(ticketId, dependsOn, getProjectRoot());
+				if (!result.success) {
+					return formatErrorResponse(result.error, 'Use guidant_get_dependency_graph to see the current links');
+				}
+
+				return formatSuccessResponse(
+					{ ticket: result.ticket, dependsOn: result.dependsOn },
+					result.message
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
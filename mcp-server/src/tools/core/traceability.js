@@ -0,0 +1,57 @@
+/**
+ * Traceability Tools
+ * Tools for tracing requirements to design, API endpoints, tickets and tests
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
+
+// Import core functionality
+import { isProjectInitialized } from '../../../../src/file-management/project-structure.js';
+import { buildTraceabilityMatrix } from '../../../../src/workflow-logic/traceability.js';
+
+/**
+ * Register traceability tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerTraceabilityTools(server) {
+	server.addTool({
+		name: 'guidant_get_traceability_matrix',
+		description: 'Trace every requirement and user story (REQ-001, US-001, ...) to the design components, API endpoints, tickets and tests that cover it, and list the requirements nothing covers as gaps. The matrix is also written to .guidant/reports/traceability-matrix.json and .md. Mention a requirement ID in a deliverable or ticket to link it explicitly.',
+		parameters: z.object({
+			format: z.enum(['json', 'markdown']).optional().default('json').describe('Return the matrix rows as JSON or the Markdown report'),
+			gapsOnly: z.boolean().optional().default(false).describe('Only return the summary and the requirements without coverage')
+		}),
+		execute: async ({ format = 'json', gapsOnly = false }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized', 'Use guidant_init_project first');
+				}
+
+				const result = await buildTraceabilityMatrix(projectRoot);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				const { summary, gaps } = result;
+				const data = gapsOnly
+					? { summary, gaps }
+					: (format === 'markdown'
+						? { summary, markdown: result.markdown }
+						: { summary, requirements: result.requirements, gaps });
+
+				return formatSuccessResponse(
+					{ ...data, files: result.files },
+					`${summary.requirements} requirement(s): ${summary.fullyTraced} fully traced, ${summary.partiallyTraced} partially traced, ${summary.uncovered} without coverage`,
+					summary.requirements === 0
+						? 'Process the PRD with guidant_init_project or save it with guidant_save_deliverable to register requirements'
+						: (gaps.length > 0 ? `Cover ${gaps[0].id} in a design, ticket or test, mentioning its ID to link it explicitly` : null)
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -5,6 +5,7 @@
 
 import { z } from 'zod';
 import { formatMCPResponse, formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
 import { 
 	availableToolsSchema,
 	deliverableSchema,
@@ -13,7 +14,11 @@ import {
 	workStatusSchema,
 	blockersSchema,
 	nextStepsSchema,
-	confirmationSchema
+	confirmationSchema,
+	targetPhaseSchema,
+	rollbackReasonSchema,
+	claimAgentIdSchema,
+	leaseMinutesSchema
 } from '../shared/validation.js';
 
 // Import core functionality
@@ -29,11 +34,34 @@ import {
 import {
 	generateNextTask,
 	advancePhase,
-	markDeliverableComplete,
+	rollbackPhase,
+	setDeliverableState,
+	reportTicketProgress,
 	getCurrentWorkflowState,
 	checkPhaseCompletion,
-	formatImplementationTicket
+	formatImplementationTicket,
+	claimNextTask,
+	renewTaskClaims,
+	releaseTaskClaims,
+	recordReportedBlockers,
+	getCompletionSuggestions,
+	DELIVERABLE_STATES
 } from '../../../../src/workflow-logic/workflow-engine.js';
+import { appendJournalEvent, JOURNAL_EVENT_TYPES } from '../../../../src/workflow-logic/workflow-journal.js';
+import { getHeadCommit } from '../../../../src/file-management/git-repository.js';
+import { SESSIONS } from '../../../../src/constants/paths.js';
+
+/**
+ * Deliverable state each reported status moves the deliverable to. Blocked work
+ * keeps its current state.
+ */
+const REPORTED_STATUS_STATES = {
+	in_progress: DELIVERABLE_STATES.IN_PROGRESS,
+	review: DELIVERABLE_STATES.IN_REVIEW,
+	changes_requested: DELIVERABLE_STATES.CHANGES_REQUESTED,
+	completed: DELIVERABLE_STATES.APPROVED,
+	reopened: DELIVERABLE_STATES.REOPENED
+};
 
 /**
  * Register workflow control tools with the MCP server
@@ -43,14 +71,16 @@ export function registerWorkflowControlTools(server) {
 	// Get current task
 	server.addTool({
 		name: 'guidant_get_current_task',
-		description: 'Get the next task the AI should work on based on current project state and capabilities. Can optionally include full project state.',
+		description: 'Get the next task the AI should work on based on current project state and capabilities. Can optionally include full project state. When several agents share a project, pass agentId: the task is claimed under an expiring lease, other agents are given different work, and the lease is renewed each time the agent reports progress.',
 		parameters: z.object({
 			availableTools: availableToolsSchema.optional(),
-			includeFullState: z.boolean().default(false).describe('Include complete project state information (replaces guidant_get_project_state)')
+			includeFullState: z.boolean().default(false).describe('Include complete project state information (replaces guidant_get_project_state)'),
+			agentId: claimAgentIdSchema.optional(),
+			leaseMinutes: leaseMinutesSchema.optional()
 		}),
-		execute: async ({ availableTools = [], includeFullState = false }) => {
+		execute: async ({ availableTools = [], includeFullState = false, agentId, leaseMinutes }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 				
 				if (!(await isProjectInitialized(projectRoot))) {
 					return formatErrorResponse(
@@ -68,8 +98,19 @@ export function registerWorkflowControlTools(server) {
 					capabilities = state.capabilities;
 				}
 
-				// Generate next task
-				const task = await generateNextTask(capabilities, projectRoot);
+				// Generate next task, claiming it when the agent identifies itself
+				let task;
+				let claim = null;
+				if (agentId) {
+					const claimed = await claimNextTask(capabilities, agentId, projectRoot, { leaseMinutes });
+					if (!claimed.success) {
+						return formatErrorResponse(claimed.error, 'Try again shortly');
+					}
+					task = claimed.task;
+					claim = claimed.claim;
+				} else {
+					task = await generateNextTask(capabilities, projectRoot);
+				}
 
 				// Get current workflow state
 				const currentState = await getCurrentWorkflowState(projectRoot);
@@ -81,7 +122,8 @@ export function registerWorkflowControlTools(server) {
 				const response = {
 					success: true,
 					task: enhancedTask,
-					currentState
+					currentState,
+					...(agentId && { claim })
 				};
 
 				// Include full project state if requested (replaces guidant_get_project_state)
@@ -100,6 +142,23 @@ export function registerWorkflowControlTools(server) {
 				if (task.type === 'implementation_ticket') {
 					response.formattedTicket = formatImplementationTicket(task);
 					response.message = 'Implementation ticket generated - see formattedTicket for detailed YAML format';
+					if (task.expansionRecommended) {
+						response.nextAction = `Ticket complexity is ${task.complexity.complexityScore}/10 - break it down with guidant_expand_ticket before starting`;
+					}
+				}
+
+				// Deliverables are scored on their template's sections
+				if (task.deliverable && !response.nextAction) {
+					response.nextAction = `Start ${task.deliverable} from the skeleton returned by guidant_get_deliverable_template, then save it with guidant_save_deliverable`;
+				}
+
+				// Unresolved blockers need a person, so they are passed on to the user
+				if (task.openBlockers) {
+					response.openBlockers = task.openBlockers;
+					response.userAttention = `${task.openBlockers.length} unresolved blocker${task.openBlockers.length === 1 ? '' : 's'} ${task.openBlockers.length === 1 ? 'is' : 'are'} holding up work - tell the user: ${task.openBlockers.map(blocker => `${blocker.id} (${blocker.severity}) ${blocker.description}`).join('; ')}`;
+					if (task.type === 'blocked') {
+						response.nextAction = 'Ask the user to clear the blockers, then record how with guidant_resolve_blocker';
+					}
 				}
 
 				return formatMCPResponse(response);
@@ -112,58 +171,150 @@ export function registerWorkflowControlTools(server) {
 	// Report progress
 	server.addTool({
 		name: 'guidant_report_progress',
-		description: 'Report progress on current task and log work completed',
+		description: 'Report progress on current task and log work completed. The status moves the deliverable through its lifecycle: in_progress, review (in review), changes_requested, completed (approved) or reopened. Only approved deliverables count towards the phase gate. Pass ticketId (and subtaskId) to record progress on an implementation ticket; a ticket with subtasks takes its progress from them. Each blocker is recorded on the ticket (or deliverable) and that work is skipped until the blocker is resolved. In a git repository the current commit is logged with the report, and tickets whose linked commits are merged are suggested as done.',
 		parameters: z.object({
 			deliverable: deliverableSchema,
 			workCompleted: workCompletedSchema,
 			filesCreated: filesCreatedSchema,
 			status: workStatusSchema,
 			blockers: blockersSchema,
-			nextSteps: nextStepsSchema
+			nextSteps: nextStepsSchema,
+			ticketId: z.string().min(1).optional().describe('Implementation ticket the work was done on'),
+			subtaskId: z.string().min(1).optional().describe('Subtask of the ticket the work was done on (e.g. IMPL-001.2); the ticket progress is rolled up from its subtasks'),
+			agentId: claimAgentIdSchema.optional(),
+			leaseMinutes: leaseMinutesSchema.optional()
 		}),
-		execute: async ({ deliverable, workCompleted, filesCreated = [], status, blockers = [], nextSteps = '' }) => {
+		execute: async ({ deliverable, workCompleted, filesCreated = [], status, blockers = [], nextSteps = '', ticketId, subtaskId, agentId, leaseMinutes }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
+
+				if (subtaskId && !ticketId) {
+					return formatErrorResponse('subtaskId requires ticketId');
+				}
+
+				// Progress on a ticket with subtasks is rolled up from the subtasks
+				let ticketProgress = null;
+				if (ticketId) {
+					ticketProgress = await reportTicketProgress(ticketId, status, { subtaskId }, projectRoot);
+					if (!ticketProgress.success) {
+						return formatErrorResponse(ticketProgress.error, 'Use guidant_expand_ticket to break the ticket into subtasks');
+					}
+				}
+
+				// Move the deliverable to the state matching the reported status. A subtask
+				// report only covers part of the deliverable, so its state is left alone.
+				let deliverableState = null;
+				const targetState = REPORTED_STATUS_STATES[status];
+				if (targetState && !subtaskId) {
+					deliverableState = await setDeliverableState(deliverable, targetState, projectRoot, { actor: agentId });
+					if (!deliverableState.success) {
+						return formatErrorResponse(deliverableState.error, 'Report status "reopened" to rework an approved deliverable');
+					}
+				}
 				
-				// Log the work session
+				// Blockers become records of their own so the blocked work is skipped until they are resolved
+				let recordedBlockers = null;
+				if (blockers.length > 0) {
+					recordedBlockers = await recordReportedBlockers(blockers, {
+						ticketId,
+						deliverable,
+						reportedBy: agentId
+					}, projectRoot);
+					if (!recordedBlockers.success) {
+						return formatErrorResponse(recordedBlockers.error);
+					}
+				}
+
+				// Log the work session, with the commit it was reported against
+				const head = await getHeadCommit(projectRoot).catch(() => null);
 				const workLog = {
 					deliverable,
+					...(ticketId && { ticketId }),
+					...(subtaskId && { subtaskId }),
+					...(agentId && { agentId }),
 					workCompleted,
 					filesCreated,
 					status,
 					blockers,
+					...(recordedBlockers && {
+						blockerIds: [...recordedBlockers.created, ...recordedBlockers.existing].map(blocker => blocker.id)
+					}),
 					nextSteps,
+					...(head && { commit: { sha: head.sha, branch: head.branch, dirty: head.dirty } }),
 					timestamp: new Date().toISOString()
 				};
 
 				// Read current sessions and add new entry
-				const sessions = await readProjectFile('SESSIONS', projectRoot);
+				const sessions = await readProjectFile(SESSIONS, projectRoot);
 				sessions.push(workLog);
-				await writeProjectFile('SESSIONS', sessions, projectRoot);
-
-				// If completed, mark deliverable as complete
-				if (status === 'completed') {
-					await markDeliverableComplete(deliverable, projectRoot);
-				}
+				await writeProjectFile(SESSIONS, sessions, projectRoot);
+				await appendJournalEvent(JOURNAL_EVENT_TYPES.PROGRESS_REPORTED, { workLog }, {
+					actor: agentId,
+					timestamp: workLog.timestamp,
+					projectRoot
+				});
 
 				// Check if phase should advance
 				const state = await getCurrentWorkflowState(projectRoot);
 				const phaseComplete = await checkPhaseCompletion(state.currentPhase.phase, projectRoot);
 
+				// Finished work frees the agent's lease; any other report keeps it alive
+				const taskFinished = status === 'completed' && (!ticketProgress || ticketProgress.status === 'completed');
+				let claims = null;
+				if (agentId) {
+					claims = taskFinished
+						? await releaseTaskClaims({ agentId }, projectRoot)
+						: await renewTaskClaims(agentId, projectRoot, { leaseMinutes });
+				}
+
 				let nextTask = null;
+				let nextClaim = null;
 				if (status === 'completed' && !phaseComplete.isComplete) {
 					// Get next task in same phase
 					const capabilities = state.capabilities || await discoverCapabilities([], projectRoot);
-					nextTask = await generateNextTask(capabilities, projectRoot);
+					if (agentId) {
+						const claimed = await claimNextTask(capabilities, agentId, projectRoot, { leaseMinutes });
+						nextTask = claimed.success ? claimed.task : null;
+						nextClaim = claimed.success ? claimed.claim : null;
+					} else {
+						nextTask = await generateNextTask(capabilities, projectRoot);
+					}
 				}
 
+				// Tickets whose commits have been merged are probably done
+				const completionSuggestions = head ? await getCompletionSuggestions(projectRoot) : [];
+
 				const response = {
 					success: true,
 					message: 'Progress reported successfully',
 					workLogged: workLog,
+					deliverableState: deliverableState && {
+						from: deliverableState.from,
+						state: deliverableState.state,
+						changed: deliverableState.changed
+					},
+					ticketProgress: ticketProgress && {
+						ticket: ticketProgress.ticket,
+						subtask: ticketProgress.subtask,
+						progress: ticketProgress.progress,
+						status: ticketProgress.status,
+						completedSubtasks: ticketProgress.completed,
+						totalSubtasks: ticketProgress.total,
+						rolledUp: ticketProgress.rolledUp
+					},
 					phaseStatus: phaseComplete,
 					nextTask: nextTask?.type === 'task_ticket' ? nextTask : null,
-					readyToAdvance: phaseComplete.isComplete
+					readyToAdvance: phaseComplete.isComplete,
+					...(claims && {
+						lease: taskFinished
+							? { released: claims.released }
+							: { renewed: claims.renewed, expired: claims.success && claims.renewed.length === 0 }
+					}),
+					...(nextClaim && { nextClaim }),
+					...(recordedBlockers && {
+						blockers: [...recordedBlockers.created, ...recordedBlockers.existing]
+					}),
+					...(completionSuggestions.length > 0 && { completionSuggestions })
 				};
 
 				// Add formatted YAML for implementation tickets
@@ -181,18 +332,35 @@ export function registerWorkflowControlTools(server) {
 	// Advance phase
 	server.addTool({
 		name: 'guidant_advance_phase',
-		description: 'Advance to the next development phase after completing current phase requirements',
+		description: 'Complete an active phase and start every phase that depends on it once all of its prerequisites are complete. Defaults to the current phase. Phases that require human sign-off are refused until every required approval has been recorded, and deliverables below the phase quality thresholds are refused with feedback. Improve the deliverables until they pass; only the user can accept them below the bar, with `guidant approve --accept-quality`.',
 		parameters: z.object({
-			confirmAdvancement: confirmationSchema
+			confirmAdvancement: confirmationSchema,
+			phase: targetPhaseSchema.optional().describe('Active phase to complete when several phases run in parallel')
 		}),
-		execute: async ({ confirmAdvancement }) => {
+		execute: async ({ confirmAdvancement, phase }) => {
 			try {
 				if (!confirmAdvancement) {
 					return formatErrorResponse('Phase advancement not confirmed');
 				}
 
-				const projectRoot = process.cwd();
-				const result = await advancePhase(projectRoot);
+				const projectRoot = getProjectRoot();
+				const result = await advancePhase(projectRoot, phase);
+
+				// Approvals come from people, so the agent can only ask for them
+				if (result.missingApprovals) {
+					return formatErrorResponse(
+						result.error,
+						`Ask a person to run \`guidant approve ${result.phase} --role <role>\` for: ${result.missingApprovals.join(', ')}`
+					);
+				}
+
+				// Quality failures carry the feedback the agent needs to improve the deliverables
+				if (result.qualityFailures) {
+					return formatMCPResponse({
+						...result,
+						nextAction: `Improve the deliverables using the feedback and report them with guidant_report_progress, then try again. Only the user can decide to accept them as they are, by running \`guidant approve ${result.phase} --accept-quality --comment "<reason>"\`.`
+					});
+				}
 				
 				if (result.success) {
 					// Get next task for new phase
@@ -204,6 +372,9 @@ export function registerWorkflowControlTools(server) {
 						success: true,
 						message: result.message,
 						nextPhase: result.nextPhase,
+						activatedPhases: result.activatedPhases,
+						activePhases: result.activePhases,
+						qualityOverride: result.qualityOverride,
 						nextTask: nextTask?.type === 'task_ticket' ? nextTask : null
 					};
 
@@ -222,6 +393,52 @@ export function registerWorkflowControlTools(server) {
 			}
 		}
 	});
+
+	// Roll back to an earlier phase
+	server.addTool({
+		name: 'guidant_rollback_phase',
+		description: 'Roll back to an earlier phase when later work shows it was wrong. Reopens quality gates from that phase onward and flags downstream transformations as stale.',
+		parameters: z.object({
+			targetPhase: targetPhaseSchema,
+			reason: rollbackReasonSchema,
+			confirmRollback: z.boolean().describe('Confirm that work from the target phase onward should be reopened')
+		}),
+		execute: async ({ targetPhase, reason, confirmRollback }) => {
+			try {
+				if (!confirmRollback) {
+					return formatErrorResponse('Phase rollback not confirmed');
+				}
+
+				const projectRoot = getProjectRoot();
+
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse(
+						'Project not initialized',
+						'Use guidant_init_project first'
+					);
+				}
+
+				const result = await rollbackPhase(targetPhase, reason, projectRoot);
+
+				if (!result.success) {
+					return formatErrorResponse(result.error || result.message, 'Use guidant_get_current_task to review the current phase');
+				}
+
+				return formatSuccessResponse(
+					{
+						fromPhase: result.fromPhase,
+						toPhase: result.toPhase,
+						reopenedPhases: result.reopenedPhases,
+						staleTransformations: result.staleTransformations
+					},
+					result.message,
+					'Use guidant_get_current_task to continue work in the reopened phase'
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
 }
 
 // Helper functions for full state support
@@ -254,7 +471,7 @@ async function enhanceTaskForFocusDisplay(task, workflowState, projectRoot) {
 			...task,
 			workflowContext: {
 				currentPhase: workflowState.currentPhase?.phase,
-				totalPhases: Object.keys(workflowState.phases || {}).length,
+				totalPhases: Object.keys(workflowState.phaseDefinitions || {}).length,
 				overallProgress: calculateOverallProgress(workflowState.phases),
 				nextPhase: getNextPhaseFromState(workflowState),
 				readyToAdvance: await checkPhaseReadiness(workflowState, projectRoot)
@@ -280,16 +497,8 @@ async function enhanceTaskForFocusDisplay(task, workflowState, projectRoot) {
  * Get next phase from workflow state
  */
 function getNextPhaseFromState(workflowState) {
-	if (!workflowState.phases || !workflowState.currentPhase) return null;
-
-	const phaseNames = Object.keys(workflowState.phases);
-	const currentIndex = phaseNames.indexOf(workflowState.currentPhase.phase);
-
-	if (currentIndex >= 0 && currentIndex < phaseNames.length - 1) {
-		return phaseNames[currentIndex + 1];
-	}
-
-	return null;
+	const nextPhase = workflowState.phaseDefinition?.nextPhase;
+	return nextPhase && nextPhase !== 'complete' ? nextPhase : null;
 }
 
 /**
@@ -0,0 +1,113 @@
+/**
+ * Workspace Tools
+ * Tools for serving several Guidant projects from one MCP server
+ */
+
+import { z } from 'zod';
+import { formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getSessionScope } from '../shared/project-context.js';
+
+// Import core functionality
+import {
+	getWorkspaceRoot,
+	getWorkspaceStatus,
+	listWorkspaceProjects,
+	registerProject,
+	unregisterProject
+} from '../../../../src/file-management/workspace-registry.js';
+
+/**
+ * Register workspace tools with the MCP server
+ * @param {object} server - MCP server instance
+ */
+export function registerWorkspaceTools(server) {
+	// List projects
+	server.addTool({
+		name: 'guidant_list_projects',
+		description: 'List the Guidant projects in the workspace. Pass a project id as projectId to any other tool to work on that project.',
+		parameters: z.object({}),
+		execute: async () => {
+			try {
+				const { clientRoots } = getSessionScope();
+				const projects = await listWorkspaceProjects(getWorkspaceRoot(), { clientRoots });
+				return formatSuccessResponse(
+					{
+						workspaceRoot: getWorkspaceRoot(),
+						clientRoots,
+						projects,
+						total: projects.length
+					},
+					`Found ${projects.length} projects`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Register project
+	server.addTool({
+		name: 'guidant_register_project',
+		description: 'Add a project directory to the workspace registry under a stable id',
+		parameters: z.object({
+			root: z.string().describe('Project directory, absolute or relative to the workspace root'),
+			id: z.string().regex(/^[a-z0-9_-]+$/).optional().describe('Project id (defaults to one derived from the path)'),
+			name: z.string().optional().describe('Display name')
+		}),
+		execute: async ({ root, id, name }) => {
+			try {
+				const result = await registerProject({ root, id, name }, getWorkspaceRoot(), { clientRoots: getSessionScope().clientRoots });
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse(
+					{ project: result.project },
+					result.message,
+					`Pass projectId "${result.project.id}" to other tools to work on this project`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Unregister project
+	server.addTool({
+		name: 'guidant_unregister_project',
+		description: 'Remove a project from the workspace registry without touching its files',
+		parameters: z.object({
+			id: z.string().describe('Project id')
+		}),
+		execute: async ({ id }) => {
+			try {
+				const result = await unregisterProject(id);
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				return formatSuccessResponse({}, result.message);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
+	// Aggregated status
+	server.addTool({
+		name: 'guidant_get_workspace_status',
+		description: 'Get the phase, progress and readiness of every project in the workspace in one view',
+		parameters: z.object({}),
+		execute: async () => {
+			try {
+				const status = await getWorkspaceStatus(getWorkspaceRoot(), { clientRoots: getSessionScope().clientRoots });
+				return formatSuccessResponse(
+					status,
+					`${status.summary.initializedProjects} of ${status.summary.totalProjects} projects initialized`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -5,30 +5,82 @@
 
 // Import tool registration functions
 import { registerProjectManagementTools } from './core/project-management.js';
+import { registerDeliverableVersionTools } from './core/deliverable-versions.js';
+import { registerDeliverableTemplateTools } from './core/deliverable-templates.js';
+import { registerTraceabilityTools } from './core/traceability.js';
 import { registerWorkflowControlTools } from './core/workflow-control.js';
 import { registerDeliverableAnalysisTools } from './core/deliverable-analysis.js';
+import { registerRelationshipAnalysisTools } from './core/relationship-analysis.js';
+import { registerCheckpointTools } from './core/checkpoints.js';
+import { registerTaskDependencyTools } from './core/task-dependencies.js';
+import { registerSubtaskTools } from './core/subtasks.js';
+import { registerTaskClaimTools } from './core/task-claims.js';
+import { registerBlockerTools } from './core/blockers.js';
+import { registerDecisionTools } from './core/decisions.js';
+import { registerGitTools } from './core/git.js';
+import { registerWorkspaceTools } from './core/workspace.js';
 import { registerAgentDiscoveryTools } from './agent-registry/agent-discovery.js';
 import { registerCapabilityAnalysisTools } from './agent-registry/capability-analysis.js';
 import { registerAdaptiveWorkflowTools } from './workflow-intelligence/adaptive-tools.js';
 import { registerQualityValidationTools } from './quality/quality-validation-tools.js';
 import { registerOrchestrationTools } from './orchestration/orchestration-tools.js';
 import { registerAnalyticsTools } from './analytics/analytics-tools.js';
+import { enableProjectSelection } from './shared/project-context.js';
 
 /**
  * Register all Guidant Evolution MCP tools with the server
  * @param {object} server - MCP server instance
  */
 export function registerAllGuidantTools(server) {
+	// Every tool accepts an optional projectRoot/projectId selecting a workspace project
+	const restoreAddTool = enableProjectSelection(server);
+
 	try {
+		// Workspace tools
+		registerWorkspaceTools(server);
+
 		// Core project management tools
 		registerProjectManagementTools(server);
 
+		// Deliverable version tools
+		registerDeliverableVersionTools(server);
+
+		// Deliverable template tools
+		registerDeliverableTemplateTools(server);
+
+		// Traceability tools
+		registerTraceabilityTools(server);
+
 		// Workflow control tools
 		registerWorkflowControlTools(server);
 
 		// Deliverable analysis tools
 		registerDeliverableAnalysisTools(server);
 
+		// Relationship analysis tools
+		registerRelationshipAnalysisTools(server);
+
+		// Checkpoint tools
+		registerCheckpointTools(server);
+
+		// Task dependency tools
+		registerTaskDependencyTools(server);
+
+		// Subtask tools
+		registerSubtaskTools(server);
+
+		// Task claim tools
+		registerTaskClaimTools(server);
+
+		// Blocker tools
+		registerBlockerTools(server);
+
+		// Decision tools
+		registerDecisionTools(server);
+
+		// Git tools
+		registerGitTools(server);
+
 		// Agent discovery tools
 		registerAgentDiscoveryTools(server);
 		
@@ -49,20 +101,34 @@ export function registerAllGuidantTools(server) {
 
 		console.log('✅ All Guidant Evolution MCP tools registered successfully');
 		console.log('📊 Tool Categories:');
+		console.log('   • Workspace (4 tools)');
 		console.log('   • Core Project Management (3 tools)');
-		console.log('   • Workflow Control (3 tools)');
+		console.log('   • Deliverable Versions (3 tools)');
+		console.log('   • Deliverable Templates (1 tool)');
+		console.log('   • Traceability (1 tool)');
+		console.log('   • Workflow Control (4 tools)');
 		console.log('   • Deliverable Analysis (3 tools)');
+		console.log('   • Relationship Analysis (8 tools)');
+		console.log('   • Checkpoints (5 tools)');
+		console.log('   • Task Dependencies (2 tools)');
+		console.log('   • Subtasks (2 tools)');
+		console.log('   • Task Claims (2 tools)');
+		console.log('   • Blockers (3 tools)');
+		console.log('   • Decisions (5 tools)');
+		console.log('   • Git (1 tool)');
 		console.log('   • Agent Discovery (2 tools)');
 		console.log('   • Capability Analysis (3 tools)');
-		console.log('   • Adaptive Workflow Intelligence (5 tools)');
+		console.log('   • Adaptive Workflow Intelligence (6 tools)');
 		console.log('   • Quality Validation (4 tools)');
 		console.log('   • Tool Orchestration (8 tools)');
 		console.log('   • Tool Analytics (9 tools)');
-		console.log('   📈 Total: 40 tools registered');
+		console.log('   📈 Total: 79 tools registered');
 		
 	} catch (error) {
 		console.error('❌ Error registering Guidant tools:', error);
 		throw error;
+	} finally {
+		restoreAddTool();
 	}
 }
 
@@ -73,21 +139,65 @@ export function registerAllGuidantTools(server) {
 export function getToolRegistry() {
 	return {
 		categories: {
+			'workspace': {
+				description: 'Workspace project registry and aggregated cross-project status',
+				tools: ['guidant_list_projects', 'guidant_register_project', 'guidant_unregister_project', 'guidant_get_workspace_status']
+			},
 			'core-project-management': {
 				description: 'Project initialization, state management, and deliverable saving',
 				tools: ['guidant_init_project', 'guidant_get_project_state', 'guidant_save_deliverable']
 			},
+			'deliverable-versions': {
+				description: 'Version history of deliverables with authors, quality scores, diffs and restore',
+				tools: ['guidant_list_deliverable_versions', 'guidant_diff_deliverable_versions', 'guidant_restore_deliverable_version']
+			},
+			'deliverable-templates': {
+				description: 'Scaffolding templates per deliverable type with project overrides, matching the structure quality rule',
+				tools: ['guidant_get_deliverable_template']
+			},
+			'traceability': {
+				description: 'Requirements traceability matrix from requirements to design, API endpoints, tickets and tests, with coverage gaps',
+				tools: ['guidant_get_traceability_matrix']
+			},
 			'workflow-control': {
-				description: 'Task management, progress reporting, and phase advancement',
-				tools: ['guidant_get_current_task', 'guidant_report_progress', 'guidant_advance_phase']
+				description: 'Task management, progress reporting, phase advancement and rollback',
+				tools: ['guidant_get_current_task', 'guidant_report_progress', 'guidant_advance_phase', 'guidant_rollback_phase']
 			},
 			'deliverable-analysis': {
 				description: 'Content analysis, insight extraction, and quality assessment',
 				tools: ['guidant_analyze_deliverable', 'guidant_analyze_phase', 'guidant_extract_insights']
 			},
+			'checkpoints': {
+				description: 'Named snapshots of the .guidant directory with diff, restore and prune',
+				tools: ['guidant_create_checkpoint', 'guidant_list_checkpoints', 'guidant_diff_checkpoint', 'guidant_restore_checkpoint', 'guidant_prune_checkpoints']
+			},
+			'task-dependencies': {
+				description: 'Implementation ticket dependency graph, topological order and cycle checks',
+				tools: ['guidant_get_dependency_graph', 'guidant_set_ticket_dependencies']
+			},
+			'subtasks': {
+				description: 'Ticket complexity scoring and expansion into ordered subtasks with progress rollup',
+				tools: ['guidant_analyze_complexity', 'guidant_expand_ticket']
+			},
+			'task-claims': {
+				description: 'Expiring task leases so several agents can work on one project without overlapping',
+				tools: ['guidant_list_task_claims', 'guidant_release_task_claim']
+			},
+			'blockers': {
+				description: 'Blockers on tickets and deliverables with severity, owner and resolution',
+				tools: ['guidant_create_blocker', 'guidant_list_blockers', 'guidant_resolve_blocker']
+			},
+			'decisions': {
+				description: 'Decision log with rationale and alternatives, search, scheduled reviews, superseding and archiving',
+				tools: ['guidant_record_decision', 'guidant_search_decisions', 'guidant_review_decision', 'guidant_supersede_decision', 'guidant_archive_decision']
+			},
+			'git': {
+				description: 'Commits linked to tickets and deliverables from the local git repository',
+				tools: ['guidant_get_git_links']
+			},
 			'relationship-analysis': {
-				description: 'Cross-deliverable relationship mapping and change impact analysis',
-				tools: ['guidant_analyze_project_relationships', 'guidant_get_deliverable_relationships', 'guidant_analyze_change_impact', 'guidant_get_relationship_system_health']
+				description: 'Cross-deliverable relationship mapping, change impact analysis and relationship graph queries',
+				tools: ['guidant_analyze_project_relationships', 'guidant_get_deliverable_relationships', 'guidant_analyze_change_impact', 'guidant_get_relationship_system_health', 'guidant_query_relationships', 'guidant_get_relationship_neighbors', 'guidant_find_relationship_path', 'guidant_find_orphaned_deliverables']
 			},
 			'agent-discovery': {
 				description: 'AI agent capability discovery and registry management',
@@ -99,7 +209,7 @@ export function getToolRegistry() {
 			},
 			'adaptive-workflow-intelligence': {
 				description: 'Smart project classification and adaptive workflow generation',
-				tools: ['guidant_classify_project', 'guidant_generate_adaptive_workflow', 'guidant_apply_adaptive_workflow', 'guidant_get_workflow_modes', 'guidant_suggest_workflow_upgrade']
+				tools: ['guidant_classify_project', 'guidant_generate_adaptive_workflow', 'guidant_apply_adaptive_workflow', 'guidant_get_workflow_modes', 'guidant_suggest_workflow_upgrade', 'guidant_migrate_workflow']
 			},
 			'quality-validation': {
 				description: 'Content quality validation, scoring, and improvement feedback',
@@ -114,7 +224,7 @@ export function getToolRegistry() {
 				tools: ['guidant_get_analytics_report', 'guidant_get_tool_metrics', 'guidant_get_usage_patterns', 'guidant_start_monitoring', 'guidant_stop_monitoring', 'guidant_get_performance_summary', 'guidant_record_metric', 'guidant_get_category_metrics', 'guidant_export_analytics']
 			}
 		},
-		totalTools: 40,
+		totalTools: 79,
 		version: '2.5.0-orchestration-analytics'
 	};
 }
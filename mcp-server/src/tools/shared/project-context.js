@@ -0,0 +1,108 @@
+/**
+ * Project Context for MCP Tools
+ * Lets every tool act on any project in the workspace instead of only process.cwd().
+ *
+ * Each registered tool gains optional `projectRoot` and `projectId` parameters. The
+ * selected project is resolved through the workspace registry and made available to
+ * the handler (and everything it awaits) through getProjectRoot().
+ *
+ * Messages from a client are handled inside its session scope (see runInSession), which
+ * holds the roots the client declared and the project it works on when none is selected.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { z } from 'zod';
+import { resolveProjectRoot } from '../../../../src/file-management/workspace-registry.js';
+import { formatErrorResponse } from './mcp-response.js';
+
+const projectContext = new AsyncLocalStorage();
+const sessionContext = new AsyncLocalStorage();
+
+/**
+ * Parameters added to every tool
+ */
+export const projectSelectionShape = {
+  projectRoot: z.string().optional().describe('Project directory, absolute or relative to the workspace root (defaults to the workspace root)'),
+  projectId: z.string().optional().describe('Id of a workspace project, see guidant_list_projects')
+};
+
+/**
+ * Get the root of the project the current tool call is for
+ * @returns {string} Absolute project directory
+ */
+export function getProjectRoot() {
+  return projectContext.getStore()?.projectRoot || sessionContext.getStore()?.projectRoot || process.cwd();
+}
+
+/**
+ * Get the scope of the session the current message came from
+ * @returns {{clientRoots: string[], projectRoot?: string}} Session scope, without roots outside a session
+ */
+export function getSessionScope() {
+  return sessionContext.getStore() || { clientRoots: [] };
+}
+
+/**
+ * Run a function inside a session scope
+ * @param {{clientRoots: string[], projectRoot?: string}} scope - Session scope
+ * @param {Function} fn - Function to run
+ */
+export function runInSession(scope, fn) {
+  return sessionContext.run(scope, fn);
+}
+
+/**
+ * Run a function with a project selected
+ * @param {string} projectRoot - Absolute project directory
+ * @param {Function} fn - Function to run
+ */
+export function runInProject(projectRoot, fn) {
+  return projectContext.run({ projectRoot }, fn);
+}
+
+/**
+ * Wrap a tool so it accepts a project selection and runs inside that project
+ * @param {object} toolConfig - Tool configuration passed to server.addTool
+ * @returns {object} Tool configuration with project selection
+ */
+export function withProjectSelection(toolConfig) {
+  const handlerKey = toolConfig.execute ? 'execute' : 'handler';
+  const originalHandler = toolConfig[handlerKey];
+  const parameters = toolConfig.parameters || z.object({});
+
+  // Tools that already take a projectRoot keep it and receive the resolved path
+  const declaresProjectRoot = Boolean(parameters.shape?.projectRoot);
+
+  return {
+    ...toolConfig,
+    parameters: parameters.extend ? parameters.extend(projectSelectionShape) : parameters,
+    [handlerKey]: async (args, context) => {
+      const { projectRoot, projectId, ...toolArgs } = args || {};
+
+      let resolvedRoot;
+      try {
+        resolvedRoot = await resolveProjectRoot({ projectRoot, projectId, clientRoots: getSessionScope().clientRoots });
+      } catch (error) {
+        return formatErrorResponse(error.message, 'Use guidant_list_projects to see the projects in scope');
+      }
+
+      const handlerArgs = declaresProjectRoot ? { ...toolArgs, projectRoot: resolvedRoot } : toolArgs;
+      return runInProject(resolvedRoot, () => originalHandler(handlerArgs, context));
+    }
+  };
+}
+
+/**
+ * Make every tool registered through a server accept a project selection
+ * @param {object} server - MCP server instance
+ * @returns {Function} Restores the original addTool method
+ */
+export function enableProjectSelection(server) {
+  const originalAddTool = server.addTool.bind(server);
+
+  server.addTool = (toolConfig) => originalAddTool(withProjectSelection(toolConfig));
+
+  return () => {
+    server.addTool = originalAddTool;
+  };
+}
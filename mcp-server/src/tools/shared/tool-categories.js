@@ -40,6 +40,10 @@ export const TOOL_CATEGORIES = {
             'guidant_analyze_project_relationships',
             'guidant_get_deliverable_relationships',
             'guidant_analyze_change_impact',
+            'guidant_query_relationships',
+            'guidant_get_relationship_neighbors',
+            'guidant_find_relationship_path',
+            'guidant_find_orphaned_deliverables',
             'guidant_validate_deliverable_quality'
         ]
     },
@@ -24,7 +24,7 @@ export const targetProjectSchema = z.object({
 }).optional().describe('Target project to optimize for');
 
 // Work status schema
-export const workStatusSchema = z.enum(['in_progress', 'completed', 'blocked', 'review']).describe('Current status of the work');
+export const workStatusSchema = z.enum(['in_progress', 'completed', 'blocked', 'review', 'changes_requested', 'reopened']).describe('Current status of the work');
 
 // Context schema for tool requests
 export const toolRequestContextSchema = z.object({
@@ -47,3 +47,14 @@ export const nextStepsSchema = z.string().optional().describe('Planned next step
 
 // Confirmation schema
 export const confirmationSchema = z.boolean().describe('Confirm that current phase is complete and ready to advance');
+
+// Phase rollback schemas
+export const targetPhaseSchema = z.string().describe('Earlier phase to roll back to (e.g., requirements)');
+export const rollbackReasonSchema = z.string().min(1).describe('Why the phase is being reopened');
+
+// Checkpoint schemas
+export const checkpointNameSchema = z.string().regex(/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/).describe('Checkpoint name (letters, digits, ".", "_" and "-")');
+
+// Task claim schemas
+export const claimAgentIdSchema = z.string().min(1).describe('ID of the agent working on the project; tasks are claimed under this ID so other agents get different work');
+export const leaseMinutesSchema = z.number().int().min(1).max(1440).describe('How long the task lease lasts without a progress report (default 15 minutes)');
@@ -10,6 +10,7 @@
 
 import { z } from 'zod';
 import { formatMCPResponse, formatSuccessResponse, formatErrorResponse } from '../shared/mcp-response.js';
+import { getProjectRoot } from '../shared/project-context.js';
 
 // Import workflow intelligence
 import {
@@ -22,6 +23,12 @@ import {
 	AdaptiveWorkflowGenerator,
 	getWorkflowModes
 } from '../../../../src/workflow-intelligence/adaptive-workflow.js';
+import {
+	migrateWorkflow,
+	revertWorkflowMigration,
+	getWorkflowMigrations,
+	summarizeMigration
+} from '../../../../src/workflow-intelligence/workflow-migration.js';
 
 // Import core functionality
 import {
@@ -49,7 +56,7 @@ export function registerAdaptiveWorkflowTools(server) {
 		}),
 		execute: async ({ method = 'auto', projectDescription, wizardAnswers }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 				let classification = null;
 
 				// Auto method: try AI first, fallback to wizard
@@ -141,7 +148,7 @@ export function registerAdaptiveWorkflowTools(server) {
 		}),
 		execute: async ({ operation, classification, workflowConfig, customizations = {}, confirm = false }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 
 				if (operation === 'generate' || operation === 'generate_and_apply') {
 					if (!classification) {
@@ -232,7 +239,7 @@ export function registerAdaptiveWorkflowTools(server) {
 						const currentState = await getProjectState(projectRoot);
 						if (currentState.workflow?.adaptive) {
 							return formatErrorResponse(
-								'Project already has adaptive workflow. Use workflow intelligence to modify.'
+								'Project already has adaptive workflow. Use guidant_migrate_workflow to change it.'
 							);
 						}
 					}
@@ -277,7 +284,7 @@ export function registerAdaptiveWorkflowTools(server) {
 		}),
 		execute: async ({ operation, currentMetrics = {} }) => {
 			try {
-				const projectRoot = process.cwd();
+				const projectRoot = getProjectRoot();
 
 				if (operation === 'get_modes') {
 					const modes = getWorkflowModes();
@@ -327,7 +334,7 @@ export function registerAdaptiveWorkflowTools(server) {
 						suggestions,
 						metrics: currentMetrics,
 						nextAction: suggestions.length > 0 ?
-							'Consider implementing suggested upgrades' :
+							'Preview a suggested upgrade with guidant_migrate_workflow (operation: plan) using its target' :
 							'Current workflow is optimal for project state'
 					});
 				}
@@ -389,6 +396,78 @@ export function registerAdaptiveWorkflowTools(server) {
 		}
 	});
 
+	// Move an adaptive workflow to another project type or complexity through a migration plan
+	server.addTool({
+		name: 'guidant_migrate_workflow',
+		description: 'Upgrade or downgrade the adaptive workflow. operation: plan previews the migration (phases added and removed, deliverables carried over, newly required gates), apply applies it, revert undoes the latest migration, history lists migrations.',
+		parameters: z.object({
+			operation: z.enum(['plan', 'apply', 'revert', 'history']).default('plan').describe('plan is a dry run; apply writes the migration'),
+			projectType: z.enum(Object.keys(PROJECT_TYPES)).optional().describe('Target project type (required for plan and apply)'),
+			complexity: z.enum(Object.keys(COMPLEXITY_LEVELS)).optional().describe('Target complexity; defaults to the project type\'s'),
+			migrationId: z.string().optional().describe('Migration to revert; defaults to the latest applied one'),
+			force: z.boolean().default(false).describe('Revert even if phases or gates changed after the migration'),
+			actor: z.string().min(1).optional().describe('Who is applying or reverting the migration')
+		}),
+		execute: async ({ operation = 'plan', projectType, complexity, migrationId, force = false, actor }) => {
+			try {
+				const projectRoot = getProjectRoot();
+				if (!(await isProjectInitialized(projectRoot))) {
+					return formatErrorResponse('Project not initialized. Initialize project first.');
+				}
+
+				if (operation === 'history') {
+					const migrations = await getWorkflowMigrations(projectRoot);
+					return formatSuccessResponse(
+						{ migrations: migrations.map(summarizeMigration) },
+						`${migrations.length} workflow migration(s)`
+					);
+				}
+
+				if (operation === 'revert') {
+					const result = await revertWorkflowMigration(migrationId, projectRoot, { force, actor });
+					if (!result.success) {
+						return formatErrorResponse(result.error, 'Use operation: history to see applied migrations');
+					}
+					return formatSuccessResponse(
+						{ migration: result.migration, discardedChanges: result.discardedChanges },
+						result.message,
+						'Use guidant_get_current_task to continue with the restored workflow'
+					);
+				}
+
+				if (!projectType) {
+					return formatErrorResponse('projectType is required to plan or apply a migration');
+				}
+
+				const result = await migrateWorkflow({ projectType, complexity }, projectRoot, {
+					dryRun: operation === 'plan',
+					actor
+				});
+				if (!result.success) {
+					return formatErrorResponse(result.error);
+				}
+
+				// The resulting files are only needed to apply the plan, not to review it
+				const { result: _files, ...plan } = result.plan;
+				if (operation === 'plan') {
+					return formatSuccessResponse(
+						{ dryRun: true, plan },
+						`Migration plan: ${plan.direction} from ${plan.from.projectType || 'legacy'} to ${plan.to.projectType}`,
+						'Review the plan, then call again with operation: apply'
+					);
+				}
+
+				return formatSuccessResponse(
+					{ plan, migration: result.migration },
+					result.message,
+					`Use operation: revert to undo ${result.migration.id}`
+				);
+			} catch (error) {
+				return formatErrorResponse(error.message);
+			}
+		}
+	});
+
 	// ========================================
 	// DEPRECATED TOOLS (Backward Compatibility)
 	// ========================================
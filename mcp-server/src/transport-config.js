@@ -0,0 +1,136 @@
+/**
+ * MCP Transport Configuration
+ * Chooses between stdio and the HTTP transports from CLI flags and environment variables
+ *
+ *   --transport / GUIDANT_MCP_TRANSPORT   stdio (default), http (streamable HTTP) or sse
+ *   --host      / GUIDANT_MCP_HOST        interface to listen on (default 127.0.0.1)
+ *   --port      / GUIDANT_MCP_PORT        port to listen on (default 3737)
+ *   --endpoint  / GUIDANT_MCP_ENDPOINT    MCP endpoint path (default /mcp, or /sse for SSE)
+ *   GUIDANT_MCP_AUTH_TOKEN                bearer token(s) clients must send, comma-separated
+ *   GUIDANT_MCP_ALLOWED_ORIGINS           browser origins allowed to call the server, comma-separated
+ *                                         (default none: requests from web pages are refused)
+ *
+ * Flags take precedence over environment variables. Tokens are only read from the
+ * environment (or .env) so they do not show up in process listings.
+ */
+
+export const TRANSPORTS = {
+	STDIO: 'stdio',
+	HTTP_STREAM: 'httpStream',
+	SSE: 'sse'
+};
+
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 3737;
+export const HEALTH_PATH = '/health';
+
+const TRANSPORT_ALIASES = {
+	stdio: TRANSPORTS.STDIO,
+	http: TRANSPORTS.HTTP_STREAM,
+	httpstream: TRANSPORTS.HTTP_STREAM,
+	'http-stream': TRANSPORTS.HTTP_STREAM,
+	'streamable-http': TRANSPORTS.HTTP_STREAM,
+	sse: TRANSPORTS.SSE
+};
+
+const DEFAULT_ENDPOINTS = {
+	[TRANSPORTS.HTTP_STREAM]: '/mcp',
+	[TRANSPORTS.SSE]: '/sse'
+};
+
+const FLAGS = ['transport', 'host', 'port', 'endpoint'];
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+/**
+ * Resolve the transport the server should start with
+ * @param {object} [options]
+ * @param {string[]} [options.argv=[]] - Command line arguments after the script name
+ * @param {object} [options.env=process.env] - Environment variables
+ * @returns {{transportType: string, host?: string, port?: number, endpoint?: string, healthPath?: string, authTokens?: string[], allowedOrigins?: string[]}}
+ * @throws {Error} When a flag or variable has an invalid value
+ */
+export function resolveTransportConfig({ argv = [], env = process.env } = {}) {
+	const flags = parseFlags(argv);
+	const requested = (flags.transport ?? env.GUIDANT_MCP_TRANSPORT ?? TRANSPORTS.STDIO).trim();
+	const transportType = TRANSPORT_ALIASES[requested.toLowerCase()];
+	if (!transportType) {
+		throw new Error(`Unknown transport "${requested}" (expected stdio, http or sse)`);
+	}
+
+	if (transportType === TRANSPORTS.STDIO) {
+		return { transportType };
+	}
+
+	const host = (flags.host ?? env.GUIDANT_MCP_HOST ?? DEFAULT_HOST).trim();
+	const port = parsePort(flags.port ?? env.GUIDANT_MCP_PORT ?? DEFAULT_PORT);
+	const endpoint = (flags.endpoint ?? env.GUIDANT_MCP_ENDPOINT ?? DEFAULT_ENDPOINTS[transportType]).trim();
+	if (!/^\/[\w\-./]*$/.test(endpoint)) {
+		throw new Error(`Invalid endpoint "${endpoint}" (expected a path such as /mcp)`);
+	}
+	if (endpoint === HEALTH_PATH) {
+		throw new Error(`The endpoint cannot be ${HEALTH_PATH}, which serves the health check`);
+	}
+
+	const authTokens = parseList(env.GUIDANT_MCP_AUTH_TOKEN);
+	if (authTokens.length === 0 && !isLoopbackHost(host)) {
+		throw new Error(`Set GUIDANT_MCP_AUTH_TOKEN before listening on ${host}; without a token only loopback hosts are allowed`);
+	}
+
+	const allowedOrigins = parseList(env.GUIDANT_MCP_ALLOWED_ORIGINS).map(parseOrigin);
+
+	return { transportType, host, port, endpoint, healthPath: HEALTH_PATH, authTokens, allowedOrigins };
+}
+
+/**
+ * Whether a host only accepts connections from this machine
+ * @param {string} host
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host) {
+	return LOOPBACK_HOSTS.has(host) || host.startsWith('127.');
+}
+
+function parseFlags(argv) {
+	const flags = {};
+	for (let index = 0; index < argv.length; index++) {
+		const match = argv[index].match(/^--([a-z]+)(?:=(.*))?$/);
+		if (!match || !FLAGS.includes(match[1])) continue;
+
+		const value = match[2] ?? argv[index + 1];
+		if (value === undefined || (match[2] === undefined && value.startsWith('--'))) {
+			throw new Error(`Missing value for --${match[1]}`);
+		}
+		flags[match[1]] = value;
+		if (match[2] === undefined) index++;
+	}
+	return flags;
+}
+
+function parseList(value) {
+	return (value || '')
+		.split(',')
+		.map(entry => entry.trim())
+		.filter(Boolean);
+}
+
+function parseOrigin(value) {
+	let origin;
+	try {
+		origin = new URL(value).origin;
+	} catch {
+		origin = 'null';
+	}
+	if (origin === 'null') {
+		throw new Error(`Invalid origin "${value}" in GUIDANT_MCP_ALLOWED_ORIGINS (expected e.g. http://localhost:5173)`);
+	}
+	return origin;
+}
+
+function parsePort(value) {
+	const port = Number(value);
+	if (!Number.isInteger(port) || port < 1 || port > 65535) {
+		throw new Error(`Invalid port "${value}" (expected 1-65535)`);
+	}
+	return port;
+}
@@ -0,0 +1,186 @@
+/**
+ * Ticket complexity analysis for Guidant Evolution
+ * Scores implementation tickets from 1 to 10, explains the score and recommends
+ * how many subtasks each ticket should be expanded into.
+ *
+ * An AI provider scores the tickets when one is configured. Tickets it does not
+ * score, or every ticket when no provider is set up, are scored by a deterministic
+ * heuristic over the ticket's declared complexity, story points, acceptance
+ * criteria, specifications, dependencies and risk keywords.
+ */
+
+import path from 'path';
+import { generateComplexityAnalysis } from './task-generator.js';
+import { writeProjectFile } from '../file-management/project-structure.js';
+import { loadTaskTickets, saveTaskTicket, getTicketId } from '../workflow-logic/task-dependencies.js';
+import { COMPLEXITY_REPORT } from '../constants/paths.js';
+
+// Tickets scoring at or above this are recommended for expansion into subtasks
+export const DEFAULT_EXPANSION_THRESHOLD = 5;
+
+const DECLARED_COMPLEXITY = { low: 3, medium: 5, high: 7 };
+
+// Words in a ticket that usually mean extra work or risk
+const RISK_KEYWORDS = [
+  'integration', 'migration', 'security', 'authentication', 'authorization', 'payment',
+  'real-time', 'realtime', 'concurrency', 'distributed', 'performance', 'encryption'
+];
+
+/**
+ * Score a ticket with the deterministic heuristic
+ * @param {object} ticket - Ticket
+ * @returns {{complexityScore: number, recommendedSubtasks: number, reasoning: string, source: string}}
+ */
+export function scoreTicketComplexity(ticket) {
+  const reasons = [];
+  let score;
+
+  const declared = DECLARED_COMPLEXITY[String(ticket.complexity || '').toLowerCase()];
+  const points = Number(ticket.estimated_points);
+  if (declared) {
+    score = declared;
+    reasons.push(`declared ${String(ticket.complexity).toLowerCase()} complexity (${declared})`);
+  } else if (points > 0) {
+    score = pointsToScore(points);
+    reasons.push(`${points} story points (${score})`);
+  } else {
+    score = 4;
+    reasons.push('no declared complexity or estimate (4)');
+  }
+
+  const addFactor = (amount, reason) => {
+    if (amount > 0) {
+      score += amount;
+      reasons.push(`${reason} (+${amount})`);
+    }
+  };
+
+  const criteria = ticket.acceptance_criteria || ticket.acceptanceCriteria || [];
+  addFactor(Math.min(2, Math.floor(criteria.length / 3)), `${criteria.length} acceptance criteria`);
+
+  const specifications = ticket.technical_specifications || [];
+  addFactor(Math.min(2, Math.floor(specifications.length / 3)), `${specifications.length} technical specifications`);
+
+  const dependsOn = ticket.dependsOn || [];
+  addFactor(dependsOn.length >= 2 ? 1 : 0, `depends on ${dependsOn.length} tickets`);
+
+  const text = [ticket.title, ticket.description, ticket.implementation_guide].filter(Boolean).join(' ').toLowerCase();
+  const risks = RISK_KEYWORDS.filter(keyword => text.includes(keyword));
+  addFactor(risks.length > 0 ? 1 : 0, `touches ${risks.join(', ')}`);
+  addFactor(text.length > 800 ? 1 : 0, 'long description');
+
+  const complexityScore = Math.min(10, Math.max(1, score));
+  return {
+    complexityScore,
+    recommendedSubtasks: recommendSubtasks(complexityScore),
+    reasoning: `Scored ${complexityScore}: ${reasons.join('; ')}`,
+    source: 'heuristic'
+  };
+}
+
+/**
+ * Get a ticket's stored complexity, or score it with the heuristic
+ * @param {object} ticket - Ticket
+ * @returns {object} Complexity with complexityScore, recommendedSubtasks, reasoning and source
+ */
+export function getTicketComplexity(ticket) {
+  return ticket.complexityAnalysis || scoreTicketComplexity(ticket);
+}
+
+/**
+ * Score every ticket (or the given ones), store the result on each ticket and save
+ * a complexity report under .guidant/reports
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string[]} [options.ticketIds] - Only analyze these tickets
+ * @param {number} [options.threshold=5] - Score at which expansion is recommended
+ * @param {boolean} [options.useAI=true] - Ask an AI provider before falling back to the heuristic
+ */
+export async function analyzeTicketComplexity(projectRoot = process.cwd(), options = {}) {
+  try {
+    const threshold = options.threshold ?? DEFAULT_EXPANSION_THRESHOLD;
+    const allTickets = await loadTaskTickets(projectRoot);
+    const tickets = options.ticketIds
+      ? allTickets.filter(ticket => options.ticketIds.includes(getTicketId(ticket)))
+      : allTickets;
+
+    if (options.ticketIds) {
+      const unknown = options.ticketIds.filter(id => !tickets.some(ticket => getTicketId(ticket) === id));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown tickets: ${unknown.join(', ')}` };
+      }
+    }
+    if (tickets.length === 0) {
+      return { success: false, error: 'No tickets to analyze' };
+    }
+
+    const aiAnalyses = options.useAI === false ? null : await generateComplexityAnalysis(tickets);
+    const analyzedAt = new Date().toISOString();
+
+    const entries = [];
+    for (const ticket of tickets) {
+      const aiAnalysis = aiAnalyses?.find(analysis => analysis.ticketId === getTicketId(ticket));
+      const analysis = aiAnalysis
+        ? { ...aiAnalysis, source: 'ai' }
+        : scoreTicketComplexity(ticket);
+      const complexityAnalysis = {
+        complexityScore: analysis.complexityScore,
+        recommendedSubtasks: analysis.recommendedSubtasks,
+        reasoning: analysis.reasoning,
+        source: analysis.source,
+        analyzedAt
+      };
+
+      await saveTaskTicket({ ...ticket, complexityAnalysis }, projectRoot);
+      entries.push({
+        ticketId: getTicketId(ticket),
+        title: ticket.title,
+        ...complexityAnalysis,
+        expansionRecommended: complexityAnalysis.complexityScore >= threshold && !(ticket.subtasks?.length > 0)
+      });
+    }
+
+    entries.sort((a, b) => b.complexityScore - a.complexityScore);
+    const report = {
+      meta: {
+        generatedAt: analyzedAt,
+        ticketsAnalyzed: entries.length,
+        threshold,
+        sources: [...new Set(entries.map(entry => entry.source))]
+      },
+      summary: {
+        averageScore: Math.round((entries.reduce((sum, entry) => sum + entry.complexityScore, 0) / entries.length) * 10) / 10,
+        high: entries.filter(entry => entry.complexityScore >= 8).length,
+        medium: entries.filter(entry => entry.complexityScore >= 5 && entry.complexityScore < 8).length,
+        low: entries.filter(entry => entry.complexityScore < 5).length,
+        expansionRecommended: entries.filter(entry => entry.expansionRecommended).map(entry => entry.ticketId)
+      },
+      tickets: entries
+    };
+
+    await writeProjectFile(COMPLEXITY_REPORT, report, projectRoot);
+
+    return {
+      success: true,
+      report,
+      reportPath: path.join(projectRoot, COMPLEXITY_REPORT),
+      message: `Analyzed ${entries.length} tickets`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+function pointsToScore(points) {
+  if (points <= 2) return 2;
+  if (points <= 3) return 4;
+  if (points <= 5) return 5;
+  if (points <= 8) return 7;
+  return 9;
+}
+
+function recommendSubtasks(score) {
+  // Small tickets are done in one go
+  if (score < 4) return 0;
+  return Math.min(8, Math.round(score * 0.8));
+}
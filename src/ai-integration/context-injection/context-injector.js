@@ -73,6 +73,9 @@ export class ContextInjector extends IContextInjector {
       
       case 'review':
         return this.generateReviewTemplate(context, options);
+
+      case 'deliverable':
+        return this.generateDeliverableTemplate(context, options);
       
       default:
         return this.generateGenericTemplate(context, options);
@@ -108,7 +111,7 @@ export class ContextInjector extends IContextInjector {
       sections.push(this.generateMetadataSection(context));
     }
 
-    return this.combineTemplateSections(sections, 'task_generation', options);
+    return this.combineTemplateSections(sections, options.templateType || 'task_generation', options);
   }
 
   /**
@@ -320,6 +323,10 @@ Coverage: ${Math.round((metadata.coverage || 0) * 100)}% coverage
     const phase = options.phase || 'current phase';
     const deliverable = options.deliverable || 'target deliverable';
 
+    if (templateType === 'deliverable') {
+      return `You are a ${role} writing the ${deliverable} deliverable for the ${phase} phase. Use the following enhanced context so it builds on the work done so far:`;
+    }
+
     return `You are a ${role} working on ${deliverable} for the ${phase} phase. Use the following enhanced context to generate high-quality, relevant tasks:`;
   }
 
@@ -327,6 +334,17 @@ Coverage: ${Math.round((metadata.coverage || 0) * 100)}% coverage
    * Generate template footer
    */
   generateTemplateFooter(templateType, options) {
+    if (templateType === 'deliverable') {
+      return `
+Based on this enhanced context, write the deliverable so that it:
+1. Meets the objectives of the current phase
+2. Is consistent with the insights and decisions of earlier phases
+3. Respects the technical guidance and constraints
+4. Addresses the identified risks and quality requirements
+
+Write concrete, project-specific content rather than placeholders.`;
+    }
+
     return `
 Based on this enhanced context, generate specific, actionable tasks that:
 1. Align with the current phase objectives
@@ -359,6 +377,13 @@ Provide detailed, implementable tasks with clear acceptance criteria.`;
     return this.generateTaskGenerationTemplate(context, { ...options, templateType: 'review' });
   }
 
+  /**
+   * Generate deliverable template: the task generation context, asking for the deliverable itself
+   */
+  generateDeliverableTemplate(context, options) {
+    return this.generateTaskGenerationTemplate(context, { ...options, templateType: 'deliverable' });
+  }
+
   /**
    * Generate generic template
    */
@@ -406,7 +431,7 @@ Context injection failed - using minimal context. Please generate appropriate ta
    * Get supported template types
    */
   getSupportedTemplateTypes() {
-    return ['task_generation', 'analysis', 'implementation', 'review'];
+    return ['task_generation', 'analysis', 'implementation', 'review', 'deliverable'];
   }
 
   /**
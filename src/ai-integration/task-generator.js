@@ -57,37 +57,8 @@ class AITaskGenerator {
     const prompt = this.buildPrompt(context);
     
     try {
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/louisklinogo/Guidant',
-          'X-Title': 'Guidant Evolution'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert project manager and software architect specialized in AI workflow systems. Generate specific, actionable tasks for software development projects.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: this.maxTokens,
-          temperature: this.temperature
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return this.parseResponse(data.choices[0].message.content);
+      const content = await this.requestCompletion(prompt);
+      return this.parseResponse(content);
       
     } catch (error) {
       console.error('AI task generation failed:', error);
@@ -95,6 +66,148 @@ class AITaskGenerator {
     }
   }
 
+  /**
+   * Break an implementation ticket into ordered subtasks
+   * @returns {Promise<Array<{title: string, description: string, acceptanceCriteria: string[]}>>}
+   */
+  async generateSubtasks(ticket, count) {
+    const content = await this.requestCompletion(this.buildSubtaskPrompt(ticket, count));
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    const subtasks = jsonMatch ? JSON.parse(jsonMatch[0]).subtasks : null;
+
+    if (!Array.isArray(subtasks) || subtasks.length === 0) {
+      throw new Error('AI response did not contain a subtasks array');
+    }
+
+    return subtasks.map(subtask => ({
+      title: String(subtask.title || '').trim(),
+      description: String(subtask.description || '').trim(),
+      acceptanceCriteria: Array.isArray(subtask.acceptanceCriteria) ? subtask.acceptanceCriteria.map(String) : []
+    })).filter(subtask => subtask.title);
+  }
+
+  /**
+   * Score the complexity of implementation tickets
+   * @returns {Promise<Array<{ticketId: string, complexityScore: number, recommendedSubtasks: number, reasoning: string}>>}
+   */
+  async analyzeComplexity(tickets) {
+    const content = await this.requestCompletion(this.buildComplexityPrompt(tickets));
+    const jsonMatch = content.match(/\[[\s\S]*\]/);
+    const analyses = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+
+    if (!Array.isArray(analyses)) {
+      throw new Error('AI response did not contain a complexity analysis array');
+    }
+
+    return analyses
+      .filter(analysis => analysis?.ticketId && Number.isFinite(Number(analysis.complexityScore)))
+      .map(analysis => ({
+        ticketId: String(analysis.ticketId),
+        complexityScore: Math.min(10, Math.max(1, Math.round(Number(analysis.complexityScore)))),
+        recommendedSubtasks: Math.max(0, Math.round(Number(analysis.recommendedSubtasks) || 0)),
+        reasoning: String(analysis.reasoning || '').trim()
+      }));
+  }
+
+  /**
+   * Build prompt for scoring ticket complexity
+   */
+  buildComplexityPrompt(tickets) {
+    const summaries = tickets.map(ticket => ({
+      ticketId: ticket.id || ticket.ticket_id,
+      title: ticket.title,
+      description: ticket.description,
+      acceptanceCriteria: ticket.acceptance_criteria || ticket.acceptanceCriteria || [],
+      dependsOn: ticket.dependsOn || []
+    }));
+
+    return `
+TICKETS:
+${JSON.stringify(summaries, null, 2)}
+
+COMPLEXITY REQUEST:
+Analyze each ticket and score its implementation complexity from 1 (trivial) to 10 (very complex).
+Recommend how many subtasks the ticket should be broken into (0 when it is small enough to do in one go)
+and explain the score in one or two sentences.
+
+Return ONLY a JSON array with one entry per ticket:
+[
+  {
+    "ticketId": "IMPL-001",
+    "complexityScore": 6,
+    "recommendedSubtasks": 4,
+    "reasoning": "Why the ticket has this score"
+  }
+]`.trim();
+  }
+
+  /**
+   * Build prompt for breaking a ticket into subtasks
+   */
+  buildSubtaskPrompt(ticket, count) {
+    const criteria = ticket.acceptance_criteria || ticket.acceptanceCriteria || [];
+
+    return `
+TICKET:
+- ID: ${ticket.id || ticket.ticket_id}
+- Title: ${ticket.title}
+- Description: ${ticket.description || 'None'}
+- Acceptance Criteria: ${criteria.join('; ') || 'None'}
+- Implementation Guide: ${ticket.implementation_guide || 'None'}
+
+SUBTASK REQUEST:
+Break this ticket into ${count} ordered subtasks that can be implemented one after another.
+Each subtask must be small enough to finish in one session and have its own testable acceptance criteria.
+
+Return ONLY a JSON object with this EXACT structure:
+{
+  "subtasks": [
+    {
+      "title": "Specific subtask title",
+      "description": "What to implement in this subtask",
+      "acceptanceCriteria": ["Testable criterion 1", "Testable criterion 2"]
+    }
+  ]
+}`.trim();
+  }
+
+  /**
+   * Send a prompt to the configured provider and return the completion text
+   */
+  async requestCompletion(prompt) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'https://github.com/louisklinogo/Guidant',
+        'X-Title': 'Guidant Evolution'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: 'You are an expert project manager and software architect specialized in AI workflow systems. Generate specific, actionable tasks for software development projects.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        max_tokens: this.maxTokens,
+        temperature: this.temperature
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenRouter API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices[0].message.content;
+  }
+
   /**
    * Build context-aware prompt for task generation
    */
@@ -288,15 +401,7 @@ Focus on creating a ticket that a developer could pick up and implement immediat
    */
   extractStepsFromImplementationGuide(guide) {
     if (!guide) return ['Follow implementation guide'];
-
-    // Try to extract numbered steps
-    const stepMatches = guide.match(/\d+\.\s*([^\n]+)/g);
-    if (stepMatches) {
-      return stepMatches.map(step => step.replace(/^\d+\.\s*/, ''));
-    }
-
-    // Split by sentences as fallback
-    return guide.split(/[.!?]+/).filter(s => s.trim().length > 10).slice(0, 6);
+    return extractGuideSteps(guide);
   }
 
   /**
@@ -439,6 +544,104 @@ export async function generateAITask(phase, role, deliverable, projectRoot) {
   return generateEnhancedFallbackTask(phase, role, deliverable, context);
 }
 
+/**
+ * Break an implementation ticket into ordered subtasks, with the same provider
+ * fallbacks as generateAITask. Without a working provider the subtasks are derived
+ * from the ticket's own steps and acceptance criteria.
+ * @param {object} ticket - Ticket to break down
+ * @param {number} count - Number of subtasks to aim for
+ * @returns {Promise<{source: string, subtasks: Array<{title: string, description: string, acceptanceCriteria: string[]}>}>}
+ */
+export async function generateSubtasks(ticket, count) {
+  for (const configRole of ['main', 'generation', 'fallback']) {
+    try {
+      const generator = new AITaskGenerator(configRole);
+      if (!generator.apiKey) {
+        continue;
+      }
+
+      const subtasks = await generator.generateSubtasks(ticket, count);
+      if (subtasks.length > 0) {
+        return { source: 'ai', subtasks: subtasks.slice(0, count) };
+      }
+    } catch (error) {
+      console.warn(`'${configRole}' role failed for subtask generation:`, error.message);
+    }
+  }
+
+  return { source: 'fallback', subtasks: generateFallbackSubtasks(ticket, count) };
+}
+
+/**
+ * Score ticket complexity with the first AI provider that is set up
+ * @param {object[]} tickets - Tickets to score
+ * @returns {Promise<Array|null>} Analyses from analyzeComplexity, or null when no provider could score them
+ */
+export async function generateComplexityAnalysis(tickets) {
+  for (const configRole of ['analysis', 'main', 'fallback']) {
+    try {
+      const generator = new AITaskGenerator(configRole);
+      if (!generator.apiKey) {
+        continue;
+      }
+
+      const analyses = await generator.analyzeComplexity(tickets);
+      if (analyses.length > 0) {
+        return analyses;
+      }
+    } catch (error) {
+      console.warn(`'${configRole}' role failed for complexity analysis:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Derive subtasks from a ticket's steps, implementation guide or acceptance criteria
+ */
+function generateFallbackSubtasks(ticket, count) {
+  const criteria = ticket.acceptance_criteria || ticket.acceptanceCriteria || [];
+  const guideSteps = ticket.implementation_guide ? extractGuideSteps(ticket.implementation_guide) : [];
+
+  let titles = ticket.steps?.length > 0 ? ticket.steps : guideSteps;
+  if (titles.length === 0) {
+    titles = criteria.length > 0
+      ? criteria.map(criterion => `Implement: ${criterion}`)
+      : ['Plan the implementation', 'Implement the changes', 'Write tests', 'Document and review'];
+  }
+
+  // Spread consecutive steps evenly so the ticket is covered by at most `count` subtasks
+  const groups = Math.min(count, titles.length);
+  const merged = [];
+  for (let index = 0; index < groups; index++) {
+    merged.push(titles.slice(Math.round((index * titles.length) / groups), Math.round(((index + 1) * titles.length) / groups)));
+  }
+
+  return merged.map((group, index) => ({
+    title: group[0].trim(),
+    description: group.length > 1
+      ? `${group.map(step => step.trim()).join('. ')}.`
+      : `${group[0].trim()} for ${ticket.title || ticket.id || ticket.ticket_id}`,
+    // Acceptance criteria are spread over the subtasks in order
+    acceptanceCriteria: criteria.filter((_, criterionIndex) => criterionIndex % merged.length === index)
+  }));
+}
+
+/**
+ * Extract steps from implementation guide text
+ */
+function extractGuideSteps(guide) {
+  // Try to extract numbered steps
+  const stepMatches = guide.match(/\d+\.\s*([^\n]+)/g);
+  if (stepMatches) {
+    return stepMatches.map(step => step.replace(/^\d+\.\s*/, ''));
+  }
+
+  // Split by sentences as fallback
+  return guide.split(/[.!?]+/).filter(s => s.trim().length > 10).slice(0, 6);
+}
+
 /**
  * Generate enhanced fallback task when AI providers are unavailable
  */
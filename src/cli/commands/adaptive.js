@@ -6,9 +6,15 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { ProjectClassificationWizard, classifyProjectWithAI, PROJECT_TYPES, COMPLEXITY_LEVELS } from '../../workflow-intelligence/project-classifier.js';
-import { AdaptiveWorkflowGenerator, getWorkflowModes } from '../../workflow-intelligence/adaptive-workflow.js';
+import { getWorkflowModes } from '../../workflow-intelligence/adaptive-workflow.js';
+import {
+  migrateWorkflow,
+  revertWorkflowMigration,
+  describeWorkflow,
+  getCurrentWorkflow
+} from '../../workflow-intelligence/workflow-migration.js';
 import { getProjectState, isProjectInitialized } from '../../file-management/project-structure.js';
-import { handleError, showSuccess, showWarning } from '../utils.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
 
 /**
  * Project classification command
@@ -22,7 +28,7 @@ export async function classifyCommand(options = {}) {
       const state = await getProjectState();
       if (state.workflow?.adaptive) {
         console.log(chalk.yellow('⚠️ Project already has adaptive workflow.'));
-        console.log(chalk.gray('Use "guidant upgrade" to modify workflow settings.\n'));
+        console.log(chalk.gray('Use "guidant adaptive migrate" to change workflow settings.\n'));
         return;
       }
     }
@@ -91,22 +97,8 @@ export async function classifyCommand(options = {}) {
     // Show classification results
     showClassificationResults(classification);
 
-    // Ask if user wants to apply the workflow
     if (!options.dryRun) {
-      const { apply } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'apply',
-          message: 'Apply this adaptive workflow to your project?',
-          default: true
-        }
-      ]);
-
-      if (apply) {
-        await applyAdaptiveWorkflow(classification);
-      } else {
-        console.log(chalk.gray('Classification saved. Use "guidant apply-workflow" later to apply.'));
-      }
+      await applyAdaptiveWorkflow(classification);
     }
 
   } catch (error) {
@@ -195,7 +187,8 @@ export async function upgradeCommand(options = {}) {
     suggestions.forEach((suggestion, index) => {
       console.log(`${index + 1}. ${chalk.cyan(suggestion.title)}`);
       console.log(`   ${chalk.gray(suggestion.description)}`);
-      console.log(`   ${chalk.yellow('Benefits:')} ${suggestion.benefits.join(', ')}\n`);
+      console.log(`   ${chalk.yellow('Benefits:')} ${suggestion.benefits.join(', ')}`);
+      console.log(`   ${chalk.gray(`Preview: guidant adaptive migrate ${suggestion.target.projectType} ${suggestion.target.complexity} --dry-run`)}\n`);
     });
 
   } catch (error) {
@@ -203,6 +196,122 @@ export async function upgradeCommand(options = {}) {
   }
 }
 
+/**
+ * Migrate workflow command: show the migration plan, then apply it once confirmed
+ */
+export async function migrateCommand(projectType, complexity, options = {}) {
+  try {
+    await requireProject();
+
+    const planned = await migrateWorkflow({ projectType, complexity }, process.cwd(), { dryRun: true });
+    if (!planned.success) {
+      showWarning(planned.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showMigrationPlan(planned.plan);
+    if (options.dryRun) {
+      showInfo('Dry run: nothing was changed.');
+      return;
+    }
+
+    if (!options.yes) {
+      const { apply } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'apply',
+          message: 'Apply this migration?',
+          default: false
+        }
+      ]);
+      if (!apply) {
+        console.log(chalk.gray('Migration cancelled.'));
+        return;
+      }
+    }
+
+    const result = await migrateWorkflow({ projectType, complexity }, process.cwd());
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    console.log(chalk.gray(`Undo with: guidant adaptive revert ${result.migration.id}`));
+  } catch (error) {
+    handleError(error, 'Migrate command');
+  }
+}
+
+/**
+ * Revert migration command
+ */
+export async function revertCommand(migrationId, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await revertWorkflowMigration(migrationId, process.cwd(), { force: options.force });
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    if (result.discardedChanges) {
+      showWarning('Changes made to phases or gates after the migration were discarded.');
+    }
+  } catch (error) {
+    handleError(error, 'Revert command');
+  }
+}
+
+/**
+ * Show a workflow migration plan
+ */
+function showMigrationPlan(plan) {
+  console.log(chalk.bold(`\n🔀 Migration plan (${plan.direction}): ${describeWorkflow(plan.from)} → ${describeWorkflow(plan.to)}\n`));
+
+  console.log(chalk.bold('Phases:'));
+  console.log(`  ${plan.to.phases.map(phase => plan.phases.added.includes(phase) ? chalk.green(`+${phase}`) : phase).join(' → ')}`);
+  for (const phase of plan.phases.removed) {
+    console.log(chalk.red(`  -${phase}`));
+  }
+  if (plan.phases.current.from !== plan.phases.current.to) {
+    console.log(chalk.yellow(`  Active phase: ${plan.phases.current.from} → ${plan.phases.current.to}`));
+  }
+
+  console.log(chalk.bold('\nCompleted deliverables:'));
+  if (plan.deliverables.carriedOver.length === 0 && plan.deliverables.dropped.length === 0) {
+    console.log(chalk.gray('  None yet'));
+  }
+  for (const { phase, deliverable } of plan.deliverables.carriedOver) {
+    console.log(chalk.green(`  ✓ ${phase}/${deliverable} carries over`));
+  }
+  for (const { phase, deliverable } of plan.deliverables.dropped) {
+    console.log(chalk.red(`  ✗ ${phase}/${deliverable} no longer counts (phase removed)`));
+  }
+
+  console.log(chalk.bold('\nNewly required:'));
+  if (plan.gates.newlyRequired.length === 0) {
+    console.log(chalk.gray('  Nothing new'));
+  }
+  for (const { phase, deliverable, satisfied } of plan.gates.newlyRequired) {
+    console.log(`  ${satisfied ? chalk.green('✓') : chalk.yellow('•')} ${phase}/${deliverable}${satisfied ? chalk.gray(' (already approved)') : ''}`);
+  }
+  for (const { phase, deliverable } of plan.gates.noLongerRequired) {
+    console.log(chalk.gray(`  - ${phase}/${deliverable} no longer required`));
+  }
+
+  for (const warning of plan.warnings) {
+    console.log();
+    showWarning(warning);
+  }
+  console.log();
+}
+
 /**
  * Show classification results
  */
@@ -222,26 +331,59 @@ function showClassificationResults(classification) {
 }
 
 /**
- * Apply adaptive workflow
+ * Apply the adaptive workflow of a classification as a migration from the current
+ * workflow, so progress carries over and the change can be reverted. A workflow that
+ * is already adaptive is only changed through "guidant adaptive migrate".
  */
 async function applyAdaptiveWorkflow(classification) {
   try {
-    console.log(chalk.blue('🔧 Applying adaptive workflow...'));
-
-    const generator = new AdaptiveWorkflowGenerator();
-    const workflowConfig = await generator.generateWorkflow(classification);
-    const result = await generator.applyWorkflow(workflowConfig);
-
-    if (result.success) {
-      showSuccess('Adaptive workflow applied successfully!');
-      console.log(chalk.green(`✨ Your project now uses ${classification.type} workflow with ${classification.complexity} complexity.`));
-      console.log(chalk.gray('Use "guidant dashboard" to see your new adaptive workflow.\n'));
-    } else {
-      console.log(chalk.red(`❌ Failed to apply workflow: ${result.error}`));
+    if (!(await isProjectInitialized())) {
+      showWarning('No project found. Run "guidant init" before applying a workflow.');
+      return;
     }
 
+    const target = { projectType: classification.type, complexity: classification.complexity };
+    const migrateHint = `guidant adaptive migrate ${target.projectType} ${target.complexity}`;
+    if ((await getCurrentWorkflow()).adaptive) {
+      showWarning('Project already has adaptive workflow.');
+      console.log(chalk.gray(`Use "${migrateHint}" to change it.\n`));
+      return;
+    }
+
+    const planned = await migrateWorkflow(target, process.cwd(), { dryRun: true });
+    if (!planned.success) {
+      showWarning(planned.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showMigrationPlan(planned.plan);
+    const { apply } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'apply',
+        message: 'Apply this adaptive workflow to your project?',
+        default: true
+      }
+    ]);
+    if (!apply) {
+      console.log(chalk.gray(`Workflow not applied. Apply it later with "${migrateHint}".`));
+      return;
+    }
+
+    const result = await migrateWorkflow(target, process.cwd());
+    if (!result.success) {
+      showWarning(`Failed to apply workflow: ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess('Adaptive workflow applied successfully!');
+    console.log(chalk.green(`✨ Your project now uses ${classification.type} workflow with ${classification.complexity} complexity.`));
+    console.log(chalk.gray(`Undo with: guidant adaptive revert ${result.migration.id}`));
+    console.log(chalk.gray('Use "guidant dashboard" to see your new adaptive workflow.\n'));
   } catch (error) {
-    console.log(chalk.red(`❌ Error applying workflow: ${error.message}`));
+    handleError(error, 'Apply workflow');
   }
 }
 
@@ -258,7 +400,8 @@ function analyzeUpgradeOpportunities(state) {
     suggestions.push({
       title: 'Upgrade to Standard Complexity',
       description: 'Add comprehensive testing and documentation',
-      benefits: ['Better quality gates', 'Peer review process', 'Professional documentation']
+      benefits: ['Better quality gates', 'Peer review process', 'Professional documentation'],
+      target: { projectType: currentType, complexity: 'standard' }
     });
   }
 
@@ -266,7 +409,8 @@ function analyzeUpgradeOpportunities(state) {
     suggestions.push({
       title: 'Upgrade to Enterprise Complexity',
       description: 'Add enterprise-grade practices and governance',
-      benefits: ['Formal review process', 'Extensive documentation', 'Scalable architecture']
+      benefits: ['Formal review process', 'Extensive documentation', 'Scalable architecture'],
+      target: { projectType: currentType, complexity: 'enterprise' }
     });
   }
 
@@ -275,7 +419,8 @@ function analyzeUpgradeOpportunities(state) {
     suggestions.push({
       title: 'Evolve to Feature Development',
       description: 'Add requirements and deployment phases',
-      benefits: ['Better planning', 'Production readiness', 'User feedback integration']
+      benefits: ['Better planning', 'Production readiness', 'User feedback integration'],
+      target: { projectType: 'feature', complexity: currentComplexity }
     });
   }
 
@@ -297,6 +442,8 @@ export function registerAdaptiveCommands(program) {
       console.log('  classify    Classify project type and get optimal workflow');
       console.log('  modes       Show available workflow setup modes');
       console.log('  upgrade     Analyze and upgrade current workflow');
+      console.log('  migrate     Plan and apply a move to another project type or complexity');
+      console.log('  revert      Undo the latest workflow migration');
       console.log('\nUse "guidant adaptive <subcommand> --help" for more information.');
     });
 
@@ -317,4 +464,17 @@ export function registerAdaptiveCommands(program) {
     .command('upgrade')
     .description('Analyze and upgrade current workflow')
     .action(upgradeCommand);
+
+  adaptiveCmd
+    .command('migrate <projectType> [complexity]')
+    .description('Show the migration plan to another project type or complexity, then apply it')
+    .option('--dry-run', 'Show the migration plan without applying it')
+    .option('-y, --yes', 'Apply without asking for confirmation')
+    .action(migrateCommand);
+
+  adaptiveCmd
+    .command('revert [migrationId]')
+    .description('Undo the latest workflow migration')
+    .option('-f, --force', 'Revert even if phases or gates changed after the migration')
+    .action(revertCommand);
 }
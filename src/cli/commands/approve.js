@@ -0,0 +1,129 @@
+/**
+ * Approve Command
+ * Record a human sign-off for a phase, accept its deliverables below the quality bar,
+ * or show which approvals a phase still needs
+ */
+
+import chalk from 'chalk';
+import {
+  getCurrentWorkflowState,
+  recordApproval,
+  acceptPhaseQuality,
+  getApprovals,
+  checkPhaseApprovals
+} from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Approve command implementation
+ */
+export async function approveCommand(phase, options = {}) {
+  try {
+    await requireProject();
+
+    const state = await getCurrentWorkflowState();
+    const targetPhase = phase || state.currentPhase.phase;
+
+    if (options.list) {
+      await showApprovals(targetPhase, state, options.all);
+      return;
+    }
+
+    if (!options.comment) {
+      showWarning(options.acceptQuality
+        ? 'A reason is required: guidant approve [phase] --accept-quality --comment "<reason>"'
+        : 'An approval comment is required: guidant approve [phase] --comment "<comment>"');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.acceptQuality) {
+      await acceptQuality(targetPhase, options);
+      return;
+    }
+
+    const result = await recordApproval(targetPhase, {
+      role: options.role,
+      approver: options.by,
+      comment: options.comment
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    console.log(chalk.gray(`   ${result.approval.approver} · ${result.approval.approvedAt}`));
+    if (result.missing.length === 0) {
+      showInfo(`${targetPhase} has every approval it needs and can be advanced.`);
+    }
+  } catch (error) {
+    handleError(error, 'Approve command');
+  }
+}
+
+/**
+ * Accept the deliverables of a phase below its quality thresholds
+ */
+async function acceptQuality(phase, options) {
+  const result = await acceptPhaseQuality(phase, {
+    approver: options.by,
+    comment: options.comment
+  });
+
+  if (!result.success) {
+    showWarning(result.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  showSuccess(result.message);
+  console.log(chalk.gray(`   ${result.approval.approver} · ${result.approval.approvedAt}`));
+}
+
+/**
+ * Print the approval status of a phase and its approval history
+ */
+async function showApprovals(phase, state, all) {
+  const status = await checkPhaseApprovals(phase, process.cwd(), state);
+  const history = all ? await getApprovals() : await getApprovals(process.cwd(), { phase });
+
+  console.log(chalk.blue(`✍️  Approvals for ${phase}\n`));
+  if (status.required.length === 0) {
+    console.log(chalk.gray('  This phase does not require approval'));
+  } else {
+    for (const role of status.required) {
+      const approved = !status.missing.includes(role);
+      console.log(`  ${approved ? chalk.green('✓') : chalk.yellow('○')} ${chalk.cyan(role)}`);
+    }
+  }
+
+  console.log(chalk.bold(`\n🧾 History${all ? ' (all phases)' : ''}:`));
+  if (history.length === 0) {
+    console.log(chalk.gray('  No approvals recorded'));
+    return;
+  }
+
+  for (const approval of history) {
+    console.log(`  • ${chalk.cyan(approval.phase)} ${approval.role} by ${chalk.bold(approval.approver)} ${chalk.gray(approval.approvedAt)}`);
+    console.log(chalk.gray(`    ${approval.comment}`));
+  }
+}
+
+/**
+ * Register approve command with commander
+ */
+export function registerApproveCommand(program) {
+  program
+    .command('approve [phase]')
+    .description('Record a human sign-off for a phase (defaults to the current phase)')
+    .option('-c, --comment <comment>', 'Why the phase is approved')
+    .option('-r, --role <role>', 'Role you are approving as, when the phase requires several')
+    .option('-q, --accept-quality', 'Let the phase advance although its deliverables are below the quality thresholds; the comment is the reason')
+    .option('-b, --by <name>', 'Who is approving (defaults to GUIDANT_ACTOR or your user name)')
+    .option('-l, --list', 'Show required approvals and approval history instead of approving')
+    .option('-a, --all', 'With --list, show the history of every phase')
+    .action(approveCommand);
+}
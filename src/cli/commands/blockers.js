@@ -0,0 +1,175 @@
+/**
+ * Blockers Commands
+ * Record, list and resolve blockers on tickets and deliverables
+ */
+
+import chalk from 'chalk';
+import {
+  getBlockers,
+  createBlocker,
+  resolveBlocker,
+  describeTarget,
+  BLOCKER_STATUSES
+} from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+const SEVERITY_COLORS = {
+  critical: chalk.red.bold,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.gray
+};
+
+/**
+ * List blockers
+ */
+export async function listBlockersCommand(options = {}) {
+  try {
+    await requireProject();
+
+    const blockers = await getBlockers(process.cwd(), {
+      status: options.all ? undefined : BLOCKER_STATUSES.OPEN,
+      ticketId: options.ticket,
+      deliverable: options.deliverable
+    });
+
+    console.log(chalk.blue(`🚧 ${options.all ? 'All blockers' : 'Open blockers'}\n`));
+    if (blockers.length === 0) {
+      console.log(chalk.gray('  No blockers'));
+      return;
+    }
+
+    for (const blocker of blockers) {
+      printBlocker(blocker);
+    }
+
+    if (blockers.some(blocker => blocker.status === BLOCKER_STATUSES.OPEN)) {
+      console.log();
+      showInfo('Resolve a blocker with: guidant blockers resolve <id> --resolution "<how it was cleared>"');
+    }
+  } catch (error) {
+    handleError(error, 'Blockers list command');
+  }
+}
+
+/**
+ * Record a blocker
+ */
+export async function addBlockerCommand(description, options = {}) {
+  try {
+    await requireProject();
+
+    if (!options.ticket && !options.deliverable) {
+      showWarning('Name the blocked work with --ticket <id> or --deliverable <name>');
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await createBlocker({
+      description,
+      ticketId: options.ticket,
+      deliverable: options.deliverable,
+      severity: options.severity,
+      owner: options.owner,
+      reportedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    showInfo('The blocked work is skipped until the blocker is resolved.');
+  } catch (error) {
+    handleError(error, 'Blockers add command');
+  }
+}
+
+/**
+ * Resolve a blocker
+ */
+export async function resolveBlockerCommand(blockerId, options = {}) {
+  try {
+    await requireProject();
+
+    if (!options.resolution) {
+      showWarning('A resolution is required: guidant blockers resolve <id> --resolution "<how it was cleared>"');
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await resolveBlocker(blockerId, {
+      resolution: options.resolution,
+      resolvedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+  } catch (error) {
+    handleError(error, 'Blockers resolve command');
+  }
+}
+
+/**
+ * Print one blocker
+ */
+export function printBlocker(blocker) {
+  const color = SEVERITY_COLORS[blocker.severity] || chalk.white;
+  const resolved = blocker.status === BLOCKER_STATUSES.RESOLVED;
+
+  console.log(`  ${resolved ? chalk.green('✓') : color('●')} ${chalk.bold(blocker.id)} ${color(`[${blocker.severity}]`)} ${blocker.description}`);
+  console.log(chalk.gray(`     blocks ${describeTarget(blocker.target)} · owner ${blocker.owner || 'unassigned'} · reported by ${blocker.reportedBy} ${blocker.createdAt}`));
+  if (resolved) {
+    console.log(chalk.gray(`     resolved by ${blocker.resolvedBy} ${blocker.resolvedAt}: ${blocker.resolution}`));
+  }
+}
+
+/**
+ * Register blockers commands with commander
+ */
+export function registerBlockersCommands(program) {
+  const blockersCmd = program
+    .command('blockers')
+    .description('Record, list and resolve blockers on tickets and deliverables (add, list, resolve)')
+    .action(() => {
+      // Show help when no subcommand provided
+      console.log('Usage: guidant blockers <subcommand>\n');
+      console.log('Subcommands:');
+      console.log('  add <description>      Record a blocker on a ticket or deliverable');
+      console.log('  list                   List open blockers, most severe first');
+      console.log('  resolve <id>           Mark a blocker as resolved');
+      console.log('\nUse "guidant blockers <subcommand> --help" for more information.');
+    });
+
+  blockersCmd
+    .command('add <description>')
+    .description('Record a blocker; the blocked work is skipped until it is resolved')
+    .option('-t, --ticket <id>', 'Ticket that is blocked')
+    .option('-d, --deliverable <name>', 'Deliverable that is blocked')
+    .option('-s, --severity <severity>', 'low, medium, high or critical (default medium)')
+    .option('-o, --owner <owner>', 'Who is responsible for clearing the blocker')
+    .option('--by <name>', 'Who is reporting the blocker')
+    .action(addBlockerCommand);
+
+  blockersCmd
+    .command('list')
+    .description('List open blockers, most severe first')
+    .option('-a, --all', 'Include resolved blockers')
+    .option('-t, --ticket <id>', 'Only blockers on this ticket')
+    .option('-d, --deliverable <name>', 'Only blockers on this deliverable')
+    .action(listBlockersCommand);
+
+  blockersCmd
+    .command('resolve <id>')
+    .description('Mark a blocker as resolved')
+    .option('-r, --resolution <resolution>', 'How the blocker was cleared')
+    .option('--by <name>', 'Who cleared the blocker')
+    .action(resolveBlockerCommand);
+}
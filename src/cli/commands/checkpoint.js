@@ -0,0 +1,189 @@
+/**
+ * Checkpoint Commands
+ * Take, compare, restore and prune named snapshots of the .guidant directory
+ */
+
+import chalk from 'chalk';
+import {
+  createCheckpoint,
+  listCheckpoints,
+  diffCheckpoint,
+  restoreCheckpoint,
+  pruneCheckpoints
+} from '../../file-management/checkpoint-manager.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Print a failed result and flag the command as failed
+ */
+function showFailure(result) {
+  showWarning(result.error);
+  process.exitCode = 1;
+}
+
+/**
+ * guidant checkpoint create <name>
+ */
+export async function createCheckpointCommand(name, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await createCheckpoint(name, { reason: options.reason });
+    if (!result.success) return showFailure(result);
+
+    showSuccess(result.message);
+  } catch (error) {
+    handleError(error, 'Checkpoint create');
+  }
+}
+
+/**
+ * guidant checkpoint list
+ */
+export async function listCheckpointsCommand() {
+  try {
+    await requireProject();
+
+    const result = await listCheckpoints();
+    if (!result.success) return showFailure(result);
+
+    if (result.total === 0) {
+      showInfo('No checkpoints yet. Create one with "guidant checkpoint create <name>".');
+      return;
+    }
+
+    console.log(chalk.bold(`📸 Checkpoints (${result.total}):\n`));
+    for (const checkpoint of result.checkpoints) {
+      const tag = checkpoint.auto ? chalk.gray(' [auto]') : '';
+      console.log(`  ${chalk.cyan(checkpoint.name)}${tag}`);
+      console.log(chalk.gray(`    ${checkpoint.createdAt} · ${checkpoint.fileCount} files${checkpoint.reason ? ` · ${checkpoint.reason}` : ''}`));
+    }
+  } catch (error) {
+    handleError(error, 'Checkpoint list');
+  }
+}
+
+/**
+ * guidant checkpoint diff <name> [against]
+ */
+export async function diffCheckpointCommand(name, against) {
+  try {
+    await requireProject();
+
+    const result = await diffCheckpoint(name, { against });
+    if (!result.success) return showFailure(result);
+
+    if (!result.hasChanges) {
+      showSuccess(`No changes between ${result.from} and ${result.to}`);
+      return;
+    }
+
+    console.log(chalk.bold(`🔍 ${result.from} → ${result.to}\n`));
+    for (const file of result.added) console.log(chalk.green(`  + ${file}`));
+    for (const file of result.removed) console.log(chalk.red(`  - ${file}`));
+    for (const file of result.modified) console.log(chalk.yellow(`  ~ ${file}`));
+    console.log(chalk.gray(`\n  ${result.unchanged} files unchanged`));
+  } catch (error) {
+    handleError(error, 'Checkpoint diff');
+  }
+}
+
+/**
+ * guidant checkpoint restore <name>
+ */
+export async function restoreCheckpointCommand(name, options = {}) {
+  try {
+    await requireProject();
+
+    if (!options.yes) {
+      showWarning(`Restoring replaces every .guidant file with the contents of "${name}".`);
+      console.log(chalk.gray('   Re-run with --yes to confirm.'));
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await restoreCheckpoint(name);
+    if (!result.success) return showFailure(result);
+
+    showSuccess(`${result.message} (${result.restored} files)`);
+    if (result.removed.length > 0) {
+      console.log(chalk.gray(`   Removed ${result.removed.length} files created after the checkpoint`));
+    }
+    console.log(chalk.gray(`   Undo with: guidant checkpoint restore ${result.safetyCheckpoint} --yes`));
+  } catch (error) {
+    handleError(error, 'Checkpoint restore');
+  }
+}
+
+/**
+ * guidant checkpoint prune
+ */
+export async function pruneCheckpointsCommand(options = {}) {
+  try {
+    await requireProject();
+
+    const result = await pruneCheckpoints({
+      keep: options.keep !== undefined ? Number.parseInt(options.keep, 10) : undefined,
+      olderThanDays: options.olderThan !== undefined ? Number.parseFloat(options.olderThan) : undefined,
+      autoOnly: options.autoOnly
+    });
+    if (!result.success) return showFailure(result);
+
+    showSuccess(`${result.message}, ${result.remaining} remaining`);
+    for (const name of result.pruned) {
+      console.log(chalk.gray(`  • ${name}`));
+    }
+  } catch (error) {
+    handleError(error, 'Checkpoint prune');
+  }
+}
+
+/**
+ * Register checkpoint commands with commander
+ */
+export function registerCheckpointCommands(program) {
+  const checkpointCmd = program
+    .command('checkpoint')
+    .description('Snapshot and restore the .guidant directory (create, list, diff, restore, prune)')
+    .action(() => {
+      // Show help when no subcommand provided
+      console.log('Usage: guidant checkpoint <subcommand>\n');
+      console.log('Subcommands:');
+      console.log('  create <name>          Snapshot every .guidant file');
+      console.log('  list                   List checkpoints, newest first');
+      console.log('  diff <name> [other]    Compare a checkpoint with the current files or another checkpoint');
+      console.log('  restore <name>         Restore every .guidant file from a checkpoint');
+      console.log('  prune                  Delete old checkpoints');
+      console.log('\nUse "guidant checkpoint <subcommand> --help" for more information.');
+    });
+
+  checkpointCmd
+    .command('create <name>')
+    .description('Snapshot every .guidant file under a name')
+    .option('-r, --reason <reason>', 'Why the checkpoint is being taken')
+    .action(createCheckpointCommand);
+
+  checkpointCmd
+    .command('list')
+    .description('List checkpoints, newest first')
+    .action(listCheckpointsCommand);
+
+  checkpointCmd
+    .command('diff <name> [against]')
+    .description('Show files added, removed or modified since a checkpoint')
+    .action(diffCheckpointCommand);
+
+  checkpointCmd
+    .command('restore <name>')
+    .description('Restore every .guidant file from a checkpoint')
+    .option('-y, --yes', 'Confirm replacing the current .guidant files')
+    .action(restoreCheckpointCommand);
+
+  checkpointCmd
+    .command('prune')
+    .description('Delete old checkpoints')
+    .option('-k, --keep <count>', 'Keep this many of the newest checkpoints')
+    .option('--older-than <days>', 'Delete checkpoints older than this many days')
+    .option('--auto-only', 'Only prune automatic checkpoints')
+    .action(pruneCheckpointsCommand);
+}
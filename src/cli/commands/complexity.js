@@ -0,0 +1,73 @@
+/**
+ * Complexity Command
+ * Score implementation tickets and recommend which ones to expand into subtasks
+ */
+
+import chalk from 'chalk';
+import { analyzeTicketComplexity } from '../../ai-integration/complexity-analyzer.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Complexity command implementation
+ */
+export async function complexityCommand(ticketIds = [], options = {}) {
+  try {
+    await requireProject();
+
+    const threshold = options.threshold ? Number.parseFloat(options.threshold) : undefined;
+    if (threshold !== undefined && (!Number.isFinite(threshold) || threshold < 1 || threshold > 10)) {
+      showWarning(`Invalid threshold "${options.threshold}" (expected 1-10)`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await analyzeTicketComplexity(process.cwd(), {
+      ticketIds: ticketIds.length > 0 ? ticketIds : undefined,
+      threshold,
+      useAI: options.ai !== false
+    });
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { report } = result;
+    showSuccess(result.message);
+    if (!report.meta.sources.includes('ai')) {
+      showInfo('No AI provider was available; tickets were scored with the built-in heuristic.');
+    }
+
+    console.log();
+    for (const entry of report.tickets) {
+      const color = entry.complexityScore >= 8 ? chalk.red : entry.complexityScore >= 5 ? chalk.yellow : chalk.green;
+      const expand = entry.expansionRecommended ? chalk.cyan(` → expand into ${entry.recommendedSubtasks} subtasks`) : '';
+      console.log(`  ${color(`${String(entry.complexityScore).padStart(2)}/10`)} ${chalk.bold(entry.ticketId)} ${entry.title || ''}${expand}`);
+      console.log(chalk.gray(`        ${entry.reasoning}`));
+    }
+
+    const { summary } = report;
+    console.log();
+    console.log(chalk.gray(`  Average ${summary.averageScore} · ${summary.high} high · ${summary.medium} medium · ${summary.low} low`));
+    console.log(chalk.gray(`  Report saved to ${result.reportPath}`));
+
+    if (summary.expansionRecommended.length > 0) {
+      console.log();
+      showInfo(`Break down complex tickets with: guidant expand ${summary.expansionRecommended[0]}`);
+    }
+  } catch (error) {
+    handleError(error, 'Complexity command');
+  }
+}
+
+/**
+ * Register complexity command with commander
+ */
+export function registerComplexityCommand(program) {
+  program
+    .command('complexity [ticketIds...]')
+    .description('Score ticket complexity and recommend which tickets to expand')
+    .option('-t, --threshold <score>', 'Score at which expansion is recommended (default 5)')
+    .option('--no-ai', 'Score with the built-in heuristic only')
+    .action(complexityCommand);
+}
@@ -3,7 +3,7 @@
  * Centralized state fetching and validation
  */
 
-import { getCurrentWorkflowState } from '../../../workflow-logic/workflow-engine.js';
+import { getCurrentWorkflowState, getTicketGraph } from '../../../workflow-logic/workflow-engine.js';
 import { getProjectState } from '../../../file-management/project-structure.js';
 import { createDashboardError, ERROR_TYPES, withErrorHandling } from './error-handler.js';
 
@@ -63,7 +63,10 @@ export class StateManager {
   static async getWorkflowState() {
     return withErrorHandling(
       async () => {
-        const workflow = await getCurrentWorkflowState();
+        const [workflow, taskGraph] = await Promise.all([
+          getCurrentWorkflowState(),
+          getTicketGraph()
+        ]);
         
         // Provide sensible defaults
         return {
@@ -72,6 +75,7 @@ export class StateManager {
             planning: { completed: false, progress: 0 },
             implementation: { completed: false, progress: 0 }
           },
+          taskGraph,
           ...workflow
         };
       },
@@ -0,0 +1,350 @@
+/**
+ * Decision Commands
+ * Record, search, review, supersede and archive the project's decisions
+ */
+
+import chalk from 'chalk';
+import {
+  recordDecision,
+  getDecisions,
+  getDecision,
+  reviewDecision,
+  supersedeDecision,
+  archiveDecision,
+  isDecisionOverdue,
+  DECISION_STATUSES
+} from '../../context/decision-tracker.js';
+import { getCurrentWorkflowState } from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+const IMPACT_COLORS = {
+  critical: chalk.red.bold,
+  high: chalk.red,
+  medium: chalk.yellow,
+  low: chalk.gray
+};
+
+/**
+ * Record a decision
+ */
+export async function recordDecisionCommand(title, options = {}) {
+  try {
+    await requireProject();
+
+    const workflowState = await getCurrentWorkflowState();
+    const result = await recordDecision({
+      title,
+      ...decisionOptions(options),
+      phase: options.phase || workflowState.currentPhase?.phase,
+      recordedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(`Recorded ${result.decision.id}: ${result.decision.title}`);
+    if (result.decision.reviewDate) {
+      showInfo(`Due for review on ${result.decision.reviewDate}`);
+    }
+  } catch (error) {
+    handleError(error, 'Decision record command');
+  }
+}
+
+/**
+ * List and search decisions
+ */
+export async function listDecisionsCommand(query, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await getDecisions({
+      query,
+      type: options.type,
+      phase: options.phase,
+      impact: options.impact,
+      tag: options.tag,
+      overdue: options.overdue,
+      status: options.status,
+      limit: options.limit ? Number(options.limit) : undefined
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Archived and superseded decisions are history; show them only when asked for
+    const decisions = options.all || options.status
+      ? result.decisions
+      : result.decisions.filter(decision => !isClosedStatus(decision.status));
+
+    console.log(chalk.blue(`🧭 ${options.overdue ? 'Decisions due for review' : 'Decisions'}${query ? ` matching "${query}"` : ''}\n`));
+    if (decisions.length === 0) {
+      console.log(chalk.gray('  No decisions'));
+      return;
+    }
+
+    for (const decision of decisions) {
+      printDecision(decision);
+    }
+
+    console.log();
+    showInfo('Show a decision with: guidant decision show <id>');
+  } catch (error) {
+    handleError(error, 'Decision list command');
+  }
+}
+
+/**
+ * Show one decision in full
+ */
+export async function showDecisionCommand(decisionId) {
+  try {
+    await requireProject();
+
+    const result = await getDecision(decisionId);
+    if (!result.success) {
+      showWarning(`${result.error}: ${decisionId}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { decision } = result;
+    printDecision(decision);
+    const field = (label, value) => {
+      if (value) console.log(`     ${chalk.bold(label)}: ${value}`);
+    };
+    const list = (label, values) => {
+      if (values?.length) console.log(`     ${chalk.bold(label)}: ${values.join('; ')}`);
+    };
+
+    field('Description', decision.description);
+    field('Rationale', decision.rationale);
+    list('Alternatives', decision.alternatives);
+    list('Consequences', decision.consequences);
+    list('Stakeholders', decision.stakeholders);
+    list('Tags', decision.metadata?.tags);
+    field('Supersedes', decision.supersedes);
+    if (decision.reviewedAt) {
+      field('Reviewed', `by ${decision.reviewedBy} ${decision.reviewedAt}${decision.reviewOutcome ? `: ${decision.reviewOutcome}` : ''}`);
+      field('Review notes', decision.reviewNotes);
+    }
+    if (decision.archivedAt) {
+      field('Archived', `by ${decision.archivedBy || 'unknown'} ${decision.archivedAt}${decision.archiveReason ? `: ${decision.archiveReason}` : ''}`);
+    }
+  } catch (error) {
+    handleError(error, 'Decision show command');
+  }
+}
+
+/**
+ * Mark a decision as reviewed
+ */
+export async function reviewDecisionCommand(decisionId, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await reviewDecision(decisionId, {
+      outcome: options.outcome,
+      notes: options.notes,
+      nextReviewDate: options.next,
+      reviewedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(`Reviewed ${decisionId}`);
+    if (options.next) {
+      showInfo(`Next review on ${result.decision.reviewDate}`);
+    }
+  } catch (error) {
+    handleError(error, 'Decision review command');
+  }
+}
+
+/**
+ * Replace a decision with a new one
+ */
+export async function supersedeDecisionCommand(decisionId, title, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await supersedeDecision(decisionId, {
+      title,
+      ...decisionOptions(options),
+      ...(options.phase ? { phase: options.phase } : {}),
+      recordedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+  } catch (error) {
+    handleError(error, 'Decision supersede command');
+  }
+}
+
+/**
+ * Archive a decision that no longer applies
+ */
+export async function archiveDecisionCommand(decisionId, options = {}) {
+  try {
+    await requireProject();
+
+    const result = await archiveDecision(decisionId, process.cwd(), {
+      reason: options.reason,
+      archivedBy: options.by
+    });
+
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(`Archived ${decisionId}`);
+  } catch (error) {
+    handleError(error, 'Decision archive command');
+  }
+}
+
+/**
+ * Print one decision
+ */
+export function printDecision(decision) {
+  const color = IMPACT_COLORS[decision.impact] || chalk.white;
+  const overdue = isDecisionOverdue(decision);
+  const marker = isClosedStatus(decision.status) ? chalk.gray('○') : overdue ? chalk.yellow('!') : color('●');
+
+  console.log(`  ${marker} ${chalk.bold(decision.id)} ${color(`[${decision.impact}]`)} ${decision.title}`);
+
+  const details = [
+    decision.type,
+    decision.phase,
+    decision.status,
+    `recorded by ${decision.metadata?.recordedBy || 'unknown'} ${decision.timestamp}`
+  ].filter(Boolean);
+  if (decision.reviewDate) {
+    details.push(overdue ? chalk.yellow(`review was due ${decision.reviewDate}`) : `review ${decision.reviewDate}`);
+  }
+  if (decision.supersededBy) {
+    details.push(`superseded by ${decision.supersededBy}`);
+  }
+  console.log(chalk.gray(`     ${details.join(' · ')}`));
+}
+
+// Decision fields shared by record and supersede; unset options are left out
+// so supersede keeps the old decision's values
+function decisionOptions(options) {
+  const fields = {
+    description: options.description,
+    rationale: options.rationale,
+    type: options.type,
+    impact: options.impact,
+    alternatives: options.alternative,
+    consequences: options.consequence,
+    stakeholders: options.stakeholder,
+    tags: options.tag,
+    reviewDate: options.review
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function isClosedStatus(status) {
+  return status === DECISION_STATUSES.SUPERSEDED || status === DECISION_STATUSES.ARCHIVED;
+}
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Register decision commands with commander
+ */
+export function registerDecisionCommands(program) {
+  const decisionCmd = program
+    .command('decision')
+    .description('Record, search, review, supersede and archive decisions (record, list, show, review, supersede, archive)')
+    .action(() => {
+      // Show help when no subcommand provided
+      console.log('Usage: guidant decision <subcommand>\n');
+      console.log('Subcommands:');
+      console.log('  record <title>              Record a decision with its rationale');
+      console.log('  list [query]                List or search decisions, newest first');
+      console.log('  show <id>                   Show a decision in full');
+      console.log('  review <id>                 Record that a decision was reviewed');
+      console.log('  supersede <id> <title>      Replace a decision with a new one');
+      console.log('  archive <id>                Archive a decision that no longer applies');
+      console.log('\nUse "guidant decision <subcommand> --help" for more information.');
+    });
+
+  const addDecisionOptions = command => command
+    .option('-d, --description <text>', 'The decision in full')
+    .option('-r, --rationale <text>', 'Why this was decided')
+    .option('-t, --type <type>', 'technical, business, design, architecture, process, scope, timeline or resource')
+    .option('-i, --impact <impact>', 'low, medium, high or critical (default medium)')
+    .option('-p, --phase <phase>', 'Phase the decision was made in')
+    .option('--alternative <text>', 'An option that was not chosen (repeatable)', collect)
+    .option('--consequence <text>', 'An expected consequence (repeatable)', collect)
+    .option('--stakeholder <name>', 'Someone the decision was made with or for (repeatable)', collect)
+    .option('--tag <tag>', 'Tag to find the decision by (repeatable)', collect)
+    .option('--review <date>', 'When to review the decision (ISO date)')
+    .option('--by <name>', 'Who made the decision');
+
+  addDecisionOptions(decisionCmd
+    .command('record <title>')
+    .description('Record a decision; the phase defaults to the current phase'))
+    .action(recordDecisionCommand);
+
+  decisionCmd
+    .command('list [query]')
+    .description('List decisions in force, newest first, optionally matching text')
+    .option('-a, --all', 'Include superseded and archived decisions')
+    .option('-s, --status <status>', 'Only decisions with this status (active, reviewed, superseded, archived)')
+    .option('-t, --type <type>', 'Only decisions of this type')
+    .option('-i, --impact <impact>', 'Only decisions with this impact')
+    .option('-p, --phase <phase>', 'Only decisions made in this phase')
+    .option('--tag <tag>', 'Only decisions with this tag')
+    .option('--overdue', 'Only decisions whose review date has passed')
+    .option('-n, --limit <count>', 'Show at most this many decisions')
+    .action(listDecisionsCommand);
+
+  decisionCmd
+    .command('show <id>')
+    .description('Show a decision in full')
+    .action(showDecisionCommand);
+
+  decisionCmd
+    .command('review <id>')
+    .description('Record that a decision was reviewed and still holds')
+    .option('-o, --outcome <outcome>', 'Outcome of the review, e.g. "still valid"')
+    .option('--notes <notes>', 'Review notes')
+    .option('--next <date>', 'When to review the decision again (ISO date)')
+    .option('--by <name>', 'Who reviewed the decision')
+    .action(reviewDecisionCommand);
+
+  addDecisionOptions(decisionCmd
+    .command('supersede <id> <title>')
+    .description('Replace a decision with a new one; type, impact, phase and tags default to the old decision\'s'))
+    .action(supersedeDecisionCommand);
+
+  decisionCmd
+    .command('archive <id>')
+    .description('Archive a decision that no longer applies and has no replacement')
+    .option('-r, --reason <reason>', 'Why the decision no longer applies')
+    .option('--by <name>', 'Who archived the decision')
+    .action(archiveDecisionCommand);
+}
@@ -0,0 +1,58 @@
+/**
+ * Expand Command
+ * Break an implementation ticket into ordered subtasks
+ */
+
+import chalk from 'chalk';
+import { expandTicket } from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Expand command implementation
+ */
+export async function expandCommand(ticketId, options = {}) {
+  try {
+    await requireProject();
+
+    const count = options.count ? Number.parseInt(options.count, 10) : undefined;
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+      showWarning(`Invalid subtask count "${options.count}"`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await expandTicket(ticketId, { count, force: options.force });
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    if (result.source === 'fallback') {
+      showInfo('No AI provider was available; subtasks were derived from the ticket itself.');
+    }
+
+    console.log();
+    for (const subtask of result.subtasks) {
+      console.log(`  ${chalk.gray(`${subtask.order}.`)} ${chalk.bold(subtask.title)} ${chalk.gray(`(${subtask.id})`)}`);
+      for (const criterion of subtask.acceptanceCriteria) {
+        console.log(chalk.gray(`     ✓ ${criterion}`));
+      }
+    }
+  } catch (error) {
+    handleError(error, 'Expand command');
+  }
+}
+
+/**
+ * Register expand command with commander
+ */
+export function registerExpandCommand(program) {
+  program
+    .command('expand <ticketId>')
+    .description('Break an implementation ticket into ordered subtasks')
+    .option('-n, --count <count>', 'Number of subtasks to aim for (default 4)')
+    .option('-f, --force', 'Replace the subtasks of a ticket that was already expanded')
+    .action(expandCommand);
+}
@@ -0,0 +1,85 @@
+/**
+ * Git Command
+ * Show the commits linked to tickets and deliverables, and tickets that look done
+ */
+
+import chalk from 'chalk';
+import { getGitLinks, suggestCompletedTickets } from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Git command implementation
+ */
+export async function gitCommand(ticketId, options = {}) {
+  try {
+    await requireProject();
+
+    const links = await getGitLinks(process.cwd(), { mainBranch: options.main });
+    if (!links.success) {
+      showWarning(links.error);
+      process.exitCode = 1;
+      return;
+    }
+    if (!links.available) {
+      showWarning('This project is not a git repository with commits');
+      process.exitCode = 1;
+      return;
+    }
+
+    const tickets = ticketId ? links.tickets.filter(ticket => ticket.ticketId === ticketId) : links.tickets;
+    const head = links.head;
+    console.log(chalk.blue(`🔀 Git links (main branch: ${links.mainBranch})`));
+    console.log(chalk.gray(`   HEAD ${head.shortSha} on ${head.branch || 'detached HEAD'}${head.dirty ? ' (uncommitted changes)' : ''}\n`));
+
+    console.log(chalk.bold('🎫 Tickets:'));
+    if (tickets.length === 0) {
+      console.log(chalk.gray(ticketId ? `  No commits linked to ${ticketId}` : '  No commits linked to tickets'));
+    }
+    for (const ticket of tickets) {
+      const status = ticket.done ? chalk.green(ticket.status) : chalk.yellow(ticket.status);
+      console.log(`  ${chalk.bold(ticket.ticketId)} ${ticket.title || ''} ${chalk.gray('·')} ${status}`);
+      for (const commit of ticket.commits) {
+        printCommit(commit);
+      }
+    }
+
+    if (!ticketId && links.deliverables.length > 0) {
+      console.log(chalk.bold('\n📄 Deliverables:'));
+      for (const deliverable of links.deliverables) {
+        console.log(`  ${chalk.bold(deliverable.deliverable)}`);
+        for (const commit of deliverable.commits) {
+          printCommit(commit);
+        }
+        for (const save of deliverable.saves) {
+          console.log(chalk.gray(`     saved at ${save.shortSha} on ${save.branch || 'detached HEAD'}${save.dirty ? ' (uncommitted changes)' : ''} · ${save.savedAt}`));
+        }
+      }
+    }
+
+    const suggestions = suggestCompletedTickets({ tickets });
+    if (suggestions.length > 0) {
+      console.log();
+      for (const suggestion of suggestions) {
+        showInfo(suggestion.message);
+      }
+    }
+  } catch (error) {
+    handleError(error, 'Git command');
+  }
+}
+
+function printCommit(commit) {
+  const merged = commit.merged ? chalk.green('merged') : chalk.yellow(commit.branch);
+  console.log(`     ${chalk.cyan(commit.shortSha)} ${commit.subject} ${chalk.gray(`(${commit.source}, `)}${merged}${chalk.gray(')')}`);
+}
+
+/**
+ * Register git command with commander
+ */
+export function registerGitCommand(program) {
+  program
+    .command('git [ticketId]')
+    .description('Show commits linked to tickets and deliverables, and tickets whose work is merged')
+    .option('-m, --main <branch>', 'Branch work is merged into (default main, then master)')
+    .action(gitCommand);
+}
@@ -5,6 +5,8 @@
 
 import chalk from 'chalk';
 import { checkProjectHealth, repairProjectFiles } from '../../file-management/project-structure.js';
+import { migrateQualityGatesFile } from '../../workflow-logic/deliverable-lifecycle.js';
+import { loadTaskTickets, validateTicketDependencies } from '../../workflow-logic/task-dependencies.js';
 import { requireProject, handleError, showSuccess, showWarning } from '../utils.js';
 
 /**
@@ -46,6 +48,18 @@ export async function healthCommand(options = {}) {
       });
     }
 
+    // Ticket dependency links must form a graph without cycles
+    const dependencies = validateTicketDependencies(await loadTaskTickets());
+    if (!dependencies.valid) {
+      console.log(chalk.bold('\n🔗 Ticket Dependency Issues:'));
+      for (const cycle of dependencies.cycles) {
+        console.log(chalk.yellow(`• Cycle: ${cycle.join(' -> ')}`));
+      }
+      for (const link of dependencies.missing) {
+        console.log(chalk.yellow(`• ${link.ticket} depends on unknown ticket ${link.dependsOn}`));
+      }
+    }
+
     // Repair if requested
     if (options.repair && health.issues.length > 0) {
       console.log(chalk.blue('\n🔧 Attempting repairs...'));
@@ -65,6 +79,16 @@ export async function healthCommand(options = {}) {
       }
     }
 
+    // Bring quality gates written before deliverable lifecycle states up to date
+    if (options.repair) {
+      const migration = await migrateQualityGatesFile();
+      if (migration.success && migration.migrated.length > 0) {
+        showSuccess(`Migrated quality gates to deliverable states: ${migration.migrated.join(', ')}`);
+      } else if (!migration.success) {
+        showWarning(`Could not migrate quality gates: ${migration.error}`);
+      }
+    }
+
   } catch (error) {
     handleError(error, 'Health command');
   }
@@ -77,6 +101,6 @@ export function registerHealthCommand(program) {
   program
     .command('health')
     .description('Check project file health and integrity')
-    .option('-r, --repair', 'Attempt to repair corrupted files from backups')
+    .option('-r, --repair', 'Attempt to repair corrupted files from backups and migrate outdated files')
     .action(healthCommand);
 }
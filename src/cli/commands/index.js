@@ -8,19 +8,45 @@ import { registerHealthCommand } from './health.js';
 import { registerInitCommand } from './init.js';
 import { registerDashboardCommands } from './dashboard/index.js';
 import { registerAdaptiveCommands } from './adaptive.js';
+import { registerRollbackCommand } from './rollback.js';
+import { registerReplayCommand } from './replay.js';
+import { registerCheckpointCommands } from './checkpoint.js';
+import { registerApproveCommand } from './approve.js';
+import { registerExpandCommand } from './expand.js';
+import { registerComplexityCommand } from './complexity.js';
+import { registerBlockersCommands } from './blockers.js';
+import { registerDecisionCommands } from './decision.js';
+import { registerGitCommand } from './git.js';
+import { registerWatchCommand } from './watch.js';
+import { registerVersionsCommands } from './versions.js';
+import { registerTraceCommand } from './trace.js';
 
 /**
  * Register essential commands with the CLI program
  * Streamlined to 6 core commands following TaskMaster approach
  */
 export function registerAllCommands(program) {
-  // Essential commands only (6 total)
+  // Essential commands (6 total)
   registerInitCommand(program);           // 1. guidant init
   registerStatusCommand(program);         // 2. guidant status
   registerDashboardCommands(program);     // 3. guidant dashboard
   registerHealthCommand(program);         // 4. guidant health
   registerAdaptiveCommands(program);      // 5. guidant adaptive (consolidated)
   // 6. guidant help (built-in commander help)
+
+  // Workflow maintenance commands
+  registerRollbackCommand(program);       // guidant rollback
+  registerReplayCommand(program);         // guidant replay
+  registerCheckpointCommands(program);    // guidant checkpoint
+  registerApproveCommand(program);        // guidant approve
+  registerExpandCommand(program);         // guidant expand
+  registerComplexityCommand(program);     // guidant complexity
+  registerBlockersCommands(program);      // guidant blockers
+  registerDecisionCommands(program);      // guidant decision
+  registerGitCommand(program);            // guidant git
+  registerWatchCommand(program);          // guidant watch
+  registerVersionsCommands(program);      // guidant versions
+  registerTraceCommand(program);          // guidant trace
 }
 
 /**
@@ -54,6 +80,66 @@ export function getAvailableCommands() {
       description: 'Workflow management (classify, modes, upgrade)',
       category: 'Workflow'
     },
+    {
+      name: 'rollback',
+      description: 'Reopen an earlier phase',
+      category: 'Workflow'
+    },
+    {
+      name: 'replay',
+      description: 'Rebuild state from the event journal',
+      category: 'Workflow'
+    },
+    {
+      name: 'checkpoint',
+      description: 'Snapshot and restore .guidant (create, list, diff, restore, prune)',
+      category: 'Workflow'
+    },
+    {
+      name: 'approve',
+      description: 'Sign off a phase so it can be advanced',
+      category: 'Workflow'
+    },
+    {
+      name: 'expand',
+      description: 'Break a ticket into ordered subtasks',
+      category: 'Workflow'
+    },
+    {
+      name: 'complexity',
+      description: 'Score ticket complexity',
+      category: 'Workflow'
+    },
+    {
+      name: 'blockers',
+      description: 'Record, list and resolve blockers',
+      category: 'Workflow'
+    },
+    {
+      name: 'decision',
+      description: 'Decision log (record, list, show, review, supersede, archive)',
+      category: 'Workflow'
+    },
+    {
+      name: 'git',
+      description: 'Commits linked to tickets and deliverables',
+      category: 'Workflow'
+    },
+    {
+      name: 'watch',
+      description: 'Keep deliverable state in sync with file edits',
+      category: 'Workflow'
+    },
+    {
+      name: 'versions',
+      description: 'List, diff and restore deliverable versions',
+      category: 'Workflow'
+    },
+    {
+      name: 'trace',
+      description: 'Requirements traceability matrix and coverage gaps',
+      category: 'Workflow'
+    },
     {
       name: 'help',
       description: 'Contextual help',
@@ -0,0 +1,68 @@
+/**
+ * Replay Command
+ * Rebuild workflow state from the event journal, optionally as it was at a past time
+ */
+
+import chalk from 'chalk';
+import { replayWorkflowState, readJournal } from '../../workflow-logic/workflow-journal.js';
+import { getApprovedDeliverables } from '../../workflow-logic/deliverable-lifecycle.js';
+import { requireProject, handleError, showWarning } from '../utils.js';
+
+/**
+ * Replay command implementation
+ */
+export async function replayCommand(options = {}) {
+  try {
+    await requireProject();
+
+    const state = await replayWorkflowState(process.cwd(), { until: options.until });
+
+    if (options.json) {
+      console.log(JSON.stringify(state, null, 2));
+      return;
+    }
+
+    if (state.eventCount === 0) {
+      showWarning(options.until
+        ? `No journal events at or before ${options.until}`
+        : 'The workflow journal is empty');
+      return;
+    }
+
+    console.log(chalk.blue(`🎞️  Workflow state ${state.until ? `as of ${state.until}` : 'from the journal'}\n`));
+    console.log(`${chalk.bold('Current phase:')} ${chalk.cyan(state.currentPhase?.phase || 'unknown')}`);
+
+    console.log(chalk.bold('\n📋 Phases:'));
+    for (const [phase, phaseState] of Object.entries(state.phases.phases || {})) {
+      const completed = getApprovedDeliverables(state.qualityGates[phase]);
+      const deliverables = completed.length > 0 ? chalk.gray(` (${completed.join(', ')})`) : '';
+      console.log(`  • ${chalk.cyan(phase)}: ${phaseState.status}${deliverables}`);
+    }
+
+    console.log(chalk.bold('\n🧾 History:'));
+    console.log(`  ${state.sessions.length} progress reports, ${state.decisions.length} decisions`);
+    console.log(chalk.gray(`  Replayed ${state.eventCount} events, last at ${state.lastEvent.timestamp} by ${state.lastEvent.actor}`));
+
+    if (options.events) {
+      console.log(chalk.bold('\n📜 Events:'));
+      for (const event of await readJournal(process.cwd(), { until: options.until })) {
+        console.log(chalk.gray(`  ${event.timestamp} ${event.actor.padEnd(12)} ${event.type}`));
+      }
+    }
+  } catch (error) {
+    handleError(error, 'Replay command');
+  }
+}
+
+/**
+ * Register replay command with commander
+ */
+export function registerReplayCommand(program) {
+  program
+    .command('replay')
+    .description('Rebuild workflow state from the event journal')
+    .option('-u, --until <timestamp>', 'Rebuild the state as it was at this time (ISO 8601)')
+    .option('-e, --events', 'List the replayed events')
+    .option('--json', 'Print the rebuilt state as JSON')
+    .action(replayCommand);
+}
@@ -0,0 +1,58 @@
+/**
+ * Rollback Command
+ * Move the project back to an earlier phase and reopen its quality gates
+ */
+
+import chalk from 'chalk';
+import { rollbackPhase } from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning } from '../utils.js';
+
+/**
+ * Rollback command implementation
+ */
+export async function rollbackCommand(phase, options = {}) {
+  try {
+    await requireProject();
+
+    console.log(chalk.blue(`⏪ Rolling back to ${phase} phase...\n`));
+
+    const result = await rollbackPhase(phase, options.reason);
+
+    if (!result.success) {
+      showWarning(result.message);
+      if (result.error) {
+        console.log(chalk.gray(`   ${result.error}`));
+      }
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    console.log(chalk.bold('\n🔓 Reopened phases:'));
+    for (const reopened of result.reopenedPhases) {
+      console.log(`  • ${chalk.cyan(reopened)}`);
+    }
+
+    if (result.staleTransformations.length > 0) {
+      console.log(chalk.bold('\n🕸️  Stale transformations:'));
+      for (const key of result.staleTransformations) {
+        console.log(chalk.gray(`  • ${key}`));
+      }
+    }
+
+    console.log(chalk.gray(`\nReason recorded: ${options.reason}`));
+  } catch (error) {
+    handleError(error, 'Rollback command');
+  }
+}
+
+/**
+ * Register rollback command with commander
+ */
+export function registerRollbackCommand(program) {
+  program
+    .command('rollback <phase>')
+    .description('Roll back to an earlier phase and reopen its quality gates')
+    .requiredOption('-r, --reason <reason>', 'Why the phase is being reopened')
+    .action(rollbackCommand);
+}
@@ -3,11 +3,15 @@
  * Show current project status and progress with professional dashboard
  */
 
-import { getCurrentWorkflowState } from '../../workflow-logic/workflow-engine.js';
+import chalk from 'chalk';
+import { getCurrentWorkflowState, getBlockers, BLOCKER_STATUSES } from '../../workflow-logic/workflow-engine.js';
 import { getProjectState } from '../../file-management/project-structure.js';
 import { renderProjectDashboard } from '../../ui/dashboard-renderer.js';
 import { createTaskFocusDisplay } from '../../ui/components/TaskFocusDisplay.js';
 import { withProject, CommandMiddleware } from '../middleware/index.js';
+import { printBlocker } from './blockers.js';
+import { printDecision } from './decision.js';
+import { getOverdueDecisions } from '../../context/decision-tracker.js';
 
 /**
  * Status command implementation with middleware
@@ -30,6 +34,9 @@ export const statusCommand = withProject(async (options = {}) => {
         showTasks: options.tasks !== false
       });
     }
+
+    await renderOpenBlockers();
+    await renderOverdueDecisions();
   } catch (error) {
     console.error('❌ Status command failed:', error.message);
     if (options.debug) {
@@ -38,6 +45,38 @@ export const statusCommand = withProject(async (options = {}) => {
   }
 });
 
+/**
+ * Show unresolved blockers, which need a person to clear them
+ */
+async function renderOpenBlockers() {
+  const blockers = await getBlockers(process.cwd(), { status: BLOCKER_STATUSES.OPEN });
+  if (blockers.length === 0) {
+    return;
+  }
+
+  console.log(chalk.red.bold(`\n🚧 ${blockers.length} unresolved blocker${blockers.length === 1 ? '' : 's'}`));
+  for (const blocker of blockers) {
+    printBlocker(blocker);
+  }
+  console.log(chalk.gray('\n  Resolve with: guidant blockers resolve <id> --resolution "<how it was cleared>"'));
+}
+
+/**
+ * Show decisions whose review date has passed, so they are confirmed or replaced
+ */
+async function renderOverdueDecisions() {
+  const { success, decisions } = await getOverdueDecisions();
+  if (!success || decisions.length === 0) {
+    return;
+  }
+
+  console.log(chalk.yellow.bold(`\n🧭 ${decisions.length} decision${decisions.length === 1 ? '' : 's'} due for review`));
+  for (const decision of decisions) {
+    printDecision(decision);
+  }
+  console.log(chalk.gray('\n  Confirm with: guidant decision review <id> --next <date>, or replace with: guidant decision supersede <id> "<new decision>"'));
+}
+
 /**
  * Render task focus mode - single-task display with workflow context
  */
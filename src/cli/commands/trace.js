@@ -0,0 +1,76 @@
+/**
+ * Trace Command
+ * Trace requirements to design, API endpoints, tickets and tests, and report gaps
+ */
+
+import chalk from 'chalk';
+import { buildTraceabilityMatrix, TRACE_STAGES } from '../../workflow-logic/traceability.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+const STAGE_HEADINGS = {
+  design: 'Design',
+  api: 'API',
+  tickets: 'Tickets',
+  tests: 'Tests'
+};
+
+/**
+ * Trace command implementation
+ */
+export async function traceCommand(options = {}) {
+  try {
+    await requireProject();
+
+    const result = await buildTraceabilityMatrix(process.cwd());
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.markdown) {
+      console.log(result.markdown);
+      return;
+    }
+
+    const { summary } = result;
+    if (summary.requirements === 0) {
+      showInfo('No requirements are registered yet. They get IDs when the PRD is processed or saved to .guidant/deliverables/requirements.');
+      return;
+    }
+
+    showSuccess(`${summary.requirements} requirement(s): ${summary.fullyTraced} fully traced, ${summary.partiallyTraced} partially traced, ${summary.uncovered} without coverage`);
+    console.log();
+
+    const rows = options.gaps ? result.requirements.filter(row => row.coverage === 'none') : result.requirements;
+    for (const row of rows) {
+      const color = row.coverage === 'full' ? chalk.green : row.coverage === 'partial' ? chalk.yellow : chalk.red;
+      console.log(`  ${color('●')} ${chalk.bold(row.id)} ${row.text}`);
+      for (const stage of TRACE_STAGES) {
+        const links = row.links[stage].map(link => link.id).join(', ');
+        console.log(chalk.gray(`      ${STAGE_HEADINGS[stage].padEnd(8)} ${links || '—'}`));
+      }
+    }
+
+    console.log();
+    console.log(chalk.gray(`  Matrix saved to ${result.files.json} and ${result.files.markdown}`));
+    if (result.gaps.length > 0) {
+      showWarning(`${result.gaps.length} requirement(s) have no coverage: ${result.gaps.map(gap => gap.id).join(', ')}`);
+      showInfo('Mention a requirement ID in a design, ticket or test plan to link it explicitly.');
+    }
+  } catch (error) {
+    handleError(error, 'Trace command');
+  }
+}
+
+/**
+ * Register trace command with commander
+ */
+export function registerTraceCommand(program) {
+  program
+    .command('trace')
+    .description('Trace requirements to design, API endpoints, tickets and tests, and report gaps')
+    .option('--gaps', 'Only show requirements without coverage')
+    .option('--markdown', 'Print the Markdown report')
+    .action(traceCommand);
+}
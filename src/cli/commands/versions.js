@@ -0,0 +1,167 @@
+/**
+ * Versions Commands
+ * List, compare and restore the saved versions of a deliverable
+ */
+
+import chalk from 'chalk';
+import {
+  getDeliverableVersions,
+  diffDeliverableVersions,
+  restoreDeliverableVersion,
+  scoreDeliverableVersion
+} from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * List the versions of a deliverable
+ */
+export async function listVersionsCommand(file) {
+  try {
+    await requireProject();
+
+    const result = await getDeliverableVersions(file);
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(chalk.blue(`🗂  Versions of ${result.file}\n`));
+    for (const version of [...result.versions].reverse()) {
+      const quality = formatQuality(version.quality);
+      const restored = version.restoredFrom ? chalk.gray(` (restored from v${version.restoredFrom})`) : '';
+      console.log(`  ${chalk.bold(`v${version.version}`)} ${chalk.gray(version.contentHash.slice(0, 12))} ${quality}${restored}`);
+      console.log(chalk.gray(`     ${version.source} by ${version.author} ${version.savedAt}${version.phase ? ` · ${version.phase}` : ''}`));
+    }
+
+    if (result.versions.length > 1) {
+      console.log();
+      showInfo(`Compare with: guidant versions diff ${file} <from> [to]`);
+    }
+  } catch (error) {
+    handleError(error, 'Versions list command');
+  }
+}
+
+/**
+ * Show a unified diff between two versions of a deliverable
+ */
+export async function diffVersionsCommand(file, fromVersion, toVersion, options = {}) {
+  try {
+    await requireProject();
+
+    const versions = parseVersions([fromVersion, toVersion]);
+    const context = options.context === undefined ? undefined : Number.parseInt(options.context, 10);
+    if (!versions || (context !== undefined && (!Number.isInteger(context) || context < 0))) {
+      showWarning('Versions and context must be whole numbers, e.g. guidant versions diff requirements/prd.md 1 3');
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await diffDeliverableVersions(file, versions[0], versions[1], process.cwd(), { context });
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (result.identical) {
+      showInfo(`Versions ${result.from.version} and ${result.to.version} are identical`);
+      return;
+    }
+
+    for (const line of result.diff.trimEnd().split('\n')) {
+      console.log(colorDiffLine(line));
+    }
+    console.log(chalk.gray(`\n${result.added} line(s) added, ${result.removed} removed`));
+  } catch (error) {
+    handleError(error, 'Versions diff command');
+  }
+}
+
+/**
+ * Restore an earlier version of a deliverable
+ */
+export async function restoreVersionCommand(file, version, options = {}) {
+  try {
+    await requireProject();
+
+    const versions = parseVersions([version]);
+    if (!versions) {
+      showWarning(`Invalid version "${version}"`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await restoreDeliverableVersion(file, versions[0], process.cwd(), { author: options.by });
+    if (!result.success) {
+      showWarning(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    showSuccess(result.message);
+    if (result.created) {
+      const quality = await scoreDeliverableVersion(result.file, result.version.version);
+      console.log(`  Quality ${formatQuality(quality)}`);
+    }
+  } catch (error) {
+    handleError(error, 'Versions restore command');
+  }
+}
+
+function parseVersions(values) {
+  const versions = values.map(value => value === undefined ? undefined : Number(value));
+  return versions.every(value => value === undefined || (Number.isInteger(value) && value > 0)) ? versions : null;
+}
+
+function formatQuality(quality) {
+  if (!quality) return chalk.gray('not scored');
+  if (quality.error) return chalk.red('validation failed');
+  const status = quality.readyForTransition ? chalk.green('ready') : chalk.yellow('not ready');
+  return `score ${quality.score} · ${status}`;
+}
+
+function colorDiffLine(line) {
+  if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+  if (line.startsWith('@@')) return chalk.cyan(line);
+  if (line.startsWith('+')) return chalk.green(line);
+  if (line.startsWith('-')) return chalk.red(line);
+  return line;
+}
+
+/**
+ * Register versions commands with commander
+ */
+export function registerVersionsCommands(program) {
+  const versionsCmd = program
+    .command('versions')
+    .description('List, compare and restore saved versions of a deliverable (list, diff, restore)')
+    .action(() => {
+      // Show help when no subcommand provided
+      console.log('Usage: guidant versions <subcommand>\n');
+      console.log('Subcommands:');
+      console.log('  list <file>                  List the versions of a deliverable, newest first');
+      console.log('  diff <file> <from> [to]      Show what changed between two versions');
+      console.log('  restore <file> <version>     Restore an earlier version as a new version');
+      console.log('\nFiles are given from .guidant/deliverables (e.g. requirements/prd.md) or by deliverable name.');
+      console.log('Use "guidant versions <subcommand> --help" for more information.');
+    });
+
+  versionsCmd
+    .command('list <file>')
+    .description('List the versions of a deliverable, newest first')
+    .action(listVersionsCommand);
+
+  versionsCmd
+    .command('diff <file> <from> [to]')
+    .description('Show a unified diff between two versions; [to] defaults to the latest')
+    .option('-c, --context <lines>', 'Unchanged lines shown around each change', '3')
+    .action(diffVersionsCommand);
+
+  versionsCmd
+    .command('restore <file> <version>')
+    .description('Restore an earlier version; it is saved as a new version so later ones are kept')
+    .option('--by <name>', 'Who is restoring the version')
+    .action(restoreVersionCommand);
+}
@@ -0,0 +1,76 @@
+/**
+ * Watch Command
+ * Keep quality results, the relationship graph and saved transformations in sync
+ * with deliverable files edited by hand
+ */
+
+import chalk from 'chalk';
+import { watchDeliverables } from '../../workflow-logic/workflow-engine.js';
+import { requireProject, handleError, showSuccess, showWarning, showInfo } from '../utils.js';
+
+/**
+ * Watch command implementation
+ */
+export async function watchCommand(options = {}) {
+  try {
+    await requireProject();
+
+    const debounceMs = options.debounce ? Number.parseInt(options.debounce, 10) : undefined;
+    if (debounceMs !== undefined && (!Number.isInteger(debounceMs) || debounceMs < 0)) {
+      showWarning(`Invalid debounce "${options.debounce}" (expected milliseconds)`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const watcher = await watchDeliverables(process.cwd(), {
+      debounceMs,
+      aiEnhancementEnabled: options.ai === true,
+      onSync: printSync,
+      onError: (error, file) => showWarning(file ? `${file}: ${error.message}` : error.message)
+    });
+
+    showSuccess('Watching .guidant/deliverables for changes');
+    showInfo('Press Ctrl+C to stop');
+
+    const stop = async () => {
+      await watcher.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  } catch (error) {
+    handleError(error, 'Watch command');
+  }
+}
+
+function printSync(result) {
+  const time = chalk.gray(new Date().toLocaleTimeString());
+  const label = { add: chalk.green('added'), change: chalk.yellow('changed'), unlink: chalk.red('removed') }[result.event] || result.event;
+  console.log(`\n${time} ${chalk.bold(result.file)} ${label}`);
+
+  if (result.analysis && !result.analysis.success) {
+    console.log(chalk.red(`  ✗ Analysis failed: ${result.analysis.error}`));
+  }
+  if (result.quality?.success) {
+    const status = result.quality.readyForTransition ? chalk.green('ready') : chalk.yellow('not ready');
+    console.log(`  Quality ${result.quality.score} · ${status}`);
+  } else if (result.quality) {
+    console.log(chalk.red(`  ✗ Quality validation failed: ${result.quality.error}`));
+  }
+  console.log(chalk.gray(`  ${result.relationships} relationship(s) with other deliverables`));
+  if (result.staleTransformations.length > 0) {
+    console.log(chalk.yellow(`  Stale transformations: ${result.staleTransformations.join(', ')}`));
+  }
+}
+
+/**
+ * Register watch command with commander
+ */
+export function registerWatchCommand(program) {
+  program
+    .command('watch')
+    .description('Watch deliverables and re-run analysis, quality validation and relationship detection when they change')
+    .option('-d, --debounce <ms>', 'Wait this long after the last write before processing a file', '300')
+    .option('--ai', 'Use AI when analyzing deliverables')
+    .action(watchCommand);
+}
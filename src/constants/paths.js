@@ -4,6 +4,9 @@
 
 export const GUIDANT_DIR = '.guidant';
 
+// Workspace registry, kept at the workspace root alongside the projects it lists
+export const WORKSPACE_FILE = 'guidant-workspace.json';
+
 // Project structure paths
 export const PROJECT_CONFIG = '.guidant/project/config.json';
 export const PROJECT_PHASES = '.guidant/project/phases.json';
@@ -13,14 +16,22 @@ export const PROJECT_METADATA = '.guidant/project/metadata.json';
 export const CURRENT_PHASE = '.guidant/workflow/current-phase.json';
 export const QUALITY_GATES = '.guidant/workflow/quality-gates.json';
 export const DEPENDENCIES = '.guidant/workflow/dependencies.json';
+export const PHASE_DEFINITIONS_FILE = '.guidant/workflow/phase-definitions.json';
+export const WORKFLOW_JOURNAL = '.guidant/workflow/journal.jsonl';
+export const APPROVALS = '.guidant/workflow/approvals.json';
+export const TASK_CLAIMS = '.guidant/workflow/task-claims.json';
+export const WORKFLOW_MIGRATIONS = '.guidant/workflow/migrations.json';
 
 // Context paths
 export const DECISIONS = '.guidant/context/decisions.json';
 export const RESEARCH = '.guidant/context/research.json';
 export const SESSIONS = '.guidant/context/sessions.json';
 export const USER_FEEDBACK = '.guidant/context/user-feedback.json';
+export const DELIVERABLE_COMMITS = '.guidant/context/deliverable-commits.json';
+export const REQUIREMENTS_REGISTRY = '.guidant/context/requirements.json';
 
 // Deliverables paths organized by phase
+export const DELIVERABLES_DIR = '.guidant/deliverables';
 export const RESEARCH_DIR = '.guidant/deliverables/research';
 export const REQUIREMENTS_DIR = '.guidant/deliverables/requirements';
 export const WIREFRAMES_DIR = '.guidant/deliverables/wireframes';
@@ -34,7 +45,24 @@ export const PRD_FILE = '.guidant/deliverables/requirements/prd.md';
 // Reports paths
 export const PROGRESS_REPORTS_DIR = '.guidant/reports/progress-reports';
 export const QUALITY_REPORTS_DIR = '.guidant/reports/quality-reports';
+export const DELIVERABLE_QUALITY = '.guidant/reports/quality-reports/deliverable-quality.json';
 export const BUSINESS_REPORTS_DIR = '.guidant/reports/business-reports';
+export const COMPLEXITY_REPORT = '.guidant/reports/complexity-report.json';
+export const TRACEABILITY_MATRIX = '.guidant/reports/traceability-matrix.json';
+export const TRACEABILITY_REPORT = '.guidant/reports/traceability-matrix.md';
+
+// Checkpoint paths
+export const CHECKPOINTS_DIR = '.guidant/checkpoints';
+
+// Project overrides of the built-in deliverable templates
+export const DELIVERABLE_TEMPLATES_DIR = '.guidant/templates/deliverables';
+
+// Deliverable version history
+export const DELIVERABLE_VERSIONS = '.guidant/history/deliverable-versions.json';
+export const DELIVERABLE_VERSIONS_DIR = '.guidant/history/deliverables';
+
+// Data processing paths
+export const TRANSFORMATIONS = '.guidant/data-processing/transformations.json';
 
 // AI coordination paths
 export const AI_CAPABILITIES = '.guidant/ai/capabilities.json';
@@ -3,8 +3,11 @@
  * Captures and manages business decisions during workflow execution
  */
 
+import path from 'path';
 import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
 import { DECISIONS } from '../constants/paths.js';
+import { appendJournalEvent, resolveActor, JOURNAL_EVENT_TYPES } from '../workflow-logic/workflow-journal.js';
 
 /**
  * Decision types for categorization
@@ -30,36 +33,41 @@ export const IMPACT_LEVELS = {
   CRITICAL: 'critical'
 };
 
+/**
+ * Decision statuses. A superseded decision points to its replacement in `supersededBy`.
+ */
+export const DECISION_STATUSES = {
+  ACTIVE: 'active',
+  REVIEWED: 'reviewed',
+  SUPERSEDED: 'superseded',
+  ARCHIVED: 'archived'
+};
+
 /**
  * Record a new decision
  */
 export async function recordDecision(decisionData, projectRoot = process.cwd()) {
   try {
-    const decisions = await readProjectFile(DECISIONS, projectRoot);
-    
-    const decision = {
-      id: `decision-${Date.now()}`,
-      timestamp: new Date().toISOString(),
-      type: decisionData.type || DECISION_TYPES.BUSINESS,
-      title: decisionData.title,
-      description: decisionData.description,
-      rationale: decisionData.rationale,
-      impact: decisionData.impact || IMPACT_LEVELS.MEDIUM,
-      phase: decisionData.phase,
-      stakeholders: decisionData.stakeholders || [],
-      alternatives: decisionData.alternatives || [],
-      consequences: decisionData.consequences || [],
-      reviewDate: decisionData.reviewDate,
-      status: 'active',
-      metadata: {
-        recordedBy: decisionData.recordedBy || 'system',
-        context: decisionData.context || {},
-        tags: decisionData.tags || []
-      }
-    };
-    
-    decisions.push(decision);
-    await writeProjectFile(DECISIONS, decisions, projectRoot);
+    if (!decisionData.title?.trim()) {
+      return { success: false, error: 'A decision needs a title' };
+    }
+    if (decisionData.reviewDate && Number.isNaN(Date.parse(decisionData.reviewDate))) {
+      return { success: false, error: `Invalid review date "${decisionData.reviewDate}"` };
+    }
+
+    const decision = await withFileLock(path.join(projectRoot, DECISIONS), async () => {
+      const decisions = await readProjectFile(DECISIONS, projectRoot);
+      const recorded = createDecision(decisionData, decisions);
+      decisions.push(recorded);
+      await writeProjectFile(DECISIONS, decisions, projectRoot);
+      return recorded;
+    });
+
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.DECISION_RECORDED, { decision }, {
+      actor: decision.metadata.recordedBy,
+      timestamp: decision.timestamp,
+      projectRoot
+    });
     
     return {
       success: true,
@@ -78,46 +86,22 @@ export async function recordDecision(decisionData, projectRoot = process.cwd())
  * Update an existing decision
  */
 export async function updateDecision(decisionId, updates, projectRoot = process.cwd()) {
-  try {
-    const decisions = await readProjectFile(DECISIONS, projectRoot);
-    const decisionIndex = decisions.findIndex(d => d.id === decisionId);
-    
-    if (decisionIndex === -1) {
-      return {
-        success: false,
-        error: 'Decision not found'
-      };
-    }
-    
-    const decision = decisions[decisionIndex];
-    const updatedDecision = {
-      ...decision,
-      ...updates,
-      lastModified: new Date().toISOString(),
-      metadata: {
-        ...decision.metadata,
-        ...updates.metadata
-      }
-    };
-    
-    decisions[decisionIndex] = updatedDecision;
-    await writeProjectFile(DECISIONS, decisions, projectRoot);
-    
-    return {
-      success: true,
-      decision: updatedDecision,
-      message: 'Decision updated successfully'
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+  return await changeDecision(decisionId, () => ({ updates }), projectRoot);
 }
 
 /**
  * Get decisions by criteria
+ * @param {object} [criteria]
+ * @param {string} [criteria.query] - Text to find in the id, title, description, rationale or tags
+ * @param {string} [criteria.tag] - Only decisions with this tag
+ * @param {boolean} [criteria.overdue] - Only decisions whose review is overdue
+ * @param {string} [criteria.type] - Only decisions of this type
+ * @param {string} [criteria.phase] - Only decisions of this phase
+ * @param {string} [criteria.impact] - Only decisions with this impact
+ * @param {string} [criteria.status] - Only decisions with this status
+ * @param {string} [criteria.fromDate] - Only decisions recorded on or after this date
+ * @param {string} [criteria.toDate] - Only decisions recorded on or before this date
+ * @param {number} [criteria.limit] - Return at most this many decisions, newest first
  */
 export async function getDecisions(criteria = {}, projectRoot = process.cwd()) {
   try {
@@ -145,6 +129,26 @@ export async function getDecisions(criteria = {}, projectRoot = process.cwd()) {
       filtered = filtered.filter(d => d.status === criteria.status);
     }
     
+    // Filter by tag
+    if (criteria.tag) {
+      filtered = filtered.filter(d => d.metadata?.tags?.includes(criteria.tag));
+    }
+    
+    // Filter by text
+    if (criteria.query?.trim()) {
+      const query = criteria.query.trim().toLowerCase();
+      filtered = filtered.filter(d =>
+        [d.id, d.title, d.description, d.rationale, ...(d.metadata?.tags || [])]
+          .some(field => typeof field === 'string' && field.toLowerCase().includes(query))
+      );
+    }
+    
+    // Filter by overdue review
+    if (criteria.overdue) {
+      const now = new Date();
+      filtered = filtered.filter(d => isDecisionOverdue(d, now));
+    }
+    
     // Filter by date range
     if (criteria.fromDate) {
       const fromDate = new Date(criteria.fromDate);
@@ -206,18 +210,90 @@ export async function getDecision(decisionId, projectRoot = process.cwd()) {
 
 /**
  * Mark decision as reviewed
+ * @param {string} decisionId - Decision that was reviewed
+ * @param {object} reviewData
+ * @param {string} [reviewData.reviewedBy] - Who reviewed it; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [reviewData.notes] - Review notes
+ * @param {string} [reviewData.outcome] - Outcome of the review, e.g. "still valid"
+ * @param {string} [reviewData.nextReviewDate] - When to review the decision again
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
  */
-export async function reviewDecision(decisionId, reviewData, projectRoot = process.cwd()) {
+export async function reviewDecision(decisionId, reviewData = {}, projectRoot = process.cwd()) {
+  if (reviewData.nextReviewDate && Number.isNaN(Date.parse(reviewData.nextReviewDate))) {
+    return { success: false, error: `Invalid review date "${reviewData.nextReviewDate}"` };
+  }
+
+  const reviewedBy = resolveActor(reviewData.reviewedBy);
+  return await changeDecision(decisionId, decision => {
+    if (isClosed(decision)) {
+      return { error: `${decisionId} is ${decision.status} and cannot be reviewed` };
+    }
+    return {
+      updates: {
+        status: DECISION_STATUSES.REVIEWED,
+        reviewedAt: new Date().toISOString(),
+        reviewedBy,
+        reviewNotes: reviewData.notes,
+        reviewOutcome: reviewData.outcome,
+        ...(reviewData.nextReviewDate ? { reviewDate: reviewData.nextReviewDate } : {}),
+        metadata: { updatedBy: reviewedBy }
+      }
+    };
+  }, projectRoot);
+}
+
+/**
+ * Replace a decision with a new one. The new decision records which decision it
+ * supersedes, and the old one is marked superseded with a pointer to its replacement.
+ * @param {string} decisionId - Decision being replaced
+ * @param {object} decisionData - The new decision, as for recordDecision; type, impact,
+ *   phase and tags default to those of the old decision
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function supersedeDecision(decisionId, decisionData, projectRoot = process.cwd()) {
   try {
-    const updateResult = await updateDecision(decisionId, {
-      status: 'reviewed',
-      reviewedAt: new Date().toISOString(),
-      reviewedBy: reviewData.reviewedBy,
-      reviewNotes: reviewData.notes,
-      reviewOutcome: reviewData.outcome
+    const existing = await getDecision(decisionId, projectRoot);
+    if (!existing.success) {
+      return existing;
+    }
+    if (isClosed(existing.decision)) {
+      return { success: false, error: `${decisionId} is already ${existing.decision.status}` };
+    }
+
+    const old = existing.decision;
+    const recorded = await recordDecision({
+      type: old.type,
+      impact: old.impact,
+      phase: old.phase,
+      tags: old.metadata?.tags,
+      ...decisionData,
+      supersedes: decisionId
     }, projectRoot);
-    
-    return updateResult;
+    if (!recorded.success) {
+      return recorded;
+    }
+
+    const replacement = recorded.decision;
+    const superseded = await changeDecision(decisionId, decision => isClosed(decision)
+      ? { error: `${decisionId} was ${decision.status} while it was being superseded` }
+      : {
+        updates: {
+          status: DECISION_STATUSES.SUPERSEDED,
+          supersededBy: replacement.id,
+          supersededAt: replacement.timestamp,
+          metadata: { updatedBy: replacement.metadata.recordedBy }
+        }
+      }, projectRoot);
+    if (!superseded.success) {
+      return superseded;
+    }
+
+    return {
+      success: true,
+      decision: replacement,
+      superseded: superseded.decision,
+      message: `${replacement.id} supersedes ${decisionId}`
+    };
   } catch (error) {
     return {
       success: false,
@@ -228,15 +304,63 @@ export async function reviewDecision(decisionId, reviewData, projectRoot = proce
 
 /**
  * Archive old decisions
+ * @param {string} decisionId - Decision to archive
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [archiveData]
+ * @param {string} [archiveData.reason] - Why the decision no longer applies
+ * @param {string} [archiveData.archivedBy] - Who archived it; defaults to GUIDANT_ACTOR or the OS user
  */
-export async function archiveDecision(decisionId, projectRoot = process.cwd()) {
-  try {
-    const updateResult = await updateDecision(decisionId, {
-      status: 'archived',
-      archivedAt: new Date().toISOString()
+export async function archiveDecision(decisionId, projectRoot = process.cwd(), archiveData = {}) {
+  const archivedBy = resolveActor(archiveData.archivedBy);
+  return await changeDecision(decisionId, decision => decision.status === DECISION_STATUSES.ARCHIVED
+    ? { error: `${decisionId} is already archived` }
+    : {
+      updates: {
+        status: DECISION_STATUSES.ARCHIVED,
+        archivedAt: new Date().toISOString(),
+        archivedBy,
+        ...(archiveData.reason ? { archiveReason: archiveData.reason } : {}),
+        metadata: { updatedBy: archivedBy }
+      }
     }, projectRoot);
-    
-    return updateResult;
+}
+
+/**
+ * Whether a decision is due for review: it is still in force, its review date has
+ * passed and it was not reviewed since
+ * @param {object} decision - Decision to check
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+export function isDecisionOverdue(decision, now = new Date()) {
+  if (isClosed(decision) || !decision.reviewDate) {
+    return false;
+  }
+
+  const reviewDate = new Date(decision.reviewDate);
+  if (Number.isNaN(reviewDate.getTime()) || reviewDate > now) {
+    return false;
+  }
+  return !decision.reviewedAt || new Date(decision.reviewedAt) < reviewDate;
+}
+
+/**
+ * Get decisions whose review is overdue, longest overdue first
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {Date} [now=new Date()] - Current time
+ */
+export async function getOverdueDecisions(projectRoot = process.cwd(), now = new Date()) {
+  try {
+    const decisions = await readProjectFile(DECISIONS, projectRoot);
+    const overdue = decisions
+      .filter(decision => isDecisionOverdue(decision, now))
+      .sort((a, b) => new Date(a.reviewDate) - new Date(b.reviewDate));
+
+    return {
+      success: true,
+      decisions: overdue,
+      total: overdue.length
+    };
   } catch (error) {
     return {
       success: false,
@@ -359,3 +483,105 @@ function inferImpactLevel(context) {
   }
   return IMPACT_LEVELS.MEDIUM;
 }
+
+/**
+ * Build a decision record with an id not used by any existing decision
+ */
+function createDecision(decisionData, decisions) {
+  // Two decisions recorded in the same millisecond, e.g. when superseding, get distinct ids
+  const baseId = `decision-${Date.now()}`;
+  let id = baseId;
+  for (let suffix = 2; decisions.some(decision => decision.id === id); suffix++) {
+    id = `${baseId}-${suffix}`;
+  }
+
+  return {
+    id,
+    timestamp: new Date().toISOString(),
+    type: decisionData.type || DECISION_TYPES.BUSINESS,
+    title: decisionData.title,
+    description: decisionData.description,
+    rationale: decisionData.rationale,
+    impact: decisionData.impact || IMPACT_LEVELS.MEDIUM,
+    phase: decisionData.phase,
+    stakeholders: decisionData.stakeholders || [],
+    alternatives: decisionData.alternatives || [],
+    consequences: decisionData.consequences || [],
+    reviewDate: decisionData.reviewDate,
+    status: DECISION_STATUSES.ACTIVE,
+    ...(decisionData.supersedes ? { supersedes: decisionData.supersedes } : {}),
+    metadata: {
+      recordedBy: resolveActor(decisionData.recordedBy),
+      context: decisionData.context || {},
+      tags: decisionData.tags || []
+    }
+  };
+}
+
+/**
+ * Apply updates to a decision under the decisions file lock
+ * @param {string} decisionId - Decision to change
+ * @param {function(object): {updates?: object, error?: string}} change - Returns the updates for the
+ *   current decision, or an error when the decision cannot be changed
+ * @param {string} projectRoot - The root directory of the project
+ */
+async function changeDecision(decisionId, change, projectRoot) {
+  try {
+    const outcome = await withFileLock(path.join(projectRoot, DECISIONS), async () => {
+      const decisions = await readProjectFile(DECISIONS, projectRoot);
+      const decisionIndex = decisions.findIndex(d => d.id === decisionId);
+
+      if (decisionIndex === -1) {
+        return { error: 'Decision not found' };
+      }
+
+      const decision = decisions[decisionIndex];
+      const { updates, error } = change(decision);
+      if (error) {
+        return { error };
+      }
+
+      const updatedDecision = {
+        ...decision,
+        ...updates,
+        lastModified: new Date().toISOString(),
+        metadata: {
+          ...decision.metadata,
+          ...updates.metadata
+        }
+      };
+
+      decisions[decisionIndex] = updatedDecision;
+      await writeProjectFile(DECISIONS, decisions, projectRoot);
+      return { decision: updatedDecision, actor: updates.metadata?.updatedBy };
+    });
+
+    if (outcome.error) {
+      return {
+        success: false,
+        error: outcome.error
+      };
+    }
+
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.DECISION_UPDATED, { decision: outcome.decision }, {
+      actor: outcome.actor,
+      timestamp: outcome.decision.lastModified,
+      projectRoot
+    });
+    
+    return {
+      success: true,
+      decision: outcome.decision,
+      message: 'Decision updated successfully'
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+function isClosed(decision) {
+  return decision.status === DECISION_STATUSES.SUPERSEDED || decision.status === DECISION_STATUSES.ARCHIVED;
+}
@@ -15,6 +15,7 @@ import {
   validateRelationshipGraph
 } from './schemas/relationship-schemas.js';
 import { readProjectFile } from '../file-management/project-structure.js';
+import { loadPhaseDefinitions, getDeliverableDirectory, PHASE_DEFINITIONS } from '../workflow-logic/phase-definitions.js';
 import { PROJECT_PHASES } from '../constants/paths.js';
 
 export class RelationshipOrchestrator {
@@ -44,6 +45,7 @@ export class RelationshipOrchestrator {
     // Caching
     this.cache = new Map();
     this.cacheTimestamps = new Map();
+    this.deliverableCache = new Map();
     
     // Performance tracking
     this.metrics = {
@@ -186,6 +188,61 @@ export class RelationshipOrchestrator {
     }
   }
 
+  /**
+   * Re-detect the relationships of one deliverable after its file changed or was removed.
+   * Relationships between the other deliverables are kept from the stored graph, and
+   * deliverables whose file has not changed since they were last analyzed are not re-read.
+   * @param {string} projectRoot - Project root directory
+   * @param {{phase: string, path: string}} changed - Deliverable that changed
+   * @param {Array<{phase: string, path: string}>} deliverables - Every deliverable file that exists now
+   * @param {object} [options] - Detection options
+   * @returns {Promise<object>} The updated relationship graph
+   */
+  async updateDeliverableRelationships(projectRoot, changed, deliverables, options = {}) {
+    const startTime = Date.now();
+    const validatedOptions = validateDetectionOptions(options);
+    const changedName = path.basename(changed.path, path.extname(changed.path));
+    const isChanged = id => id.phase === changed.phase && id.name === changedName;
+
+    const current = [];
+    for (const deliverable of deliverables) {
+      const loaded = await this.loadDeliverable(deliverable.phase, deliverable.path);
+      if (loaded) {
+        current.push(loaded);
+      }
+    }
+    const exists = id => current.some(deliverable => deliverable.phase === id.phase && deliverable.name === id.name);
+
+    // Keep stored relationships between deliverables that still exist and did not change
+    const graph = await this.storage.getAllRelationships(projectRoot);
+    const relationships = (graph.relationships || []).filter(rel =>
+      !isChanged(rel.source) && !isChanged(rel.target) && exists(rel.source) && exists(rel.target)
+    );
+
+    const source = current.find(isChanged);
+    const availableDetectors = this.detectors.filter(detector => detector.isAvailable());
+    if (source && availableDetectors.length > 0) {
+      const others = current.filter(deliverable => deliverable !== source);
+      relationships.push(...await this.detectRelationshipsForDeliverable(source, others, availableDetectors, validatedOptions));
+      for (const other of others) {
+        relationships.push(...await this.detectRelationshipsForDeliverable(other, [source], availableDetectors, validatedOptions));
+      }
+    }
+
+    const relationshipGraph = this.createRelationshipGraph(projectRoot, current, this.deduplicateRelationships(relationships));
+    if (graph.generatedAt) {
+      relationshipGraph.generatedAt = graph.generatedAt;
+    }
+
+    if (!(await this.storage.storeRelationships(projectRoot, relationshipGraph))) {
+      throw new Error('Failed to store relationship analysis results');
+    }
+
+    this.clearCache(`relationships_${changedName}`);
+    this.updateMetrics(startTime, relationshipGraph.relationships.length);
+    return relationshipGraph;
+  }
+
   /**
    * Get all deliverables from project structure
    */
@@ -194,19 +251,23 @@ export class RelationshipOrchestrator {
     
     try {
       // Get project phases
-      const phases = await readProjectFile(projectRoot, PROJECT_PHASES);
+      const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
       
       if (!phases || !phases.phases) {
         console.warn('No project phases found');
         return deliverables;
       }
 
-      // Scan each phase for deliverables
-      for (const [phaseName, phaseData] of Object.entries(phases.phases)) {
-        if (phaseData.status === 'complete' || phaseData.deliverables) {
-          const phaseDeliverables = await this.getPhaseDeliverables(projectRoot, phaseName);
-          deliverables.push(...phaseDeliverables);
-        }
+      // Scan each phase for deliverables, the active one included; phases keep them
+      // in their deliverable directory (research, wireframes, ...)
+      const definitions = await loadPhaseDefinitions(projectRoot).catch(() => PHASE_DEFINITIONS);
+      for (const phaseName of Object.keys(phases.phases)) {
+        const phaseDeliverables = await this.getPhaseDeliverables(
+          projectRoot,
+          phaseName,
+          getDeliverableDirectory(phaseName, definitions)
+        );
+        deliverables.push(...phaseDeliverables);
       }
 
       return deliverables;
@@ -220,11 +281,11 @@ export class RelationshipOrchestrator {
   /**
    * Get deliverables for a specific phase
    */
-  async getPhaseDeliverables(projectRoot, phase) {
+  async getPhaseDeliverables(projectRoot, phase, directory = phase) {
     const deliverables = [];
     
     try {
-      const phaseDir = `.guidant/deliverables/${phase}`;
+      const phaseDir = `.guidant/deliverables/${directory}`;
       const fs = await import('fs/promises');
       const path = await import('path');
       
@@ -240,25 +301,7 @@ export class RelationshipOrchestrator {
           const stats = await fs.stat(filePath);
           
           if (stats.isFile()) {
-            // Analyze the deliverable content
-            const analysis = await this.deliverableAnalyzer.analyzeDeliverable(
-              filePath,
-              this.getDeliverableType(file)
-            );
-            
-            deliverables.push({
-              phase,
-              name: file.replace(/\.[^/.]+$/, ''), // Remove extension
-              type: this.getDeliverableType(file),
-              path: filePath,
-              content: analysis.content,
-              analysis: analysis.insights,
-              metadata: {
-                size: stats.size,
-                modified: stats.mtime.toISOString(),
-                analyzed: new Date().toISOString()
-              }
-            });
+            deliverables.push(await this.loadDeliverable(phase, filePath, stats));
           }
         }
       } catch (dirError) {
@@ -273,6 +316,50 @@ export class RelationshipOrchestrator {
     return deliverables;
   }
 
+  /**
+   * Read and analyze one deliverable file. Analyses are kept per file until its
+   * size or modification time changes.
+   * @returns {Promise<object|null>} The deliverable, or null if the file no longer exists
+   */
+  async loadDeliverable(phase, filePath, stats = null) {
+    const fs = await import('fs/promises');
+    let fileStats = stats;
+    try {
+      fileStats = fileStats || await fs.stat(filePath);
+    } catch {
+      return null;
+    }
+
+    const cached = this.deliverableCache.get(filePath);
+    if (cached && cached.phase === phase && cached.metadata.modified === fileStats.mtime.toISOString() && cached.metadata.size === fileStats.size) {
+      return cached;
+    }
+
+    const file = path.basename(filePath);
+    // Analyze the deliverable content
+    const analysis = await this.deliverableAnalyzer.analyzeDeliverable(
+      filePath,
+      this.getDeliverableType(file)
+    );
+
+    const deliverable = {
+      phase,
+      name: file.replace(/\.[^/.]+$/, ''), // Remove extension
+      type: this.getDeliverableType(file),
+      path: filePath,
+      // Detectors search the text itself, not the parsed structure
+      content: analysis.content?.rawContent ?? analysis.content,
+      analysis: analysis.insights,
+      metadata: {
+        size: fileStats.size,
+        modified: fileStats.mtime.toISOString(),
+        analyzed: new Date().toISOString()
+      }
+    };
+    this.deliverableCache.set(filePath, deliverable);
+    return deliverable;
+  }
+
   /**
    * Detect relationships between all deliverable pairs
    */
@@ -550,8 +637,8 @@ export class RelationshipOrchestrator {
   /**
    * Public API methods
    */
-  async getStorageHealth() {
-    return await this.storage.getStorageHealth();
+  async getStorageHealth(projectRoot) {
+    return await this.storage.getStorageHealth(projectRoot);
   }
 
   getMetrics() {
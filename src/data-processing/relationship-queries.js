@@ -0,0 +1,285 @@
+/**
+ * Relationship Graph Queries
+ * Queries over the relationship graph stored by JSONRelationshipStorage: the neighbors
+ * of a deliverable, the shortest path between two deliverables, deliverables without
+ * relationships, and relationships filtered by type or strength.
+ *
+ * Deliverables are identified as the storage identifies them: by name
+ * (`market_analysis`) or, where a name is used in several phases, by `phase_name`
+ * (`concept_market_analysis`).
+ */
+
+import { JSONRelationshipStorage } from './storage/json-relationship-storage.js';
+
+export const DIRECTIONS = ['both', 'outgoing', 'incoming'];
+
+/**
+ * Load the stored relationship graph of a project
+ * @param {string} projectRoot - Project root directory
+ * @param {JSONRelationshipStorage} [storage] - Storage to read from; uncached by default so queries see the latest analysis
+ * @returns {Promise<object>} Relationship graph; empty when relationships were never analyzed
+ */
+export async function loadRelationshipGraph(projectRoot, storage = new JSONRelationshipStorage({ cacheEnabled: false })) {
+  return storage.getAllRelationships(projectRoot);
+}
+
+/**
+ * Key of a deliverable in query results
+ * @param {{phase: string, name: string}} deliverable - Deliverable reference
+ * @returns {string} `phase_name`
+ */
+export function getDeliverableKey(deliverable) {
+  return `${deliverable.phase}_${deliverable.name}`;
+}
+
+/**
+ * Filter relationships by type, strength and phase
+ * @param {object[]} relationships - Relationships of the graph
+ * @param {object} [filters]
+ * @param {string[]} [filters.relationshipTypes] - Keep only these types
+ * @param {number} [filters.minStrength] - Keep relationships at least this strong
+ * @param {number} [filters.maxStrength] - Keep relationships at most this strong
+ * @param {string} [filters.phase] - Keep relationships with an end in this phase
+ * @returns {object[]} Matching relationships
+ */
+export function filterRelationships(relationships, filters = {}) {
+  const { relationshipTypes, minStrength, maxStrength, phase } = filters;
+
+  return relationships.filter(relationship =>
+    (!relationshipTypes?.length || relationshipTypes.includes(relationship.type)) &&
+    (minStrength === undefined || relationship.strength >= minStrength) &&
+    (maxStrength === undefined || relationship.strength <= maxStrength) &&
+    (!phase || relationship.source.phase === phase || relationship.target.phase === phase)
+  );
+}
+
+/**
+ * List relationships matching the filters, strongest first
+ * @param {object} graph - Relationship graph
+ * @param {object} [options] - Filters of filterRelationships, plus:
+ * @param {number} [options.limit] - Return at most this many relationships
+ * @returns {{success: boolean, total: number, byType: object, relationships: object[]}}
+ */
+export function queryRelationships(graph, options = {}) {
+  const matches = filterRelationships(graph.relationships || [], options)
+    .sort((a, b) => b.strength - a.strength || b.confidence - a.confidence);
+
+  const byType = {};
+  for (const relationship of matches) {
+    byType[relationship.type] = (byType[relationship.type] || 0) + 1;
+  }
+
+  return {
+    success: true,
+    total: matches.length,
+    byType,
+    relationships: matches.slice(0, options.limit || matches.length).map(summarizeRelationship)
+  };
+}
+
+/**
+ * Find the deliverables related to a deliverable, up to a number of hops away
+ * @param {object} graph - Relationship graph
+ * @param {string} deliverableId - Deliverable name or `phase_name`
+ * @param {object} [options] - Filters of filterRelationships, plus:
+ * @param {string} [options.direction='both'] - Follow relationships from the deliverable (outgoing), to it (incoming) or both
+ * @param {number} [options.depth=1] - Number of hops to follow
+ * @returns {{success: boolean, deliverable?: string, neighbors?: object[], error?: string}}
+ *   Each neighbor has its distance and the relationships it was reached through
+ */
+export function findNeighbors(graph, deliverableId, options = {}) {
+  const start = resolveDeliverable(graph, deliverableId);
+  if (start.error) {
+    return { success: false, error: start.error };
+  }
+
+  const direction = options.direction || 'both';
+  const depth = options.depth || 1;
+  const adjacency = buildAdjacency(filterRelationships(graph.relationships || [], options), direction);
+  const startKey = getDeliverableKey(start.deliverable);
+  const deliverables = listGraphDeliverables(graph);
+
+  const reached = new Map([[startKey, 0]]);
+  const neighbors = [];
+  let frontier = [startKey];
+
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    const next = [];
+    for (const key of frontier) {
+      for (const edge of adjacency.get(key) || []) {
+        if (reached.has(edge.to) && reached.get(edge.to) < distance) continue;
+
+        let neighbor = neighbors.find(entry => entry.key === edge.to);
+        if (!neighbor) {
+          reached.set(edge.to, distance);
+          next.push(edge.to);
+          neighbor = { key: edge.to, deliverable: deliverables.get(edge.to), distance, relationships: [] };
+          neighbors.push(neighbor);
+        }
+        neighbor.relationships.push({ ...summarizeRelationship(edge.relationship), direction: edge.direction });
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    success: true,
+    deliverable: startKey,
+    neighbors: neighbors.sort((a, b) => a.distance - b.distance || strongest(b) - strongest(a))
+  };
+}
+
+/**
+ * Find the shortest chain of relationships between two deliverables. Among equally
+ * short chains, stronger relationships are followed first.
+ * @param {object} graph - Relationship graph
+ * @param {string} fromId - Deliverable to start from
+ * @param {string} toId - Deliverable to reach
+ * @param {object} [options] - Filters of filterRelationships, plus:
+ * @param {string} [options.direction='both'] - 'outgoing' only follows relationships from source to target
+ * @returns {{success: boolean, found?: boolean, from?: string, to?: string, length?: number, path?: object[], error?: string}}
+ */
+export function findShortestPath(graph, fromId, toId, options = {}) {
+  const from = resolveDeliverable(graph, fromId);
+  if (from.error) {
+    return { success: false, error: from.error };
+  }
+  const to = resolveDeliverable(graph, toId);
+  if (to.error) {
+    return { success: false, error: to.error };
+  }
+
+  const fromKey = getDeliverableKey(from.deliverable);
+  const toKey = getDeliverableKey(to.deliverable);
+  const adjacency = buildAdjacency(filterRelationships(graph.relationships || [], options), options.direction || 'both');
+
+  const previous = new Map([[fromKey, null]]);
+  const queue = [fromKey];
+  while (queue.length > 0 && !previous.has(toKey)) {
+    const key = queue.shift();
+    for (const edge of adjacency.get(key) || []) {
+      if (!previous.has(edge.to)) {
+        previous.set(edge.to, { key, edge });
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  if (!previous.has(toKey)) {
+    return { success: true, found: false, from: fromKey, to: toKey, length: null, path: [] };
+  }
+
+  const path = [];
+  for (let step = previous.get(toKey); step; step = previous.get(step.key)) {
+    path.unshift({
+      from: step.key,
+      to: step.edge.to,
+      direction: step.edge.direction,
+      relationship: summarizeRelationship(step.edge.relationship)
+    });
+  }
+
+  return { success: true, found: true, from: fromKey, to: toKey, length: path.length, path };
+}
+
+/**
+ * Find deliverables that have no relationship to any other deliverable
+ * @param {object} graph - Relationship graph
+ * @param {object} [options] - Filters of filterRelationships; with filters, deliverables
+ *   whose only relationships are filtered out count as orphaned
+ * @returns {{success: boolean, totalDeliverables: number, orphaned: object[]}}
+ */
+export function findOrphanedDeliverables(graph, options = {}) {
+  const connected = new Set();
+  for (const relationship of filterRelationships(graph.relationships || [], options)) {
+    connected.add(getDeliverableKey(relationship.source));
+    connected.add(getDeliverableKey(relationship.target));
+  }
+
+  const deliverables = listGraphDeliverables(graph);
+  const orphaned = [...deliverables.entries()]
+    .filter(([key]) => !connected.has(key))
+    .map(([key, deliverable]) => ({ key, ...deliverable }));
+
+  return { success: true, totalDeliverables: deliverables.size, orphaned };
+}
+
+/**
+ * Every deliverable in the graph, including ones only known from a relationship
+ * @param {object} graph - Relationship graph
+ * @returns {Map<string, object>} Deliverable references by key
+ */
+export function listGraphDeliverables(graph) {
+  const deliverables = new Map();
+  const add = deliverable => {
+    const key = getDeliverableKey(deliverable);
+    if (!deliverables.has(key)) {
+      deliverables.set(key, { phase: deliverable.phase, name: deliverable.name, type: deliverable.type, path: deliverable.path });
+    }
+  };
+
+  for (const deliverable of graph.deliverables || []) {
+    add(deliverable);
+  }
+  for (const relationship of graph.relationships || []) {
+    add(relationship.source);
+    add(relationship.target);
+  }
+  return deliverables;
+}
+
+function resolveDeliverable(graph, deliverableId) {
+  const matches = [...listGraphDeliverables(graph).values()].filter(deliverable =>
+    deliverable.name === deliverableId ||
+    getDeliverableKey(deliverable) === deliverableId
+  );
+
+  if (matches.length === 0) {
+    return { error: `Deliverable not found in the relationship graph: ${deliverableId}` };
+  }
+  if (matches.length > 1) {
+    return { error: `Deliverable "${deliverableId}" is ambiguous, use one of: ${matches.map(getDeliverableKey).join(', ')}` };
+  }
+  return { deliverable: matches[0] };
+}
+
+function buildAdjacency(relationships, direction) {
+  const adjacency = new Map();
+  const addEdge = (fromKey, edge) => {
+    if (!adjacency.has(fromKey)) adjacency.set(fromKey, []);
+    adjacency.get(fromKey).push(edge);
+  };
+
+  for (const relationship of relationships) {
+    const sourceKey = getDeliverableKey(relationship.source);
+    const targetKey = getDeliverableKey(relationship.target);
+    if (sourceKey === targetKey) continue;
+
+    if (direction !== 'incoming') {
+      addEdge(sourceKey, { to: targetKey, direction: 'outgoing', relationship });
+    }
+    if (direction !== 'outgoing') {
+      addEdge(targetKey, { to: sourceKey, direction: 'incoming', relationship });
+    }
+  }
+
+  for (const edges of adjacency.values()) {
+    edges.sort((a, b) => b.relationship.strength - a.relationship.strength);
+  }
+  return adjacency;
+}
+
+function summarizeRelationship(relationship) {
+  return {
+    id: relationship.id,
+    source: getDeliverableKey(relationship.source),
+    target: getDeliverableKey(relationship.target),
+    type: relationship.type,
+    strength: relationship.strength,
+    confidence: relationship.confidence
+  };
+}
+
+function strongest(neighbor) {
+  return Math.max(...neighbor.relationships.map(relationship => relationship.strength));
+}
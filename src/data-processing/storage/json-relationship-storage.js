@@ -134,7 +134,7 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
       // Read with file locking
       let relationshipData;
       await withFileLock(filePath, async () => {
-        relationshipData = await readJSONFile(filePath);
+        relationshipData = await this.readGraphFile(filePath);
       });
 
       // Validate the data
@@ -153,6 +153,17 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
     }
   }
 
+  /**
+   * Read the stored graph, throwing if the file cannot be read
+   */
+  async readGraphFile(filePath) {
+    const result = await readJSONFile(filePath);
+    if (!result.success) {
+      throw new Error(`Failed to read ${filePath}: ${result.error}`);
+    }
+    return result.data;
+  }
+
   /**
    * Update existing relationship
    */
@@ -163,7 +174,7 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
       // Update with file locking
       let success = false;
       await withFileLock(filePath, async () => {
-        const currentData = await readJSONFile(filePath);
+        const currentData = await this.readGraphFile(filePath);
         const relationshipIndex = currentData.relationships.findIndex(
           rel => rel.id === relationshipId
         );
@@ -215,7 +226,7 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
       
       let success = false;
       await withFileLock(filePath, async () => {
-        const currentData = await readJSONFile(filePath);
+        const currentData = await this.readGraphFile(filePath);
         const initialCount = currentData.relationships.length;
         
         // Filter out the relationship to delete
@@ -254,7 +265,7 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
   /**
    * Check storage health and availability
    */
-  async getStorageHealth() {
+  async getStorageHealth(projectRoot = process.cwd()) {
     try {
       const health = {
         status: 'healthy',
@@ -269,7 +280,7 @@ export class JSONRelationshipStorage extends IRelationshipStorage {
 
       // Check if we can write to the storage directory
       try {
-        const testDir = path.join(process.cwd(), '.guidant/data-processing');
+        const testDir = path.join(projectRoot, path.dirname(this.config.relationshipsFile));
         await fs.mkdir(testDir, { recursive: true });
         
         const testFile = path.join(testDir, 'health-check.json');
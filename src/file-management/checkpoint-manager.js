@@ -0,0 +1,457 @@
+/**
+ * Checkpoint Manager for Guidant Evolution
+ * Named snapshots of the whole .guidant directory that can be compared and restored
+ * in one operation. reliable-file-manager keeps a single `.backup` per file; checkpoints
+ * capture every file together so a risky change can be undone as a unit.
+ *
+ * Checkpoints live in `.guidant/checkpoints/<name>/` as a copy of each file plus a
+ * manifest with content hashes. The checkpoints themselves, lock/temp/backup files and
+ * the append-only histories (the workflow journal and the deliverable version store)
+ * are never captured or overwritten: restoring must not rewind a history, and copying
+ * every stored version into each checkpoint would grow without bound.
+ *
+ * Automatic checkpoints are pruned as new ones are taken: only the newest
+ * `checkpoints.keepAutomatic` of them (project config, default 20) are kept. Manual
+ * checkpoints are only removed on request.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { readProjectFile } from './project-structure.js';
+import {
+  GUIDANT_DIR,
+  CHECKPOINTS_DIR,
+  PROJECT_CONFIG,
+  WORKFLOW_JOURNAL,
+  DELIVERABLE_VERSIONS,
+  DELIVERABLE_VERSIONS_DIR
+} from '../constants/paths.js';
+import {
+  appendJournalEvent,
+  captureWorkflowState,
+  JOURNAL_EVENT_TYPES
+} from '../workflow-logic/workflow-journal.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const FILES_DIR = 'files';
+const CHECKPOINT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+// Automatic checkpoints kept when the project config does not set checkpoints.keepAutomatic
+export const DEFAULT_KEEP_AUTOMATIC = 20;
+
+/**
+ * Create a named checkpoint of every file under .guidant
+ * @param {string} name - Checkpoint name (letters, digits, '.', '_' and '-')
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the checkpoint was taken
+ * @param {boolean} [options.auto=false] - Whether Guidant took it automatically; older
+ *   automatic checkpoints beyond the configured number are then pruned
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function createCheckpoint(name, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+
+  try {
+    if (!CHECKPOINT_NAME_PATTERN.test(name || '')) {
+      return {
+        success: false,
+        error: `Invalid checkpoint name "${name}". Use letters, digits, ".", "_" and "-"`
+      };
+    }
+
+    const checkpointDir = getCheckpointDir(name, projectRoot);
+    if (await exists(checkpointDir)) {
+      return {
+        success: false,
+        error: `Checkpoint "${name}" already exists`
+      };
+    }
+
+    const files = [];
+    for (const relativePath of await listGuidantFiles(projectRoot)) {
+      const content = await fs.readFile(path.join(projectRoot, GUIDANT_DIR, relativePath));
+      const target = path.join(checkpointDir, FILES_DIR, relativePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+      files.push({ path: relativePath, hash: hashContent(content), size: content.length });
+    }
+
+    const checkpoint = {
+      name,
+      createdAt: new Date().toISOString(),
+      reason: options.reason || null,
+      auto: options.auto === true,
+      fileCount: files.length,
+      files
+    };
+    await fs.writeFile(path.join(checkpointDir, MANIFEST_FILE), JSON.stringify(checkpoint, null, 2));
+    const pruned = checkpoint.auto ? await pruneAutomaticCheckpoints(name, projectRoot) : [];
+
+    return {
+      success: true,
+      checkpoint: summarize(checkpoint),
+      pruned,
+      message: `Checkpoint "${name}" created with ${files.length} files`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List checkpoints, newest first
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function listCheckpoints(projectRoot = process.cwd()) {
+  try {
+    const checkpoints = (await readManifests(projectRoot)).map(summarize);
+    return {
+      success: true,
+      checkpoints,
+      total: checkpoints.length
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Compare a checkpoint with the current .guidant files or with another checkpoint
+ * @param {string} name - Checkpoint to compare from
+ * @param {object} [options]
+ * @param {string} [options.against] - Checkpoint to compare to; defaults to the current files
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function diffCheckpoint(name, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+
+  try {
+    const from = await readManifest(name, projectRoot);
+    const toFiles = options.against
+      ? (await readManifest(options.against, projectRoot)).files
+      : await hashGuidantFiles(projectRoot);
+
+    const fromHashes = new Map(from.files.map(file => [file.path, file.hash]));
+    const toHashes = new Map(toFiles.map(file => [file.path, file.hash]));
+
+    const added = [...toHashes.keys()].filter(file => !fromHashes.has(file));
+    const removed = [...fromHashes.keys()].filter(file => !toHashes.has(file));
+    const modified = [...toHashes.keys()].filter(file =>
+      fromHashes.has(file) && fromHashes.get(file) !== toHashes.get(file)
+    );
+
+    return {
+      success: true,
+      from: name,
+      to: options.against || 'current',
+      added: added.sort(),
+      removed: removed.sort(),
+      modified: modified.sort(),
+      unchanged: toHashes.size - added.length - modified.length,
+      hasChanges: added.length + removed.length + modified.length > 0
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Restore every .guidant file from a checkpoint. Files created after the checkpoint
+ * are removed. Unless disabled, the current state is checkpointed first so the
+ * restore itself can be undone.
+ * @param {string} name - Checkpoint to restore
+ * @param {object} [options]
+ * @param {boolean} [options.safetyCheckpoint=true] - Checkpoint the current state before restoring
+ * @param {string} [options.actor] - Who restored the checkpoint, recorded in the journal
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function restoreCheckpoint(name, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+
+  try {
+    const checkpoint = await readManifest(name, projectRoot);
+    const checkpointDir = getCheckpointDir(name, projectRoot);
+
+    // Verify the whole checkpoint before touching anything
+    const contents = new Map();
+    for (const file of checkpoint.files) {
+      const content = await fs.readFile(path.join(checkpointDir, FILES_DIR, file.path));
+      if (hashContent(content) !== file.hash) {
+        throw new Error(`Checkpoint "${name}" is corrupt: ${file.path} does not match its hash`);
+      }
+      contents.set(file.path, content);
+    }
+
+    let safetyCheckpoint = null;
+    if (options.safetyCheckpoint !== false) {
+      const safety = await createCheckpoint(autoCheckpointName(`before-restore-${name}`), {
+        auto: true,
+        reason: `Before restoring checkpoint "${name}"`,
+        projectRoot
+      });
+      if (!safety.success) {
+        throw new Error(`Could not checkpoint current state: ${safety.error}`);
+      }
+      safetyCheckpoint = safety.checkpoint.name;
+    }
+
+    const removed = [];
+    for (const relativePath of await listGuidantFiles(projectRoot)) {
+      if (!contents.has(relativePath)) {
+        await fs.unlink(path.join(projectRoot, GUIDANT_DIR, relativePath));
+        removed.push(relativePath);
+      }
+    }
+
+    for (const [relativePath, content] of contents) {
+      const target = path.join(projectRoot, GUIDANT_DIR, relativePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content);
+    }
+
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.CHECKPOINT_RESTORED, {
+      checkpoint: name,
+      safetyCheckpoint,
+      state: await captureWorkflowState(projectRoot)
+    }, { actor: options.actor, projectRoot });
+
+    return {
+      success: true,
+      checkpoint: summarize(checkpoint),
+      restored: contents.size,
+      removed,
+      safetyCheckpoint,
+      message: `Restored checkpoint "${name}"`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Delete old checkpoints
+ * @param {object} options
+ * @param {number} [options.keep] - Keep this many of the newest matching checkpoints
+ * @param {number} [options.olderThanDays] - Delete matching checkpoints older than this
+ * @param {boolean} [options.autoOnly=false] - Only consider automatic checkpoints
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function pruneCheckpoints(options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+
+  try {
+    if (options.keep === undefined && options.olderThanDays === undefined) {
+      return {
+        success: false,
+        error: 'Specify how many checkpoints to keep or a maximum age in days'
+      };
+    }
+
+    const candidates = (await readManifests(projectRoot))
+      .filter(checkpoint => !options.autoOnly || checkpoint.auto);
+    const cutoff = options.olderThanDays !== undefined
+      ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+      : null;
+
+    const pruned = candidates.filter((checkpoint, index) =>
+      (options.keep !== undefined && index >= options.keep) ||
+      (cutoff !== null && Date.parse(checkpoint.createdAt) < cutoff)
+    );
+
+    for (const checkpoint of pruned) {
+      await fs.rm(getCheckpointDir(checkpoint.name, projectRoot), { recursive: true, force: true });
+    }
+
+    return {
+      success: true,
+      pruned: pruned.map(checkpoint => checkpoint.name),
+      remaining: (await readManifests(projectRoot)).length,
+      message: `Pruned ${pruned.length} checkpoints`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Number of automatic checkpoints a project keeps
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<number>} `checkpoints.keepAutomatic` from the project config, at least 1
+ */
+export async function getAutomaticCheckpointLimit(projectRoot = process.cwd()) {
+  const config = await readProjectFile(PROJECT_CONFIG, projectRoot).catch(() => ({}));
+  const keep = config.checkpoints?.keepAutomatic;
+  return Number.isInteger(keep) && keep > 0 ? keep : DEFAULT_KEEP_AUTOMATIC;
+}
+
+/**
+ * Build a unique name for an automatic checkpoint
+ * @param {string} label - What the checkpoint precedes, e.g. "before-advance-design"
+ */
+export function autoCheckpointName(label) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `auto-${label}-${timestamp}`.replace(/[^A-Za-z0-9._-]/g, '-').slice(0, 100);
+}
+
+/**
+ * Delete the oldest automatic checkpoints beyond the configured limit. The checkpoint
+ * just taken always stays, and a failed prune never fails the checkpoint.
+ */
+async function pruneAutomaticCheckpoints(latest, projectRoot) {
+  try {
+    const keep = await getAutomaticCheckpointLimit(projectRoot);
+    const older = (await readManifests(projectRoot))
+      .filter(checkpoint => checkpoint.auto && checkpoint.name !== latest);
+    const pruned = older.slice(keep - 1);
+
+    for (const checkpoint of pruned) {
+      await fs.rm(getCheckpointDir(checkpoint.name, projectRoot), { recursive: true, force: true });
+    }
+    return pruned.map(checkpoint => checkpoint.name);
+  } catch {
+    return [];
+  }
+}
+
+function getCheckpointDir(name, projectRoot) {
+  return path.join(projectRoot, CHECKPOINTS_DIR, name);
+}
+
+async function readManifest(name, projectRoot) {
+  if (!CHECKPOINT_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid checkpoint name "${name}"`);
+  }
+
+  let manifest;
+  try {
+    const content = await fs.readFile(path.join(getCheckpointDir(name, projectRoot), MANIFEST_FILE), 'utf8');
+    manifest = JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Checkpoint "${name}" not found`);
+    }
+    throw error;
+  }
+
+  // A tampered or hand-edited manifest must not lead reads or writes outside .guidant
+  for (const file of manifest.files || []) {
+    if (!isSafeRelativePath(file.path)) {
+      throw new Error(`Checkpoint "${name}" is invalid: ${file.path} is outside ${GUIDANT_DIR}`);
+    }
+  }
+  return manifest;
+}
+
+async function readManifests(projectRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(projectRoot, CHECKPOINTS_DIR), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    try {
+      manifests.push(await readManifest(entry.name, projectRoot));
+    } catch {
+      // Skip half-written or foreign directories
+    }
+  }
+
+  return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * List .guidant files that belong in a checkpoint, relative to .guidant
+ */
+async function listGuidantFiles(projectRoot) {
+  const guidantRoot = path.join(projectRoot, GUIDANT_DIR);
+  const excludedDirs = new Set([CHECKPOINTS_DIR, DELIVERABLE_VERSIONS_DIR].map(dir => path.relative(GUIDANT_DIR, dir)));
+  const excludedFiles = new Set([WORKFLOW_JOURNAL, DELIVERABLE_VERSIONS].map(file => path.relative(GUIDANT_DIR, file)));
+  const files = [];
+
+  async function walk(relativeDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(guidantRoot, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        if (!excludedDirs.has(relativePath)) {
+          await walk(relativePath);
+        }
+      } else if (entry.isFile() && !excludedFiles.has(relativePath) && !isTransientFile(entry.name)) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  await walk('');
+  return files.sort();
+}
+
+async function hashGuidantFiles(projectRoot) {
+  const files = [];
+  for (const relativePath of await listGuidantFiles(projectRoot)) {
+    const content = await fs.readFile(path.join(projectRoot, GUIDANT_DIR, relativePath));
+    files.push({ path: relativePath, hash: hashContent(content) });
+  }
+  return files;
+}
+
+function isSafeRelativePath(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath) {
+    return false;
+  }
+  const normalized = path.normalize(relativePath);
+  return !path.isAbsolute(normalized) &&
+    normalized !== '.' &&
+    normalized !== '..' &&
+    !normalized.startsWith(`..${path.sep}`);
+}
+
+function isTransientFile(filename) {
+  return filename.endsWith('.lock') || filename.endsWith('.tmp') || filename.endsWith('.backup');
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function summarize(checkpoint) {
+  const { files, ...summary } = checkpoint;
+  return summary;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Local Git Repository Reader for Guidant Evolution
+ * Reads commits, branches and trailers from the project's local git repository.
+ * Only local commands are run; nothing is fetched from or pushed to a remote.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 10000;
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+// Field and record separators for `git log` output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+const LOG_FORMAT = `${['%H', '%h', '%P', '%an', '%aI', '%s', '%(trailers:only,unfold)'].join('%x1f')}%x1e`;
+
+/**
+ * Run a git command in a directory
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {Promise<string>} Standard output
+ */
+export async function runGit(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    timeout: GIT_TIMEOUT_MS,
+    maxBuffer: MAX_OUTPUT_BYTES,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  });
+  return stdout;
+}
+
+/**
+ * Check whether a directory is inside a git work tree with at least one commit
+ */
+export async function isGitRepository(cwd) {
+  try {
+    await runGit(['rev-parse', '--verify', 'HEAD'], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the commit checked out in a directory
+ * @returns {Promise<{sha: string, shortSha: string, branch: string|null, subject: string, dirty: boolean}|null>} Null outside a git repository
+ */
+export async function getHeadCommit(cwd) {
+  if (!(await isGitRepository(cwd))) {
+    return null;
+  }
+
+  const [commit] = parseLog(await runGit(['log', '-1', `--format=${LOG_FORMAT}`, 'HEAD'], cwd));
+  const branch = (await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd)).trim();
+  const status = await runGit(['status', '--porcelain'], cwd);
+
+  return {
+    sha: commit.sha,
+    shortSha: commit.shortSha,
+    branch: branch === 'HEAD' ? null : branch,
+    subject: commit.subject,
+    dirty: status.trim().length > 0
+  };
+}
+
+/**
+ * Get the commit every ref points at. The result changes whenever a commit is made,
+ * a branch moves or another commit is checked out, so it can key a cache of what
+ * was read from the history.
+ * @returns {Promise<string|null>} One line per ref; null outside a git repository
+ */
+export async function getRefsFingerprint(cwd) {
+  try {
+    return await runGit(['show-ref', '--head'], cwd);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List local branch names
+ */
+export async function listBranches(cwd) {
+  const output = await runGit(['for-each-ref', '--format=%(refname:short)', 'refs/heads'], cwd);
+  return output.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Work out the branch work is merged into: the given branch, then main, then master,
+ * then the branch that is checked out
+ * @param {string} cwd - Directory of the repository
+ * @param {string} [preferred] - Branch to use when it exists
+ */
+export async function getMainBranch(cwd, preferred) {
+  const branches = await listBranches(cwd);
+  for (const candidate of [preferred, 'main', 'master']) {
+    if (candidate && branches.includes(candidate)) {
+      return candidate;
+    }
+  }
+  const head = (await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd)).trim();
+  return head === 'HEAD' ? branches[0] : head;
+}
+
+/**
+ * List commits, newest first
+ * @param {string} cwd - Directory of the repository
+ * @param {string} range - Revision or range, e.g. `main` or `main..feature/x`
+ * @param {object} [options]
+ * @param {number} [options.limit=500] - Most commits to read
+ * @returns {Promise<object[]>} Commits with sha, shortSha, parents, author, date, subject and trailers
+ */
+export async function listCommits(cwd, range, options = {}) {
+  const output = await runGit(['log', `--max-count=${options.limit || 500}`, `--format=${LOG_FORMAT}`, range, '--'], cwd);
+  return parseLog(output);
+}
+
+function parseLog(output) {
+  return output
+    .split(RECORD)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [sha, shortSha, parents, author, date, subject, trailerBlock = ''] = record.split(FIELD);
+      return {
+        sha,
+        shortSha,
+        parents: parents.split(' ').filter(Boolean),
+        author,
+        date,
+        subject,
+        trailers: parseTrailers(trailerBlock)
+      };
+    });
+}
+
+function parseTrailers(block) {
+  const trailers = [];
+  for (const line of block.split('\n')) {
+    const match = line.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+    if (match) {
+      trailers.push({ key: match[1], value: match[2].trim() });
+    }
+  }
+  return trailers;
+}
@@ -13,6 +13,7 @@ import {
   getFileHealth,
   repairFileFromBackup
 } from './reliable-file-manager.js';
+import { loadPhaseDefinitions, getPhaseOrder, getReadyPhases } from '../workflow-logic/phase-definitions.js';
 import { 
   GUIDANT_DIR,
   PROJECT_CONFIG,
@@ -95,9 +96,16 @@ export async function initializeProjectStructure(projectRoot = process.cwd()) {
 }
 
 /**
- * Create default configuration files with initial structure
+ * Create default configuration files with initial structure.
+ * Every phase the loaded definitions let start right away is made active; the first
+ * of them is the current phase.
  */
 async function initializeDefaultFiles(projectRoot) {
+  const definitions = await loadPhaseDefinitions(projectRoot);
+  const readyPhases = getReadyPhases([], definitions);
+  const firstPhase = readyPhases[0];
+  const now = new Date().toISOString();
+
   const defaultFiles = {
     [PROJECT_CONFIG]: {
       name: '',
@@ -108,15 +116,11 @@ async function initializeDefaultFiles(projectRoot) {
     },
     
     [PROJECT_PHASES]: {
-      current: 'concept',
-      phases: {
-        concept: { status: 'active', startedAt: new Date().toISOString() },
-        requirements: { status: 'pending' },
-        design: { status: 'pending' },
-        architecture: { status: 'pending' },
-        implementation: { status: 'pending' },
-        deployment: { status: 'pending' }
-      }
+      current: firstPhase,
+      phases: Object.fromEntries(getPhaseOrder(definitions).map(phase => [
+        phase,
+        readyPhases.includes(phase) ? { status: 'active', startedAt: now } : { status: 'pending' }
+      ]))
     },
 
     [PROJECT_METADATA]: {
@@ -127,8 +131,8 @@ async function initializeDefaultFiles(projectRoot) {
     },
 
     [CURRENT_PHASE]: {
-      phase: 'concept',
-      role: 'research_agent',
+      phase: firstPhase,
+      role: definitions[firstPhase].roles?.[0] || null,
       currentTask: null,
       progress: 0,
       startedAt: new Date().toISOString()
@@ -231,11 +235,12 @@ export async function isProjectInitialized(projectRoot = process.cwd()) {
  * Get current project state summary
  */
 export async function getProjectState(projectRoot = process.cwd()) {
-  const [config, phases, currentPhase, capabilities] = await Promise.all([
+  const [config, phases, currentPhase, capabilities, metadata] = await Promise.all([
     readProjectFile(PROJECT_CONFIG, projectRoot),
     readProjectFile(PROJECT_PHASES, projectRoot),
     readProjectFile(CURRENT_PHASE, projectRoot),
-    readProjectFile(AI_CAPABILITIES, projectRoot)
+    readProjectFile(AI_CAPABILITIES, projectRoot),
+    readProjectFile(PROJECT_METADATA, projectRoot).catch(() => ({}))
   ]);
 
   return {
@@ -243,6 +248,7 @@ export async function getProjectState(projectRoot = process.cwd()) {
     phases,
     currentPhase,
     capabilities,
+    workflow: metadata.workflow,
     isInitialized: true
   };
 }
@@ -5,7 +5,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { createHash } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 
 /**
  * File operation options
@@ -221,14 +221,28 @@ export async function updateJSONFile(filePath, updateFn, options = {}) {
 }
 
 /**
- * Create a file lock to prevent concurrent access
+ * Locks older than this are left over from a crashed process and are broken
+ */
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Create a file lock to prevent concurrent access.
+ * The lock file is created exclusively, so only one process can hold it at a time.
+ * It records the holder's pid and a token, so a waiter breaking a stale lock, or a
+ * holder releasing its own, never removes a lock someone else has since taken.
  */
 export async function withFileLock(filePath, operation, timeout = 5000) {
   const lockPath = `${filePath}.lock`;
+  const token = randomUUID();
   const lockStartTime = Date.now();
   
   // Wait for existing lock to be released
-  while (await fileExists(lockPath)) {
+  while (!(await tryCreateLock(lockPath, token))) {
+    const staleLock = await readStaleLock(lockPath);
+    if (staleLock) {
+      await breakStaleLock(lockPath, staleLock);
+      continue;
+    }
     if (Date.now() - lockStartTime > timeout) {
       throw new Error(`File lock timeout for ${filePath}`);
     }
@@ -236,25 +250,95 @@ export async function withFileLock(filePath, operation, timeout = 5000) {
   }
   
   try {
-    // Create lock file
-    await fs.writeFile(lockPath, JSON.stringify({
-      pid: process.pid,
-      timestamp: new Date().toISOString()
-    }));
-    
     // Execute operation
     const result = await operation();
     
     return result;
     
   } finally {
-    // Always remove lock file
+    // Remove the lock file unless it was broken and taken by someone else meanwhile
     try {
-      await fs.unlink(lockPath);
+      const lock = await readLock(lockPath);
+      if (lock.token === token) {
+        await fs.unlink(lockPath);
+      }
     } catch {}
   }
 }
 
+/**
+ * Create a lock file, failing if another process already holds it
+ */
+async function tryCreateLock(lockPath, token) {
+  try {
+    await fs.writeFile(lockPath, JSON.stringify({
+      pid: process.pid,
+      token,
+      timestamp: new Date().toISOString()
+    }), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a lock file; a lock that cannot be parsed has no owner
+ */
+async function readLock(lockPath) {
+  const content = await fs.readFile(lockPath, 'utf8');
+  try {
+    return JSON.parse(content) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get the lock file if it was left behind by a process that never released it
+ * @returns {Promise<object|null>} The stale lock, or null when the lock is held or gone
+ */
+async function readStaleLock(lockPath) {
+  try {
+    const stats = await fs.stat(lockPath);
+    if (Date.now() - stats.mtimeMs <= STALE_LOCK_MS) {
+      return null;
+    }
+    return await readLock(lockPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lock. Several waiters may judge the same lock stale, so the lock is
+ * moved aside first: only one of them can move it, and that one checks it moved the
+ * stale lock rather than a fresh one taken after another waiter broke it.
+ */
+async function breakStaleLock(lockPath, staleLock) {
+  const asidePath = `${lockPath}.${randomUUID()}.stale`;
+  try {
+    await fs.rename(lockPath, asidePath);
+  } catch {
+    return;
+  }
+  
+  try {
+    const moved = await readLock(asidePath);
+    if (moved.token !== staleLock.token || moved.pid !== staleLock.pid) {
+      // A fresh lock was moved; give it back to its holder
+      await fs.link(asidePath, lockPath);
+    }
+  } catch {}
+  
+  try {
+    await fs.unlink(asidePath);
+  } catch {}
+}
+
 /**
  * Validate JSON data structure
  */
@@ -0,0 +1,343 @@
+/**
+ * Workspace Registry for Guidant Evolution
+ * Lets one process serve several Guidant projects, e.g. the packages of a monorepo.
+ *
+ * Projects are listed in `guidant-workspace.json` at the workspace root (the
+ * GUIDANT_WORKSPACE_ROOT environment variable, or the working directory). Projects
+ * that are not registered are still found by scanning the workspace and any client
+ * roots for `.guidant` directories.
+ *
+ * Each MCP client has its own scope: when it has declared roots, only projects inside
+ * them are in scope; otherwise only the workspace root, the directories below it and
+ * the registered projects are. The roots are passed in by the caller, per session.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isProjectInitialized } from './project-structure.js';
+import { WORKSPACE_FILE } from '../constants/paths.js';
+import { getCurrentWorkflowState, checkPhaseCompletion } from '../workflow-logic/workflow-engine.js';
+import { getCompletedPhases } from '../workflow-logic/workflow-state-manager.js';
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+/**
+ * Get the directory the workspace registry lives in
+ */
+export function getWorkspaceRoot() {
+  return path.resolve(process.env.GUIDANT_WORKSPACE_ROOT || process.cwd());
+}
+
+/**
+ * Turn the roots an MCP client declared into absolute directories
+ * @param {Array<string|{uri: string}>} [roots=[]] - Root paths or MCP root objects with file:// URIs
+ * @returns {string[]} Absolute directories
+ */
+export function normalizeClientRoots(roots = []) {
+  return roots
+    .map(root => (typeof root === 'string' ? root : root?.uri))
+    .filter(Boolean)
+    .map(root => (root.startsWith('file://') ? fileURLToPath(root) : root))
+    .map(root => path.resolve(root));
+}
+
+/**
+ * Get the directories a client may work in: its roots, or without roots the
+ * workspace root and the registered projects
+ * @param {string[]} clientRoots - Absolute directories the client declared
+ * @param {string} workspaceRoot - Directory holding guidant-workspace.json
+ * @returns {Promise<string[]>} Absolute directories
+ */
+async function getScopeRoots(clientRoots, workspaceRoot) {
+  if (clientRoots.length > 0) return clientRoots;
+  const workspace = await loadWorkspace(workspaceRoot);
+  return [workspaceRoot, ...workspace.projects.map(project => path.resolve(workspaceRoot, project.root))];
+}
+
+/**
+ * Check whether a directory is inside one of the scope roots
+ * @param {string} directory - Directory to check
+ * @param {string[]} scopeRoots - From getScopeRoots
+ */
+export function isInScope(directory, scopeRoots) {
+  const resolved = path.resolve(directory);
+  return scopeRoots.some(root => resolved === root || resolved.startsWith(root + path.sep));
+}
+
+function outOfScopeError(directory, clientRoots) {
+  return clientRoots.length > 0
+    ? `Project root ${directory} is outside the client's roots`
+    : `Project root ${directory} is outside the workspace and its registered projects`;
+}
+
+/**
+ * Load the workspace registry
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ */
+export async function loadWorkspace(workspaceRoot = getWorkspaceRoot()) {
+  try {
+    const content = await fs.readFile(path.join(workspaceRoot, WORKSPACE_FILE), 'utf8');
+    const workspace = JSON.parse(content);
+    return { version: 1, projects: [], ...workspace };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: 1, projects: [] };
+    }
+    throw new Error(`Failed to read ${WORKSPACE_FILE}: ${error.message}`);
+  }
+}
+
+async function saveWorkspace(workspace, workspaceRoot) {
+  await fs.writeFile(path.join(workspaceRoot, WORKSPACE_FILE), `${JSON.stringify(workspace, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Add a project to the workspace registry
+ * @param {object} project
+ * @param {string} project.root - Project directory, absolute or relative to the workspace root
+ * @param {string} [project.id] - Stable id used by the projectId tool parameter
+ * @param {string} [project.name] - Display name
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ * @param {object} [options]
+ * @param {string[]} [options.clientRoots=[]] - Roots the requesting client declared
+ */
+export async function registerProject({ root, id, name }, workspaceRoot = getWorkspaceRoot(), { clientRoots = [] } = {}) {
+  try {
+    const absoluteRoot = path.resolve(workspaceRoot, root);
+    // Registering adds to the scope, so without client roots only the workspace counts
+    if (!isInScope(absoluteRoot, clientRoots.length > 0 ? clientRoots : [workspaceRoot])) {
+      return { success: false, error: outOfScopeError(absoluteRoot, clientRoots) };
+    }
+
+    const workspace = await loadWorkspace(workspaceRoot);
+    const projectId = id || toProjectId(path.relative(workspaceRoot, absoluteRoot) || path.basename(absoluteRoot));
+    const relativeRoot = path.relative(workspaceRoot, absoluteRoot) || '.';
+
+    if (workspace.projects.some(project => project.id === projectId)) {
+      return { success: false, error: `A project with id "${projectId}" is already registered` };
+    }
+    if (workspace.projects.some(project => path.resolve(workspaceRoot, project.root) === absoluteRoot)) {
+      return { success: false, error: `${relativeRoot} is already registered` };
+    }
+
+    const project = {
+      id: projectId,
+      name: name || path.basename(absoluteRoot),
+      root: relativeRoot,
+      registeredAt: new Date().toISOString()
+    };
+    workspace.projects.push(project);
+    await saveWorkspace(workspace, workspaceRoot);
+
+    return {
+      success: true,
+      project: { ...project, root: absoluteRoot },
+      message: `Registered project "${projectId}"`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remove a project from the workspace registry. Its files are left untouched.
+ * @param {string} id - Project id
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ */
+export async function unregisterProject(id, workspaceRoot = getWorkspaceRoot()) {
+  try {
+    const workspace = await loadWorkspace(workspaceRoot);
+    const remaining = workspace.projects.filter(project => project.id !== id);
+    if (remaining.length === workspace.projects.length) {
+      return { success: false, error: `Unknown project id "${id}"` };
+    }
+
+    await saveWorkspace({ ...workspace, projects: remaining }, workspaceRoot);
+    return { success: true, message: `Unregistered project "${id}"` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find directories containing a .guidant directory
+ * @param {string[]} searchRoots - Directories to scan
+ * @param {object} [options]
+ * @param {number} [options.maxDepth=3] - How many levels below each search root to scan
+ * @returns {Promise<string[]>} Absolute project directories
+ */
+export async function discoverProjects(searchRoots, options = {}) {
+  const maxDepth = options.maxDepth ?? 3;
+  const found = new Set();
+
+  async function scan(directory, depth) {
+    if (await isProjectInitialized(directory)) {
+      found.add(directory);
+    }
+    if (depth >= maxDepth) return;
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIPPED_DIRECTORIES.has(entry.name)) continue;
+      await scan(path.join(directory, entry.name), depth + 1);
+    }
+  }
+
+  for (const root of searchRoots) {
+    await scan(path.resolve(root), 0);
+  }
+
+  return [...found].sort();
+}
+
+/**
+ * List the projects in the workspace: registered projects plus any discovered in
+ * the workspace root or the client's roots. Projects outside the client's roots
+ * are left out.
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ * @param {object} [options]
+ * @param {string[]} [options.clientRoots=[]] - Roots the requesting client declared
+ */
+export async function listWorkspaceProjects(workspaceRoot = getWorkspaceRoot(), { clientRoots = [] } = {}) {
+  const workspace = await loadWorkspace(workspaceRoot);
+  const scopeRoots = await getScopeRoots(clientRoots, workspaceRoot);
+  const projects = [];
+  const seenRoots = new Set();
+
+  for (const project of workspace.projects) {
+    const root = path.resolve(workspaceRoot, project.root);
+    seenRoots.add(root);
+    if (!isInScope(root, scopeRoots)) continue;
+    projects.push({
+      ...project,
+      root,
+      source: 'registry',
+      initialized: await isProjectInitialized(root)
+    });
+  }
+
+  const searchRoots = clientRoots.length > 0 ? clientRoots : [workspaceRoot];
+  for (const root of await discoverProjects(searchRoots)) {
+    if (seenRoots.has(root) || !isInScope(root, scopeRoots)) continue;
+    seenRoots.add(root);
+    projects.push({
+      id: toProjectId(path.relative(workspaceRoot, root) || path.basename(root)),
+      name: path.basename(root),
+      root,
+      source: 'discovered',
+      initialized: true
+    });
+  }
+
+  return projects;
+}
+
+/**
+ * Work out which project a request is for
+ * @param {object} [selection]
+ * @param {string} [selection.projectRoot] - Project directory, absolute or relative to the workspace root
+ * @param {string} [selection.projectId] - Id of a registered or discovered project
+ * @param {string[]} [selection.clientRoots=[]] - Roots the requesting client declared
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ * @returns {Promise<string>} Absolute project directory
+ * @throws {Error} If the project is unknown or outside the client's scope
+ */
+export async function resolveProjectRoot({ projectRoot, projectId, clientRoots = [] } = {}, workspaceRoot = getWorkspaceRoot()) {
+  const scopeRoots = await getScopeRoots(clientRoots, workspaceRoot);
+  let resolved;
+
+  if (projectRoot) {
+    resolved = path.resolve(workspaceRoot, projectRoot);
+  } else if (projectId) {
+    const project = (await listWorkspaceProjects(workspaceRoot, { clientRoots })).find(candidate => candidate.id === projectId);
+    if (!project) {
+      throw new Error(`Unknown project id "${projectId}". Use guidant_list_projects to see available projects`);
+    }
+    resolved = project.root;
+  } else {
+    // Without a selection, serve the workspace root, or the client's first root
+    resolved = isInScope(workspaceRoot, scopeRoots) ? workspaceRoot : scopeRoots[0];
+  }
+
+  if (!isInScope(resolved, scopeRoots)) {
+    throw new Error(outOfScopeError(resolved, clientRoots));
+  }
+
+  return resolved;
+}
+
+/**
+ * Summarise the workflow state of every project in the workspace
+ * @param {string} [workspaceRoot] - Directory holding guidant-workspace.json
+ * @param {object} [options]
+ * @param {string[]} [options.clientRoots=[]] - Roots the requesting client declared
+ */
+export async function getWorkspaceStatus(workspaceRoot = getWorkspaceRoot(), { clientRoots = [] } = {}) {
+  const projects = await listWorkspaceProjects(workspaceRoot, { clientRoots });
+  const statuses = [];
+
+  for (const project of projects) {
+    statuses.push({ ...project, status: await getProjectStatus(project) });
+  }
+
+  const initialized = statuses.filter(project => project.status.state !== 'not_initialized');
+  return {
+    workspaceRoot,
+    clientRoots,
+    projects: statuses,
+    summary: {
+      totalProjects: statuses.length,
+      initializedProjects: initialized.length,
+      readyToAdvance: statuses.filter(project => project.status.readyToAdvance).length,
+      errors: statuses.filter(project => project.status.state === 'error').length,
+      byPhase: initialized.reduce((counts, project) => {
+        const phase = project.status.currentPhase;
+        if (phase) counts[phase] = (counts[phase] || 0) + 1;
+        return counts;
+      }, {})
+    }
+  };
+}
+
+async function getProjectStatus(project) {
+  if (!project.initialized) {
+    return { state: 'not_initialized' };
+  }
+
+  try {
+    const state = await getCurrentWorkflowState(project.root);
+    const currentPhase = state.currentPhase?.phase;
+    const completion = await checkPhaseCompletion(currentPhase, project.root);
+    const totalPhases = Object.keys(state.phaseDefinitions).length;
+    const completedPhases = getCompletedPhases(state.phases).length;
+
+    return {
+      state: 'active',
+      currentPhase,
+      activePhases: state.activePhases,
+      completedPhases,
+      totalPhases,
+      progress: totalPhases > 0 ? Math.round((completedPhases / totalPhases) * 100) : 0,
+      missingDeliverables: completion.missing,
+      readyToAdvance: completion.isComplete
+    };
+  } catch (error) {
+    return { state: 'error', error: error.message };
+  }
+}
+
+function toProjectId(value) {
+  return value
+    .split(path.sep)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'project';
+}
@@ -4,6 +4,7 @@
  */
 
 import { generateAITask } from '../ai-integration/task-generator.js';
+import { assignRequirementIds, matchRequirementIds } from '../workflow-logic/requirements-registry.js';
 import { writeProjectFile, readProjectFile } from '../file-management/project-structure.js';
 import { TASK_TICKETS } from '../constants/paths.js';
 import path from 'path';
@@ -21,6 +22,13 @@ export async function processPRDContent(prdContent, options = {}) {
   try {
     // Extract project information from PRD
     const prdAnalysis = analyzePRDContent(prdContent);
+
+    // Give each requirement and user story a stable ID to trace it through later phases
+    const registered = await assignRequirementIds(prdContent, 'prd', projectRoot);
+    if (!registered.success) {
+      console.warn('Failed to assign requirement IDs:', registered.error);
+    }
+    const requirements = registered.success ? registered.requirements : [];
     
     // Generate tasks using AI
     const taskGenerationResult = await generateTasksFromPRD(
@@ -31,7 +39,7 @@ export async function processPRDContent(prdContent, options = {}) {
     
     // Save tasks to project structure
     const savedTasks = await saveGeneratedTasks(
-      taskGenerationResult.tasks, 
+      linkTasksToRequirements(taskGenerationResult.tasks, requirements),
       projectRoot
     );
     
@@ -48,6 +56,7 @@ export async function processPRDContent(prdContent, options = {}) {
       projectDescription: enhancedDescription,
       message: `Successfully generated ${savedTasks.length} tasks from PRD`,
       tasks: savedTasks,
+      requirements: requirements.map(({ id, kind, text }) => ({ id, kind, text })),
       prdAnalysis
     };
     
@@ -337,6 +346,19 @@ async function generateFallbackTasks(prdContent, projectRoot) {
   ];
 }
 
+/**
+ * Record on each task the IDs of the requirements it implements
+ * @param {Array} tasks - Generated tasks
+ * @param {Array} requirements - Requirements of the PRD with their IDs
+ * @returns {Array} Tasks, with `requirementIds` where any matched
+ */
+function linkTasksToRequirements(tasks, requirements) {
+  return tasks.map(task => {
+    const requirementIds = matchRequirementIds(`${task.title || ''}\n${task.description || ''}`, requirements);
+    return requirementIds.length > 0 ? { ...task, requirementIds } : task;
+  });
+}
+
 /**
  * Save generated tasks to the project structure
  * @param {Array} tasks - Generated tasks
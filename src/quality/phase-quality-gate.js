@@ -0,0 +1,168 @@
+/**
+ * Phase Quality Gate for Guidant Evolution
+ * Enforces the quality thresholds a phase definition sets before the phase can be completed
+ *
+ * A phase definition may set `qualityThresholds` (minimum score per deliverable) and
+ * `blockingRules` (quality rule IDs that must pass for every required deliverable).
+ * Each deliverable file is validated with the QualityOrchestrator and its readiness
+ * decided by `assessTransitionReadiness`. Failures carry the feedback from the
+ * ContextualFeedbackGenerator so the agent knows what to improve.
+ *
+ * The gate can only be overridden by a person, who accepts the deliverables with a
+ * reason through `guidant approve --accept-quality`. Every override is recorded as
+ * a process decision through the decision tracker.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { QualityOrchestrator } from './quality-orchestrator.js';
+import { readProjectFile } from '../file-management/project-structure.js';
+import { getDeliverableDirectory } from '../workflow-logic/phase-definitions.js';
+import { recordDecision, DECISION_TYPES, IMPACT_LEVELS } from '../context/decision-tracker.js';
+import { PROJECT_CONFIG, DELIVERABLES_DIR } from '../constants/paths.js';
+
+/**
+ * Check every deliverable a phase sets a quality bar for
+ * @param {string} phase - Phase being completed
+ * @param {object} state - Workflow state from getCurrentWorkflowState
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Promise<{isReady: boolean, results: Array, failures: Array}>} Gate result
+ */
+export async function checkPhaseQuality(phase, state, projectRoot = process.cwd()) {
+  const definition = state.phaseDefinitions[phase] || {};
+  const thresholds = definition.qualityThresholds || {};
+  const blockingRules = definition.blockingRules || [];
+
+  // Blocking rules apply to every required deliverable, thresholds only to the ones they name
+  const deliverables = [...new Set([
+    ...(blockingRules.length > 0 ? definition.requiredDeliverables || [] : []),
+    ...Object.keys(thresholds)
+  ])];
+
+  if (deliverables.length === 0) {
+    return { isReady: true, results: [], failures: [] };
+  }
+
+  const config = await readProjectFile(PROJECT_CONFIG, projectRoot).catch(() => ({}));
+  const projectType = config.projectType || 'standard';
+  const directory = path.join(projectRoot, DELIVERABLES_DIR, getDeliverableDirectory(phase, state.phaseDefinitions));
+  const orchestrator = new QualityOrchestrator(projectRoot, { cacheEnabled: false });
+
+  const results = [];
+  for (const deliverable of deliverables) {
+    const minScore = thresholds[deliverable];
+    const file = await findDeliverableFile(directory, deliverable);
+
+    if (!file) {
+      results.push({
+        deliverable,
+        minScore,
+        passed: false,
+        reason: `no file found in ${path.relative(projectRoot, directory)}`
+      });
+      continue;
+    }
+
+    const context = {
+      projectType,
+      phase,
+      deliverableType: deliverable,
+      deliverablePath: file,
+      projectRoot,
+      configuration: { projectType, minScore, blockingRules }
+    };
+    const validation = await orchestrator.validateQuality(file, context, { cacheResults: false });
+    const relativeFile = path.relative(projectRoot, file);
+
+    if (!validation.success) {
+      results.push({ deliverable, file: relativeFile, minScore, passed: false, reason: validation.error });
+      continue;
+    }
+
+    const score = validation.qualityScore.overallScore;
+    const requiredScore = minScore ?? validation.qualityScore.passThreshold;
+    const failedBlockingRules = orchestrator.getFailedBlockingRules(validation.qualityScore, blockingRules);
+    const passed = validation.readyForTransition;
+
+    results.push({
+      deliverable,
+      file: relativeFile,
+      score,
+      minScore: requiredScore,
+      failedBlockingRules,
+      passed,
+      reason: passed ? null : describeFailure(score, requiredScore, failedBlockingRules),
+      feedback: passed ? undefined : validation.feedback
+    });
+  }
+
+  const failures = results.filter(result => !result.passed);
+  return { isReady: failures.length === 0, results, failures };
+}
+
+/**
+ * Record that a phase was advanced despite failing its quality gate
+ * @param {string} phase - Phase that was advanced
+ * @param {Array} failures - Failures from checkPhaseQuality
+ * @param {object} override
+ * @param {string} override.reason - Why the quality gate is being overridden
+ * @param {string} [override.actor] - Who overrode the gate
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Promise<object>} Result from recordDecision
+ */
+export async function recordQualityOverride(phase, failures, override, projectRoot = process.cwd()) {
+  return await recordDecision({
+    type: DECISION_TYPES.PROCESS,
+    title: `Quality gate overridden for ${phase}`,
+    description: `Advanced ${phase} with deliverables below the quality bar: ${summarizeFailures(failures)}`,
+    rationale: override.reason,
+    impact: IMPACT_LEVELS.HIGH,
+    phase,
+    recordedBy: override.actor,
+    context: {
+      failures: failures.map(({ deliverable, file, score, minScore, failedBlockingRules, reason }) => ({
+        deliverable, file, score, minScore, failedBlockingRules, reason
+      }))
+    },
+    tags: ['quality-override']
+  }, projectRoot);
+}
+
+/**
+ * Summarize gate failures in one line
+ * @param {Array} failures - Failures from checkPhaseQuality
+ * @returns {string} Summary
+ */
+export function summarizeFailures(failures) {
+  return failures.map(failure => `${failure.deliverable} (${failure.reason})`).join('; ');
+}
+
+function describeFailure(score, minScore, failedBlockingRules) {
+  const reasons = [];
+  if (score < minScore) {
+    reasons.push(`score ${score} below ${minScore}`);
+  }
+  if (failedBlockingRules.length > 0) {
+    reasons.push(`failed blocking rules: ${failedBlockingRules.join(', ')}`);
+  }
+  return reasons.join(', ') || 'not ready for transition';
+}
+
+/**
+ * Find the file for a deliverable: the file in the phase directory whose name
+ * matches the deliverable key, ignoring case, extension and -/_ differences
+ */
+async function findDeliverableFile(directory, deliverable) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const normalize = name => name.toLowerCase().replace(/[\s-]+/g, '_');
+  const match = entries.find(entry =>
+    entry.isFile() && normalize(path.parse(entry.name).name) === normalize(deliverable)
+  );
+  return match ? path.join(directory, match.name) : null;
+}
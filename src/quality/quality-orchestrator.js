@@ -379,11 +379,21 @@ export class QualityOrchestrator {
 
   /**
    * Assess if deliverable is ready for phase transition
+   * A phase can set its own bar through `context.configuration`: `minScore` replaces
+   * the default standards and any failed rule listed in `blockingRules` blocks the
+   * transition regardless of score.
    * @param {object} qualityScore - Quality score result
    * @param {object} context - Validation context
    * @returns {boolean} True if ready for transition
    */
   assessTransitionReadiness(qualityScore, context) {
+    // Thresholds set by the phase definition
+    const { minScore, blockingRules = [] } = context.configuration || {};
+    if (minScore !== undefined || blockingRules.length > 0) {
+      return this.getFailedBlockingRules(qualityScore, blockingRules).length === 0 &&
+        qualityScore.overallScore >= (minScore ?? qualityScore.passThreshold);
+    }
+
     // Basic readiness check
     if (!qualityScore.passed) {
       return false;
@@ -416,6 +426,18 @@ export class QualityOrchestrator {
     return true;
   }
 
+  /**
+   * Get the blocking rules a deliverable failed
+   * @param {object} qualityScore - Quality score result
+   * @param {Array<string>} blockingRules - Rule IDs that block a transition when they fail
+   * @returns {Array<string>} Failed blocking rule IDs
+   */
+  getFailedBlockingRules(qualityScore, blockingRules = []) {
+    return qualityScore.ruleResults
+      .filter(result => !result.passed && blockingRules.includes(result.ruleId))
+      .map(result => result.ruleId);
+  }
+
   /**
    * Generate recommendations based on quality results
    * @param {object} qualityScore - Quality score result
@@ -486,6 +508,11 @@ export class QualityOrchestrator {
       blockers.push(`Critical failure: ${failure.ruleName}`);
     }
 
+    // Rules the phase marked as blocking
+    for (const ruleId of this.getFailedBlockingRules(qualityScore, context.configuration?.blockingRules)) {
+      blockers.push(`Blocking rule failed: ${ruleId}`);
+    }
+
     // Critical issues from feedback
     for (const issue of feedback.criticalIssues) {
       blockers.push(`Critical issue: ${issue}`);
@@ -8,6 +8,7 @@
 
 import { IQualityRule } from '../interfaces/quality-interfaces.js';
 import { validateQualityRuleResult } from '../schemas/quality-schemas.js';
+import { DELIVERABLE_TEMPLATES, getTemplateSections } from '../../workflow-logic/deliverable-templates.js';
 
 /**
  * Structure Completeness Rule - validates required structural elements
@@ -32,15 +33,13 @@ export class StructureCompletenessRule extends IQualityRule {
     this.category = 'structure';
     this.version = '1.0.0';
 
-    // Define required sections by deliverable type
-    this.requiredSections = {
-      'market_analysis': ['executive summary', 'market overview', 'target audience', 'competitive analysis', 'opportunities'],
-      'user_personas': ['persona overview', 'demographics', 'goals', 'pain points', 'behaviors'],
-      'prd_complete': ['overview', 'objectives', 'features', 'requirements', 'acceptance criteria'],
-      'user_stories': ['story overview', 'acceptance criteria', 'priority', 'effort estimation'],
-      'wireframes': ['overview', 'user flows', 'screen layouts', 'interactions'],
-      'system_design': ['architecture overview', 'components', 'data flow', 'technology stack', 'scalability']
-    };
+    // Required sections by deliverable type, from the built-in deliverable templates.
+    // A project's own template for a type replaces these when a deliverable is evaluated.
+    this.requiredSections = Object.fromEntries(
+      Object.entries(DELIVERABLE_TEMPLATES).map(([type, template]) =>
+        [type, template.sections.map(([heading]) => heading.toLowerCase())]
+      )
+    );
   }
 
   /**
@@ -51,8 +50,12 @@ export class StructureCompletenessRule extends IQualityRule {
    */
   async evaluate(content, context) {
     try {
-      const analysis = this.analyzeStructure(content, context);
-      const result = this.evaluateCompleteness(analysis, context);
+      const sectionContext = context.deliverableType && !context.requiredSections
+        ? { ...context, requiredSections: await getTemplateSections(context.deliverableType, context.projectRoot) }
+        : context;
+
+      const analysis = this.analyzeStructure(content, sectionContext);
+      const result = this.evaluateCompleteness(analysis, sectionContext);
       
       const ruleResult = {
         ruleId: this.ruleId,
@@ -63,7 +66,7 @@ export class StructureCompletenessRule extends IQualityRule {
         message: result.message,
         details: {
           analysis,
-          requirements: this.getRequirements(context),
+          requirements: this.getRequirements(sectionContext),
           missing: result.missing,
           recommendations: result.recommendations
         },
@@ -275,8 +278,10 @@ export class StructureCompletenessRule extends IQualityRule {
       requiredSections: []
     };
 
-    // Get deliverable-specific requirements
-    if (context.deliverableType && this.requiredSections[context.deliverableType]) {
+    // Get deliverable-specific requirements: the sections of the deliverable's template
+    if (context.requiredSections) {
+      requirements.requiredSections = context.requiredSections;
+    } else if (context.deliverableType && this.requiredSections[context.deliverableType]) {
       requirements.requiredSections = this.requiredSections[context.deliverableType];
     }
 
@@ -18,6 +18,13 @@ import {
   BUSINESS_REPORTS_DIR,
   TASK_TICKETS
 } from '../constants/paths.js';
+import {
+  migrateQualityGates,
+  getApprovedDeliverables,
+  summarizeDeliverables
+} from '../workflow-logic/deliverable-lifecycle.js';
+import { getApprovals, checkPhaseApprovals } from '../workflow-logic/phase-approvals.js';
+import { getActivePhases } from '../workflow-logic/workflow-state-manager.js';
 
 /**
  * Generate comprehensive progress report
@@ -43,6 +50,7 @@ export async function generateProgressReport(projectRoot = process.cwd()) {
       phases: generatePhaseProgress(reportData.phases, reportData.qualityGates),
       recentActivity: getRecentActivity(reportData.sessions, 7), // Last 7 days
       upcomingTasks: await getUpcomingTasks(projectRoot),
+      approvals: await getApprovalSummary(reportData, projectRoot),
       recommendations: generateProgressRecommendations(reportData)
     };
     
@@ -184,7 +192,7 @@ async function gatherProgressData(projectRoot) {
     readProjectFile(SESSIONS, projectRoot)
   ]);
   
-  return { config, phases, currentPhase, qualityGates, sessions };
+  return { config, phases, currentPhase, qualityGates: migrateQualityGates(qualityGates), sessions };
 }
 
 async function gatherQualityData(projectRoot) {
@@ -226,7 +234,7 @@ function calculateOverallProgress(phases) {
 
 function countCompletedDeliverables(qualityGates) {
   return Object.values(qualityGates)
-    .reduce((total, gate) => total + (gate.completed?.length || 0), 0);
+    .reduce((total, gate) => total + getApprovedDeliverables(gate).length, 0);
 }
 
 function countTotalDeliverables(qualityGates) {
@@ -244,20 +252,43 @@ function generatePhaseProgress(phases, qualityGates) {
   
   Object.entries(phases.phases).forEach(([phaseName, phaseData]) => {
     const gates = qualityGates[phaseName] || {};
+    const approved = getApprovedDeliverables(gates).length;
     progress[phaseName] = {
       status: phaseData.status,
       startedAt: phaseData.startedAt,
       completedAt: phaseData.completedAt,
-      completedDeliverables: gates.completed?.length || 0,
+      completedDeliverables: approved,
       totalDeliverables: gates.required?.length || 0,
+      deliverableStates: summarizeDeliverables(gates),
       progress: gates.required?.length > 0 ? 
-        Math.round(((gates.completed?.length || 0) / gates.required.length) * 100) : 0
+        Math.round((approved / gates.required.length) * 100) : 0
     };
   });
   
   return progress;
 }
 
+/**
+ * Approval history, newest first, and the approvals active phases are still waiting on
+ */
+async function getApprovalSummary(data, projectRoot) {
+  const history = await getApprovals(projectRoot);
+  const pending = {};
+
+  for (const phase of getActivePhases(data.phases, data.currentPhase)) {
+    const status = await checkPhaseApprovals(phase, projectRoot);
+    if (status.missing.length > 0) {
+      pending[phase] = status.missing;
+    }
+  }
+
+  return {
+    total: history.length,
+    history: [...history].reverse(),
+    pending
+  };
+}
+
 function getRecentActivity(sessions, days) {
   const cutoff = new Date();
   cutoff.setDate(cutoff.getDate() - days);
@@ -412,12 +443,13 @@ function assessPhaseQuality(qualityGates) {
 
   Object.entries(qualityGates).forEach(([phase, gates]) => {
     const required = gates.required?.length || 0;
-    const completed = gates.completed?.length || 0;
+    const completed = getApprovedDeliverables(gates).length;
 
     phaseQuality[phase] = {
       completionRate: required > 0 ? Math.round((completed / required) * 100) : 0,
       completed,
       required,
+      deliverableStates: summarizeDeliverables(gates),
       status: required > 0 && completed === required ? 'complete' :
               completed > 0 ? 'in-progress' : 'pending'
     };
@@ -432,7 +464,7 @@ function identifyQualityIssues(data) {
   // Check for incomplete phases
   Object.entries(data.qualityGates).forEach(([phase, gates]) => {
     const required = gates.required?.length || 0;
-    const completed = gates.completed?.length || 0;
+    const completed = getApprovedDeliverables(gates).length;
 
     if (required > 0 && completed < required) {
       issues.push({
@@ -506,7 +538,7 @@ function getCompletedMilestones(data) {
     .map(([name, phase]) => ({
       phase: name,
       completedAt: phase.completedAt,
-      deliverables: data.qualityGates[name]?.completed || []
+      deliverables: getApprovedDeliverables(data.qualityGates[name])
     }));
 }
 
@@ -547,7 +579,7 @@ function assessProjectRisks(data) {
   const currentPhase = data.currentPhase.phase;
   const gates = data.qualityGates[currentPhase];
   if (gates && gates.required) {
-    const completion = (gates.completed?.length || 0) / gates.required.length;
+    const completion = getApprovedDeliverables(gates).length / gates.required.length;
     if (completion < 0.5) {
       risks.push({
         type: 'quality',
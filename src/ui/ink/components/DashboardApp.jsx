@@ -9,6 +9,7 @@ import { HeaderSection } from './HeaderSection.jsx';
 import { ProgressSection } from './ProgressSection.jsx';
 import { CapabilitiesSection } from './CapabilitiesSection.jsx';
 import { TasksSection } from './TasksSection.jsx';
+import { DependencyGraph } from './DependencyGraph.jsx';
 
 /**
  * Pure Dashboard Layout Component - No side effects, just rendering
@@ -62,6 +63,13 @@ export function DashboardLayout({
         selected={interactive && selectedSection === 2}
       />
 
+      {/* Ticket Dependencies */}
+      {!compact && workflowState.taskGraph?.edges.length > 0 && (
+        <Box marginBottom={1}>
+          <DependencyGraph tasks={workflowState.taskGraph.nodes} compact />
+        </Box>
+      )}
+
       {/* Dynamic Footer */}
       {footer}
 
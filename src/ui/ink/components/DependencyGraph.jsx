@@ -86,7 +86,7 @@ function buildDependencyGraph(tasks, currentTask, maxDepth, showCompleted) {
     if (!task || depth > maxDepth || visited.has(task.id)) return;
 
     // Skip completed tasks if not showing them
-    if (!showCompleted && task.status === 'completed') return;
+    if (!showCompleted && (task.status === 'completed' || task.status === 'done')) return;
 
     visited.add(task.id);
 
@@ -102,8 +102,9 @@ function buildDependencyGraph(tasks, currentTask, maxDepth, showCompleted) {
     });
 
     // Add dependencies
-    if (task.dependencies && task.dependencies.length > 0) {
-      task.dependencies.forEach(depId => {
+    const dependencies = getDependencies(task);
+    if (dependencies.length > 0) {
+      dependencies.forEach(depId => {
         const depTask = tasks.find(t => t.id === depId);
         if (depTask) {
           edges.push({
@@ -125,7 +126,7 @@ function buildDependencyGraph(tasks, currentTask, maxDepth, showCompleted) {
 
     // Also add tasks that depend on the current task
     tasks.forEach(task => {
-      if (task.dependencies && task.dependencies.includes(currentTask.id)) {
+      if (getDependencies(task).includes(currentTask.id)) {
         addTaskNode(task, 1);
       }
     });
@@ -145,15 +146,24 @@ function buildDependencyGraph(tasks, currentTask, maxDepth, showCompleted) {
  * Check if a task is blocked by incomplete dependencies
  */
 function isTaskBlocked(task, allTasks) {
-  if (!task || !task.dependencies || task.dependencies.length === 0) return false;
+  // Ticket graph nodes already know which dependencies are still open
+  if (task && Array.isArray(task.blockedBy)) return task.blockedBy.length > 0;
+  if (!task || getDependencies(task).length === 0) return false;
   if (!allTasks || !Array.isArray(allTasks)) return false;
 
-  return task.dependencies.some(depId => {
+  return getDependencies(task).some(depId => {
     const depTask = allTasks.find(t => t.id === depId);
     return depTask && depTask.status !== 'completed';
   });
 }
 
+/**
+ * Get the IDs a task depends on; implementation tickets declare them as dependsOn
+ */
+function getDependencies(task) {
+  return task.dependsOn || task.dependencies || [];
+}
+
 /**
  * Render graph nodes with ASCII connections
  */
@@ -314,7 +324,9 @@ function DependencyLegend() {
 function getStatusIcon(status) {
   const icons = {
     completed: '✓',
+    done: '✓',
     'in-progress': '⚡',
+    in_progress: '⚡',
     pending: '○',
     blocked: '🚫',
     cancelled: '✗'
@@ -325,7 +337,9 @@ function getStatusIcon(status) {
 function getStatusColor(status) {
   const colors = {
     completed: 'green',
+    done: 'green',
     'in-progress': 'yellow',
+    in_progress: 'yellow',
     pending: 'gray',
     blocked: 'red',
     cancelled: 'red'
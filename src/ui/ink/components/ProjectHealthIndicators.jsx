@@ -12,6 +12,16 @@
 
 import React from 'react';
 import { Box, Text } from 'ink';
+import { DELIVERABLE_STATES, getDeliverableState } from '../../../workflow-logic/deliverable-lifecycle.js';
+
+const DELIVERABLE_STATE_DISPLAY = {
+  [DELIVERABLE_STATES.NOT_STARTED]: { icon: '○', color: 'gray' },
+  [DELIVERABLE_STATES.IN_PROGRESS]: { icon: '◐', color: 'yellow' },
+  [DELIVERABLE_STATES.IN_REVIEW]: { icon: '◎', color: 'cyan' },
+  [DELIVERABLE_STATES.CHANGES_REQUESTED]: { icon: '✗', color: 'red' },
+  [DELIVERABLE_STATES.APPROVED]: { icon: '✓', color: 'green' },
+  [DELIVERABLE_STATES.REOPENED]: { icon: '↺', color: 'magenta' }
+};
 
 /**
  * Project Health Dashboard Component
@@ -244,12 +254,16 @@ function QualityGatesStatus({ workflowState }) {
             </Box>
             
             {currentGate.required?.map((requirement, index) => {
-              const isCompleted = currentGate.completed?.includes(requirement);
+              const state = getDeliverableState(currentGate, requirement);
+              const display = DELIVERABLE_STATE_DISPLAY[state];
               return (
                 <Box key={index} marginLeft={2}>
-                  <Text color={isCompleted ? 'green' : 'gray'}>
-                    {isCompleted ? '✓' : '○'} {requirement.replace('_', ' ')}
+                  <Text color={display.color}>
+                    {display.icon} {requirement.replace('_', ' ')}
                   </Text>
+                  {state !== DELIVERABLE_STATES.APPROVED && state !== DELIVERABLE_STATES.NOT_STARTED && (
+                    <Text color="gray"> ({state.replace('_', ' ')})</Text>
+                  )}
                 </Box>
               );
             })}
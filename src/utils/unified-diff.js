@@ -0,0 +1,182 @@
+/**
+ * Line-based unified diff between two texts, in the format `diff -u` and git print.
+ * Lines are matched with a longest-common-subsequence table, so this is meant for
+ * documents of a few thousand lines, not for large generated files.
+ */
+
+// Above this many table cells the changed block is shown as removed and re-added
+const MAX_TABLE_CELLS = 4_000_000;
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Every line, marked unchanged, removed or added
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Matching lines at either end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  for (const line of a.slice(0, start)) {
+    changes.push({ type: ' ', line });
+  }
+  changes.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB)));
+  for (const line of a.slice(endA)) {
+    changes.push({ type: ' ', line });
+  }
+  return changes;
+}
+
+/**
+ * Create a unified diff
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {object} [options]
+ * @param {string} [options.fromLabel='a'] - Name of the old text in the `---` header
+ * @param {string} [options.toLabel='b'] - Name of the new text in the `+++` header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {{diff: string, added: number, removed: number}} The diff is empty when the texts match
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const context = options.context ?? 3;
+  const changes = diffLines(oldText, newText);
+  const added = changes.filter(change => change.type === '+').length;
+  const removed = changes.filter(change => change.type === '-').length;
+
+  if (added === 0 && removed === 0) {
+    return { diff: '', added, removed };
+  }
+
+  const lines = [`--- ${options.fromLabel || 'a'}`, `+++ ${options.toLabel || 'b'}`];
+  for (const hunk of groupHunks(changes, context)) {
+    lines.push(hunk.header, ...hunk.changes.map(change => `${change.type}${change.line}`));
+  }
+
+  return { diff: `${lines.join('\n')}\n`, added, removed };
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+function diffMiddle(a, b) {
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_TABLE_CELLS) {
+    return [
+      ...a.map(line => ({ type: '-', line })),
+      ...b.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // lengths[i * width + j] is the LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      changes.push({ type: '-', line: a[i++] });
+    } else {
+      changes.push({ type: '+', line: b[j++] });
+    }
+  }
+  for (; i < a.length; i++) {
+    changes.push({ type: '-', line: a[i] });
+  }
+  for (; j < b.length; j++) {
+    changes.push({ type: '+', line: b[j] });
+  }
+  return changes;
+}
+
+/**
+ * Split the changes into hunks, merging changes separated by no more than
+ * two contexts' worth of unchanged lines
+ */
+function groupHunks(changes, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let index = 0;
+
+  while (index < changes.length) {
+    if (changes[index].type !== ' ') {
+      if (!current) {
+        const before = changes.slice(Math.max(0, index - context), index);
+        current = { oldStart: oldLine - before.length, newStart: newLine - before.length, changes: [...before] };
+      }
+      const change = changes[index++];
+      current.changes.push(change);
+      if (change.type !== '+') oldLine++;
+      if (change.type !== '-') newLine++;
+      continue;
+    }
+
+    // A run of unchanged lines either joins two changes or ends the hunk
+    let runEnd = index;
+    while (runEnd < changes.length && changes[runEnd].type === ' ') {
+      runEnd++;
+    }
+    const run = changes.slice(index, runEnd);
+    if (current) {
+      if (runEnd < changes.length && run.length <= context * 2) {
+        current.changes.push(...run);
+      } else {
+        current.changes.push(...run.slice(0, context));
+        hunks.push(current);
+        current = null;
+      }
+    }
+    oldLine += run.length;
+    newLine += run.length;
+    index = runEnd;
+  }
+  if (current) {
+    hunks.push(current);
+  }
+
+  return hunks.map(hunk => {
+    const oldCount = hunk.changes.filter(change => change.type !== '+').length;
+    const newCount = hunk.changes.filter(change => change.type !== '-').length;
+    return {
+      header: `@@ -${formatRange(hunk.oldStart, oldCount)} +${formatRange(hunk.newStart, newCount)} @@`,
+      changes: hunk.changes
+    };
+  });
+}
+
+function formatRange(start, count) {
+  // An empty range names the line before it, as diff -u does
+  const line = count === 0 ? start - 1 : start;
+  return count === 1 ? `${line}` : `${line},${count}`;
+}
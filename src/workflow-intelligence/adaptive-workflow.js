@@ -291,7 +291,8 @@ export class AdaptiveWorkflowGenerator {
 	}
 
 	/**
-	 * Suggest workflow upgrades based on project evolution
+	 * Suggest workflow upgrades based on project evolution. Each suggestion names the
+	 * target project type and complexity to plan a migration to.
 	 */
 	suggestWorkflowUpgrade(currentWorkflow, projectEvolution) {
 		const suggestions = [];
@@ -303,7 +304,8 @@ export class AdaptiveWorkflowGenerator {
 				from: 'simple',
 				to: 'standard',
 				reason: 'Project has grown in complexity',
-				benefits: ['Better testing', 'More documentation', 'Improved quality gates']
+				benefits: ['Better testing', 'More documentation', 'Improved quality gates'],
+				target: { projectType: currentWorkflow.projectType, complexity: 'standard' }
 			});
 		}
 
@@ -313,7 +315,8 @@ export class AdaptiveWorkflowGenerator {
 				type: 'phase_addition',
 				phases: ['requirements', 'architecture'],
 				reason: 'User feedback indicates need for more structured development',
-				benefits: ['Better requirements', 'Scalable architecture']
+				benefits: ['Better requirements', 'Scalable architecture'],
+				target: { projectType: 'product', complexity: currentWorkflow.complexity }
 			});
 		}
 
@@ -0,0 +1,426 @@
+/**
+ * Adaptive Workflow Migration
+ * Moves an adaptive workflow to another project type or complexity through an explicit plan
+ *
+ * A plan lists the phases added and removed, the approved deliverables that carry over
+ * or are dropped with a removed phase, and the deliverables that become required. A
+ * dry run only returns the plan. Applying it writes phases.json and quality-gates.json
+ * and records the migration in `.guidant/workflow/migrations.json` together with the
+ * state it replaced, so the latest migration can be reverted.
+ */
+
+import { PROJECT_TYPES, COMPLEXITY_LEVELS } from './project-classifier.js';
+import { AdaptiveWorkflowGenerator } from './adaptive-workflow.js';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { migrateQualityGates, getApprovedDeliverables } from '../workflow-logic/deliverable-lifecycle.js';
+import { appendJournalEvent, captureWorkflowState, JOURNAL_EVENT_TYPES } from '../workflow-logic/workflow-journal.js';
+import {
+	PROJECT_PHASES,
+	QUALITY_GATES,
+	PROJECT_METADATA,
+	CURRENT_PHASE,
+	WORKFLOW_MIGRATIONS
+} from '../constants/paths.js';
+
+/**
+ * Migration directions
+ */
+export const MIGRATION_DIRECTIONS = {
+	UPGRADE: 'upgrade',
+	DOWNGRADE: 'downgrade',
+	CHANGE: 'change'
+};
+
+export const MIGRATION_STATUSES = {
+	APPLIED: 'applied',
+	REVERTED: 'reverted'
+};
+
+const COMPLEXITY_ORDER = ['simple', 'standard', 'enterprise'];
+
+// Phase statuses that leave a phase out of the workflow
+const EXCLUDED_STATUSES = ['optional', 'skipped'];
+
+/**
+ * Read the workflow the project uses now
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Promise<{projectType: string|null, complexity: string|null, adaptive: boolean, phases: string[]}>}
+ */
+export async function getCurrentWorkflow(projectRoot = process.cwd()) {
+	const [phases, metadata] = await Promise.all([
+		readProjectFile(PROJECT_PHASES, projectRoot),
+		readProjectFile(PROJECT_METADATA, projectRoot).catch(() => ({}))
+	]);
+	const workflow = metadata.workflow || {};
+
+	return {
+		projectType: workflow.projectType || null,
+		complexity: workflow.complexity || null,
+		adaptive: Boolean(workflow.adaptive),
+		phases: getIncludedPhases(phases)
+	};
+}
+
+/**
+ * Work out what moving to another project type or complexity would change
+ * @param {object} target
+ * @param {string} target.projectType - One of PROJECT_TYPES
+ * @param {string} [target.complexity] - One of COMPLEXITY_LEVELS; defaults to the project type's
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Promise<object>} Result with the migration plan
+ */
+export async function planWorkflowMigration(target, projectRoot = process.cwd()) {
+	try {
+		const classification = resolveClassification(target);
+		if (classification.error) {
+			return { success: false, error: classification.error };
+		}
+
+		const [currentPhases, storedGates, currentPhase, metadata, current] = await Promise.all([
+			readProjectFile(PROJECT_PHASES, projectRoot),
+			readProjectFile(QUALITY_GATES, projectRoot).catch(() => ({})),
+			readProjectFile(CURRENT_PHASE, projectRoot).catch(() => ({})),
+			readProjectFile(PROJECT_METADATA, projectRoot).catch(() => ({})),
+			getCurrentWorkflow(projectRoot)
+		]);
+		const currentGates = migrateQualityGates(storedGates);
+
+		const generator = new AdaptiveWorkflowGenerator();
+		const targetConfig = await generator.generateWorkflow(classification, projectRoot);
+		const targetPhases = classification.projectType.phases;
+
+		const added = targetPhases.filter(phase => !current.phases.includes(phase));
+		const removed = current.phases.filter(phase => !targetPhases.includes(phase));
+		const kept = targetPhases.filter(phase => current.phases.includes(phase));
+		const warnings = [];
+
+		// Approved work carries over with its phase; a removed phase takes its deliverables with it
+		const carriedOver = [];
+		const dropped = [];
+		for (const phase of current.phases) {
+			for (const deliverable of getApprovedDeliverables(currentGates[phase])) {
+				(kept.includes(phase) ? carriedOver : dropped).push({ phase, deliverable });
+			}
+		}
+
+		const newlyRequired = [];
+		const noLongerRequired = [];
+		for (const phase of targetPhases) {
+			const required = targetConfig.qualityGates[phase].required;
+			const previouslyRequired = kept.includes(phase) ? currentGates[phase]?.required || [] : [];
+			const approved = getApprovedDeliverables(currentGates[phase]);
+
+			for (const deliverable of required.filter(name => !previouslyRequired.includes(name))) {
+				newlyRequired.push({ phase, deliverable, satisfied: approved.includes(deliverable) });
+			}
+			for (const deliverable of previouslyRequired.filter(name => !required.includes(name))) {
+				noLongerRequired.push({ phase, deliverable });
+			}
+		}
+
+		const result = buildMigratedState(targetConfig, currentPhases, currentGates, kept, removed);
+		const completed = kept.filter(phase => currentPhases.phases[phase]?.status === 'completed');
+
+		for (const phase of added) {
+			const later = targetPhases.slice(targetPhases.indexOf(phase) + 1);
+			if (later.some(laterPhase => completed.includes(laterPhase))) {
+				warnings.push(`${phase} is added before phases that are already completed; its deliverables will need to be backfilled`);
+			}
+		}
+		if (dropped.length > 0) {
+			warnings.push(`${dropped.length} approved deliverable(s) in removed phases will no longer count towards a gate; their files are kept`);
+		}
+		if (currentPhases.current && removed.includes(currentPhases.current)) {
+			warnings.push(`The active phase ${currentPhases.current} is removed; work moves to ${result.phases.current}`);
+		}
+
+		const plan = {
+			from: { projectType: current.projectType, complexity: current.complexity, phases: current.phases },
+			to: {
+				projectType: classification.type,
+				complexity: classification.complexity.name.toLowerCase(),
+				phases: targetPhases
+			},
+			direction: getDirection(current, classification),
+			phases: {
+				added,
+				removed,
+				kept,
+				current: { from: currentPhases.current || null, to: result.phases.current }
+			},
+			deliverables: { carriedOver, dropped },
+			gates: { newlyRequired, noLongerRequired },
+			warnings,
+			result: {
+				...result,
+				currentPhase: result.phases.current === currentPhase.phase
+					? currentPhase
+					: { ...currentPhase, phase: result.phases.current, currentTask: null, progress: 0, startedAt: new Date().toISOString() },
+				metadata: {
+					...metadata,
+					workflow: targetConfig.metadata,
+					researchRequirements: targetConfig.researchRequirements
+				}
+			}
+		};
+
+		return { success: true, plan };
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Plan a migration and, unless it is a dry run, apply it
+ * @param {object} target - Target project type and complexity, as for planWorkflowMigration
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only return the plan
+ * @param {string} [options.actor] - Who applied the migration
+ * @returns {Promise<object>} Result with the plan and, when applied, the migration record
+ */
+export async function migrateWorkflow(target, projectRoot = process.cwd(), options = {}) {
+	const planned = await planWorkflowMigration(target, projectRoot);
+	if (!planned.success || options.dryRun) {
+		return { ...planned, dryRun: Boolean(options.dryRun), applied: false };
+	}
+
+	try {
+		const { plan } = planned;
+		const backup = await readWorkflowFiles(projectRoot);
+		const migrations = await getWorkflowMigrations(projectRoot);
+
+		const migration = {
+			id: `MIG-${String(migrations.length + 1).padStart(3, '0')}`,
+			status: MIGRATION_STATUSES.APPLIED,
+			direction: plan.direction,
+			from: plan.from,
+			to: plan.to,
+			phases: plan.phases,
+			deliverables: plan.deliverables,
+			gates: plan.gates,
+			appliedAt: new Date().toISOString(),
+			appliedBy: options.actor || null,
+			backup,
+			applied: {
+				phases: plan.result.phases,
+				qualityGates: plan.result.qualityGates
+			}
+		};
+
+		await writeWorkflowFiles(plan.result, projectRoot);
+		await writeProjectFile(WORKFLOW_MIGRATIONS, [...migrations, migration], projectRoot);
+		await appendJournalEvent(JOURNAL_EVENT_TYPES.WORKFLOW_MIGRATED, {
+			migrationId: migration.id,
+			reverted: false,
+			state: await captureWorkflowState(projectRoot)
+		}, { actor: options.actor, projectRoot });
+
+		return {
+			success: true,
+			dryRun: false,
+			applied: true,
+			plan,
+			migration: summarizeMigration(migration),
+			message: `Migrated workflow from ${describeWorkflow(plan.from)} to ${describeWorkflow(plan.to)} (${migration.id})`
+		};
+	} catch (error) {
+		return { success: false, applied: false, error: error.message };
+	}
+}
+
+/**
+ * Undo the latest applied migration by restoring the state it replaced
+ * @param {string} [migrationId] - Migration to revert; defaults to the latest applied one
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Revert even if phases or gates changed after the migration
+ * @param {string} [options.actor] - Who reverted the migration
+ * @returns {Promise<object>} Result with the reverted migration
+ */
+export async function revertWorkflowMigration(migrationId, projectRoot = process.cwd(), options = {}) {
+	try {
+		const migrations = await getWorkflowMigrations(projectRoot);
+		const applied = migrations.filter(migration => migration.status === MIGRATION_STATUSES.APPLIED);
+		const latest = applied[applied.length - 1];
+
+		if (!latest) {
+			return { success: false, error: 'There is no applied migration to revert' };
+		}
+		if (migrationId && migrationId !== latest.id) {
+			const known = migrations.find(migration => migration.id === migrationId);
+			return {
+				success: false,
+				error: !known
+					? `Unknown migration: ${migrationId}`
+					: known.status === MIGRATION_STATUSES.REVERTED
+						? `${migrationId} has already been reverted`
+						: `Only the latest migration can be reverted; revert ${latest.id} first`
+			};
+		}
+
+		const current = await readWorkflowFiles(projectRoot);
+		const changed = !isSameJSON(current.phases, latest.applied.phases) ||
+			!isSameJSON(current.qualityGates, latest.applied.qualityGates);
+		if (changed && !options.force) {
+			return {
+				success: false,
+				error: `Phases or quality gates changed after ${latest.id} was applied; reverting would discard those changes. Revert with force to continue.`
+			};
+		}
+
+		await writeWorkflowFiles(latest.backup, projectRoot);
+		const reverted = {
+			...latest,
+			status: MIGRATION_STATUSES.REVERTED,
+			revertedAt: new Date().toISOString(),
+			revertedBy: options.actor || null
+		};
+		await writeProjectFile(
+			WORKFLOW_MIGRATIONS,
+			migrations.map(migration => migration.id === latest.id ? reverted : migration),
+			projectRoot
+		);
+		await appendJournalEvent(JOURNAL_EVENT_TYPES.WORKFLOW_MIGRATED, {
+			migrationId: latest.id,
+			reverted: true,
+			state: await captureWorkflowState(projectRoot)
+		}, { actor: options.actor, projectRoot });
+
+		return {
+			success: true,
+			migration: summarizeMigration(reverted),
+			discardedChanges: changed,
+			message: `Reverted ${latest.id}; the workflow is back to ${describeWorkflow(latest.from)}`
+		};
+	} catch (error) {
+		return { success: false, error: error.message };
+	}
+}
+
+/**
+ * Read the migration history, oldest first
+ * @param {string} [projectRoot=process.cwd()] - Project root directory
+ * @returns {Promise<object[]>} Migration records
+ */
+export async function getWorkflowMigrations(projectRoot = process.cwd()) {
+	return await readProjectFile(WORKFLOW_MIGRATIONS, projectRoot).catch(() => []);
+}
+
+/**
+ * Drop the stored state from a migration record for display
+ * @param {object} migration - Migration record
+ * @returns {object} Record without backup and applied state
+ */
+export function summarizeMigration(migration) {
+	const { backup, applied, ...summary } = migration;
+	return summary;
+}
+
+/**
+ * Describe a workflow as "product (enterprise)"
+ */
+export function describeWorkflow(workflow) {
+	if (!workflow.projectType) {
+		return 'the legacy workflow';
+	}
+	return workflow.complexity ? `${workflow.projectType} (${workflow.complexity})` : workflow.projectType;
+}
+
+function resolveClassification(target = {}) {
+	const projectType = PROJECT_TYPES[target.projectType];
+	if (!projectType) {
+		return { error: `Unknown project type: ${target.projectType} (expected one of ${Object.keys(PROJECT_TYPES).join(', ')})` };
+	}
+
+	const complexityKey = target.complexity || projectType.complexity;
+	const complexity = COMPLEXITY_LEVELS[complexityKey];
+	if (!complexity) {
+		return { error: `Unknown complexity: ${complexityKey} (expected one of ${Object.keys(COMPLEXITY_LEVELS).join(', ')})` };
+	}
+
+	return { type: target.projectType, projectType, complexity };
+}
+
+function getIncludedPhases(phases) {
+	return Object.entries(phases?.phases || {})
+		.filter(([, phase]) => !EXCLUDED_STATUSES.includes(phase.status) && phase.required !== false)
+		.map(([key]) => key);
+}
+
+function getDirection(current, classification) {
+	const from = COMPLEXITY_ORDER.indexOf(current.complexity);
+	const to = COMPLEXITY_ORDER.indexOf(classification.complexity.name.toLowerCase());
+	const phaseDelta = classification.projectType.phases.length - current.phases.length;
+
+	if (to > from || (to === from && phaseDelta > 0)) return MIGRATION_DIRECTIONS.UPGRADE;
+	if (to < from || (to === from && phaseDelta < 0)) return MIGRATION_DIRECTIONS.DOWNGRADE;
+	return MIGRATION_DIRECTIONS.CHANGE;
+}
+
+/**
+ * Build the phases and gates of the target workflow, keeping the status of phases
+ * that carry over and the deliverable states recorded in their gates. Removed phases
+ * stay listed as optional with the status they had.
+ */
+function buildMigratedState(targetConfig, currentPhases, currentGates, kept, removed) {
+	const phases = structuredClone(targetConfig.phases);
+	const targetPhases = targetConfig.metadata.phases;
+
+	for (const phase of kept) {
+		phases.phases[phase] = { ...currentPhases.phases[phase], required: true };
+	}
+	for (const phase of removed) {
+		phases.phases[phase] = {
+			status: 'optional',
+			required: false,
+			reason: `Removed when migrating to ${targetConfig.metadata.projectType}`,
+			previousStatus: currentPhases.phases[phase]?.status
+		};
+	}
+
+	// Stay on the current phase if it carries over, otherwise move to the first unfinished one
+	const firstUnfinished = targetPhases.find(phase => phases.phases[phase].status !== 'completed');
+	phases.current = kept.includes(currentPhases.current) ? currentPhases.current : firstUnfinished || targetPhases[targetPhases.length - 1];
+
+	for (const phase of targetPhases) {
+		if (phase !== phases.current && phases.phases[phase].status === 'active' && !kept.includes(phase)) {
+			phases.phases[phase] = { ...phases.phases[phase], status: 'pending', startedAt: undefined };
+		}
+	}
+	if (phases.phases[phases.current].status === 'pending') {
+		phases.phases[phases.current] = { ...phases.phases[phases.current], status: 'active', startedAt: new Date().toISOString() };
+	}
+
+	const qualityGates = {};
+	for (const phase of targetPhases) {
+		const template = targetConfig.qualityGates[phase];
+		const existing = kept.includes(phase) ? currentGates[phase] : null;
+		qualityGates[phase] = existing
+			? { ...existing, required: template.required, optional: template.optional, description: template.description }
+			: template;
+	}
+
+	return { phases, qualityGates };
+}
+
+async function readWorkflowFiles(projectRoot) {
+	const [phases, qualityGates, currentPhase, metadata] = await Promise.all([
+		readProjectFile(PROJECT_PHASES, projectRoot),
+		readProjectFile(QUALITY_GATES, projectRoot).catch(() => ({})),
+		readProjectFile(CURRENT_PHASE, projectRoot).catch(() => ({})),
+		readProjectFile(PROJECT_METADATA, projectRoot).catch(() => ({}))
+	]);
+	return { phases, qualityGates, currentPhase, metadata };
+}
+
+async function writeWorkflowFiles(state, projectRoot) {
+	await writeProjectFile(PROJECT_PHASES, state.phases, projectRoot);
+	await writeProjectFile(QUALITY_GATES, state.qualityGates, projectRoot);
+	await writeProjectFile(CURRENT_PHASE, state.currentPhase, projectRoot);
+	await writeProjectFile(PROJECT_METADATA, state.metadata, projectRoot);
+}
+
+function isSameJSON(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
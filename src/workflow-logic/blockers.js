@@ -0,0 +1,299 @@
+/**
+ * @file Blockers on tickets and deliverables.
+ * @description A blocker records something that stops work on a ticket or deliverable
+ * until a person deals with it. Blockers are kept in the `blockers` list of
+ * `.guidant/workflow/dependencies.json`:
+ *
+ *   { id: 'BLK-001', description, severity, target: { type, id, phase }, owner,
+ *     status: 'open' | 'resolved', resolution, reportedBy, createdAt, resolvedBy, resolvedAt }
+ *
+ * Work with an open blocker is skipped when the next task is picked, and open
+ * blockers are handed back with every task so they reach the user. Resolving the
+ * last open blocker on a ticket reported as blocked puts the ticket back in progress.
+ */
+
+import path from 'path';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
+import { DEPENDENCIES } from '../constants/paths.js';
+import { getCurrentWorkflowState } from './workflow-state-manager.js';
+import { resolveActor } from './workflow-journal.js';
+import { loadTaskTickets, getTicketId } from './task-dependencies.js';
+import { unblockTicket } from './ticket-subtasks.js';
+
+/**
+ * Blocker severities, least severe first
+ */
+export const BLOCKER_SEVERITIES = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical'
+};
+
+/**
+ * Blocker statuses
+ */
+export const BLOCKER_STATUSES = {
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+};
+
+const SEVERITY_ORDER = Object.values(BLOCKER_SEVERITIES);
+
+/**
+ * Read blockers, most severe first, then oldest first
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string} [options.status] - Only return blockers with this status
+ * @param {string} [options.ticketId] - Only return blockers on this ticket
+ * @param {string} [options.deliverable] - Only return blockers on this deliverable
+ * @returns {Promise<object[]>} Blockers
+ */
+export async function getBlockers(projectRoot = process.cwd(), options = {}) {
+  const { blockers } = await readDependencies(projectRoot);
+  return sortBlockers(blockers.filter(blocker =>
+    (!options.status || blocker.status === options.status) &&
+    (!options.ticketId || (blocker.target.type === 'ticket' && blocker.target.id === options.ticketId)) &&
+    (!options.deliverable || (blocker.target.type === 'deliverable' && blocker.target.id === options.deliverable))
+  ));
+}
+
+/**
+ * Record a blocker on a ticket or a deliverable
+ * @param {object} blockerData
+ * @param {string} blockerData.description - What is blocking the work
+ * @param {string} [blockerData.ticketId] - Ticket that is blocked
+ * @param {string} [blockerData.deliverable] - Deliverable that is blocked, when no ticket is given
+ * @param {string} [blockerData.phase] - Phase of the deliverable; defaults to the active phase that requires it
+ * @param {string} [blockerData.severity='medium'] - One of BLOCKER_SEVERITIES
+ * @param {string} [blockerData.owner] - Who is responsible for clearing the blocker
+ * @param {string} [blockerData.reportedBy] - Who reported it; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function createBlocker(blockerData, projectRoot = process.cwd()) {
+  const result = await recordBlockers([blockerData], projectRoot);
+  if (!result.success) {
+    return result;
+  }
+
+  const [blocker] = result.created;
+  return {
+    success: true,
+    blocker,
+    message: `Recorded ${blocker.id} on ${describeTarget(blocker.target)}`
+  };
+}
+
+/**
+ * Turn the blockers sent with a progress report into blocker records. A blocker
+ * already open on the same work with the same description is not recorded twice.
+ * @param {string[]} descriptions - Blockers as reported
+ * @param {object} target - The reported work
+ * @param {string} [target.ticketId] - Ticket the work was done on
+ * @param {string} [target.deliverable] - Deliverable the work was done on
+ * @param {string} [target.reportedBy] - Who reported the blockers
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function recordReportedBlockers(descriptions, target, projectRoot = process.cwd()) {
+  return await recordBlockers(
+    descriptions.map(description => ({ ...target, description })),
+    projectRoot,
+    { skipDuplicates: true }
+  );
+}
+
+/**
+ * Mark a blocker as resolved
+ * @param {string} blockerId - Blocker to resolve
+ * @param {object} resolutionData
+ * @param {string} resolutionData.resolution - How the blocker was cleared
+ * @param {string} [resolutionData.resolvedBy] - Who cleared it; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function resolveBlocker(blockerId, resolutionData = {}, projectRoot = process.cwd()) {
+  try {
+    if (!resolutionData.resolution?.trim()) {
+      return { success: false, error: 'A resolution is required to resolve a blocker' };
+    }
+
+    const result = await updateDependencies(projectRoot, dependencies => {
+      const blocker = dependencies.blockers.find(candidate => candidate.id === blockerId);
+      if (!blocker) {
+        return { result: { success: false, error: `Unknown blocker "${blockerId}"` } };
+      }
+      if (blocker.status === BLOCKER_STATUSES.RESOLVED) {
+        return { result: { success: false, error: `${blockerId} was already resolved by ${blocker.resolvedBy}` } };
+      }
+
+      const resolved = {
+        ...blocker,
+        status: BLOCKER_STATUSES.RESOLVED,
+        resolution: resolutionData.resolution.trim(),
+        resolvedBy: resolveActor(resolutionData.resolvedBy),
+        resolvedAt: new Date().toISOString()
+      };
+
+      return {
+        dependencies: {
+          ...dependencies,
+          blockers: dependencies.blockers.map(candidate => candidate.id === blockerId ? resolved : candidate)
+        },
+        result: {
+          success: true,
+          blocker: resolved,
+          stillBlockedBy: dependencies.blockers
+            .filter(candidate =>
+              candidate.id !== blockerId &&
+              candidate.status === BLOCKER_STATUSES.OPEN &&
+              candidate.target.type === blocker.target.type &&
+              candidate.target.id === blocker.target.id
+            )
+            .map(candidate => candidate.id)
+        }
+      };
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const { blocker, stillBlockedBy } = result;
+    if (stillBlockedBy.length > 0) {
+      return {
+        ...result,
+        message: `Resolved ${blockerId}; ${describeTarget(blocker.target)} is still blocked by ${stillBlockedBy.join(', ')}`
+      };
+    }
+
+    const unblockedTicket = blocker.target.type === 'ticket' ? await unblockTicket(blocker.target.id, projectRoot) : null;
+    return {
+      ...result,
+      ...(unblockedTicket && { ticketStatus: unblockedTicket.status }),
+      message: `Resolved ${blockerId}; ${describeTarget(blocker.target)} can be picked up again`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Describe the work a blocker is on
+ * @param {object} target - Blocker target
+ * @returns {string} e.g. `ticket IMPL-001` or `deliverable wireframes (design)`
+ */
+export function describeTarget(target) {
+  return target.type === 'ticket'
+    ? `ticket ${target.id}`
+    : `deliverable ${target.id}${target.phase ? ` (${target.phase})` : ''}`;
+}
+
+async function recordBlockers(entries, projectRoot, options = {}) {
+  try {
+    const targets = [];
+    for (const entry of entries) {
+      if (!entry.description?.trim()) {
+        return { success: false, error: 'A blocker needs a description' };
+      }
+      if (entry.severity && !SEVERITY_ORDER.includes(entry.severity)) {
+        return { success: false, error: `Unknown severity "${entry.severity}" (expected: ${SEVERITY_ORDER.join(', ')})` };
+      }
+      const target = await resolveTarget(entry, projectRoot);
+      if (target.error) {
+        return { success: false, error: target.error };
+      }
+      targets.push(target);
+    }
+
+    return await updateDependencies(projectRoot, dependencies => {
+      const blockers = [...dependencies.blockers];
+      const created = [];
+      const existing = [];
+
+      entries.forEach((entry, index) => {
+        const target = targets[index];
+        const description = entry.description.trim();
+        const duplicate = options.skipDuplicates && blockers.find(blocker =>
+          blocker.status === BLOCKER_STATUSES.OPEN &&
+          blocker.description === description &&
+          blocker.target.type === target.type &&
+          blocker.target.id === target.id
+        );
+        if (duplicate) {
+          existing.push(duplicate);
+          return;
+        }
+
+        const blocker = {
+          id: nextBlockerId(blockers),
+          description,
+          severity: entry.severity || BLOCKER_SEVERITIES.MEDIUM,
+          target,
+          owner: entry.owner || null,
+          status: BLOCKER_STATUSES.OPEN,
+          reportedBy: resolveActor(entry.reportedBy),
+          createdAt: new Date().toISOString()
+        };
+        blockers.push(blocker);
+        created.push(blocker);
+      });
+
+      return {
+        dependencies: { ...dependencies, blockers },
+        result: { success: true, created, existing }
+      };
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function resolveTarget(entry, projectRoot) {
+  if (entry.ticketId) {
+    const tickets = await loadTaskTickets(projectRoot);
+    if (!tickets.some(ticket => getTicketId(ticket) === entry.ticketId)) {
+      return { error: `Unknown ticket "${entry.ticketId}"` };
+    }
+    return { type: 'ticket', id: entry.ticketId };
+  }
+
+  if (entry.deliverable) {
+    return { type: 'deliverable', id: entry.deliverable, phase: entry.phase || await findDeliverablePhase(entry.deliverable, projectRoot) };
+  }
+
+  return { error: 'A blocker must name the ticket or deliverable it blocks' };
+}
+
+async function findDeliverablePhase(deliverable, projectRoot) {
+  const state = await getCurrentWorkflowState(projectRoot);
+  const phase = state.activePhases.find(candidate =>
+    state.phaseDefinitions[candidate]?.requiredDeliverables?.includes(deliverable)
+  );
+  return phase || state.currentPhase.phase;
+}
+
+function nextBlockerId(blockers) {
+  const highest = blockers.reduce((max, blocker) => Math.max(max, Number(blocker.id.replace('BLK-', '')) || 0), 0);
+  return `BLK-${String(highest + 1).padStart(3, '0')}`;
+}
+
+function sortBlockers(blockers) {
+  return [...blockers].sort((a, b) =>
+    (SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity)) ||
+    a.createdAt.localeCompare(b.createdAt)
+  );
+}
+
+async function readDependencies(projectRoot) {
+  const dependencies = await readProjectFile(DEPENDENCIES, projectRoot).catch(() => ({}));
+  return { tasks: [], dependencies: [], ...dependencies, blockers: dependencies.blockers || [] };
+}
+
+async function updateDependencies(projectRoot, change) {
+  return await withFileLock(path.join(projectRoot, DEPENDENCIES), async () => {
+    const { dependencies, result } = change(await readDependencies(projectRoot));
+    if (dependencies) {
+      await writeProjectFile(DEPENDENCIES, dependencies, projectRoot);
+    }
+    return result;
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * @file Deliverable lifecycle states.
+ * @description Each deliverable in a quality gate moves through explicit states
+ * instead of being appended to a flat `completed` list. A gate keeps one entry per
+ * deliverable under `deliverables`, recording its state, who changed it last and the
+ * full history of changes:
+ *
+ *   qualityGates[phase].deliverables[key] = {
+ *     state, updatedAt, updatedBy,
+ *     history: [{ from, to, at, actor, note }]
+ *   }
+ *
+ * Only approved deliverables count towards a phase gate. The gate's `completed`
+ * list is still written, derived from the approved deliverables, so readers of the
+ * old format keep working. Gates written before lifecycle states existed are
+ * migrated with `migrateQualityGates`.
+ *
+ * The functions here are pure so the workflow engine and journal replay apply
+ * exactly the same changes.
+ */
+
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { QUALITY_GATES } from '../constants/paths.js';
+
+/**
+ * Deliverable states
+ */
+export const DELIVERABLE_STATES = {
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  IN_REVIEW: 'in_review',
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED: 'approved',
+  REOPENED: 'reopened'
+};
+
+const {
+  NOT_STARTED,
+  IN_PROGRESS,
+  IN_REVIEW,
+  CHANGES_REQUESTED,
+  APPROVED,
+  REOPENED
+} = DELIVERABLE_STATES;
+
+/**
+ * States each state may move to. Approving directly, without a review, is
+ * allowed so agents that only report completion keep working.
+ */
+export const DELIVERABLE_TRANSITIONS = {
+  [NOT_STARTED]: [IN_PROGRESS, IN_REVIEW, APPROVED],
+  [IN_PROGRESS]: [IN_REVIEW, APPROVED],
+  [IN_REVIEW]: [APPROVED, CHANGES_REQUESTED, IN_PROGRESS],
+  [CHANGES_REQUESTED]: [IN_PROGRESS, IN_REVIEW, APPROVED],
+  [APPROVED]: [REOPENED],
+  [REOPENED]: [IN_PROGRESS, IN_REVIEW, APPROVED]
+};
+
+const MIGRATION_ACTOR = 'migration';
+
+/**
+ * Check whether a deliverable may move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Requested state
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return DELIVERABLE_TRANSITIONS[from]?.includes(to) || false;
+}
+
+/**
+ * Get the state of a deliverable in a gate
+ * @param {object} gate - Quality gate for one phase
+ * @param {string} deliverable - Deliverable key
+ * @returns {string} One of DELIVERABLE_STATES
+ */
+export function getDeliverableState(gate, deliverable) {
+  const migrated = migrateGate(gate);
+  return migrated.deliverables[deliverable]?.state || NOT_STARTED;
+}
+
+/**
+ * Get the deliverables of a gate that are in a given state
+ * @param {object} gate - Quality gate for one phase
+ * @param {string} state - One of DELIVERABLE_STATES
+ * @returns {string[]} Deliverable keys
+ */
+export function getDeliverablesInState(gate, state) {
+  const migrated = migrateGate(gate);
+  return Object.entries(migrated.deliverables)
+    .filter(([, entry]) => entry.state === state)
+    .map(([deliverable]) => deliverable);
+}
+
+/**
+ * Get the approved deliverables of a gate
+ * @param {object} gate - Quality gate for one phase
+ * @returns {string[]} Deliverable keys
+ */
+export function getApprovedDeliverables(gate) {
+  return getDeliverablesInState(gate, APPROVED);
+}
+
+/**
+ * Count deliverables by state
+ * @param {object} gate - Quality gate for one phase
+ * @param {string[]} [deliverables] - Deliverables to count; defaults to the gate's required list plus any tracked ones
+ * @returns {object} Count per state
+ */
+export function summarizeDeliverables(gate, deliverables) {
+  const migrated = migrateGate(gate);
+  const keys = deliverables || [...new Set([...(migrated.required || []), ...Object.keys(migrated.deliverables)])];
+  const summary = Object.fromEntries(Object.values(DELIVERABLE_STATES).map(state => [state, 0]));
+
+  for (const deliverable of keys) {
+    summary[migrated.deliverables[deliverable]?.state || NOT_STARTED]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Move a deliverable to a new state
+ * @param {object} qualityGates - Contents of quality-gates.json
+ * @param {string} phase - Phase the deliverable belongs to
+ * @param {string} deliverable - Deliverable key
+ * @param {string} toState - One of DELIVERABLE_STATES
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who made the change
+ * @param {string} [options.timestamp] - When the change was made; defaults to now
+ * @param {string} [options.note] - Why the change was made
+ * @param {boolean} [options.force=false] - Skip the transition check (used when replaying history)
+ * @returns {{qualityGates: object, from: string, to: string, changed: boolean}}
+ * @throws {Error} If the state is unknown or the transition is not allowed
+ */
+export function transitionDeliverable(qualityGates, phase, deliverable, toState, options = {}) {
+  if (!Object.values(DELIVERABLE_STATES).includes(toState)) {
+    throw new Error(`Unknown deliverable state: ${toState}`);
+  }
+
+  const gate = migrateGate(qualityGates[phase]);
+  const current = gate.deliverables[deliverable];
+  const from = current?.state || NOT_STARTED;
+
+  if (from === toState) {
+    return { qualityGates, from, to: toState, changed: false };
+  }
+  if (!options.force && !canTransition(from, toState)) {
+    const allowed = DELIVERABLE_TRANSITIONS[from].join(', ');
+    throw new Error(`Cannot move ${deliverable} from ${from} to ${toState} (allowed: ${allowed})`);
+  }
+
+  const timestamp = options.timestamp || new Date().toISOString();
+  const change = { from, to: toState, at: timestamp, actor: options.actor || null };
+  if (options.note) {
+    change.note = options.note;
+  }
+
+  const deliverables = {
+    ...gate.deliverables,
+    [deliverable]: {
+      state: toState,
+      updatedAt: timestamp,
+      updatedBy: change.actor,
+      history: [...(current?.history || []), change]
+    }
+  };
+
+  return {
+    qualityGates: {
+      ...qualityGates,
+      [phase]: withDerivedCompleted({ ...gate, deliverables, lastUpdated: timestamp })
+    },
+    from,
+    to: toState,
+    changed: true
+  };
+}
+
+/**
+ * Reopen a gate after a rollback: every deliverable that has been worked on moves
+ * to reopened, so the phase has to be approved again.
+ * @param {object} gate - Quality gate for one phase
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who rolled back
+ * @param {string} [options.timestamp] - When the gate was reopened
+ * @param {string} [options.note] - Why the gate was reopened
+ * @returns {object} Reopened gate
+ */
+export function reopenGate(gate, options = {}) {
+  const migrated = migrateGate(gate);
+  const timestamp = options.timestamp || new Date().toISOString();
+  let gates = { gate: migrated };
+
+  for (const [deliverable, entry] of Object.entries(migrated.deliverables)) {
+    if (entry.state === NOT_STARTED || entry.state === REOPENED) continue;
+    gates = transitionDeliverable(gates, 'gate', deliverable, REOPENED, {
+      actor: options.actor,
+      timestamp,
+      note: options.note,
+      force: true
+    }).qualityGates;
+  }
+
+  return {
+    ...gates.gate,
+    status: 'reopened',
+    previouslyCompleted: migrated.completed,
+    reopenedAt: timestamp,
+    lastUpdated: timestamp
+  };
+}
+
+/**
+ * Check whether quality gates predate lifecycle states
+ * @param {object} qualityGates - Contents of quality-gates.json
+ * @returns {boolean}
+ */
+export function needsMigration(qualityGates) {
+  return Object.values(qualityGates || {}).some(gate => gate && typeof gate === 'object' && !gate.deliverables);
+}
+
+/**
+ * Convert gates that only have a `completed` list into lifecycle states. Completed
+ * deliverables become approved; deliverables a rollback un-completed become reopened.
+ * Migration is deterministic so replaying the journal gives the same result.
+ * @param {object} qualityGates - Contents of quality-gates.json
+ * @returns {object} Migrated quality gates
+ */
+export function migrateQualityGates(qualityGates) {
+  return Object.fromEntries(
+    Object.entries(qualityGates || {}).map(([phase, gate]) => [phase, migrateGate(gate)])
+  );
+}
+
+/**
+ * Migrate quality-gates.json on disk if it predates lifecycle states
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<{success: boolean, migrated: string[]}>} Phases whose gates were migrated
+ */
+export async function migrateQualityGatesFile(projectRoot = process.cwd()) {
+  try {
+    const qualityGates = await readProjectFile(QUALITY_GATES, projectRoot);
+    const migrated = Object.keys(qualityGates).filter(phase => !qualityGates[phase]?.deliverables);
+
+    if (migrated.length > 0) {
+      await writeProjectFile(QUALITY_GATES, migrateQualityGates(qualityGates), projectRoot);
+    }
+
+    return { success: true, migrated };
+  } catch (error) {
+    return { success: false, migrated: [], error: error.message };
+  }
+}
+
+function migrateGate(gate) {
+  if (gate?.deliverables) return gate;
+
+  const source = gate || {};
+  const at = source.lastUpdated || source.reopenedAt || null;
+  const deliverables = {};
+
+  for (const deliverable of source.previouslyCompleted || []) {
+    deliverables[deliverable] = migratedEntry(REOPENED, at, 'Reopened before lifecycle states were tracked');
+  }
+  for (const deliverable of source.completed || []) {
+    deliverables[deliverable] = migratedEntry(APPROVED, at, 'Completed before lifecycle states were tracked');
+  }
+
+  return withDerivedCompleted({ ...source, deliverables });
+}
+
+function migratedEntry(state, at, note) {
+  return {
+    state,
+    updatedAt: at,
+    updatedBy: MIGRATION_ACTOR,
+    history: [{ from: NOT_STARTED, to: state, at, actor: MIGRATION_ACTOR, note }]
+  };
+}
+
+function withDerivedCompleted(gate) {
+  return {
+    ...gate,
+    completed: Object.entries(gate.deliverables)
+      .filter(([, entry]) => entry.state === APPROVED)
+      .map(([deliverable]) => deliverable)
+  };
+}
@@ -0,0 +1,347 @@
+/**
+ * @file Scaffolding templates for deliverables.
+ * @description Each deliverable type has a Markdown skeleton: a title and the `##`
+ * sections the deliverable is expected to contain. The same section list is what
+ * `StructureCompletenessRule` checks a deliverable against, so a deliverable written
+ * from its template passes the structure check.
+ *
+ * A project can replace the template of any type, or add one for a type of its own,
+ * with a Markdown file named after the type in `.guidant/templates/deliverables/`
+ * (e.g. `api_specification.md`). Its `#` heading is the title and its `##` headings
+ * are the sections. `{{projectName}}`, `{{phase}}` and `{{date}}` are filled in when a
+ * skeleton is rendered.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readProjectFile } from '../file-management/project-structure.js';
+import { DELIVERABLE_TEMPLATES_DIR, PROJECT_CONFIG } from '../constants/paths.js';
+import { loadPhaseDefinitions, PHASE_DEFINITIONS } from './phase-definitions.js';
+
+/**
+ * Built-in templates by deliverable type
+ */
+export const DELIVERABLE_TEMPLATES = {
+  market_analysis: {
+    title: 'Market Analysis',
+    sections: [
+      ['Executive Summary', 'The opportunity in two or three sentences and the recommendation that follows from it.'],
+      ['Market Overview', 'Market size, growth and the trends that matter for this product.'],
+      ['Target Audience', 'Who the product is for and which segment to start with.'],
+      ['Competitive Analysis', 'The main alternatives people use today and how they fall short.'],
+      ['Opportunities', 'Gaps this product can fill, with the evidence for each.']
+    ]
+  },
+  user_personas: {
+    title: 'User Personas',
+    sections: [
+      ['Persona Overview', 'The personas described below and how they relate to the target audience.'],
+      ['Demographics', 'Role, experience and context of each persona.'],
+      ['Goals', 'What each persona is trying to get done.'],
+      ['Pain Points', 'What gets in their way today.'],
+      ['Behaviors', 'How they work, which tools they use and how often.']
+    ]
+  },
+  competitor_research: {
+    title: 'Competitor Research',
+    sections: [
+      ['Competitor Overview', 'The competitors reviewed and why they were chosen.'],
+      ['Feature Comparison', 'A table of the features that matter, per competitor.'],
+      ['Strengths and Weaknesses', 'What each competitor does well and badly.'],
+      ['Pricing', 'How each competitor charges.'],
+      ['Differentiation', 'How this product will stand apart.']
+    ]
+  },
+  prd_complete: {
+    title: 'Product Requirements Document',
+    sections: [
+      ['Overview', 'What is being built and for whom.'],
+      ['Objectives', 'Measurable goals the product must reach.'],
+      ['Features', 'The features in scope, each with a short description.'],
+      ['Requirements', 'Functional and non-functional requirements.'],
+      ['Acceptance Criteria', 'How to tell that each feature is done.']
+    ]
+  },
+  user_stories: {
+    title: 'User Stories',
+    sections: [
+      ['Story Overview', 'Stories in the form "As a <persona> I want <goal> so that <benefit>".'],
+      ['Acceptance Criteria', 'Given / when / then criteria for each story.'],
+      ['Priority', 'Must, should, could or won\'t for each story.'],
+      ['Effort Estimation', 'Relative size of each story.']
+    ]
+  },
+  feature_specifications: {
+    title: 'Feature Specifications',
+    sections: [
+      ['Feature Overview', 'The features specified and the stories they cover.'],
+      ['Functional Requirements', 'What each feature does, step by step.'],
+      ['Non-Functional Requirements', 'Performance, security and accessibility expectations.'],
+      ['Dependencies', 'Other features, services or data each feature relies on.'],
+      ['Acceptance Criteria', 'How to tell that each feature is done.']
+    ]
+  },
+  wireframes: {
+    title: 'Wireframes',
+    sections: [
+      ['Overview', 'The screens covered and the flows they belong to.'],
+      ['User Flows', 'The order in which the screens are visited.'],
+      ['Screen Layouts', 'The layout of each screen, linked or embedded.'],
+      ['Interactions', 'What happens on click, hover, submit and error.']
+    ]
+  },
+  user_flows: {
+    title: 'User Flows',
+    sections: [
+      ['Flow Overview', 'The flows described and the persona each serves.'],
+      ['Entry Points', 'Where each flow starts.'],
+      ['Steps', 'Each step of the flow and the decision points between them.'],
+      ['Error States', 'What the user sees when a step fails.'],
+      ['Exit Points', 'How each flow ends, successfully or not.']
+    ]
+  },
+  component_specifications: {
+    title: 'Component Specifications',
+    sections: [
+      ['Component Overview', 'The components specified and where they are used.'],
+      ['Props and States', 'Inputs and visual states of each component.'],
+      ['Behavior', 'How each component responds to the user.'],
+      ['Accessibility', 'Keyboard, focus and screen reader behavior.'],
+      ['Usage Examples', 'Typical uses of each component.']
+    ]
+  },
+  system_design: {
+    title: 'System Design',
+    sections: [
+      ['Architecture Overview', 'The shape of the system and the reasons for it.'],
+      ['Components', 'Each component and its responsibility.'],
+      ['Data Flow', 'How data moves between components.'],
+      ['Technology Stack', 'Languages, frameworks and services, with the reason for each.'],
+      ['Scalability', 'How the system handles growth and where it will strain first.']
+    ]
+  },
+  database_schema: {
+    title: 'Database Schema',
+    sections: [
+      ['Schema Overview', 'The database used and how the data is organized.'],
+      ['Entities', 'Each table or collection with its fields and types.'],
+      ['Relationships', 'How entities reference each other.'],
+      ['Indexes', 'Indexes and the queries they serve.'],
+      ['Migrations', 'How the schema is created and changed.']
+    ]
+  },
+  api_specification: {
+    title: 'API Specification',
+    sections: [
+      ['API Overview', 'Base URL, versioning and conventions.'],
+      ['Authentication', 'How clients authenticate and what they are allowed to do.'],
+      ['Endpoints', 'Method, path, parameters and responses of each endpoint.'],
+      ['Data Models', 'The request and response bodies.'],
+      ['Error Handling', 'Error format and status codes.']
+    ]
+  },
+  core_features: {
+    title: 'Core Features',
+    sections: [
+      ['Feature Summary', 'The features implemented and the tickets they close.'],
+      ['Implementation Notes', 'Decisions made while building them.'],
+      ['Known Limitations', 'What does not work yet.'],
+      ['Testing', 'How the features were tested.']
+    ]
+  },
+  testing_suite: {
+    title: 'Testing Suite',
+    sections: [
+      ['Test Strategy', 'Which kinds of tests are written and why.'],
+      ['Test Coverage', 'What is covered and what is not.'],
+      ['Test Cases', 'The important cases, grouped by feature.'],
+      ['Test Results', 'The latest run and any failures.']
+    ]
+  },
+  documentation: {
+    title: 'Documentation',
+    sections: [
+      ['Overview', 'What the software does.'],
+      ['Installation', 'How to install it.'],
+      ['Usage', 'How to use the main features.'],
+      ['Configuration', 'Settings and environment variables.'],
+      ['Troubleshooting', 'Common problems and how to fix them.']
+    ]
+  },
+  production_environment: {
+    title: 'Production Environment',
+    sections: [
+      ['Environment Overview', 'Where the system runs in production.'],
+      ['Infrastructure', 'Servers, services and networking.'],
+      ['Deployment Process', 'How a release reaches production and how it is rolled back.'],
+      ['Security', 'Secrets, access control and hardening.'],
+      ['Backups', 'What is backed up, how often and how to restore it.']
+    ]
+  },
+  monitoring_setup: {
+    title: 'Monitoring Setup',
+    sections: [
+      ['Monitoring Overview', 'What is monitored and with which tools.'],
+      ['Metrics', 'The metrics collected and their normal ranges.'],
+      ['Alerts', 'Alert conditions and who is notified.'],
+      ['Logging', 'Where logs go and how long they are kept.'],
+      ['Dashboards', 'The dashboards and what each shows.']
+    ]
+  },
+  user_documentation: {
+    title: 'User Documentation',
+    sections: [
+      ['Getting Started', 'The first steps for a new user.'],
+      ['Features', 'How to use each feature.'],
+      ['FAQ', 'Answers to common questions.'],
+      ['Support', 'How to get help.']
+    ]
+  }
+};
+
+// Sections of deliverables without a template
+const GENERIC_SECTIONS = [
+  ['Overview', 'What this deliverable covers.'],
+  ['Details', 'The substance of the deliverable.'],
+  ['Next Steps', 'What follows from it.']
+];
+
+/**
+ * Get the template of a deliverable type: the project's override if there is one,
+ * otherwise the built-in template
+ * @param {string} deliverableType - Deliverable type, e.g. market_analysis
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<{type: string, title: string, sections: Array<{heading: string, guidance: string|null}>,
+ *   source: 'project'|'built-in'|'generic', path: string|null, body: string|null}>}
+ *   Generic templates are not checked by the structure rule.
+ */
+export async function getDeliverableTemplate(deliverableType, projectRoot = process.cwd()) {
+  const override = await readTemplateOverride(deliverableType, projectRoot);
+  if (override) {
+    return override;
+  }
+
+  const builtIn = DELIVERABLE_TEMPLATES[deliverableType];
+  return {
+    type: deliverableType,
+    title: builtIn?.title || toTitle(deliverableType),
+    sections: (builtIn?.sections || GENERIC_SECTIONS).map(([heading, guidance]) => ({ heading, guidance })),
+    source: builtIn ? 'built-in' : 'generic',
+    path: null,
+    body: null
+  };
+}
+
+/**
+ * Get the sections a deliverable type is expected to contain, in lower case. Types
+ * without a built-in or project template have none.
+ * @param {string} deliverableType - Deliverable type
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<string[]>} Section headings
+ */
+export async function getTemplateSections(deliverableType, projectRoot = process.cwd()) {
+  if (!deliverableType) {
+    return [];
+  }
+  const template = await getDeliverableTemplate(deliverableType, projectRoot);
+  return template.source === 'generic' ? [] : template.sections.map(section => section.heading.toLowerCase());
+}
+
+/**
+ * List the available templates, built-in and project, with the phase that requires each type
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object[]>} Type, title, source, phase and section headings of each template
+ */
+export async function listDeliverableTemplates(projectRoot = process.cwd()) {
+  const entries = await fs.readdir(path.join(projectRoot, DELIVERABLE_TEMPLATES_DIR)).catch(() => []);
+  const overrides = entries.filter(name => name.endsWith('.md')).map(name => path.basename(name, '.md'));
+  const types = [...new Set([...Object.keys(DELIVERABLE_TEMPLATES), ...overrides])];
+  const phaseDefinitions = await loadPhaseDefinitions(projectRoot).catch(() => PHASE_DEFINITIONS);
+
+  const templates = [];
+  for (const type of types) {
+    const template = await getDeliverableTemplate(type, projectRoot);
+    templates.push({
+      type,
+      title: template.title,
+      source: template.source,
+      phase: getPhaseRequiring(type, phaseDefinitions),
+      sections: template.sections.map(section => section.heading)
+    });
+  }
+  return templates;
+}
+
+/**
+ * Render the Markdown skeleton of a deliverable
+ * @param {string} deliverableType - Deliverable type
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {boolean} [options.includeGuidance=true] - Describe what goes in each section as an HTML comment
+ * @returns {Promise<{template: object, content: string}>} The template and its rendered skeleton
+ */
+export async function renderDeliverableTemplate(deliverableType, projectRoot = process.cwd(), options = {}) {
+  const template = await getDeliverableTemplate(deliverableType, projectRoot);
+  const config = await readProjectFile(PROJECT_CONFIG, projectRoot).catch(() => ({}));
+  const phaseDefinitions = await loadPhaseDefinitions(projectRoot).catch(() => PHASE_DEFINITIONS);
+  const values = {
+    projectName: config.name || path.basename(projectRoot),
+    phase: getPhaseRequiring(deliverableType, phaseDefinitions) || '',
+    date: new Date().toISOString().slice(0, 10)
+  };
+
+  let content = template.body;
+  if (content === null) {
+    const includeGuidance = options.includeGuidance !== false;
+    const lines = [`# ${template.title}: {{projectName}}`, ''];
+    for (const section of template.sections) {
+      lines.push(`## ${section.heading}`, '');
+      if (includeGuidance && section.guidance) {
+        lines.push(`<!-- ${section.guidance} -->`, '');
+      }
+    }
+    content = lines.join('\n');
+  }
+
+  return {
+    template,
+    content: content.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match)
+  };
+}
+
+async function readTemplateOverride(deliverableType, projectRoot) {
+  // Only plain type names map to files, so a type cannot point outside the directory
+  if (!/^[\w-]+$/.test(deliverableType || '')) {
+    return null;
+  }
+
+  const relativePath = path.posix.join(DELIVERABLE_TEMPLATES_DIR, `${deliverableType}.md`);
+  let body;
+  try {
+    body = await fs.readFile(path.join(projectRoot, relativePath), 'utf8');
+  } catch {
+    return null;
+  }
+
+  const title = body.match(/^#\s+(.+?)\s*$/m)?.[1];
+  const sections = [...body.matchAll(/^##\s+(.+?)\s*$/gm)].map(match => ({ heading: match[1], guidance: null }));
+
+  return {
+    type: deliverableType,
+    title: title || toTitle(deliverableType),
+    sections,
+    source: 'project',
+    path: relativePath,
+    body
+  };
+}
+
+function getPhaseRequiring(deliverableType, phaseDefinitions) {
+  return Object.keys(phaseDefinitions).find(phase =>
+    phaseDefinitions[phase].requiredDeliverables?.includes(deliverableType)
+  ) || null;
+}
+
+function toTitle(deliverableType) {
+  return deliverableType.split(/[_-]/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
@@ -0,0 +1,381 @@
+/**
+ * @file Version history of deliverable files.
+ * @description Every save of a deliverable keeps the previous content. Versions are
+ * listed per file in `.guidant/history/deliverable-versions.json`, keyed by the file's
+ * path from the project root:
+ *
+ *   { version: 3, contentHash, size, phase, deliverable, author, savedAt,
+ *     source: 'save' | 'edit' | 'restore', restoredFrom, quality: { score, readyForTransition, validatedAt } }
+ *
+ * Content is stored once per distinct hash under `.guidant/history/deliverables/`.
+ * Saving content identical to the latest version does not add a version.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
+import { validateDeliverableQuality } from '../quality/quality-orchestrator.js';
+import { createUnifiedDiff } from '../utils/unified-diff.js';
+import { resolveActor } from './workflow-journal.js';
+import { loadPhaseDefinitions } from './phase-definitions.js';
+import {
+  DELIVERABLES_DIR,
+  DELIVERABLE_VERSIONS,
+  DELIVERABLE_VERSIONS_DIR,
+  PROJECT_CONFIG
+} from '../constants/paths.js';
+
+/**
+ * How a version was created
+ */
+export const VERSION_SOURCES = {
+  SAVE: 'save',
+  EDIT: 'edit',
+  RESTORE: 'restore'
+};
+
+/**
+ * Write a deliverable file and record the content as a new version
+ * @param {string} filePath - Path of the file, absolute or from the project root
+ * @param {string} content - New content
+ * @param {object} [options]
+ * @param {string} [options.deliverable] - Deliverable name; defaults to the file name
+ * @param {string} [options.phase] - Phase the deliverable belongs to
+ * @param {string} [options.author] - Agent ID or person saving; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [options.source='save'] - One of VERSION_SOURCES
+ * @param {number} [options.restoredFrom] - Version the content was restored from
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<{version: object, created: boolean}>} The version the content is stored as;
+ *   created is false when it matched the latest version
+ */
+export async function saveDeliverableVersion(filePath, content, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const absolutePath = path.resolve(projectRoot, filePath);
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, content, 'utf8');
+
+  return await recordVersion(absolutePath, content, { ...options, projectRoot });
+}
+
+/**
+ * Record the current content of a deliverable file as a version, e.g. after it was
+ * edited by hand
+ * @param {string} filePath - Path of the file, absolute or from the project root
+ * @param {object} [options] - As for saveDeliverableVersion; source defaults to 'edit'
+ * @returns {Promise<{version: object, created: boolean}>}
+ */
+export async function recordDeliverableVersion(filePath, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const absolutePath = path.resolve(projectRoot, filePath);
+  const content = await fs.readFile(absolutePath, 'utf8');
+
+  return await recordVersion(absolutePath, content, { source: VERSION_SOURCES.EDIT, ...options, projectRoot });
+}
+
+/**
+ * List the versions of a deliverable, oldest first
+ * @param {string} file - Deliverable file (absolute, from the project root or from
+ *   `.guidant/deliverables`) or deliverable name
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} Result with the file key and its versions
+ */
+export async function getDeliverableVersions(file, projectRoot = process.cwd()) {
+  const index = await readVersionIndex(projectRoot);
+  const key = resolveVersionedFile(index, file, projectRoot);
+  if (!key) {
+    return { success: false, error: `No versions recorded for ${file}` };
+  }
+
+  return { success: true, file: key, versions: index[key] };
+}
+
+/**
+ * Get one version of a deliverable with its content
+ * @param {string} file - Deliverable file or name, as for getDeliverableVersions
+ * @param {number} [version] - Version number; defaults to the latest
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function getDeliverableVersion(file, version, projectRoot = process.cwd()) {
+  const listed = await getDeliverableVersions(file, projectRoot);
+  if (!listed.success) {
+    return listed;
+  }
+
+  const record = findVersion(listed.versions, version);
+  if (!record) {
+    return { success: false, error: `${listed.file} has no version ${version} (latest is ${listed.versions.length})` };
+  }
+
+  return {
+    success: true,
+    file: listed.file,
+    version: record,
+    content: await fs.readFile(getContentPath(record.contentHash, projectRoot), 'utf8')
+  };
+}
+
+/**
+ * Show what changed between two versions of a deliverable as a unified diff
+ * @param {string} file - Deliverable file or name, as for getDeliverableVersions
+ * @param {number} fromVersion - Older version
+ * @param {number} [toVersion] - Newer version; defaults to the latest
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {Promise<object>} Result with the diff and the number of lines added and removed
+ */
+export async function diffDeliverableVersions(file, fromVersion, toVersion, projectRoot = process.cwd(), options = {}) {
+  const from = await getDeliverableVersion(file, fromVersion, projectRoot);
+  if (!from.success) {
+    return from;
+  }
+  const to = await getDeliverableVersion(file, toVersion, projectRoot);
+  if (!to.success) {
+    return to;
+  }
+
+  const { diff, added, removed } = createUnifiedDiff(from.content, to.content, {
+    fromLabel: `${from.file}@v${from.version.version}`,
+    toLabel: `${to.file}@v${to.version.version}`,
+    context: options.context
+  });
+
+  return {
+    success: true,
+    file: from.file,
+    from: summarizeVersion(from.version),
+    to: summarizeVersion(to.version),
+    identical: diff === '',
+    added,
+    removed,
+    diff
+  };
+}
+
+/**
+ * Restore an older version of a deliverable. The file is rewritten with that content,
+ * which is recorded as a new version, so the versions after it are kept.
+ * @param {string} file - Deliverable file or name, as for getDeliverableVersions
+ * @param {number} version - Version to restore
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string} [options.author] - Who restored the version
+ * @returns {Promise<object>} Result with the new version
+ */
+export async function restoreDeliverableVersion(file, version, projectRoot = process.cwd(), options = {}) {
+  const target = await getDeliverableVersion(file, version, projectRoot);
+  if (!target.success) {
+    return target;
+  }
+
+  const { version: restored, created } = await saveDeliverableVersion(target.file, target.content, {
+    deliverable: target.version.deliverable,
+    phase: target.version.phase,
+    author: options.author,
+    source: VERSION_SOURCES.RESTORE,
+    restoredFrom: target.version.version,
+    projectRoot
+  });
+
+  return {
+    success: true,
+    file: target.file,
+    version: restored,
+    created,
+    message: created
+      ? `Restored ${target.file} to version ${target.version.version} as version ${restored.version}`
+      : `${target.file} already matches version ${target.version.version}`
+  };
+}
+
+/**
+ * Validate the quality of a deliverable version and store the score with it. The
+ * version must be the content on disk, so this is run right after it is saved.
+ * @param {string} file - Deliverable file or name, as for getDeliverableVersions
+ * @param {number} version - Version the file on disk holds
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {object} [options.phaseDefinitions] - Phase definitions, to avoid loading them again
+ * @param {QualityOrchestrator} [options.qualityOrchestrator] - Orchestrator to validate with
+ * @returns {Promise<object>} The quality result that was stored
+ */
+export async function scoreDeliverableVersion(file, version, projectRoot = process.cwd(), options = {}) {
+  const listed = await getDeliverableVersions(file, projectRoot);
+  if (!listed.success) {
+    return listed;
+  }
+  const record = findVersion(listed.versions, version);
+  if (!record) {
+    return { success: false, error: `${listed.file} has no version ${version}` };
+  }
+
+  const quality = await validateDeliverableFile(path.join(projectRoot, listed.file), record, projectRoot, options);
+  await setVersionQuality(listed.file, record.version, quality, projectRoot);
+  return quality;
+}
+
+/**
+ * Store a quality result with a version
+ * @param {string} file - Deliverable file or name, as for getDeliverableVersions
+ * @param {number} version - Version number
+ * @param {object} quality - Result of validateDeliverableFile
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function setVersionQuality(file, version, quality, projectRoot = process.cwd()) {
+  await updateVersionIndex(projectRoot, index => {
+    const key = resolveVersionedFile(index, file, projectRoot);
+    const record = key && findVersion(index[key], version);
+    if (record) {
+      record.quality = quality.success
+        ? { score: quality.score, readyForTransition: quality.readyForTransition, validatedAt: quality.validatedAt }
+        : { error: quality.error, validatedAt: quality.validatedAt };
+    }
+  });
+}
+
+/**
+ * Validate the quality of a deliverable file for its phase
+ * @param {string} filePath - Absolute path of the file
+ * @param {{phase: string, deliverable: string}} target - Phase and deliverable the file is for
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {object} [options.phaseDefinitions] - Phase definitions, to avoid loading them again
+ * @param {QualityOrchestrator} [options.qualityOrchestrator] - Orchestrator to validate with
+ * @returns {Promise<object>} Score, readiness for the phase transition and blockers
+ */
+export async function validateDeliverableFile(filePath, target, projectRoot = process.cwd(), options = {}) {
+  const config = await readProjectFile(PROJECT_CONFIG, projectRoot).catch(() => ({}));
+  const projectType = config.projectType || 'standard';
+  const phaseDefinitions = options.phaseDefinitions || await loadPhaseDefinitions(projectRoot);
+  const minScore = phaseDefinitions[target.phase]?.qualityThresholds?.[target.deliverable];
+
+  const context = {
+    projectType,
+    phase: target.phase,
+    deliverableType: target.deliverable,
+    deliverablePath: filePath,
+    projectRoot,
+    configuration: { projectType, minScore }
+  };
+  const validation = options.qualityOrchestrator
+    ? await options.qualityOrchestrator.validateQuality(filePath, context, { cacheResults: false })
+    : await validateDeliverableQuality(filePath, context, projectRoot, { cacheEnabled: false });
+
+  if (!validation.success) {
+    return { success: false, error: validation.error, readyForTransition: false, validatedAt: validation.validatedAt };
+  }
+
+  return {
+    success: true,
+    score: validation.qualityScore.overallScore,
+    readyForTransition: validation.readyForTransition,
+    blockers: validation.blockers,
+    validatedAt: validation.validatedAt
+  };
+}
+
+/**
+ * Short description of a version without its quality details
+ */
+export function summarizeVersion(version) {
+  return {
+    version: version.version,
+    contentHash: version.contentHash,
+    author: version.author,
+    savedAt: version.savedAt,
+    source: version.source
+  };
+}
+
+async function recordVersion(absolutePath, content, options) {
+  const { projectRoot } = options;
+  const key = toProjectPath(absolutePath, projectRoot);
+  const contentHash = createHash('sha256').update(content).digest('hex');
+
+  const contentPath = getContentPath(contentHash, projectRoot);
+  await fs.mkdir(path.dirname(contentPath), { recursive: true });
+  await fs.writeFile(contentPath, content, { encoding: 'utf8', flag: 'wx' }).catch(error => {
+    if (error.code !== 'EEXIST') throw error;
+  });
+
+  let result;
+  await updateVersionIndex(projectRoot, index => {
+    const versions = index[key] || [];
+    const latest = versions[versions.length - 1];
+    if (latest?.contentHash === contentHash) {
+      result = { version: latest, created: false };
+      return;
+    }
+
+    const version = {
+      version: versions.length + 1,
+      contentHash,
+      size: Buffer.byteLength(content, 'utf8'),
+      phase: options.phase || latest?.phase || null,
+      deliverable: options.deliverable || latest?.deliverable || path.basename(key, path.extname(key)),
+      author: resolveActor(options.author),
+      savedAt: new Date().toISOString(),
+      source: options.source || VERSION_SOURCES.SAVE,
+      quality: null
+    };
+    if (options.restoredFrom) {
+      version.restoredFrom = options.restoredFrom;
+    }
+
+    index[key] = [...versions, version];
+    result = { version, created: true };
+  });
+
+  return result;
+}
+
+async function readVersionIndex(projectRoot) {
+  return await readProjectFile(DELIVERABLE_VERSIONS, projectRoot).catch(() => ({}));
+}
+
+async function updateVersionIndex(projectRoot, update) {
+  const indexPath = path.join(projectRoot, DELIVERABLE_VERSIONS);
+  await fs.mkdir(path.dirname(indexPath), { recursive: true });
+
+  await withFileLock(indexPath, async () => {
+    const index = await readVersionIndex(projectRoot);
+    await update(index);
+    await writeProjectFile(DELIVERABLE_VERSIONS, index, projectRoot);
+  });
+}
+
+/**
+ * Find the index key for a file reference: a path (absolute, from the project root
+ * or from the deliverables directory), or a deliverable name with a single file
+ */
+function resolveVersionedFile(index, file, projectRoot) {
+  const candidates = [
+    toProjectPath(path.resolve(projectRoot, file), projectRoot),
+    toProjectPath(path.resolve(projectRoot, DELIVERABLES_DIR, file), projectRoot)
+  ];
+  const byPath = candidates.find(candidate => index[candidate]);
+  if (byPath) {
+    return byPath;
+  }
+
+  const byName = Object.keys(index).filter(key => index[key].at(-1)?.deliverable === file);
+  return byName.length === 1 ? byName[0] : null;
+}
+
+function findVersion(versions, version) {
+  if (version === undefined || version === null) {
+    return versions[versions.length - 1];
+  }
+  return versions.find(record => record.version === Number(version));
+}
+
+function getContentPath(contentHash, projectRoot) {
+  return path.join(projectRoot, DELIVERABLE_VERSIONS_DIR, contentHash);
+}
+
+function toProjectPath(absolutePath, projectRoot) {
+  return path.relative(projectRoot, absolutePath).split(path.sep).join('/');
+}
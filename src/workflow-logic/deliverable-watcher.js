@@ -0,0 +1,294 @@
+/**
+ * @file Keeps deliverable state in sync with edits made outside Guidant.
+ * @description Watches `.guidant/deliverables` with chokidar. When a deliverable file is
+ * added, changed or removed, only that file is re-processed:
+ *
+ *   - its content is analyzed again
+ *   - its content is recorded as a new version if it differs from the latest one
+ *   - its quality is validated and the result saved to
+ *     `.guidant/reports/quality-reports/deliverable-quality.json` and with the version
+ *   - its relationships are detected again and the stored relationship graph updated
+ *   - saved phase transformations produced from its phase are flagged as stale
+ *
+ * Each change is appended to the workflow journal as a `deliverable_file_changed` event.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chokidar from 'chokidar';
+import { DeliverableContentAnalyzer } from '../data-processing/deliverable-analyzer.js';
+import { RelationshipOrchestrator } from '../data-processing/relationship-orchestrator.js';
+import { QualityOrchestrator } from '../quality/quality-orchestrator.js';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { PhaseTransitionEngine } from './phase-transition-engine.js';
+import { loadPhaseDefinitions, getDeliverableDirectory } from './phase-definitions.js';
+import { appendJournalEvent, JOURNAL_EVENT_TYPES } from './workflow-journal.js';
+import { recordDeliverableVersion, setVersionQuality, validateDeliverableFile } from './deliverable-versions.js';
+import { DELIVERABLES_DIR, DELIVERABLE_QUALITY } from '../constants/paths.js';
+
+// File types the deliverable analyzer can parse
+export const WATCHED_EXTENSIONS = ['.md', '.json', '.txt'];
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Watches deliverable files and re-processes the ones that change
+ */
+export class DeliverableWatcher {
+  /**
+   * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+   * @param {object} [options]
+   * @param {number} [options.debounceMs=300] - Wait this long after the last write before processing a file
+   * @param {boolean} [options.aiEnhancementEnabled=false] - Use AI when analyzing deliverables
+   * @param {string} [options.actor] - Who the journal events are recorded for
+   * @param {Function} [options.onSync] - Called with the result of each processed change
+   * @param {Function} [options.onError] - Called with an error and the file it happened on
+   */
+  constructor(projectRoot = process.cwd(), options = {}) {
+    this.projectRoot = projectRoot;
+    this.deliverablesRoot = path.join(projectRoot, DELIVERABLES_DIR);
+    this.options = {
+      debounceMs: options.debounceMs ?? DEFAULT_DEBOUNCE_MS,
+      aiEnhancementEnabled: options.aiEnhancementEnabled ?? false,
+      ...options
+    };
+
+    this.analyzer = new DeliverableContentAnalyzer(projectRoot, {
+      aiEnhancementEnabled: this.options.aiEnhancementEnabled,
+      fallbackToRules: true
+    });
+    this.qualityOrchestrator = new QualityOrchestrator(projectRoot, {
+      cacheEnabled: false,
+      contentAnalyzer: this.analyzer
+    });
+    this.relationshipOrchestrator = new RelationshipOrchestrator({
+      enableParallelDetection: false,
+      deliverableAnalyzer: this.analyzer
+    });
+    this.transitionEngine = new PhaseTransitionEngine(projectRoot);
+
+    this.watcher = null;
+    this.phaseDefinitions = null;
+    this.timers = new Map();
+    // Changes are processed one at a time so the graph and result files are not written concurrently
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start watching. Resolves once the initial scan is complete.
+   */
+  async start() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.phaseDefinitions = await loadPhaseDefinitions(this.projectRoot);
+    await fs.mkdir(this.deliverablesRoot, { recursive: true });
+
+    this.watcher = chokidar.watch(this.deliverablesRoot, {
+      ignoreInitial: true,
+      ignored: (filePath, stats) => this.isIgnored(filePath, stats)
+    });
+
+    for (const event of ['add', 'change', 'unlink']) {
+      this.watcher.on(event, filePath => this.schedule(filePath, event));
+    }
+    this.watcher.on('error', error => this.options.onError?.(error, null));
+
+    await new Promise(resolve => this.watcher.once('ready', resolve));
+  }
+
+  /**
+   * Stop watching and wait for changes already picked up to finish processing
+   */
+  async close() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+    await this.queue;
+  }
+
+  /**
+   * Wait until every change picked up so far has been processed
+   */
+  async idle() {
+    while (this.timers.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.options.debounceMs));
+    }
+    await this.queue;
+  }
+
+  schedule(filePath, event) {
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.queue = this.queue.then(async () => {
+        try {
+          const result = await this.syncDeliverable(filePath, event);
+          this.options.onSync?.(result);
+        } catch (error) {
+          this.options.onError?.(error, filePath);
+        }
+      });
+    }, this.options.debounceMs));
+  }
+
+  /**
+   * Re-process one deliverable file
+   * @param {string} filePath - Absolute path of the file
+   * @param {string} event - chokidar event: add, change or unlink
+   * @returns {Promise<object>} What was re-run, with the journal event it was logged as
+   */
+  async syncDeliverable(filePath, event) {
+    if (!this.phaseDefinitions) {
+      this.phaseDefinitions = await loadPhaseDefinitions(this.projectRoot);
+    }
+
+    const target = this.describeFile(filePath);
+    const removed = event === 'unlink';
+    const result = {
+      event,
+      phase: target.phase,
+      deliverable: target.deliverable,
+      file: target.file,
+      version: null,
+      analysis: null,
+      quality: null,
+      relationships: null,
+      staleTransformations: []
+    };
+
+    if (!removed) {
+      const analysis = await this.analyzer.analyzeDeliverable(filePath, target.deliverable);
+      result.analysis = analysis.success
+        ? { success: true, wordCount: analysis.metadata.wordCount, contentHash: analysis.metadata.contentHash }
+        : { success: false, error: analysis.error };
+
+      const { version } = await recordDeliverableVersion(filePath, {
+        phase: target.phase,
+        deliverable: target.deliverable,
+        author: this.options.actor,
+        projectRoot: this.projectRoot
+      });
+      result.version = version.version;
+
+      result.quality = await this.validateQuality(filePath, target);
+      await setVersionQuality(target.file, version.version, result.quality, this.projectRoot);
+    }
+    await this.saveQualityResult(target.file, result.quality);
+
+    const graph = await this.relationshipOrchestrator.updateDeliverableRelationships(
+      this.projectRoot,
+      { phase: target.phase, path: filePath },
+      await this.listDeliverableFiles()
+    );
+    result.relationships = graph.relationships.filter(rel =>
+      [rel.source, rel.target].some(id => id.phase === target.phase && id.name === target.deliverable)
+    ).length;
+
+    result.staleTransformations = await this.transitionEngine.markTransformationsStale(
+      [target.phase],
+      `${target.file} was ${removed ? 'removed' : 'edited'}`
+    );
+
+    result.journalEvent = await appendJournalEvent(JOURNAL_EVENT_TYPES.DELIVERABLE_FILE_CHANGED, {
+      event,
+      phase: target.phase,
+      deliverable: target.deliverable,
+      file: target.file,
+      version: result.version,
+      qualityScore: result.quality?.score ?? null,
+      readyForTransition: result.quality?.readyForTransition ?? null,
+      relationships: result.relationships,
+      staleTransformations: result.staleTransformations
+    }, { actor: this.options.actor, projectRoot: this.projectRoot });
+
+    return result;
+  }
+
+  async validateQuality(filePath, target) {
+    return await validateDeliverableFile(filePath, target, this.projectRoot, {
+      phaseDefinitions: this.phaseDefinitions,
+      qualityOrchestrator: this.qualityOrchestrator
+    });
+  }
+
+  async saveQualityResult(file, quality) {
+    const results = await readProjectFile(DELIVERABLE_QUALITY, this.projectRoot).catch(() => ({}));
+    if (quality) {
+      results[file] = quality;
+    } else {
+      delete results[file];
+    }
+    await writeProjectFile(DELIVERABLE_QUALITY, results, this.projectRoot);
+  }
+
+  /**
+   * List the deliverable files that exist now, with the phase each belongs to
+   * @returns {Promise<Array<{phase: string, path: string}>>}
+   */
+  async listDeliverableFiles() {
+    const files = [];
+    const walk = async directory => {
+      const entries = await fs.readdir(directory, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (this.isIgnored(entryPath, entry)) continue;
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          files.push({ phase: this.describeFile(entryPath).phase, path: entryPath });
+        }
+      }
+    };
+    await walk(this.deliverablesRoot);
+    return files;
+  }
+
+  /**
+   * Work out the phase and deliverable a file belongs to from its path
+   */
+  describeFile(filePath) {
+    const relative = path.relative(this.deliverablesRoot, filePath);
+    const directory = relative.split(path.sep)[0];
+    const definitions = this.phaseDefinitions || {};
+    const phase = Object.keys(definitions).find(key => getDeliverableDirectory(key, definitions) === directory) || directory;
+
+    return {
+      phase,
+      deliverable: path.basename(filePath, path.extname(filePath)),
+      file: path.relative(this.projectRoot, filePath).split(path.sep).join('/')
+    };
+  }
+
+  isIgnored(filePath, stats) {
+    const name = path.basename(filePath);
+    if (filePath !== this.deliverablesRoot && (name.startsWith('.') || name === 'metadata')) {
+      return true;
+    }
+    // Files directly in the deliverables root belong to no phase
+    if (stats?.isFile()) {
+      return path.dirname(filePath) === this.deliverablesRoot ||
+        !WATCHED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    }
+    return false;
+  }
+}
+
+/**
+ * Start watching a project's deliverables
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options] - Options for DeliverableWatcher
+ * @returns {Promise<DeliverableWatcher>} The running watcher; call close() to stop it
+ */
+export async function watchDeliverables(projectRoot = process.cwd(), options = {}) {
+  const watcher = new DeliverableWatcher(projectRoot, options);
+  await watcher.start();
+  return watcher;
+}
@@ -0,0 +1,294 @@
+/**
+ * @file Links between the local git history and tickets and deliverables.
+ * @description Commits are linked to work in two ways:
+ *
+ *   - trailers in the commit message: `Guidant-Ticket: IMPL-001` (or `Ticket:` / `Refs:`)
+ *     and `Guidant-Deliverable: wireframes` (or `Deliverable:`)
+ *   - branch names: a branch containing a ticket ID, such as `feature/IMPL-001-login`,
+ *     links its commits to that ticket, and `deliverable/<name>` links them to a
+ *     deliverable. Merge commits on the main branch are linked through the branch
+ *     name in their subject, so the link survives deleting the branch.
+ *
+ * A commit reachable from the main branch counts as merged. A ticket that is not
+ * done yet but has merged commits is suggested as done. The commit checked out when
+ * a deliverable is saved is recorded in `.guidant/context/deliverable-commits.json`.
+ *
+ * Completion suggestions are kept in memory until a ref moves or a ticket changes,
+ * so checking for them on every progress report does not re-read the history.
+ */
+
+import path from 'path';
+
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import {
+  isGitRepository,
+  getHeadCommit,
+  getMainBranch,
+  getRefsFingerprint,
+  listBranches,
+  listCommits
+} from '../file-management/git-repository.js';
+import { DELIVERABLE_COMMITS } from '../constants/paths.js';
+import { loadTaskTickets, getTicketId, isTicketDone } from './task-dependencies.js';
+
+// Trailer keys, compared case-insensitively
+export const TICKET_TRAILERS = ['guidant-ticket', 'ticket', 'refs'];
+export const DELIVERABLE_TRAILERS = ['guidant-deliverable', 'deliverable'];
+
+const DELIVERABLE_BRANCH_PREFIX = 'deliverable/';
+
+// Last completion suggestions per project root, with the refs and tickets they were read for
+const completionCache = new Map();
+
+/**
+ * Read the git history and link commits to tickets and deliverables
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string} [options.mainBranch] - Branch work is merged into; defaults to main, then master
+ * @param {number} [options.limit=500] - Most commits to read per branch
+ * @returns {Promise<object>} Links grouped by ticket and by deliverable; `available` is false outside a git repository
+ */
+export async function getGitLinks(projectRoot = process.cwd(), options = {}) {
+  try {
+    if (!(await isGitRepository(projectRoot))) {
+      return { success: true, available: false, tickets: [], deliverables: [] };
+    }
+
+    const tickets = await loadTaskTickets(projectRoot);
+    const ticketIds = tickets.map(getTicketId).filter(Boolean);
+    const mainBranch = await getMainBranch(projectRoot, options.mainBranch);
+    const links = new Map();
+
+    const link = (kind, id, commit, source, branch, merged) => {
+      const key = `${kind}:${id}:${commit.sha}`;
+      if (!links.has(key)) {
+        links.set(key, { kind, id, source, branch, merged, commit });
+      }
+    };
+
+    const linkCommit = (commit, branch, merged) => {
+      for (const trailer of commit.trailers) {
+        const key = trailer.key.toLowerCase();
+        if (TICKET_TRAILERS.includes(key)) {
+          for (const ticketId of findTicketIds(trailer.value, ticketIds)) {
+            link('ticket', ticketId, commit, 'trailer', branch, merged);
+          }
+        } else if (DELIVERABLE_TRAILERS.includes(key)) {
+          for (const deliverable of trailer.value.split(',').map(value => value.trim()).filter(Boolean)) {
+            link('deliverable', deliverable, commit, 'trailer', branch, merged);
+          }
+        }
+      }
+    };
+
+    const linkBranch = (commit, branchName, branch, merged) => {
+      for (const ticketId of findTicketIds(branchName, ticketIds)) {
+        link('ticket', ticketId, commit, 'branch', branch, merged);
+      }
+      if (branchName.startsWith(DELIVERABLE_BRANCH_PREFIX)) {
+        link('deliverable', branchName.slice(DELIVERABLE_BRANCH_PREFIX.length), commit, 'branch', branch, merged);
+      }
+    };
+
+    // Everything on the main branch is merged
+    const mergedCommits = await listCommits(projectRoot, mainBranch, options);
+    const mergedShas = new Set(mergedCommits.map(commit => commit.sha));
+    for (const commit of mergedCommits) {
+      linkCommit(commit, mainBranch, true);
+      const mergedBranch = getMergedBranchName(commit.subject);
+      if (mergedBranch) {
+        linkBranch(commit, mergedBranch, mainBranch, true);
+      }
+    }
+
+    // Commits on other branches are linked through the branch name as well
+    for (const branch of await listBranches(projectRoot)) {
+      if (branch === mainBranch) {
+        continue;
+      }
+
+      const pending = await listCommits(projectRoot, `${mainBranch}..${branch}`, options);
+      for (const commit of pending) {
+        linkCommit(commit, branch, false);
+        linkBranch(commit, branch, branch, false);
+      }
+
+      // A branch with nothing left to merge has been merged; its tip carries the branch link
+      if (pending.length === 0) {
+        const [tip] = await listCommits(projectRoot, branch, { limit: 1 });
+        if (tip && mergedShas.has(tip.sha)) {
+          linkBranch(tip, branch, branch, true);
+        }
+      }
+    }
+
+    const saves = await getDeliverableCommits(projectRoot);
+    return {
+      success: true,
+      available: true,
+      mainBranch,
+      head: await getHeadCommit(projectRoot),
+      tickets: groupTicketLinks([...links.values()], tickets),
+      deliverables: groupDeliverableLinks([...links.values()], saves)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Tickets that are not done yet but have commits merged into the main branch
+ * @param {object} links - Result of getGitLinks
+ * @returns {object[]} Suggestions with the ticket and its merged commits
+ */
+export function suggestCompletedTickets(links) {
+  return (links.tickets || [])
+    .filter(ticket => !ticket.done && ticket.merged)
+    .map(ticket => ({
+      ticketId: ticket.ticketId,
+      title: ticket.title,
+      status: ticket.status,
+      mergedCommits: ticket.commits.filter(commit => commit.merged).map(commit => commit.shortSha),
+      message: `${ticket.ticketId} has ${ticket.commits.filter(commit => commit.merged).length} merged commit(s); mark it done if the work is finished`
+    }));
+}
+
+/**
+ * Read the git history and suggest tickets that look done. The history is read
+ * again only once a ref has moved or a ticket has changed since the last call.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options] - Options for getGitLinks
+ */
+export async function getCompletionSuggestions(projectRoot = process.cwd(), options = {}) {
+  const refs = await getRefsFingerprint(projectRoot);
+  if (!refs) {
+    return [];
+  }
+
+  const tickets = await loadTaskTickets(projectRoot);
+  const key = JSON.stringify([
+    refs,
+    options.mainBranch,
+    options.limit,
+    tickets.map(ticket => [getTicketId(ticket), ticket.title, ticket.status])
+  ]);
+  const root = path.resolve(projectRoot);
+  const cached = completionCache.get(root);
+  if (cached?.key === key) {
+    return cached.suggestions;
+  }
+
+  const links = await getGitLinks(projectRoot, options);
+  if (!links.success) {
+    return [];
+  }
+  const suggestions = suggestCompletedTickets(links);
+  completionCache.set(root, { key, suggestions });
+  return suggestions;
+}
+
+/**
+ * Record the commit checked out when a deliverable is saved
+ * @param {string} deliverable - Deliverable that was saved
+ * @param {string} filePath - Where it was saved, relative to the project root
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object|null>} The record, or null outside a git repository
+ */
+export async function recordDeliverableCommit(deliverable, filePath, projectRoot = process.cwd()) {
+  const head = await getHeadCommit(projectRoot);
+  if (!head) {
+    return null;
+  }
+
+  const record = {
+    deliverable,
+    filePath,
+    sha: head.sha,
+    shortSha: head.shortSha,
+    branch: head.branch,
+    dirty: head.dirty,
+    savedAt: new Date().toISOString()
+  };
+
+  const records = await getDeliverableCommits(projectRoot);
+  records.push(record);
+  await writeProjectFile(DELIVERABLE_COMMITS, records, projectRoot);
+  return record;
+}
+
+/**
+ * Read the commits recorded when deliverables were saved, oldest first
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string} [options.deliverable] - Only return records for this deliverable
+ */
+export async function getDeliverableCommits(projectRoot = process.cwd(), options = {}) {
+  const records = await readProjectFile(DELIVERABLE_COMMITS, projectRoot).catch(() => []);
+  return options.deliverable ? records.filter(record => record.deliverable === options.deliverable) : records;
+}
+
+/**
+ * Get the branch a merge commit merged, from a subject such as
+ * `Merge branch 'feature/IMPL-001'` or `Merge pull request #12 from org/feature/IMPL-001`
+ */
+function getMergedBranchName(subject) {
+  const match = subject.match(/^Merge (?:branch|remote-tracking branch) '([^']+)'/) ||
+    subject.match(/^Merge pull request #\d+ from \S+?\/(\S+)/);
+  return match ? match[1] : null;
+}
+
+function findTicketIds(text, ticketIds) {
+  return ticketIds.filter(ticketId =>
+    new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(ticketId)}($|[^A-Za-z0-9])`, 'i').test(text)
+  );
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toCommitLink(entry) {
+  return {
+    sha: entry.commit.sha,
+    shortSha: entry.commit.shortSha,
+    subject: entry.commit.subject,
+    author: entry.commit.author,
+    date: entry.commit.date,
+    branch: entry.branch,
+    source: entry.source,
+    merged: entry.merged
+  };
+}
+
+function groupTicketLinks(links, tickets) {
+  return tickets
+    .map(ticket => {
+      const commits = links
+        .filter(entry => entry.kind === 'ticket' && entry.id === getTicketId(ticket))
+        .map(toCommitLink);
+      return {
+        ticketId: getTicketId(ticket),
+        title: ticket.title,
+        status: ticket.status || 'pending',
+        done: isTicketDone(ticket),
+        merged: commits.some(commit => commit.merged),
+        commits
+      };
+    })
+    .filter(ticket => ticket.commits.length > 0);
+}
+
+function groupDeliverableLinks(links, saves) {
+  const names = new Set([
+    ...links.filter(entry => entry.kind === 'deliverable').map(entry => entry.id),
+    ...saves.map(record => record.deliverable)
+  ]);
+
+  return [...names].map(deliverable => ({
+    deliverable,
+    commits: links
+      .filter(entry => entry.kind === 'deliverable' && entry.id === deliverable)
+      .map(toCommitLink),
+    saves: saves.filter(record => record.deliverable === deliverable)
+  }));
+}
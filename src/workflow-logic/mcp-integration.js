@@ -39,6 +39,18 @@ const MCP_TOOLS = {
     category: 'workflow',
     description: 'Advance to next development phase',
     requiredParams: ['confirmAdvancement'],
+    optionalParams: ['phase']
+  },
+  'guidant_rollback_phase': {
+    category: 'workflow',
+    description: 'Roll back to an earlier development phase',
+    requiredParams: ['targetPhase', 'reason', 'confirmRollback'],
+    optionalParams: []
+  },
+  'guidant_get_dependency_graph': {
+    category: 'workflow',
+    description: 'Get the dependency graph of implementation tickets',
+    requiredParams: [],
     optionalParams: []
   },
   
@@ -150,8 +162,10 @@ async function executeWorkflowControlTool(toolName, params) {
   const { 
     generateNextTask, 
     advancePhase, 
+    rollbackPhase,
     getCurrentWorkflowState,
-    markDeliverableComplete 
+    markDeliverableComplete,
+    getTicketGraph
   } = await import('./workflow-engine.js');
   
   const { getProjectState } = await import('../file-management/project-structure.js');
@@ -169,7 +183,16 @@ async function executeWorkflowControlTool(toolName, params) {
       if (!params.confirmAdvancement) {
         throw new Error('Phase advancement not confirmed');
       }
-      return await advancePhase(projectRoot);
+      return await advancePhase(projectRoot, params.phase);
+      
+    case 'guidant_rollback_phase':
+      if (!params.confirmRollback) {
+        throw new Error('Phase rollback not confirmed');
+      }
+      return await rollbackPhase(params.targetPhase, params.reason, projectRoot);
+
+    case 'guidant_get_dependency_graph':
+      return await getTicketGraph(projectRoot);
       
     case 'guidant_report_progress':
       // For dashboard, we'll create a simplified progress report
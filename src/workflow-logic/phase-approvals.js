@@ -0,0 +1,208 @@
+/**
+ * @file Human sign-off approvals for phase gates.
+ * @description A phase definition may list `requiredApprovals`, the roles that must
+ * sign off before the phase can be completed. Approvals are given by people through
+ * the CLI and kept in `.guidant/workflow/approvals.json` with who approved, when and
+ * their comment. Agents cannot approve; the advance tools only check that every
+ * required approval exists.
+ *
+ * Accepting deliverables below a phase's quality thresholds is a sign-off too: it is
+ * recorded the same way under the quality override role, and the phase gate only
+ * lets a phase through its quality check on such a record.
+ *
+ * An approval only counts for the current run of a phase: once a phase is reopened
+ * by a rollback, approvals given before the rollback no longer satisfy the gate.
+ */
+
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { APPROVALS } from '../constants/paths.js';
+import { getCurrentWorkflowState } from './workflow-state-manager.js';
+import { appendJournalEvent, resolveActor, JOURNAL_EVENT_TYPES } from './workflow-journal.js';
+
+// Role used for sign-offs on phases that do not name the roles they need
+export const DEFAULT_APPROVAL_ROLE = 'approver';
+
+// Role of the sign-offs that accept deliverables below the quality thresholds
+export const QUALITY_OVERRIDE_ROLE = 'quality_override';
+
+/**
+ * Read every recorded approval, oldest first
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {string} [options.phase] - Only return approvals for this phase
+ * @returns {Promise<object[]>} Approvals
+ */
+export async function getApprovals(projectRoot = process.cwd(), options = {}) {
+  const approvals = await readProjectFile(APPROVALS, projectRoot).catch(() => []);
+  return options.phase ? approvals.filter(approval => approval.phase === options.phase) : approvals;
+}
+
+/**
+ * Record a human approval for an active phase
+ * @param {string} phase - Phase being approved
+ * @param {object} approvalData
+ * @param {string} approvalData.comment - Why the phase is approved
+ * @param {string} [approvalData.role] - Role approving; may be omitted when only one required role is missing
+ * @param {string} [approvalData.approver] - Who approved; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function recordApproval(phase, approvalData, projectRoot = process.cwd()) {
+  try {
+    if (!approvalData.comment || !approvalData.comment.trim()) {
+      return { success: false, error: 'An approval comment is required' };
+    }
+
+    const state = await getCurrentWorkflowState(projectRoot);
+    const definition = state.phaseDefinitions[phase];
+    if (!definition) {
+      return { success: false, error: `Unknown phase "${phase}"` };
+    }
+    if (!state.activePhases.includes(phase)) {
+      return { success: false, error: `Phase "${phase}" is not active` };
+    }
+
+    if (approvalData.role === QUALITY_OVERRIDE_ROLE) {
+      return { success: false, error: 'Quality overrides are recorded with acceptPhaseQuality' };
+    }
+
+    const status = await checkPhaseApprovals(phase, projectRoot, state);
+    const role = approvalData.role || defaultRole(status);
+    if (!role) {
+      return {
+        success: false,
+        error: `Specify the role approving ${phase}: ${(status.missing.length > 0 ? status.missing : status.required).join(', ')}`
+      };
+    }
+    if (status.required.length > 0 && !status.required.includes(role)) {
+      return {
+        success: false,
+        error: `${phase} does not require approval from "${role}" (required: ${status.required.join(', ')})`
+      };
+    }
+
+    const approval = await saveApproval(phase, role, approvalData, projectRoot);
+    const missing = status.missing.filter(missingRole => missingRole !== role);
+    return {
+      success: true,
+      approval,
+      missing,
+      message: missing.length > 0
+        ? `Recorded ${role} approval for ${phase}; still waiting on ${missing.join(', ')}`
+        : `Recorded ${role} approval for ${phase}`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record a person's decision to advance an active phase even though its deliverables
+ * are below the phase quality thresholds. The next advance of the phase uses the
+ * comment as the reason for the override.
+ * @param {string} phase - Phase whose deliverables are accepted
+ * @param {object} approvalData
+ * @param {string} approvalData.comment - Why the deliverables are accepted as they are
+ * @param {string} [approvalData.approver] - Who accepted them; defaults to GUIDANT_ACTOR or the OS user
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function acceptPhaseQuality(phase, approvalData, projectRoot = process.cwd()) {
+  try {
+    if (!approvalData.comment || !approvalData.comment.trim()) {
+      return { success: false, error: 'A reason is required to accept deliverables below the quality bar' };
+    }
+
+    const state = await getCurrentWorkflowState(projectRoot);
+    if (!state.phaseDefinitions[phase]) {
+      return { success: false, error: `Unknown phase "${phase}"` };
+    }
+    if (!state.activePhases.includes(phase)) {
+      return { success: false, error: `Phase "${phase}" is not active` };
+    }
+
+    const approval = await saveApproval(phase, QUALITY_OVERRIDE_ROLE, approvalData, projectRoot);
+    return {
+      success: true,
+      approval,
+      message: `Recorded quality override for ${phase}; it can be advanced below its quality bar`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the latest quality override given since the phase last started
+ * @param {string} phase - Phase to check
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [state] - Workflow state, if the caller has already read it
+ * @returns {Promise<object|null>} The override approval, or null when there is none
+ */
+export async function getQualityOverride(phase, projectRoot = process.cwd(), state = null) {
+  const workflowState = state || await getCurrentWorkflowState(projectRoot);
+  const overrides = (await getCurrentApprovals(phase, projectRoot, workflowState))
+    .filter(approval => approval.role === QUALITY_OVERRIDE_ROLE);
+  return overrides.at(-1) || null;
+}
+
+/**
+ * Check whether every approval a phase requires has been given since the phase last started
+ * @param {string} phase - Phase to check
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [state] - Workflow state, if the caller has already read it
+ * @returns {Promise<{isApproved: boolean, required: string[], missing: string[], approvals: object[]}>}
+ */
+export async function checkPhaseApprovals(phase, projectRoot = process.cwd(), state = null) {
+  const workflowState = state || await getCurrentWorkflowState(projectRoot);
+  const required = workflowState.phaseDefinitions[phase]?.requiredApprovals || [];
+  const approvals = (await getCurrentApprovals(phase, projectRoot, workflowState))
+    .filter(approval => approval.role !== QUALITY_OVERRIDE_ROLE);
+  const approvedRoles = new Set(approvals.map(approval => approval.role));
+  const missing = required.filter(role => !approvedRoles.has(role));
+
+  return {
+    isApproved: missing.length === 0,
+    required,
+    missing,
+    approvals
+  };
+}
+
+/**
+ * Approvals of a phase given since it last started or was reopened
+ */
+async function getCurrentApprovals(phase, projectRoot, state) {
+  const phaseState = state.phases?.phases?.[phase] || {};
+  const startedAt = phaseState.reopenedAt || phaseState.startedAt;
+  const since = startedAt ? Date.parse(startedAt) : 0;
+
+  return (await getApprovals(projectRoot, { phase }))
+    .filter(approval => Date.parse(approval.approvedAt) >= since);
+}
+
+async function saveApproval(phase, role, approvalData, projectRoot) {
+  const approvals = await getApprovals(projectRoot);
+  const approval = {
+    id: `approval-${approvals.length + 1}`,
+    phase,
+    role,
+    approver: resolveActor(approvalData.approver),
+    comment: approvalData.comment.trim(),
+    approvedAt: new Date().toISOString()
+  };
+
+  approvals.push(approval);
+  await writeProjectFile(APPROVALS, approvals, projectRoot);
+  await appendJournalEvent(JOURNAL_EVENT_TYPES.APPROVAL_RECORDED, { approval }, {
+    actor: approval.approver,
+    timestamp: approval.approvedAt,
+    projectRoot
+  });
+  return approval;
+}
+
+function defaultRole(status) {
+  if (status.required.length === 0) return DEFAULT_APPROVAL_ROLE;
+  if (status.required.length === 1) return status.required[0];
+  if (status.missing.length === 1) return status.missing[0];
+  return null;
+}
@@ -3,54 +3,276 @@
  * @description This file contains the canonical definition for all project phases,
  * their requirements, and transitions. It is used throughout the application to ensure
  * a consistent understanding of the workflow.
+ *
+ * Projects can replace or extend the built-in phases with a schema-validated
+ * `.guidant/workflow/phase-definitions.json` file; use `loadPhaseDefinitions`
+ * to get the definitions that apply to a given project.
+ *
+ * Phases form a dependency graph. A phase may list `prerequisites`; when it does
+ * not, its prerequisites are the phases whose `nextPhase` points at it, which keeps
+ * the built-in linear chain working unchanged. Phases whose prerequisites are all
+ * complete can be active at the same time.
+ *
+ * A phase may also list `requiredApprovals`: roles (e.g. `product_owner`) that must
+ * record a human sign-off before the phase can be completed. `qualityThresholds` sets
+ * a minimum quality score per deliverable and `blockingRules` lists quality rule IDs
+ * that must pass; both are checked when the phase is completed.
  */
 
+import fs from 'fs/promises';
+import path from 'path';
+import { readProjectFile } from '../file-management/project-structure.js';
+import { PHASE_DEFINITIONS_FILE } from '../constants/paths.js';
+import {
+  PhaseDefinitionSchema,
+  PhaseDefinitionOverrideSchema,
+  validatePhaseDefinitionsFile
+} from './schemas/phase-definition-schemas.js';
+
 export const PHASE_DEFINITIONS = {
   concept: {
     name: 'Concept & Research',
     description: 'Initial idea validation and market research',
     roles: ['research_agent'],
     requiredDeliverables: ['market_analysis', 'user_personas', 'competitor_research'],
-    nextPhase: 'requirements'
+    nextPhase: 'requirements',
+    deliverableDirectory: 'research'
   },
-  
+
   requirements: {
-    name: 'Requirements Analysis', 
+    name: 'Requirements Analysis',
     description: 'Detailed feature specification and PRD creation',
     roles: ['research_agent', 'business_analyst'],
     requiredDeliverables: ['prd_complete', 'user_stories', 'feature_specifications'],
-    nextPhase: 'design'
+    nextPhase: 'design',
+    deliverableDirectory: 'requirements'
   },
-  
+
   design: {
     name: 'Design & UX',
     description: 'User interface and experience design',
     roles: ['design_agent'],
     requiredDeliverables: ['wireframes', 'user_flows', 'component_specifications'],
-    nextPhase: 'architecture'
+    nextPhase: 'architecture',
+    deliverableDirectory: 'wireframes'
   },
-  
+
   architecture: {
     name: 'Technical Architecture',
     description: 'System design and technology planning',
     roles: ['architecture_agent'],
     requiredDeliverables: ['system_design', 'database_schema', 'api_specification'],
-    nextPhase: 'implementation'
+    nextPhase: 'implementation',
+    deliverableDirectory: 'architecture'
   },
-  
+
   implementation: {
     name: 'Development',
     description: 'Code implementation and testing',
     roles: ['development_agent'],
     requiredDeliverables: ['core_features', 'testing_suite', 'documentation'],
-    nextPhase: 'deployment'
+    nextPhase: 'deployment',
+    deliverableDirectory: 'implementation'
   },
-  
+
   deployment: {
     name: 'Deployment & Launch',
     description: 'Production setup and monitoring',
     roles: ['deployment_agent'],
     requiredDeliverables: ['production_environment', 'monitoring_setup', 'user_documentation'],
-    nextPhase: 'complete'
+    nextPhase: 'complete',
+    deliverableDirectory: 'deployment'
   }
 };
+
+/**
+ * Build validated phase definitions from the contents of a phase definitions file.
+ * With `extendDefaults`, entries are merged over the built-in phases so a project
+ * can insert a phase by adding it and re-pointing a single `nextPhase`.
+ * @param {object} fileData - Parsed contents of phase-definitions.json.
+ * @returns {object} Phase definitions keyed by phase.
+ * @throws {Error} If the file or the resulting phase chain is invalid.
+ */
+export function resolvePhaseDefinitions(fileData) {
+  const fileResult = validatePhaseDefinitionsFile(fileData);
+  if (!fileResult.success) {
+    throw new Error(`Invalid phase definitions file: ${fileResult.error}`);
+  }
+
+  const { extendDefaults, phases } = fileResult.data;
+  const base = extendDefaults ? PHASE_DEFINITIONS : {};
+  const definitions = {};
+
+  for (const [key, definition] of Object.entries(base)) {
+    definitions[key] = { ...definition };
+  }
+
+  for (const [key, entry] of Object.entries(phases)) {
+    const schema = definitions[key] ? PhaseDefinitionOverrideSchema : PhaseDefinitionSchema;
+    const parsed = schema.safeParse(entry);
+    if (!parsed.success) {
+      throw new Error(`Invalid definition for phase "${key}": ${parsed.error.message}`);
+    }
+    definitions[key] = { ...definitions[key], ...parsed.data };
+  }
+
+  validatePhaseChain(definitions);
+  return definitions;
+}
+
+/**
+ * Ensure every phase links to a known phase, every chain ends at 'complete'
+ * and the prerequisite graph has no cycles.
+ * @param {object} definitions - Phase definitions keyed by phase.
+ * @throws {Error} If a link is dangling or the graph contains a cycle.
+ */
+export function validatePhaseChain(definitions) {
+  const keys = Object.keys(definitions);
+  if (keys.length === 0) {
+    throw new Error('Phase definitions must contain at least one phase');
+  }
+
+  for (const [key, definition] of Object.entries(definitions)) {
+    if (definition.nextPhase !== 'complete' && !definitions[definition.nextPhase]) {
+      throw new Error(`Phase "${key}" links to unknown phase "${definition.nextPhase}"`);
+    }
+    for (const prerequisite of definition.prerequisites || []) {
+      if (!definitions[prerequisite]) {
+        throw new Error(`Phase "${key}" requires unknown phase "${prerequisite}"`);
+      }
+    }
+  }
+
+  for (const start of keys) {
+    const visited = new Set();
+    let current = start;
+    while (current !== 'complete') {
+      if (visited.has(current)) {
+        throw new Error(`Phase chain starting at "${start}" contains a cycle`);
+      }
+      visited.add(current);
+      current = definitions[current].nextPhase;
+    }
+  }
+
+  if (getPhaseOrder(definitions).length !== keys.length) {
+    throw new Error('Phase prerequisites contain a cycle');
+  }
+}
+
+/**
+ * Get the phases that must be complete before a phase can start.
+ * @param {string} phase - Phase key.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string[]} Prerequisite phase keys.
+ */
+export function getPhasePrerequisites(phase, definitions = PHASE_DEFINITIONS) {
+  const explicit = definitions[phase]?.prerequisites;
+  if (explicit) {
+    return explicit;
+  }
+  return Object.keys(definitions).filter(key => definitions[key].nextPhase === phase);
+}
+
+/**
+ * Get the phases that list a phase as a direct prerequisite.
+ * @param {string} phase - Phase key.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string[]} Dependent phase keys.
+ */
+export function getDependentPhases(phase, definitions = PHASE_DEFINITIONS) {
+  return Object.keys(definitions).filter(key =>
+    getPhasePrerequisites(key, definitions).includes(phase)
+  );
+}
+
+/**
+ * Get every phase that depends on a phase, directly or transitively, in workflow order.
+ * @param {string} phase - Phase key.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string[]} Downstream phase keys.
+ */
+export function getDownstreamPhases(phase, definitions = PHASE_DEFINITIONS) {
+  const downstream = new Set();
+  const queue = [phase];
+
+  while (queue.length > 0) {
+    for (const dependent of getDependentPhases(queue.shift(), definitions)) {
+      if (!downstream.has(dependent)) {
+        downstream.add(dependent);
+        queue.push(dependent);
+      }
+    }
+  }
+
+  return getPhaseOrder(definitions).filter(key => downstream.has(key));
+}
+
+/**
+ * Get the phases that can start once the given phases are complete: phases that
+ * are not yet complete and whose prerequisites are all in the completed set.
+ * @param {string[]} completedPhases - Phase keys that are complete.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string[]} Ready phase keys in workflow order.
+ */
+export function getReadyPhases(completedPhases, definitions = PHASE_DEFINITIONS) {
+  return getPhaseOrder(definitions).filter(key =>
+    !completedPhases.includes(key) &&
+    getPhasePrerequisites(key, definitions).every(prerequisite => completedPhases.includes(prerequisite))
+  );
+}
+
+/**
+ * Load the phase definitions for a project, falling back to the built-in set
+ * when the project has no phase-definitions.json.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @returns {Promise<object>} Phase definitions keyed by phase.
+ */
+export async function loadPhaseDefinitions(projectRoot = process.cwd()) {
+  try {
+    await fs.access(path.join(projectRoot, PHASE_DEFINITIONS_FILE));
+  } catch {
+    return PHASE_DEFINITIONS;
+  }
+
+  const fileData = await readProjectFile(PHASE_DEFINITIONS_FILE, projectRoot);
+  return resolvePhaseDefinitions(fileData);
+}
+
+/**
+ * Get phases in workflow order: a topological order of the prerequisite graph,
+ * keeping definition order among phases that are ready at the same time.
+ * Phases caught in a prerequisite cycle are left out.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string[]} Ordered phase keys.
+ */
+export function getPhaseOrder(definitions = PHASE_DEFINITIONS) {
+  const keys = Object.keys(definitions);
+  const order = [];
+
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const key of keys) {
+      if (order.includes(key)) continue;
+      const prerequisites = getPhasePrerequisites(key, definitions);
+      if (prerequisites.every(prerequisite => order.includes(prerequisite))) {
+        order.push(key);
+        progressed = true;
+        break;
+      }
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Get the deliverables sub-directory used by a phase.
+ * @param {string} phase - Phase key.
+ * @param {object} [definitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string} Directory name under .guidant/deliverables.
+ */
+export function getDeliverableDirectory(phase, definitions = PHASE_DEFINITIONS) {
+  return definitions[phase]?.deliverableDirectory || PHASE_DEFINITIONS[phase]?.deliverableDirectory || phase;
+}
@@ -18,14 +18,18 @@
 
 import { DeliverableContentAnalyzer } from '../data-processing/deliverable-analyzer.js';
 import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
-import { PHASE_DEFINITIONS } from './phase-definitions.js';
+import { PHASE_DEFINITIONS, loadPhaseDefinitions, getDeliverableDirectory, getPhasePrerequisites } from './phase-definitions.js';
+import { getCompletedPhases } from './workflow-state-manager.js';
+import { getApprovedDeliverables } from './deliverable-lifecycle.js';
+import { TRANSFORMATIONS, PROJECT_PHASES, QUALITY_GATES } from '../constants/paths.js';
 import { getProjectTypeConfig, validateTechStack, getTransformationRules } from '../config/project-types.js';
 import {
   TransformationInputSchema,
   TransformationOutputSchema,
   PhaseTransitionOptionsSchema,
   TransformationResultSchema,
-  EnhancedContextSchema
+  EnhancedContextSchema,
+  PhaseNameSchema
 } from './schemas/transition-schemas.js';
 import {
   ConceptToRequirementsTransformer,
@@ -44,6 +48,7 @@ import fs from 'fs/promises';
 export class PhaseTransitionEngine {
   constructor(projectRoot = process.cwd(), options = {}) {
     this.projectRoot = projectRoot;
+    this.phaseDefinitions = PHASE_DEFINITIONS;
 
     // Validate and set options with defaults
     const validatedOptions = PhaseTransitionOptionsSchema.parse(options);
@@ -90,14 +95,31 @@ export class PhaseTransitionEngine {
     ]);
   }
 
+  /**
+   * Check whether a transformer exists for a transition. Transformers are written
+   * for the built-in phase pairs, so project-defined phases and re-wired
+   * dependencies are advanced without one.
+   * @param {string} fromPhase - Current phase being completed
+   * @param {string} toPhase - Next phase to transition to
+   * @returns {boolean} True if executeTransition can handle the transition
+   */
+  supportsTransition(fromPhase, toPhase) {
+    return this.transformers.has(fromPhase) &&
+      PhaseNameSchema.safeParse(fromPhase).success &&
+      PhaseNameSchema.safeParse(toPhase).success &&
+      PHASE_DEFINITIONS[fromPhase].nextPhase === toPhase;
+  }
+
   /**
    * Execute phase transition with data transformation
    * Production-ready implementation with caching, timeout, and retry logic
    * @param {string} fromPhase - Current phase being completed
    * @param {string} toPhase - Next phase to transition to
+   * @param {object} [options] - Transition options
+   * @param {string[]} [options.completedPhases] - Phases to treat as complete when checking prerequisites
    * @returns {object} Transformation result with enhanced context
    */
-  async executeTransition(fromPhase, toPhase) {
+  async executeTransition(fromPhase, toPhase, options = {}) {
     const startTime = Date.now();
     const cacheKey = `${fromPhase}_to_${toPhase}_${this.options.projectType || 'default'}`;
 
@@ -116,7 +138,7 @@ export class PhaseTransitionEngine {
       }
 
       // Validate transition with comprehensive checks
-      const validation = await this.validateTransition(fromPhase, toPhase);
+      const validation = await this.validateTransition(fromPhase, toPhase, options);
       if (!validation.isValid) {
         return TransformationResultSchema.parse({
           success: false,
@@ -312,39 +334,55 @@ export class PhaseTransitionEngine {
    * Validate that phase transition is possible
    * @param {string} fromPhase - Current phase
    * @param {string} toPhase - Target phase
+   * @param {object} [options] - Validation options
+   * @param {string[]} [options.completedPhases] - Phases to treat as complete; defaults to phases.json
    * @returns {object} Validation result
    */
-  async validateTransition(fromPhase, toPhase) {
+  async validateTransition(fromPhase, toPhase, options = {}) {
+    this.phaseDefinitions = await loadPhaseDefinitions(this.projectRoot);
+    const definitions = this.phaseDefinitions;
+
     // Check if phases exist in definitions
-    if (!PHASE_DEFINITIONS[fromPhase]) {
+    if (!definitions[fromPhase]) {
       return {
         isValid: false,
         error: `Unknown source phase: ${fromPhase}`
       };
     }
 
-    if (!PHASE_DEFINITIONS[toPhase]) {
+    if (!definitions[toPhase]) {
       return {
         isValid: false,
         error: `Unknown target phase: ${toPhase}`
       };
     }
 
-    // Check if transition is valid according to phase definitions
-    const expectedNext = PHASE_DEFINITIONS[fromPhase].nextPhase;
-    if (expectedNext !== toPhase && toPhase !== 'complete') {
+    // Check if transition is valid according to the phase dependency graph
+    const prerequisites = getPhasePrerequisites(toPhase, definitions);
+    if (!prerequisites.includes(fromPhase)) {
+      return {
+        isValid: false,
+        error: `Invalid transition: ${toPhase} does not depend on ${fromPhase}`
+      };
+    }
+
+    // A phase with several prerequisites can only start once all of them are complete
+    const completedPhases = options.completedPhases || await this.getCompletedPhases();
+    const pending = prerequisites.filter(prerequisite =>
+      prerequisite !== fromPhase && !completedPhases.includes(prerequisite)
+    );
+    if (pending.length > 0) {
       return {
         isValid: false,
-        error: `Invalid transition: ${fromPhase} should transition to ${expectedNext}, not ${toPhase}`
+        error: `Prerequisite phases not complete: ${pending.join(', ')}`
       };
     }
 
-    // Check if required deliverables are complete
-    const qualityGates = await readProjectFile('.guidant/workflow/quality-gates.json', this.projectRoot);
-    const phaseGates = qualityGates[fromPhase];
-    const requiredDeliverables = PHASE_DEFINITIONS[fromPhase].requiredDeliverables;
+    // Check if required deliverables are approved
+    const qualityGates = await readProjectFile(QUALITY_GATES, this.projectRoot);
+    const requiredDeliverables = definitions[fromPhase].requiredDeliverables;
     
-    const completed = phaseGates?.completed || [];
+    const completed = getApprovedDeliverables(qualityGates[fromPhase]);
     const missing = requiredDeliverables.filter(deliverable => !completed.includes(deliverable));
     
     if (missing.length > 0) {
@@ -357,13 +395,25 @@ export class PhaseTransitionEngine {
     return { isValid: true };
   }
 
+  /**
+   * Read the phases marked completed in phases.json
+   * @returns {string[]} Completed phase keys
+   */
+  async getCompletedPhases() {
+    try {
+      return getCompletedPhases(await readProjectFile(PROJECT_PHASES, this.projectRoot));
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * Analyze all deliverables from a completed phase
    * @param {string} phase - Phase to analyze
    * @returns {object} Analysis results for all deliverables
    */
   async analyzePhaseDeliverables(phase) {
-    const phaseDefinition = PHASE_DEFINITIONS[phase];
+    const phaseDefinition = this.phaseDefinitions[phase];
     const deliverableDir = this.getDeliverableDirectory(phase);
     const deliverablePath = path.join(this.projectRoot, '.guidant', 'deliverables', deliverableDir);
     
@@ -429,16 +479,7 @@ export class PhaseTransitionEngine {
    * @returns {string} Directory name
    */
   getDeliverableDirectory(phase) {
-    const directories = {
-      concept: 'research',
-      requirements: 'requirements',
-      design: 'wireframes',
-      architecture: 'architecture',
-      implementation: 'implementation',
-      deployment: 'deployment'
-    };
-    
-    return directories[phase] || 'research';
+    return getDeliverableDirectory(phase, this.phaseDefinitions);
   }
 
   /**
@@ -448,12 +489,10 @@ export class PhaseTransitionEngine {
    * @param {object} transformation - Transformation results
    */
   async saveTransformationResults(fromPhase, toPhase, transformation) {
-    const transformationPath = '.guidant/data-processing/transformations.json';
-    
     try {
       let transformations = {};
       try {
-        transformations = await readProjectFile(transformationPath, this.projectRoot);
+        transformations = await readProjectFile(TRANSFORMATIONS, this.projectRoot);
       } catch {
         // File doesn't exist yet, start with empty object
       }
@@ -461,10 +500,12 @@ export class PhaseTransitionEngine {
       const transitionKey = `${fromPhase}_to_${toPhase}`;
       transformations[transitionKey] = {
         ...transformation,
+        fromPhase,
+        toPhase,
         savedAt: new Date().toISOString()
       };
 
-      await writeProjectFile(transformationPath, transformations, this.projectRoot);
+      await writeProjectFile(TRANSFORMATIONS, transformations, this.projectRoot);
       console.log(`✅ Saved transformation results: ${fromPhase} → ${toPhase}`);
       
     } catch (error) {
@@ -472,6 +513,46 @@ export class PhaseTransitionEngine {
     }
   }
 
+  /**
+   * Flag saved transformations produced from the given phases as stale, e.g.
+   * after a rollback reopens those phases. Stale entries are kept for reference
+   * and replaced the next time the transition runs.
+   * @param {string[]} phases - Source phases whose outputs are no longer valid
+   * @param {string} reason - Why the outputs became stale
+   * @returns {string[]} Keys of the transformations that were flagged
+   */
+  async markTransformationsStale(phases, reason) {
+    for (const key of this.transformationCache.keys()) {
+      if (phases.some(phase => key.startsWith(`${phase}_to_`))) {
+        this.transformationCache.delete(key);
+      }
+    }
+
+    let transformations;
+    try {
+      transformations = await readProjectFile(TRANSFORMATIONS, this.projectRoot);
+    } catch {
+      return [];
+    }
+
+    const staleKeys = [];
+    const staleAt = new Date().toISOString();
+
+    for (const [key, entry] of Object.entries(transformations)) {
+      const fromPhase = entry.fromPhase || key.split('_to_')[0];
+      if (phases.includes(fromPhase) && !entry.stale) {
+        transformations[key] = { ...entry, stale: true, staleAt, staleReason: reason };
+        staleKeys.push(key);
+      }
+    }
+
+    if (staleKeys.length > 0) {
+      await writeProjectFile(TRANSFORMATIONS, transformations, this.projectRoot);
+    }
+
+    return staleKeys;
+  }
+
   /**
    * Generate enhanced context for next phase task generation
    * @param {object} transformation - Transformation results
@@ -479,7 +560,7 @@ export class PhaseTransitionEngine {
    * @returns {object} Enhanced context for task generation
    */
   async generateEnhancedContext(transformation, toPhase) {
-    const phaseDefinition = PHASE_DEFINITIONS[toPhase];
+    const phaseDefinition = this.phaseDefinitions[toPhase];
     const projectConfig = getProjectTypeConfig(this.options.projectType || 'web_app');
 
     // Generate focus areas based on phase and transformation results
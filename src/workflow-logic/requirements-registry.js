@@ -0,0 +1,350 @@
+/**
+ * @file Stable IDs for the requirements and user stories in a PRD.
+ * @description Each requirement found in a requirements document gets an ID that is
+ * kept for as long as the requirement exists: `US-001` for user stories ("As a ...,
+ * I want ...") and `REQ-001` for everything else. The registry lives in
+ * `.guidant/context/requirements.json`.
+ *
+ * A requirement keeps its ID when the document is processed again, also when its
+ * wording is edited slightly. A requirement that disappears from every document it
+ * came from is kept with status `removed`, and its ID is never handed out again.
+ * Authors can pin an ID by writing it in front of the text, e.g. `- REQ-007: ...`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
+import { REQUIREMENTS_DIR, REQUIREMENTS_REGISTRY } from '../constants/paths.js';
+
+export const REQUIREMENT_KINDS = {
+  REQUIREMENT: 'requirement',
+  STORY: 'story'
+};
+
+const ID_PREFIXES = {
+  [REQUIREMENT_KINDS.REQUIREMENT]: 'REQ',
+  [REQUIREMENT_KINDS.STORY]: 'US'
+};
+
+export const REQUIREMENT_ID_PATTERN = /\b(?:REQ|US)-\d{3,}\b/g;
+
+// Share of words an edited requirement must keep to hold on to its ID
+const EDIT_SIMILARITY = 0.6;
+
+// Sections whose bullets describe something other than requirements
+const SKIPPED_SECTIONS = /out of scope|non-goals|open questions|references|glossary|revision history|appendix/i;
+
+const STORY_PATTERN = /\bas an?\s+[^,.]+?,?\s+i\s+(?:want|need|can|would like)\b/i;
+const REQUIREMENT_PATTERN = /\b(?:must|shall|should)\b/i;
+const EXPLICIT_ID = /^\[?((?:REQ|US)-\d{3,})\]?\s*[:.)-]?\s+(.+)$/;
+
+/**
+ * Find the requirements and user stories in a requirements document
+ * @param {string} content - Markdown content
+ * @returns {Array<{kind: string, text: string, section: string|null, id?: string}>} In document order, without duplicates
+ */
+export function extractRequirements(content) {
+  const requirements = [];
+  const seen = new Set();
+  let section = null;
+  let inCode = false;
+
+  for (const rawLine of (content || '').split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('```')) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode || !line) continue;
+
+    const heading = line.match(/^#{1,6}\s+(.+)/);
+    if (heading) {
+      section = heading[1].trim();
+      continue;
+    }
+    if (section && SKIPPED_SECTIONS.test(section)) continue;
+
+    const listItem = line.match(/^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)/);
+    let text = stripMarkdown(listItem ? listItem[1] : line);
+    const explicit = text.match(EXPLICIT_ID);
+    if (explicit) {
+      text = explicit[2].trim();
+    }
+
+    const isStory = STORY_PATTERN.test(text);
+    if (!explicit && !isStory && !(listItem && text.length > 10) && !REQUIREMENT_PATTERN.test(text)) {
+      continue;
+    }
+    if (text.length < 10) continue;
+
+    const key = requirementKey(text);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const kind = explicit
+      ? (explicit[1].startsWith('US-') ? REQUIREMENT_KINDS.STORY : REQUIREMENT_KINDS.REQUIREMENT)
+      : (isStory ? REQUIREMENT_KINDS.STORY : REQUIREMENT_KINDS.REQUIREMENT);
+    requirements.push({ kind, text, section, ...(explicit ? { id: explicit[1] } : {}) });
+  }
+
+  return requirements;
+}
+
+/**
+ * Give the requirements of a document their IDs, reusing the IDs they had the last
+ * time the document was processed
+ * @param {string} content - Markdown content of the requirements document
+ * @param {string} source - Where the content came from, e.g. `prd` or a deliverable path
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} `requirements` of the document with their IDs, and the IDs `added`, `updated` and `removed`
+ */
+export async function assignRequirementIds(content, source, projectRoot = process.cwd()) {
+  try {
+    const extracted = extractRequirements(content);
+    let outcome;
+
+    await updateRegistry(projectRoot, registry => {
+      outcome = mergeRequirements(registry, extracted, source);
+    });
+
+    return { success: true, source, ...outcome };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Assign IDs to the requirements in every document of the requirements deliverables
+ * directory, so requirements written straight into deliverables are registered too
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} The IDs added, updated and removed per document
+ */
+export async function syncRequirementDeliverables(projectRoot = process.cwd()) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(projectRoot, REQUIREMENTS_DIR));
+  } catch {
+    return { success: true, documents: [] };
+  }
+
+  const documents = [];
+  for (const file of files.filter(name => name.endsWith('.md')).sort()) {
+    const source = path.posix.join(REQUIREMENTS_DIR, file);
+    const content = await fs.readFile(path.join(projectRoot, source), 'utf8');
+    const result = await assignRequirementIds(content, source, projectRoot);
+    if (!result.success) {
+      return { success: false, error: `${source}: ${result.error}` };
+    }
+    documents.push({ source, added: result.added, updated: result.updated, removed: result.removed });
+  }
+
+  return { success: true, documents };
+}
+
+/**
+ * Get the registered requirements
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {boolean} [options.includeRemoved=false] - Also return requirements no document contains any more
+ * @returns {Promise<object[]>} Requirements in ID order
+ */
+export async function getRequirements(projectRoot = process.cwd(), options = {}) {
+  const registry = await readRegistry(projectRoot);
+  return registry.requirements
+    .filter(requirement => options.includeRemoved || requirement.status === 'active')
+    .sort(compareRequirementIds);
+}
+
+/**
+ * Find the registered requirements a piece of text implements, by exact wording or
+ * by the IDs mentioned in it
+ * @param {string} text - E.g. a ticket description
+ * @param {object[]} requirements - From getRequirements or assignRequirementIds
+ * @returns {string[]} Requirement IDs
+ */
+export function matchRequirementIds(text, requirements) {
+  const mentioned = new Set(findRequirementIds(text));
+  const normalized = ` ${requirementKey(text)} `;
+  return requirements
+    .filter(requirement => mentioned.has(requirement.id) || normalized.includes(` ${requirement.key || requirementKey(requirement.text)} `))
+    .map(requirement => requirement.id);
+}
+
+/**
+ * List the requirement IDs mentioned in a text
+ * @param {string} text
+ * @returns {string[]} IDs without duplicates
+ */
+export function findRequirementIds(text) {
+  return [...new Set((text || '').match(REQUIREMENT_ID_PATTERN) || [])];
+}
+
+function mergeRequirements(registry, extracted, source) {
+  const now = new Date().toISOString();
+  const byId = new Map(registry.requirements.map(requirement => [requirement.id, requirement]));
+  // A removed requirement that comes back gets its old ID again
+  const byKey = new Map();
+  for (const requirement of registry.requirements) {
+    if (!byKey.has(requirement.key) || requirement.status === 'active') {
+      byKey.set(requirement.key, requirement);
+    }
+  }
+  const previous = registry.requirements.filter(req => req.status === 'active' && req.sources.includes(source));
+  const matched = new Set();
+  const added = [];
+  const updated = [];
+  const unmatched = [];
+  const assigned = new Array(extracted.length);
+
+  // Pinned IDs and unchanged wording first, so edits only compete for what is left
+  extracted.forEach((item, index) => {
+    const key = requirementKey(item.text);
+    const existing = item.id ? byId.get(item.id) : byKey.get(key);
+    if (item.id && !existing) {
+      const requirement = createRequirement(registry, item, source, now, item.id);
+      byId.set(requirement.id, requirement);
+      added.push(requirement.id);
+      assigned[index] = requirement;
+    } else if (existing && !matched.has(existing.id)) {
+      if (reviveRequirement(existing, item, key, source, now)) {
+        updated.push(existing.id);
+      }
+      assigned[index] = existing;
+    } else {
+      unmatched.push(index);
+    }
+    if (assigned[index]) matched.add(assigned[index].id);
+  });
+
+  for (const index of unmatched) {
+    const item = extracted[index];
+    const edited = findEditedRequirement(item, previous.filter(req => !matched.has(req.id)));
+    if (edited) {
+      edited.previousText = edited.text;
+      reviveRequirement(edited, item, requirementKey(item.text), source, now);
+      updated.push(edited.id);
+      assigned[index] = edited;
+    } else {
+      assigned[index] = createRequirement(registry, item, source, now);
+      added.push(assigned[index].id);
+    }
+    matched.add(assigned[index].id);
+  }
+
+  const removed = [];
+  for (const requirement of previous.filter(req => !matched.has(req.id))) {
+    requirement.sources = requirement.sources.filter(other => other !== source);
+    requirement.updatedAt = now;
+    if (requirement.sources.length === 0) {
+      requirement.status = 'removed';
+      requirement.removedAt = now;
+      removed.push(requirement.id);
+    }
+  }
+
+  return { requirements: assigned, added, updated, removed };
+}
+
+function createRequirement(registry, item, source, now, id = null) {
+  const requirement = {
+    id: id || nextRequirementId(registry, item.kind),
+    kind: item.kind,
+    text: item.text,
+    key: requirementKey(item.text),
+    section: item.section,
+    sources: [source],
+    status: 'active',
+    createdAt: now,
+    updatedAt: now
+  };
+  noteUsedId(registry, requirement.id);
+  registry.requirements.push(requirement);
+  return requirement;
+}
+
+/**
+ * Bring an existing requirement up to date with the document; true when anything changed
+ */
+function reviveRequirement(requirement, item, key, source, now) {
+  const changed = requirement.key !== key || requirement.status !== 'active' || !requirement.sources.includes(source);
+  requirement.text = item.text;
+  requirement.key = key;
+  requirement.section = item.section;
+  requirement.status = 'active';
+  requirement.removedAt = undefined;
+  if (!requirement.sources.includes(source)) {
+    requirement.sources.push(source);
+  }
+  if (changed) {
+    requirement.updatedAt = now;
+  }
+  return changed;
+}
+
+function findEditedRequirement(item, candidates) {
+  const words = new Set(requirementKey(item.text).split(' '));
+  let best = null;
+  let bestScore = EDIT_SIMILARITY;
+
+  for (const candidate of candidates.filter(req => req.kind === item.kind)) {
+    const other = new Set(candidate.key.split(' '));
+    const shared = [...words].filter(word => other.has(word)).length;
+    const score = shared / new Set([...words, ...other]).size;
+    if (score >= bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function nextRequirementId(registry, kind) {
+  const prefix = ID_PREFIXES[kind];
+  const next = registry.nextIds[prefix] || 1;
+  registry.nextIds[prefix] = next + 1;
+  return `${prefix}-${String(next).padStart(3, '0')}`;
+}
+
+function noteUsedId(registry, id) {
+  const [prefix, number] = id.split('-');
+  registry.nextIds[prefix] = Math.max(registry.nextIds[prefix] || 1, Number(number) + 1);
+}
+
+function compareRequirementIds(a, b) {
+  const [prefixA, numberA] = a.id.split('-');
+  const [prefixB, numberB] = b.id.split('-');
+  return prefixA === prefixB ? Number(numberA) - Number(numberB) : prefixA.localeCompare(prefixB);
+}
+
+function requirementKey(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function stripMarkdown(text) {
+  return text
+    .replace(/\*\*|__|`/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .trim();
+}
+
+async function readRegistry(projectRoot) {
+  try {
+    const registry = await readProjectFile(REQUIREMENTS_REGISTRY, projectRoot);
+    return { nextIds: {}, requirements: [], ...registry };
+  } catch {
+    return { nextIds: {}, requirements: [] };
+  }
+}
+
+async function updateRegistry(projectRoot, update) {
+  const registryPath = path.join(projectRoot, REQUIREMENTS_REGISTRY);
+  await fs.mkdir(path.dirname(registryPath), { recursive: true });
+
+  await withFileLock(registryPath, async () => {
+    const registry = await readRegistry(projectRoot);
+    update(registry);
+    registry.lastUpdated = new Date().toISOString();
+    await writeProjectFile(REQUIREMENTS_REGISTRY, registry, projectRoot);
+  });
+}
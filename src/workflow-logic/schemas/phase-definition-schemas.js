@@ -0,0 +1,52 @@
+/**
+ * Zod Validation Schemas for Phase Definitions
+ * Validates the per-project phase definition file under .guidant/workflow/
+ */
+
+import { z } from 'zod';
+
+// Phase keys are used as file names, JSON keys and CLI arguments
+export const PhaseKeySchema = z.string()
+  .regex(/^[a-z][a-z0-9_]*$/, 'Phase keys must be lowercase snake_case');
+
+// A single phase definition, matching the shape of PHASE_DEFINITIONS entries
+export const PhaseDefinitionSchema = z.object({
+  name: z.string().min(1),
+  description: z.string().default(''),
+  roles: z.array(z.string().min(1)).min(1),
+  requiredDeliverables: z.array(z.string().min(1)),
+  nextPhase: z.union([PhaseKeySchema, z.literal('complete')]),
+  prerequisites: z.array(PhaseKeySchema).optional(),
+  requiredApprovals: z.array(z.string().min(1)).optional(),
+  qualityThresholds: z.record(z.number().min(0).max(100)).optional(),
+  blockingRules: z.array(z.string().min(1)).optional(),
+  deliverableDirectory: z.string().min(1).optional()
+});
+
+// Partial definition used to override a built-in phase when extending defaults
+export const PhaseDefinitionOverrideSchema = PhaseDefinitionSchema.partial();
+
+// Contents of .guidant/workflow/phase-definitions.json
+export const PhaseDefinitionsFileSchema = z.object({
+  version: z.number().int().positive().default(1),
+  extendDefaults: z.boolean().default(false),
+  phases: z.record(PhaseKeySchema, z.record(z.any()))
+});
+
+/**
+ * Validate the raw contents of a phase definitions file
+ */
+export function validatePhaseDefinitionsFile(data) {
+  try {
+    return {
+      success: true,
+      data: PhaseDefinitionsFileSchema.parse(data)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      issues: error.issues
+    };
+  }
+}
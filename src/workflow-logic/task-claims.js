@@ -0,0 +1,183 @@
+/**
+ * @file Task claims for agents working on one project at the same time.
+ * @description When several agents ask for their next task, each task is handed to
+ * one agent under an expiring lease:
+ *
+ *   .guidant/workflow/task-claims.json = [{ taskKey, agentId, claimedAt, renewedAt, expiresAt, ... }]
+ *
+ * Tasks claimed by other agents are skipped when picking the next task. An agent
+ * holds one lease at a time; it is renewed whenever the agent reports progress and
+ * released when the work is completed. Leases that run out are dropped the next
+ * time the claims are read or changed, so a crashed agent's work becomes available
+ * again. Every change happens under a file lock so agents in separate processes
+ * cannot claim the same task.
+ */
+
+import path from 'path';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
+import { TASK_CLAIMS } from '../constants/paths.js';
+import { generateNextTask, getTaskKey } from './task-generation-service.js';
+
+export const DEFAULT_LEASE_MINUTES = 15;
+
+// Another agent can claim the picked task between picking and claiming it; try again this often
+const MAX_CLAIM_ATTEMPTS = 5;
+
+/**
+ * Read the leases that have not expired
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object[]>} Active claims
+ */
+export async function getTaskClaims(projectRoot = process.cwd()) {
+  const claims = await readProjectFile(TASK_CLAIMS, projectRoot).catch(() => []);
+  return claims.filter(claim => !isExpired(claim));
+}
+
+/**
+ * Pick the next task for an agent, skipping tasks other agents hold, and claim it.
+ * Any other lease the agent holds is released.
+ * @param {object} capabilities - The capabilities of the agent
+ * @param {string} agentId - Agent claiming the task
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {number} [options.leaseMinutes=15] - How long the lease lasts without progress reports
+ * @returns {Promise<object>} The task, and the claim on it (null for tasks that are not claimed, such as phase transitions)
+ */
+export async function claimNextTask(capabilities, agentId, projectRoot = process.cwd(), options = {}) {
+  try {
+    if (!agentId) {
+      return { success: false, error: 'An agent ID is required to claim a task' };
+    }
+
+    for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+      // The task is picked outside the lock because generating it can take a while
+      const heldByOthers = (await getTaskClaims(projectRoot))
+        .filter(claim => claim.agentId !== agentId)
+        .map(claim => claim.taskKey);
+      const task = await generateNextTask(capabilities, projectRoot, { excludeTasks: heldByOthers });
+      const taskKey = getTaskKey(task);
+
+      const result = await updateClaims(projectRoot, claims => {
+        if (taskKey && claims.some(claim => claim.taskKey === taskKey && claim.agentId !== agentId)) {
+          return { claims, value: null };
+        }
+
+        const released = claims.filter(claim => claim.agentId === agentId && claim.taskKey !== taskKey);
+        const previous = claims.find(claim => claim.agentId === agentId && claim.taskKey === taskKey);
+        const others = claims.filter(claim => claim.agentId !== agentId);
+        const claim = taskKey ? createClaim(task, taskKey, agentId, previous, options) : null;
+
+        return {
+          claims: claim ? [...others, claim] : others,
+          value: { claim, released }
+        };
+      });
+
+      if (result) {
+        return {
+          success: true,
+          task,
+          claim: result.claim,
+          released: result.released
+        };
+      }
+    }
+
+    return { success: false, error: 'Could not claim a task; other agents kept claiming the same work' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Extend the leases an agent holds
+ * @param {string} agentId - Agent whose leases are renewed
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {number} [options.leaseMinutes=15] - New lease length from now
+ */
+export async function renewTaskClaims(agentId, projectRoot = process.cwd(), options = {}) {
+  try {
+    const renewed = await updateClaims(projectRoot, claims => {
+      const now = new Date();
+      const updated = claims.map(claim => claim.agentId === agentId
+        ? {
+          ...claim,
+          renewedAt: now.toISOString(),
+          expiresAt: leaseExpiry(now, options.leaseMinutes)
+        }
+        : claim);
+      return { claims: updated, value: updated.filter(claim => claim.agentId === agentId) };
+    });
+
+    return { success: true, renewed };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Release leases so other agents can pick the work up
+ * @param {object} filter - Which leases to release; at least one of agentId and taskKey
+ * @param {string} [filter.agentId] - Release this agent's leases
+ * @param {string} [filter.taskKey] - Release the lease on this task
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function releaseTaskClaims(filter = {}, projectRoot = process.cwd()) {
+  try {
+    if (!filter.agentId && !filter.taskKey) {
+      return { success: false, error: 'Provide an agent ID or a task key to release' };
+    }
+
+    const matches = claim =>
+      (!filter.agentId || claim.agentId === filter.agentId) &&
+      (!filter.taskKey || claim.taskKey === filter.taskKey);
+
+    const released = await updateClaims(projectRoot, claims => ({
+      claims: claims.filter(claim => !matches(claim)),
+      value: claims.filter(matches)
+    }));
+
+    return { success: true, released };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Read the claims under the file lock, drop expired leases, apply the change and save
+ * @param {string} projectRoot - The root directory of the project
+ * @param {function(object[]): {claims: object[], value: *}} change - Returns the new claims and the value to return
+ */
+async function updateClaims(projectRoot, change) {
+  return await withFileLock(path.join(projectRoot, TASK_CLAIMS), async () => {
+    const stored = await readProjectFile(TASK_CLAIMS, projectRoot).catch(() => []);
+    const { claims, value } = change(stored.filter(claim => !isExpired(claim)));
+
+    await writeProjectFile(TASK_CLAIMS, claims, projectRoot);
+    return value;
+  });
+}
+
+function createClaim(task, taskKey, agentId, previous, options) {
+  const now = new Date();
+  return {
+    taskKey,
+    agentId,
+    type: task.type,
+    phase: task.phase,
+    title: task.task?.title || task.deliverable || taskKey,
+    claimedAt: previous?.claimedAt || now.toISOString(),
+    renewedAt: now.toISOString(),
+    expiresAt: leaseExpiry(now, options.leaseMinutes)
+  };
+}
+
+function leaseExpiry(from, leaseMinutes = DEFAULT_LEASE_MINUTES) {
+  return new Date(from.getTime() + leaseMinutes * 60 * 1000).toISOString();
+}
+
+function isExpired(claim) {
+  return Date.parse(claim.expiresAt) <= Date.now();
+}
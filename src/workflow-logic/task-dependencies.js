@@ -0,0 +1,336 @@
+/**
+ * @file Dependency graph for implementation tickets.
+ * @description Tickets in `.guidant/ai/task-tickets` may declare the tickets they
+ * depend on with a `dependsOn` list of ticket IDs. A ticket is blocked until every
+ * ticket it depends on is done. The links are checked for cycles and unknown IDs,
+ * and tickets are ordered topologically, highest priority first among the tickets
+ * that are free at each step, so `generateNextTask` can pick the most important
+ * ticket that can be started now.
+ *
+ * Tickets written before `dependsOn` existed may list ticket IDs in `dependencies`
+ * instead. The AI task generator fills `dependencies` with prose ("API
+ * specifications finalized"), so only entries shaped like a ticket ID are read
+ * from it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { TASK_TICKETS } from '../constants/paths.js';
+
+// Ticket statuses that satisfy a dependency
+export const DONE_TICKET_STATUSES = ['completed', 'done', 'closed'];
+
+// Ticket IDs such as T-1 or IMPL-001; anything else in `dependencies` is prose
+const TICKET_ID_PATTERN = /^[A-Za-z][\w.]*-\d+$/;
+
+// Higher ranks are picked first
+const PRIORITY_RANK = {
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+/**
+ * Get a ticket's ID; tickets from the AI task generator use `ticket_id`
+ * @param {object} ticket - Ticket
+ * @returns {string} Ticket ID
+ */
+export function getTicketId(ticket) {
+  return ticket.id || ticket.ticket_id;
+}
+
+/**
+ * Get the IDs of the tickets a ticket depends on
+ * @param {object} ticket - Ticket
+ * @returns {string[]} Ticket IDs
+ */
+export function getTicketDependencies(ticket) {
+  if (Array.isArray(ticket.dependsOn)) {
+    return ticket.dependsOn;
+  }
+  if (Array.isArray(ticket.dependencies)) {
+    return ticket.dependencies
+      .filter(dependency => typeof dependency === 'string' && TICKET_ID_PATTERN.test(dependency.trim()))
+      .map(dependency => dependency.trim());
+  }
+  return [];
+}
+
+/**
+ * Check whether a ticket is done
+ * @param {object} ticket - Ticket
+ * @returns {boolean} True when the ticket satisfies the tickets that depend on it
+ */
+export function isTicketDone(ticket) {
+  return DONE_TICKET_STATUSES.includes(String(ticket.status || '').toLowerCase());
+}
+
+/**
+ * Read every ticket in the task tickets directory
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object[]>} Tickets with the file they were read from, ordered by file name
+ */
+export async function loadTaskTickets(projectRoot = process.cwd()) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(projectRoot, TASK_TICKETS));
+  } catch {
+    return [];
+  }
+
+  const tickets = [];
+  for (const file of files.filter(name => name.endsWith('.json') && !name.startsWith('.')).sort()) {
+    try {
+      const ticket = await readProjectFile(path.join(TASK_TICKETS, file), projectRoot);
+      if (ticket && getTicketId(ticket)) {
+        tickets.push({ ...ticket, file });
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable ticket ${file}:`, error.message);
+    }
+  }
+  return tickets;
+}
+
+/**
+ * Write a ticket read with loadTaskTickets back to its file
+ * @param {object} ticket - Ticket, including the `file` it was read from
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} The ticket as stored
+ */
+export async function saveTaskTicket(ticket, projectRoot = process.cwd()) {
+  const { file, ...stored } = ticket;
+  const updated = { ...stored, updatedAt: new Date().toISOString() };
+  await writeProjectFile(path.join(TASK_TICKETS, file || `${getTicketId(ticket)}.json`), updated, projectRoot);
+  return updated;
+}
+
+/**
+ * Find dependency cycles between tickets
+ * @param {object[]} tickets - Tickets
+ * @returns {string[][]} Each cycle as a list of ticket IDs, starting and ending with the same ID
+ */
+export function findDependencyCycles(tickets) {
+  const byId = new Map(tickets.map(ticket => [getTicketId(ticket), ticket]));
+  const visiting = new Set();
+  const visited = new Set();
+  const cycles = [];
+
+  const visit = (id, trail) => {
+    if (visiting.has(id)) {
+      cycles.push([...trail.slice(trail.indexOf(id)), id]);
+      return;
+    }
+    if (visited.has(id) || !byId.has(id)) return;
+
+    visiting.add(id);
+    for (const dependency of getTicketDependencies(byId.get(id))) {
+      visit(dependency, [...trail, id]);
+    }
+    visiting.delete(id);
+    visited.add(id);
+  };
+
+  for (const id of byId.keys()) {
+    visit(id, []);
+  }
+  return cycles;
+}
+
+/**
+ * Check every ticket's links for cycles and unknown ticket IDs
+ * @param {object[]} tickets - Tickets
+ * @returns {{valid: boolean, cycles: string[][], missing: Array<{ticket: string, dependsOn: string}>}}
+ */
+export function validateTicketDependencies(tickets) {
+  const ids = new Set(tickets.map(getTicketId));
+  const missing = [];
+  for (const ticket of tickets) {
+    for (const dependency of getTicketDependencies(ticket)) {
+      if (!ids.has(dependency)) {
+        missing.push({ ticket: getTicketId(ticket), dependsOn: dependency });
+      }
+    }
+  }
+
+  const cycles = findDependencyCycles(tickets);
+  return { valid: cycles.length === 0 && missing.length === 0, cycles, missing };
+}
+
+/**
+ * Order tickets so every ticket comes after the tickets it depends on. Among the
+ * tickets that are free at each step the highest priority comes first, then the
+ * original order. Tickets in a cycle, or depending on one, cannot be ordered.
+ * @param {object[]} tickets - Tickets
+ * @returns {{order: string[], unordered: string[]}} Ordered ticket IDs and the IDs left out
+ */
+export function topologicalOrder(tickets) {
+  const ids = tickets.map(getTicketId);
+  const known = new Set(ids);
+  const position = new Map(ids.map((id, index) => [id, index]));
+  const byId = new Map(tickets.map(ticket => [getTicketId(ticket), ticket]));
+  const remaining = new Map();
+  const dependents = new Map(ids.map(id => [id, []]));
+
+  for (const ticket of tickets) {
+    // Unknown dependencies are reported by validateTicketDependencies, not ordered
+    const dependencies = [...new Set(getTicketDependencies(ticket))].filter(id => known.has(id));
+    remaining.set(getTicketId(ticket), dependencies.length);
+    for (const dependency of dependencies) {
+      dependents.get(dependency).push(getTicketId(ticket));
+    }
+  }
+
+  const compare = (a, b) =>
+    (priorityRank(byId.get(b)) - priorityRank(byId.get(a))) || (position.get(a) - position.get(b));
+
+  const free = ids.filter(id => remaining.get(id) === 0);
+  const order = [];
+  while (free.length > 0) {
+    free.sort(compare);
+    const id = free.shift();
+    order.push(id);
+    for (const dependent of dependents.get(id)) {
+      remaining.set(dependent, remaining.get(dependent) - 1);
+      if (remaining.get(dependent) === 0) {
+        free.push(dependent);
+      }
+    }
+  }
+
+  const ordered = new Set(order);
+  return { order, unordered: ids.filter(id => !ordered.has(id)) };
+}
+
+/**
+ * Get the open tickets whose dependencies are all done, in the order they should be worked on
+ * @param {object[]} tickets - Tickets
+ * @returns {object[]} Unblocked tickets
+ */
+export function getUnblockedTickets(tickets) {
+  const byId = new Map(tickets.map(ticket => [getTicketId(ticket), ticket]));
+  const unblocked = tickets.filter(ticket =>
+    !isTicketDone(ticket) &&
+    getTicketDependencies(ticket).every(id => byId.has(id) && isTicketDone(byId.get(id)))
+  );
+
+  // Ordering the unblocked tickets on their own keeps priority first, then topological position
+  const { order } = topologicalOrder(tickets);
+  const rank = new Map(order.map((id, index) => [id, index]));
+  return unblocked
+    .filter(ticket => rank.has(getTicketId(ticket)))
+    .sort((a, b) =>
+      (priorityRank(b) - priorityRank(a)) || (rank.get(getTicketId(a)) - rank.get(getTicketId(b)))
+    );
+}
+
+/**
+ * Build the dependency graph of a set of tickets
+ * @param {object[]} tickets - Tickets
+ * @returns {object} Graph with nodes, edges, topological order, cycles and unknown links
+ */
+export function buildTicketGraph(tickets) {
+  const byId = new Map(tickets.map(ticket => [getTicketId(ticket), ticket]));
+  const { cycles, missing } = validateTicketDependencies(tickets);
+  const { order, unordered } = topologicalOrder(tickets);
+  const unblocked = getUnblockedTickets(tickets);
+
+  const nodes = tickets.map(ticket => {
+    const dependsOn = getTicketDependencies(ticket);
+    return {
+      id: getTicketId(ticket),
+      title: ticket.title || getTicketId(ticket),
+      status: ticket.status || 'pending',
+      priority: ticket.priority || 'medium',
+      phase: ticket.phase,
+      progress: ticket.progress || 0,
+      dependsOn,
+      blockedBy: isTicketDone(ticket)
+        ? []
+        : dependsOn.filter(id => !byId.has(id) || !isTicketDone(byId.get(id)))
+    };
+  });
+
+  const edges = nodes.flatMap(node =>
+    node.dependsOn.filter(id => byId.has(id)).map(id => ({ from: id, to: node.id, type: 'dependency' }))
+  );
+
+  return {
+    nodes,
+    edges,
+    order,
+    unordered,
+    cycles,
+    missing,
+    next: unblocked[0] ? getTicketId(unblocked[0]) : null
+  };
+}
+
+/**
+ * Read the tickets of a project and build their dependency graph
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} Graph from buildTicketGraph
+ */
+export async function getTicketGraph(projectRoot = process.cwd()) {
+  return buildTicketGraph(await loadTaskTickets(projectRoot));
+}
+
+/**
+ * Replace the tickets a ticket depends on. Links to unknown tickets and links that
+ * would create a cycle are refused.
+ * @param {string} ticketId - Ticket to update
+ * @param {string[]} dependsOn - IDs of the tickets it depends on
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function setTicketDependencies(ticketId, dependsOn, projectRoot = process.cwd()) {
+  try {
+    const tickets = await loadTaskTickets(projectRoot);
+    const ticket = tickets.find(candidate => getTicketId(candidate) === ticketId);
+    if (!ticket) {
+      return { success: false, error: `Unknown ticket "${ticketId}"` };
+    }
+
+    const links = [...new Set(dependsOn)];
+    const unknown = links.filter(id => !tickets.some(candidate => getTicketId(candidate) === id));
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown tickets: ${unknown.join(', ')}` };
+    }
+
+    const updated = tickets.map(candidate =>
+      candidate === ticket ? { ...candidate, dependsOn: links } : candidate
+    );
+    const cycles = findDependencyCycles(updated);
+    if (cycles.length > 0) {
+      return {
+        success: false,
+        error: `Dependencies would create a cycle: ${cycles[0].join(' -> ')}`,
+        cycles
+      };
+    }
+
+    // `dependsOn` takes precedence over `dependencies`, which may hold prose the generator wrote
+    await saveTaskTicket({ ...ticket, dependsOn: links }, projectRoot);
+
+    return {
+      success: true,
+      ticket: ticketId,
+      dependsOn: links,
+      message: links.length > 0
+        ? `${ticketId} now depends on ${links.join(', ')}`
+        : `${ticketId} has no dependencies`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Rank of a ticket's priority; higher ranks are picked first
+ * @param {object} ticket - Ticket
+ * @returns {number} Rank from 1 (low) to 4 (critical); tickets without a priority rank as medium
+ */
+export function priorityRank(ticket) {
+  return PRIORITY_RANK[String(ticket?.priority || '').toLowerCase()] || PRIORITY_RANK.medium;
+}
@@ -5,24 +5,31 @@
 
 import { generateAITask } from '../ai-integration/task-generator.js';
 import { getCurrentWorkflowState, checkPhaseCompletion } from './workflow-state-manager.js';
+import { getDependentPhases } from './phase-definitions.js';
+import { loadTaskTickets, getUnblockedTickets, validateTicketDependencies, getTicketId, priorityRank } from './task-dependencies.js';
+import { getTicketComplexity, DEFAULT_EXPANSION_THRESHOLD } from '../ai-integration/complexity-analyzer.js';
+import { getBlockers, BLOCKER_STATUSES } from './blockers.js';
 
 // This function is a form of task generation, so it belongs here.
-async function generatePhaseTransitionTask(state) {
-  const currentPhase = state.currentPhase.phase;
-  const nextPhase = state.phaseDefinition.nextPhase;
+async function generatePhaseTransitionTask(state, fromPhase = state.currentPhase.phase) {
+  const nextPhase = state.phaseDefinitions[fromPhase]?.nextPhase;
+  const dependents = getDependentPhases(fromPhase, state.phaseDefinitions);
 
-  if (!nextPhase || nextPhase === 'complete') {
+  if (dependents.length === 0 && (!nextPhase || nextPhase === 'complete')) {
     return {
       type: 'completion',
       message: 'Project is complete. No further phases.'
     };
   }
 
+  const toPhase = dependents.includes(nextPhase) ? nextPhase : dependents[0];
+
   return {
     type: 'phase_transition',
-    message: `Ready to transition from ${currentPhase} to ${nextPhase}`,
-    fromPhase: currentPhase,
-    toPhase: nextPhase
+    message: `Ready to transition from ${fromPhase} to ${toPhase}`,
+    fromPhase,
+    toPhase,
+    dependentPhases: dependents
   };
 }
 
@@ -44,47 +51,219 @@ async function generateTaskTicket(deliverable, role, capabilities, projectRoot)
   };
 }
 
-async function generatePhaseTask(state, capabilities, projectRoot) {
-  const { phaseDefinition, currentPhase, qualityGates } = state;
-  
-  const bestRole = findBestRole(phaseDefinition.roles, capabilities);
-  if (!bestRole) {
+async function generatePhaseTask(state, phases, capabilities, projectRoot, skip) {
+  const { phaseDefinitions, qualityGates } = state;
+  const openDeliverables = phase => phaseDefinitions[phase].requiredDeliverables.filter(
+    d => !qualityGates[phase]?.completed?.includes(d)
+  );
+  const isBlocked = (phase, d) => skip.blocked.has(getDeliverableTaskKey(phase, d));
+  const isClaimed = (phase, d) => skip.claimed.has(getDeliverableTaskKey(phase, d));
+
+  // Collect the next open deliverable nobody is blocked on or working on from every active phase
+  const candidates = phases
+    .map(phase => ({
+      phase,
+      role: findBestRole(phaseDefinitions[phase].roles, capabilities),
+      deliverable: openDeliverables(phase).find(d => !isBlocked(phase, d) && !isClaimed(phase, d))
+    }))
+    .filter(candidate => candidate.deliverable);
+
+  if (candidates.length === 0) {
+    const open = phases.flatMap(phase => openDeliverables(phase).map(deliverable => ({ phase, deliverable })));
+    if (open.length === 0) {
+      return generatePhaseTransitionTask(state);
+    }
+
+    // Blocked work waits on the user, claimed work on another agent; work that is both counts as blocked
+    const blockedWork = open.filter(({ phase, deliverable }) => isBlocked(phase, deliverable));
+    const claimedWork = open.filter(({ phase, deliverable }) => !isBlocked(phase, deliverable) && isClaimed(phase, deliverable));
+    if (claimedWork.length === 0) {
+      return {
+        type: 'blocked',
+        message: 'All open work is blocked. Resolve a blocker to continue.',
+        blockedWork,
+        activePhases: phases
+      };
+    }
+    if (blockedWork.length === 0) {
+      return {
+        type: 'no_available_task',
+        message: 'Every open task is claimed by another agent. Try again once a lease is released or expires.',
+        claimedWork,
+        activePhases: phases
+      };
+    }
+    return {
+      type: 'no_available_task',
+      message: `${claimedWork.length} open task${claimedWork.length === 1 ? ' is' : 's are'} claimed by another agent and ${blockedWork.length} ${blockedWork.length === 1 ? 'is' : 'are'} blocked. Try again once a lease is released or expires, or resolve a blocker.`,
+      blockedWork,
+      claimedWork,
+      activePhases: phases
+    };
+  }
+
+  // Prefer work the agent's capabilities cover, then the current phase
+  const candidate = candidates.find(c => capabilities?.roles?.includes(c.role)) || candidates[0];
+
+  if (!candidate.role) {
     return {
       type: 'capability_limitation',
-      message: `Cannot proceed with ${currentPhase.phase} phase - missing required capabilities.`,
+      message: `Cannot proceed with ${candidate.phase} phase - missing required capabilities.`,
     };
   }
 
-  const deliverable = phaseDefinition.requiredDeliverables.find(
-    d => !qualityGates[currentPhase.phase]?.completed?.includes(d)
+  const task = await generateTaskTicket(candidate.deliverable, candidate.role, capabilities, projectRoot);
+  return {
+    ...task,
+    phase: candidate.phase,
+    deliverable: candidate.deliverable,
+    activePhases: phases
+  };
+}
+
+/**
+ * Pick the highest-priority ticket whose dependencies are done, from the tickets
+ * of the open phases. Tickets without a phase belong to every phase. Among tickets
+ * of equal priority, ones that can be started as they are come before ones that
+ * should be expanded first, then the least complex.
+ */
+async function generateTicketTask(phases, projectRoot, skip) {
+  const tickets = await loadTaskTickets(projectRoot);
+  if (tickets.length === 0) {
+    return null;
+  }
+
+  const available = getUnblockedTickets(tickets).filter(candidate =>
+    (!candidate.phase || phases.includes(candidate.phase)) &&
+    !skip.blocked.has(getTicketTaskKey(getTicketId(candidate))) &&
+    !skip.claimed.has(getTicketTaskKey(getTicketId(candidate)))
   );
+  if (available.length === 0) {
+    return null;
+  }
 
-  if (!deliverable) {
-    return generatePhaseTransitionTask(state);
+  // Only the tickets sharing the top priority compete; the sort is stable, so
+  // equally complex tickets keep their dependency order
+  const topRank = priorityRank(available[0]);
+  const [{ ticket, complexity, expansionRecommended }] = available
+    .filter(candidate => priorityRank(candidate) === topRank)
+    .map(candidate => {
+      const candidateComplexity = getTicketComplexity(candidate);
+      return {
+        ticket: candidate,
+        complexity: candidateComplexity,
+        expansionRecommended: needsExpansion(candidate, candidateComplexity)
+      };
+    })
+    .sort((a, b) =>
+      (a.expansionRecommended - b.expansionRecommended) ||
+      (a.complexity.complexityScore - b.complexity.complexityScore)
+    );
+
+  const { file, ...task } = ticket;
+  const { cycles } = validateTicketDependencies(tickets);
+  const warnings = cycles.map(cycle => `Tickets ${cycle.join(' -> ')} depend on each other and can never start`);
+  if (expansionRecommended) {
+    warnings.push(`${task.id || task.ticket_id} has complexity ${complexity.complexityScore}/10; expand it into ${complexity.recommendedSubtasks} subtasks before starting`);
   }
 
-  return generateTaskTicket(deliverable, bestRole, capabilities, projectRoot);
+  return {
+    type: 'implementation_ticket',
+    task,
+    phase: ticket.phase || phases[0],
+    activePhases: phases,
+    ticketFile: file,
+    complexity,
+    expansionRecommended,
+    ...(warnings.length > 0 && { warnings })
+  };
+}
+
+// Complex tickets that were never broken down are worth expanding before starting
+function needsExpansion(ticket, complexity) {
+  return complexity.complexityScore >= DEFAULT_EXPANSION_THRESHOLD && !(ticket.subtasks?.length > 0);
+}
+
+/**
+ * Key identifying the work behind a task, used to claim it
+ * @param {object} task - Task from generateNextTask
+ * @returns {string|null} `ticket:<id>` or `deliverable:<phase>/<name>`; null for tasks that are not claimed (phase transitions, completion)
+ */
+export function getTaskKey(task) {
+  if (task?.type !== 'implementation_ticket') {
+    return null;
+  }
+  if (task.deliverable) {
+    return getDeliverableTaskKey(task.phase, task.deliverable);
+  }
+  const ticketId = task.task && getTicketId(task.task);
+  return ticketId ? getTicketTaskKey(ticketId) : null;
+}
+
+/**
+ * Task key of the work a blocker is on
+ */
+function getBlockerTaskKey(blocker) {
+  return blocker.target.type === 'ticket'
+    ? getTicketTaskKey(blocker.target.id)
+    : getDeliverableTaskKey(blocker.target.phase, blocker.target.id);
+}
+
+/**
+ * Task key of an implementation ticket
+ */
+export function getTicketTaskKey(ticketId) {
+  return `ticket:${ticketId}`;
+}
+
+/**
+ * Task key of a phase deliverable
+ */
+export function getDeliverableTaskKey(phase, deliverable) {
+  return `deliverable:${phase}/${deliverable}`;
 }
 
 /**
  * Main entry point for generating the next task for the agent.
- * It determines if the current phase is complete and either generates a
- * transition task or a task for the current phase.
+ * Every active phase is considered: a completed active phase yields a transition
+ * task, then the highest-priority unblocked ticket of the active phases is picked,
+ * otherwise the next deliverable is chosen from the active phases' open work.
+ * Tickets and deliverables with an open blocker are skipped.
  * @param {object} capabilities - The capabilities of the current AI agent.
  * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string[]} [options.excludeTasks] - Task keys (see getTaskKey) to skip, e.g. tasks claimed by other agents
  * @returns {Promise<object>} The next task for the agent.
  */
-export async function generateNextTask(capabilities, projectRoot = process.cwd()) {
+export async function generateNextTask(capabilities, projectRoot = process.cwd(), options = {}) {
   const state = await getCurrentWorkflowState(projectRoot);
   if (!state.phaseDefinition) {
     throw new Error(`Unknown phase: ${state.currentPhase.phase}`);
   }
 
-  const phaseComplete = await checkPhaseCompletion(state.currentPhase.phase, projectRoot);
-  
-  if (phaseComplete.isComplete) {
-    return generatePhaseTransitionTask(state);
+  // Work with an open blocker is skipped, and the blockers go out with the task so they reach the user
+  const openBlockers = await getBlockers(projectRoot, { status: BLOCKER_STATUSES.OPEN });
+  const skip = {
+    claimed: new Set(options.excludeTasks || []),
+    blocked: new Set(openBlockers.map(getBlockerTaskKey))
+  };
+  const withBlockers = task => openBlockers.length > 0 ? { ...task, openBlockers } : task;
+
+  const activePhases = state.activePhases.filter(phase => state.phaseDefinitions[phase]);
+  const openPhases = [];
+
+  for (const phase of activePhases) {
+    const phaseComplete = await checkPhaseCompletion(phase, projectRoot);
+    if (phaseComplete.isComplete) {
+      return withBlockers(await generatePhaseTransitionTask(state, phase));
+    }
+    openPhases.push(phase);
   }
 
-  return generatePhaseTask(state, capabilities, projectRoot);
-}
\ No newline at end of file
+  const ticketTask = await generateTicketTask(openPhases, projectRoot, skip);
+  if (ticketTask) {
+    return withBlockers(ticketTask);
+  }
+
+  return withBlockers(await generatePhaseTask(state, openPhases, capabilities, projectRoot, skip));
+}
@@ -0,0 +1,245 @@
+/**
+ * @file Subtasks of implementation tickets.
+ * @description A ticket can be expanded into ordered subtasks, each with its own
+ * status and acceptance criteria:
+ *
+ *   ticket.subtasks = [{ id, order, title, description, status, acceptanceCriteria, dependsOn }]
+ *
+ * Subtask IDs are `<ticketId>.<n>` and every subtask depends on the one before it.
+ * Once a ticket has subtasks its `progress` and `status` are rolled up from them
+ * instead of being reported directly, so the ticket is only done when every
+ * subtask is.
+ */
+
+import { generateSubtasks } from '../ai-integration/task-generator.js';
+import { loadTaskTickets, saveTaskTicket, getTicketId } from './task-dependencies.js';
+
+/**
+ * Subtask statuses
+ */
+export const SUBTASK_STATUSES = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  REVIEW: 'review',
+  BLOCKED: 'blocked',
+  COMPLETED: 'completed'
+};
+
+const DEFAULT_SUBTASK_COUNT = 4;
+
+// Subtask status each status reported through guidant_report_progress maps to
+const REPORTED_STATUSES = {
+  in_progress: SUBTASK_STATUSES.IN_PROGRESS,
+  review: SUBTASK_STATUSES.REVIEW,
+  changes_requested: SUBTASK_STATUSES.IN_PROGRESS,
+  completed: SUBTASK_STATUSES.COMPLETED,
+  blocked: SUBTASK_STATUSES.BLOCKED,
+  reopened: SUBTASK_STATUSES.IN_PROGRESS
+};
+
+/**
+ * Roll a ticket's progress and status up from its subtasks
+ * @param {object[]} subtasks - Subtasks of a ticket
+ * @returns {{progress: number, status: string, completed: number, total: number}}
+ */
+export function rollupSubtasks(subtasks) {
+  const total = subtasks.length;
+  const count = status => subtasks.filter(subtask => subtask.status === status).length;
+  const completed = count(SUBTASK_STATUSES.COMPLETED);
+
+  let status = SUBTASK_STATUSES.PENDING;
+  if (total > 0 && completed === total) {
+    status = SUBTASK_STATUSES.COMPLETED;
+  } else if (count(SUBTASK_STATUSES.IN_PROGRESS) > 0 || count(SUBTASK_STATUSES.REVIEW) > 0) {
+    status = SUBTASK_STATUSES.IN_PROGRESS;
+  } else if (count(SUBTASK_STATUSES.BLOCKED) > 0) {
+    status = SUBTASK_STATUSES.BLOCKED;
+  } else if (completed > 0) {
+    status = SUBTASK_STATUSES.IN_PROGRESS;
+  }
+
+  return {
+    progress: total > 0 ? Math.round((completed / total) * 100) : 0,
+    status,
+    completed,
+    total
+  };
+}
+
+/**
+ * Break a ticket into ordered subtasks and store them on the ticket
+ * @param {string} ticketId - Ticket to expand
+ * @param {object} [options]
+ * @param {number} [options.count] - Number of subtasks to aim for; defaults to the
+ *   recommendation from complexity analysis, or 4
+ * @param {boolean} [options.force=false] - Replace existing subtasks
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function expandTicket(ticketId, options = {}, projectRoot = process.cwd()) {
+  try {
+    const ticket = await findTicket(ticketId, projectRoot);
+    if (!ticket) {
+      return { success: false, error: `Unknown ticket "${ticketId}"` };
+    }
+    if (ticket.subtasks?.length > 0 && !options.force) {
+      return {
+        success: false,
+        error: `${ticketId} already has ${ticket.subtasks.length} subtasks; expand with force to replace them`
+      };
+    }
+
+    const count = options.count || ticket.complexityAnalysis?.recommendedSubtasks || DEFAULT_SUBTASK_COUNT;
+    const { source, subtasks: generated } = await generateSubtasks(ticket, count);
+
+    const subtasks = generated.map((subtask, index) => ({
+      id: `${ticketId}.${index + 1}`,
+      order: index + 1,
+      title: subtask.title,
+      description: subtask.description,
+      status: SUBTASK_STATUSES.PENDING,
+      acceptanceCriteria: subtask.acceptanceCriteria,
+      dependsOn: index > 0 ? [`${ticketId}.${index}`] : []
+    }));
+
+    const stored = await saveTaskTicket({ ...ticket, ...rollupFields(subtasks), subtasks, expandedAt: new Date().toISOString() }, projectRoot);
+
+    return {
+      success: true,
+      ticket: stored,
+      subtasks,
+      source,
+      message: `Expanded ${ticketId} into ${subtasks.length} subtasks`
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Change the status of a subtask and roll the ticket's progress up from its subtasks
+ * @param {string} ticketId - Parent ticket
+ * @param {string} subtaskId - Subtask to update; `<ticketId>.<n>` or just `<n>`
+ * @param {string} status - New status from SUBTASK_STATUSES
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function setSubtaskStatus(ticketId, subtaskId, status, projectRoot = process.cwd()) {
+  try {
+    if (!Object.values(SUBTASK_STATUSES).includes(status)) {
+      return {
+        success: false,
+        error: `Unknown subtask status "${status}" (expected: ${Object.values(SUBTASK_STATUSES).join(', ')})`
+      };
+    }
+
+    const ticket = await findTicket(ticketId, projectRoot);
+    if (!ticket) {
+      return { success: false, error: `Unknown ticket "${ticketId}"` };
+    }
+
+    const id = String(subtaskId).includes('.') ? String(subtaskId) : `${ticketId}.${subtaskId}`;
+    const subtask = (ticket.subtasks || []).find(candidate => candidate.id === id);
+    if (!subtask) {
+      return { success: false, error: `${ticketId} has no subtask "${id}"` };
+    }
+
+    const subtasks = ticket.subtasks.map(candidate =>
+      candidate.id === id ? { ...candidate, status, updatedAt: new Date().toISOString() } : candidate
+    );
+    await saveTaskTicket({ ...ticket, ...rollupFields(subtasks), subtasks }, projectRoot);
+
+    return {
+      success: true,
+      ticket: ticketId,
+      subtask: id,
+      from: subtask.status,
+      status,
+      rollup: rollupSubtasks(subtasks)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Apply a progress report to a ticket. A report on a subtask changes that subtask;
+ * a report on a ticket with subtasks leaves the subtasks alone and returns the
+ * progress rolled up from them; a ticket without subtasks takes the reported status.
+ * @param {string} ticketId - Ticket the work was done on
+ * @param {string} reportedStatus - Status reported by the agent
+ * @param {object} [options]
+ * @param {string} [options.subtaskId] - Subtask the work was done on
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ */
+export async function reportTicketProgress(ticketId, reportedStatus, options = {}, projectRoot = process.cwd()) {
+  const status = REPORTED_STATUSES[reportedStatus] || SUBTASK_STATUSES.IN_PROGRESS;
+
+  if (options.subtaskId) {
+    const result = await setSubtaskStatus(ticketId, options.subtaskId, status, projectRoot);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, ticket: ticketId, subtask: result.subtask, subtaskStatus: status, ...result.rollup, rolledUp: true };
+  }
+
+  try {
+    const ticket = await findTicket(ticketId, projectRoot);
+    if (!ticket) {
+      return { success: false, error: `Unknown ticket "${ticketId}"` };
+    }
+
+    if (ticket.subtasks?.length > 0) {
+      return { success: true, ticket: ticketId, ...rollupSubtasks(ticket.subtasks), rolledUp: true };
+    }
+
+    const progress = status === SUBTASK_STATUSES.COMPLETED ? 100 : ticket.progress || 0;
+    await saveTaskTicket({ ...ticket, status, progress }, projectRoot);
+    return { success: true, ticket: ticketId, from: ticket.status, status, progress, rolledUp: false };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Put a blocked ticket back in progress once nothing blocks it any more. On a ticket
+ * with subtasks the blocked subtasks go back in progress and the ticket status is
+ * rolled up from them.
+ * @param {string} ticketId - Ticket that was blocked
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object|null>} The updated ticket, or null when it was not blocked
+ */
+export async function unblockTicket(ticketId, projectRoot = process.cwd()) {
+  const ticket = await findTicket(ticketId, projectRoot);
+  if (!ticket) {
+    return null;
+  }
+
+  if (ticket.subtasks?.length > 0) {
+    if (!ticket.subtasks.some(subtask => subtask.status === SUBTASK_STATUSES.BLOCKED)) {
+      return null;
+    }
+    const now = new Date().toISOString();
+    const subtasks = ticket.subtasks.map(subtask =>
+      subtask.status === SUBTASK_STATUSES.BLOCKED ? { ...subtask, status: SUBTASK_STATUSES.IN_PROGRESS, updatedAt: now } : subtask
+    );
+    const updated = { ...ticket, ...rollupFields(subtasks), subtasks };
+    await saveTaskTicket(updated, projectRoot);
+    return updated;
+  }
+
+  if (ticket.status !== SUBTASK_STATUSES.BLOCKED) {
+    return null;
+  }
+  const updated = { ...ticket, status: SUBTASK_STATUSES.IN_PROGRESS };
+  await saveTaskTicket(updated, projectRoot);
+  return updated;
+}
+
+function rollupFields(subtasks) {
+  const { progress, status } = rollupSubtasks(subtasks);
+  return { progress, status };
+}
+
+async function findTicket(ticketId, projectRoot) {
+  const tickets = await loadTaskTickets(projectRoot);
+  return tickets.find(ticket => getTicketId(ticket) === ticketId) || null;
+}
@@ -0,0 +1,442 @@
+/**
+ * @file Requirements traceability matrix.
+ * @description Traces every registered requirement (see requirements-registry.js) to
+ * the design components, API endpoints, implementation tickets and tests that cover it.
+ * Those artifacts are gathered from:
+ *
+ *   - the saved phase transformations: component specs, wireframes and user flows,
+ *     API endpoints and the testing suite
+ *   - the deliverables: sections of the design documents, endpoints named in the
+ *     architecture documents and sections of the test plans
+ *   - the task tickets and their test subtasks
+ *
+ * An artifact covers a requirement when it names the requirement ID or lists it in
+ * `requirementIds` (explicit), when it shares most of the requirement's key terms
+ * (text), or when it comes from a deliverable the relationship graph relates to the
+ * requirement's document and shares some of its terms (relationship). Requirements
+ * nothing covers are reported as gaps.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readProjectFile, writeProjectFile } from '../file-management/project-structure.js';
+import { JSONRelationshipStorage } from '../data-processing/storage/json-relationship-storage.js';
+import { loadTaskTickets, getTicketId } from './task-dependencies.js';
+import { getRequirements, syncRequirementDeliverables, findRequirementIds } from './requirements-registry.js';
+import {
+  TRANSFORMATIONS,
+  WIREFRAMES_DIR,
+  ARCHITECTURE_DIR,
+  IMPLEMENTATION_DIR,
+  TRACEABILITY_MATRIX,
+  TRACEABILITY_REPORT
+} from '../constants/paths.js';
+
+export const TRACE_STAGES = ['design', 'api', 'tickets', 'tests'];
+
+const STAGE_LABELS = {
+  design: 'design components',
+  api: 'API endpoints',
+  tickets: 'tickets',
+  tests: 'tests'
+};
+
+// Words too common in requirements to tell them apart
+const STOP_WORDS = new Set([
+  'able', 'about', 'after', 'also', 'allow', 'allows', 'application', 'been', 'before', 'being',
+  'can', 'could', 'each', 'from', 'have', 'into', 'like', 'make', 'must', 'need', 'only',
+  'other', 'over', 'shall', 'should', 'some', 'such', 'support', 'system', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'through', 'used', 'user', 'users',
+  'using', 'want', 'what', 'when', 'which', 'will', 'with', 'within', 'without', 'would', 'your'
+]);
+
+const ENDPOINT_PATTERN = /\b(GET|POST|PUT|PATCH|DELETE)\s+(\/[^\s`|),]*)/g;
+const TEST_PATTERN = /\btests?\b|\btesting\b|\bqa\b/i;
+
+/**
+ * Build the traceability matrix and, by default, write it as JSON and Markdown to
+ * `.guidant/reports/traceability-matrix.{json,md}`
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @param {object} [options]
+ * @param {boolean} [options.write=true] - Write the JSON and Markdown reports
+ * @param {boolean} [options.sync=true] - Register requirements from the requirements deliverables first
+ * @returns {Promise<object>} Matrix rows, `gaps`, `summary` and the `markdown` report
+ */
+export async function buildTraceabilityMatrix(projectRoot = process.cwd(), options = {}) {
+  const { write = true, sync = true } = options;
+
+  try {
+    if (sync) {
+      const synced = await syncRequirementDeliverables(projectRoot);
+      if (!synced.success) {
+        return { success: false, error: `Failed to register requirements: ${synced.error}` };
+      }
+    }
+
+    const requirements = await getRequirements(projectRoot);
+    const artifacts = await collectTraceArtifacts(projectRoot);
+    const related = await loadRelatedDeliverables(projectRoot);
+
+    const rows = requirements.map(requirement => traceRequirement(requirement, artifacts, related));
+    const gaps = rows
+      .filter(row => row.coverage === 'none')
+      .map(({ id, kind, text, sources }) => ({ id, kind, text, sources }));
+
+    const matrix = {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        requirements: rows.length,
+        fullyTraced: rows.filter(row => row.coverage === 'full').length,
+        partiallyTraced: rows.filter(row => row.coverage === 'partial').length,
+        uncovered: gaps.length,
+        artifacts: Object.fromEntries(TRACE_STAGES.map(stage => [stage, artifacts[stage].length]))
+      },
+      requirements: rows,
+      gaps
+    };
+    const markdown = renderTraceabilityMarkdown(matrix);
+
+    if (write) {
+      await writeProjectFile(TRACEABILITY_MATRIX, matrix, projectRoot);
+      await fs.mkdir(path.dirname(path.join(projectRoot, TRACEABILITY_REPORT)), { recursive: true });
+      await fs.writeFile(path.join(projectRoot, TRACEABILITY_REPORT), markdown);
+    }
+
+    return {
+      success: true,
+      ...matrix,
+      markdown,
+      files: write ? { json: TRACEABILITY_MATRIX, markdown: TRACEABILITY_REPORT } : null
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gather the artifacts a requirement can be traced to
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project
+ * @returns {Promise<object>} Artifacts per stage: `{id, name, source, deliverable, text, requirementIds}`
+ */
+export async function collectTraceArtifacts(projectRoot = process.cwd()) {
+  const artifacts = Object.fromEntries(TRACE_STAGES.map(stage => [stage, []]));
+  const add = (stage, artifact) => {
+    artifacts[stage].push({ deliverable: null, requirementIds: [], ...artifact });
+  };
+
+  // Phase transformations
+  let transformations = {};
+  try {
+    transformations = await readProjectFile(TRANSFORMATIONS, projectRoot);
+  } catch {
+    // No transitions have run yet
+  }
+  const current = key => (transformations[key] && !transformations[key].stale ? transformations[key] : {});
+
+  const design = current('requirements_to_design');
+  for (const field of ['componentSpecs', 'wireframes', 'userFlows']) {
+    for (const item of asList(design[field])) {
+      const name = item.name || item.title || item.id;
+      if (!name) continue;
+      add('design', {
+        id: item.id || name,
+        name,
+        source: `transformation:requirements_to_design.${field}`,
+        text: describe(item)
+      });
+    }
+  }
+
+  for (const endpoint of asList(current('design_to_architecture').apiSpecs?.endpoints)) {
+    if (!endpoint.path) continue;
+    const id = `${(endpoint.method || 'GET').toUpperCase()} ${endpoint.path}`;
+    add('api', {
+      id,
+      name: endpoint.description || id,
+      source: 'transformation:design_to_architecture.apiSpecs',
+      text: `${endpoint.path.replace(/[/:{}-]+/g, ' ')} ${describe(endpoint)}`
+    });
+  }
+
+  const testingSuite = current('architecture_to_implementation').testingSuite || {};
+  for (const field of ['unitTests', 'integrationTests', 'e2eTests']) {
+    for (const item of asList(testingSuite[field])) {
+      const name = item.name || (item.feature ? `${item.feature} ${field.replace('Tests', '')} tests` : null);
+      if (!name) continue;
+      add('tests', {
+        id: name,
+        name,
+        source: `transformation:architecture_to_implementation.testingSuite.${field}`,
+        text: describe(item)
+      });
+    }
+  }
+
+  // Deliverables
+  for (const document of await readDocuments(projectRoot, WIREFRAMES_DIR)) {
+    for (const section of splitSections(document.content)) {
+      add('design', sectionArtifact(document, section));
+    }
+  }
+
+  for (const document of await readDocuments(projectRoot, ARCHITECTURE_DIR)) {
+    for (const section of splitSections(document.content)) {
+      for (const line of section.body.split('\n')) {
+        for (const match of line.matchAll(ENDPOINT_PATTERN)) {
+          const id = `${match[1]} ${match[2]}`;
+          add('api', {
+            id,
+            name: id,
+            source: document.source,
+            deliverable: document.name,
+            text: `${match[2].replace(/[/:{}-]+/g, ' ')} ${line} ${section.heading}`,
+            requirementIds: findRequirementIds(`${section.heading}\n${line}`)
+          });
+        }
+      }
+    }
+  }
+
+  for (const document of await readDocuments(projectRoot, IMPLEMENTATION_DIR)) {
+    if (!TEST_PATTERN.test(document.name.replace(/[_-]/g, ' '))) continue;
+    for (const section of splitSections(document.content)) {
+      add('tests', sectionArtifact(document, section));
+    }
+  }
+
+  // Tickets and their test subtasks
+  for (const ticket of await loadTaskTickets(projectRoot)) {
+    const id = getTicketId(ticket);
+    const text = [ticket.title, ticket.description, ...asList(ticket.acceptanceCriteria)].filter(Boolean).join('\n');
+    const requirementIds = [...new Set([...asList(ticket.requirementIds), ...findRequirementIds(text)])];
+    const artifact = {
+      id,
+      name: ticket.title || id,
+      source: 'ticket',
+      deliverable: ticket.deliverable || null,
+      text,
+      requirementIds
+    };
+    add('tickets', artifact);
+
+    if (TEST_PATTERN.test(ticket.title || '')) {
+      add('tests', artifact);
+    }
+    for (const subtask of asList(ticket.subtasks).filter(sub => TEST_PATTERN.test(sub.title || ''))) {
+      const subtaskText = [subtask.title, subtask.description, ...asList(subtask.acceptanceCriteria)].filter(Boolean).join('\n');
+      add('tests', {
+        id: `${id}/${subtask.id}`,
+        name: subtask.title,
+        source: 'ticket',
+        deliverable: ticket.deliverable || null,
+        text: `${subtaskText}\n${text}`,
+        requirementIds: [...new Set([...requirementIds, ...findRequirementIds(subtaskText)])]
+      });
+    }
+  }
+
+  return artifacts;
+}
+
+/**
+ * Render a traceability matrix as Markdown
+ * @param {object} matrix - From buildTraceabilityMatrix
+ * @returns {string} Markdown report
+ */
+export function renderTraceabilityMarkdown(matrix) {
+  const { summary } = matrix;
+  const lines = [
+    '# Requirements Traceability Matrix',
+    '',
+    `Generated ${matrix.generatedAt}. ${summary.requirements} requirement(s): ${summary.fullyTraced} fully traced, ${summary.partiallyTraced} partially traced, ${summary.uncovered} without coverage.`,
+    ''
+  ];
+
+  if (matrix.requirements.length === 0) {
+    lines.push('No requirements are registered yet. Requirements get their IDs when the PRD is processed or saved as a requirements deliverable.', '');
+    return lines.join('\n');
+  }
+
+  lines.push('| Requirement | Design | API | Tickets | Tests |', '| --- | --- | --- | --- | --- |');
+  for (const row of matrix.requirements) {
+    const cells = TRACE_STAGES.map(stage => row.links[stage].map(link => link.id).join(', ') || '—');
+    lines.push(`| **${row.id}** ${escapeCell(truncate(row.text, 80))} | ${cells.map(escapeCell).join(' | ')} |`);
+  }
+
+  lines.push('', '## Gaps', '');
+  if (matrix.gaps.length === 0) {
+    lines.push('Every requirement is covered by at least one artifact.');
+  } else {
+    for (const gap of matrix.gaps) {
+      lines.push(`- **${gap.id}** ${gap.text}`);
+    }
+  }
+
+  const partial = matrix.requirements.filter(row => row.coverage === 'partial');
+  if (partial.length > 0) {
+    lines.push('', '## Partially traced', '');
+    for (const row of partial) {
+      lines.push(`- **${row.id}** has no ${row.missing.map(stage => STAGE_LABELS[stage]).join(', ')}`);
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+function traceRequirement(requirement, artifacts, related) {
+  const terms = keyTerms(requirement.text);
+  const relatedDeliverables = new Set(requirement.sources.flatMap(source => [...(related.get(documentName(source)) || [])]));
+  const links = {};
+
+  for (const stage of TRACE_STAGES) {
+    links[stage] = [];
+    const seen = new Set();
+    for (const artifact of artifacts[stage]) {
+      const match = matchArtifact(requirement, terms, artifact, relatedDeliverables);
+      if (match && !seen.has(artifact.id)) {
+        seen.add(artifact.id);
+        links[stage].push({ id: artifact.id, name: artifact.name, source: artifact.source, match });
+      }
+    }
+  }
+
+  const missing = TRACE_STAGES.filter(stage => links[stage].length === 0);
+  return {
+    id: requirement.id,
+    kind: requirement.kind,
+    text: requirement.text,
+    sources: requirement.sources,
+    links,
+    coverage: missing.length === 0 ? 'full' : (missing.length === TRACE_STAGES.length ? 'none' : 'partial'),
+    missing
+  };
+}
+
+function matchArtifact(requirement, terms, artifact, relatedDeliverables) {
+  if (artifact.requirementIds.includes(requirement.id) || findRequirementIds(artifact.text).includes(requirement.id)) {
+    return 'explicit';
+  }
+  if (terms.size === 0) return null;
+
+  const artifactTerms = keyTerms(`${artifact.name} ${artifact.text}`);
+  const shared = [...terms].filter(term => artifactTerms.has(term)).length;
+  const share = shared / terms.size;
+
+  if (shared >= Math.min(2, terms.size) && share >= 0.5) {
+    return 'text';
+  }
+  if (artifact.deliverable && relatedDeliverables.has(artifact.deliverable) && (shared >= 2 || share >= 0.5)) {
+    return 'relationship';
+  }
+  return null;
+}
+
+/**
+ * Map each deliverable name to the names of the deliverables it is related to
+ */
+async function loadRelatedDeliverables(projectRoot) {
+  const related = new Map();
+  const graph = await new JSONRelationshipStorage({ cacheEnabled: false }).getAllRelationships(projectRoot);
+
+  for (const relationship of graph.relationships || []) {
+    const { source, target } = relationship;
+    for (const [from, to] of [[source.name, target.name], [target.name, source.name]]) {
+      if (!related.has(from)) related.set(from, new Set());
+      related.get(from).add(to);
+    }
+  }
+  return related;
+}
+
+async function readDocuments(projectRoot, directory) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(projectRoot, directory));
+  } catch {
+    return [];
+  }
+
+  const documents = [];
+  for (const file of files.filter(name => name.endsWith('.md')).sort()) {
+    const source = path.posix.join(directory, file);
+    documents.push({
+      source,
+      name: documentName(source),
+      content: await fs.readFile(path.join(projectRoot, source), 'utf8')
+    });
+  }
+  return documents;
+}
+
+/**
+ * Split a Markdown document at its `##` and `###` headings
+ */
+function splitSections(content) {
+  const sections = [];
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    const heading = line.match(/^#{2,3}\s+(.+)/);
+    if (heading) {
+      current = { heading: heading[1].trim(), body: '' };
+      sections.push(current);
+    } else if (current) {
+      current.body += `${line}\n`;
+    }
+  }
+  return sections;
+}
+
+function sectionArtifact(document, section) {
+  const slug = section.heading.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return {
+    id: `${document.name}#${slug}`,
+    name: section.heading,
+    source: document.source,
+    deliverable: document.name,
+    text: `${section.heading}\n${section.body}`,
+    requirementIds: findRequirementIds(`${section.heading}\n${section.body}`)
+  };
+}
+
+/**
+ * Deliverable name of a requirements source, as the relationship graph names it;
+ * requirements processed from the PRD at init belong to `prd`
+ */
+function documentName(source) {
+  return path.posix.basename(source).replace(/\.[^.]+$/, '');
+}
+
+function keyTerms(text) {
+  const terms = new Set();
+  for (const word of (text || '').toLowerCase().match(/[a-z][a-z0-9]+/g) || []) {
+    const term = word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+    if (term.length >= 4 && !STOP_WORDS.has(term) && !STOP_WORDS.has(word)) {
+      terms.add(term);
+    }
+  }
+  return terms;
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+}
+
+function describe(item) {
+  if (typeof item !== 'object' || item === null) return String(item ?? '');
+  return Object.values(item)
+    .filter(value => typeof value === 'string' || (Array.isArray(value) && value.every(entry => typeof entry === 'string')))
+    .flat()
+    .join(' ');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|');
+}
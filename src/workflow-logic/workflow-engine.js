@@ -7,9 +7,50 @@
 import { writeProjectFile } from '../file-management/project-structure.js';
 import { PROJECT_PHASES, CURRENT_PHASE, QUALITY_GATES } from '../constants/paths.js';
 import { PhaseTransitionEngine } from './phase-transition-engine.js';
-import { getCurrentWorkflowState } from './workflow-state-manager.js';
+import { getCurrentWorkflowState, checkPhaseCompletion, getCompletedPhases } from './workflow-state-manager.js';
 import { generateNextTask as generateNextTaskFromService } from './task-generation-service.js';
-import { PHASE_DEFINITIONS } from './phase-definitions.js';
+import { getDependentPhases, getDownstreamPhases, getPhasePrerequisites, getReadyPhases } from './phase-definitions.js';
+import { appendJournalEvent, resolveActor, JOURNAL_EVENT_TYPES } from './workflow-journal.js';
+import { DELIVERABLE_STATES, transitionDeliverable, reopenGate } from './deliverable-lifecycle.js';
+import { checkPhaseApprovals, getQualityOverride } from './phase-approvals.js';
+import { checkPhaseQuality, recordQualityOverride, summarizeFailures } from '../quality/phase-quality-gate.js';
+import { createCheckpoint, autoCheckpointName } from '../file-management/checkpoint-manager.js';
+import { archiveDecision } from '../context/decision-tracker.js';
+
+// Re-exported so callers (CLI commands, MCP tools) can depend on the engine alone
+export { getCurrentWorkflowState, checkPhaseCompletion, getActivePhases } from './workflow-state-manager.js';
+export { getDeliverableDirectory, loadPhaseDefinitions } from './phase-definitions.js';
+export { DELIVERABLE_STATES } from './deliverable-lifecycle.js';
+export { recordApproval, acceptPhaseQuality, getApprovals, checkPhaseApprovals } from './phase-approvals.js';
+export { getTicketGraph, setTicketDependencies } from './task-dependencies.js';
+export { expandTicket, setSubtaskStatus, reportTicketProgress, SUBTASK_STATUSES } from './ticket-subtasks.js';
+export { claimNextTask, renewTaskClaims, releaseTaskClaims, getTaskClaims } from './task-claims.js';
+export {
+  getBlockers,
+  createBlocker,
+  resolveBlocker,
+  recordReportedBlockers,
+  describeTarget,
+  BLOCKER_SEVERITIES,
+  BLOCKER_STATUSES
+} from './blockers.js';
+export {
+  getGitLinks,
+  suggestCompletedTickets,
+  getCompletionSuggestions,
+  recordDeliverableCommit,
+  getDeliverableCommits
+} from './git-links.js';
+export { DeliverableWatcher, watchDeliverables } from './deliverable-watcher.js';
+export {
+  saveDeliverableVersion,
+  getDeliverableVersions,
+  getDeliverableVersion,
+  diffDeliverableVersions,
+  restoreDeliverableVersion,
+  scoreDeliverableVersion,
+  VERSION_SOURCES
+} from './deliverable-versions.js';
 
 /**
  * The main entry point for the agent to get its next task.
@@ -20,85 +61,443 @@ export const generateNextTask = generateNextTaskFromService;
 /**
  * Advance to the next phase using the PhaseTransitionEngine.
  * This is the primary function for changing project phases.
+ * Completes an active phase (the current phase by default) and activates every
+ * phase whose prerequisites are now all complete, including roots of the phase graph
+ * that had not started, so no phase is left waiting on one that never runs. Transformers run only
+ * for phases that become active, so a phase with several prerequisites is
+ * transformed once the last of them completes. Phases that require human sign-off
+ * cannot be completed until every required approval has been recorded, and
+ * deliverables must meet the quality thresholds the phase sets unless a person has
+ * accepted them with `guidant approve --accept-quality`; the override is then
+ * recorded as a decision with their reason. The whole
+ * .guidant directory is checkpointed before anything changes so the transition can
+ * be restored.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {string} [phase] - Active phase to complete; defaults to the current phase.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who advanced the phase, recorded in the journal.
  */
-export async function advancePhase(projectRoot = process.cwd()) {
+export async function advancePhase(projectRoot = process.cwd(), phase = null, options = {}) {
   const state = await getCurrentWorkflowState(projectRoot);
+  const definitions = state.phaseDefinitions;
   const currentPhase = state.currentPhase.phase;
-  const nextPhase = state.phaseDefinition.nextPhase;
+  const completingPhase = phase || currentPhase;
+  const otherActivePhases = state.activePhases.filter(active => active !== completingPhase);
+
+  if (!state.activePhases.includes(completingPhase)) {
+    return {
+      success: false,
+      message: `Cannot advance ${completingPhase} phase.`,
+      error: `Phase "${completingPhase}" is not active`
+    };
+  }
 
-  if (!nextPhase || nextPhase === 'complete') {
+  const phaseStatuses = state.phases?.phases || {};
+  const completedPhases = [...new Set([...getCompletedPhases(state.phases), completingPhase])];
+  const activatedPhases = getReadyPhases(completedPhases, definitions).filter(ready =>
+    !state.activePhases.includes(ready) && phaseStatuses[ready]?.status !== 'active'
+  );
+  const dependents = getDependentPhases(completingPhase, definitions);
+  if (dependents.length === 0 && otherActivePhases.length === 0 && activatedPhases.length === 0) {
     return {
       success: true,
       message: 'Project is already in the final phase.'
     };
   }
 
+  const approvals = await checkPhaseApprovals(completingPhase, projectRoot, state);
+  if (!approvals.isApproved) {
+    return {
+      success: false,
+      message: `Cannot advance ${completingPhase} phase until it is approved.`,
+      error: `Missing required approvals: ${approvals.missing.join(', ')}`,
+      phase: completingPhase,
+      missingApprovals: approvals.missing
+    };
+  }
+
+  // Prefer a phase that follows the completed one as the next focus
+  const nextPhase = activatedPhases.find(activated => dependents.includes(activated)) || activatedPhases[0] || null;
+  const focusPhase = completingPhase === currentPhase
+    ? (nextPhase || otherActivePhases[0])
+    : currentPhase;
+  if (!focusPhase) {
+    return {
+      success: false,
+      message: `Cannot advance ${completingPhase} phase.`,
+      error: `No phase can start after ${completingPhase}; check the prerequisites in the phase definitions`
+    };
+  }
+
+  let qualityOverride;
   try {
-    console.log(`Invoking PhaseTransitionEngine to move from ${currentPhase} to ${nextPhase}...`);
+    const completion = await checkPhaseCompletion(completingPhase, projectRoot);
+    if (!completion.isComplete) {
+      throw new Error(`Missing required deliverables: ${completion.missing.join(', ')}`);
+    }
+
+    const quality = await checkPhaseQuality(completingPhase, state, projectRoot);
+    const override = quality.isReady ? null : await getQualityOverride(completingPhase, projectRoot, state);
+    if (!quality.isReady && !override) {
+      return {
+        success: false,
+        message: `Cannot advance ${completingPhase} phase until its deliverables meet the quality bar.`,
+        error: `Quality gate failed: ${summarizeFailures(quality.failures)}`,
+        phase: completingPhase,
+        qualityFailures: quality.failures
+      };
+    }
+
+    // The override must be on record as a decision before it takes effect
+    if (override) {
+      const decision = await recordQualityOverride(completingPhase, quality.failures, {
+        reason: override.comment,
+        actor: override.approver
+      }, projectRoot);
+      if (!decision.success) {
+        throw new Error(`Could not record the quality override: ${decision.error}`);
+      }
+      qualityOverride = {
+        reason: override.comment,
+        acceptedBy: override.approver,
+        approvalId: override.id,
+        decisionId: decision.decision.id,
+        failures: quality.failures
+      };
+    }
+
+    const checkpoint = await takeTransitionCheckpoint(`before-advance-${completingPhase}`, `Before advancing from ${completingPhase}`, projectRoot);
+
+    // Project-defined phases have no transformer, so only the deliverable gate applies to them
     const transitionEngine = new PhaseTransitionEngine(projectRoot);
-    const result = await transitionEngine.executeTransition(currentPhase, nextPhase);
+    const transitions = [];
+    for (const activated of activatedPhases) {
+      for (const prerequisite of getPhasePrerequisites(activated, definitions)) {
+        if (!transitionEngine.supportsTransition(prerequisite, activated)) continue;
 
-    if (!result.success) {
-      throw new Error(result.error || 'Phase transition failed during execution.');
+        console.log(`Invoking PhaseTransitionEngine to move from ${prerequisite} to ${activated}...`);
+        const result = await transitionEngine.executeTransition(prerequisite, activated, { completedPhases });
+        if (!result.success) {
+          throw new Error(result.error || 'Phase transition failed during execution.');
+        }
+        transitions.push(result);
+      }
     }
 
-    const updatedPhases = {
-      ...state.phases,
-      current: nextPhase,
-      phases: {
-        ...state.phases.phases,
-        [currentPhase]: { ...state.phases.phases[currentPhase], status: 'completed', completedAt: new Date().toISOString() },
-        [nextPhase]: { ...state.phases.phases[nextPhase], status: 'active', startedAt: new Date().toISOString() },
-      },
+    const now = new Date().toISOString();
+    const updatedStatuses = {
+      ...phaseStatuses,
+      [completingPhase]: { ...phaseStatuses[completingPhase], status: 'completed', completedAt: now }
     };
-    await writeProjectFile(PROJECT_PHASES, updatedPhases, projectRoot);
+    for (const activated of activatedPhases) {
+      updatedStatuses[activated] = { ...phaseStatuses[activated], status: 'active', startedAt: now };
+    }
 
-    await writeProjectFile(CURRENT_PHASE, {
-      phase: nextPhase,
-      role: null,
-      currentTask: null,
-      progress: 0,
-      startedAt: new Date().toISOString(),
+    await writeProjectFile(PROJECT_PHASES, {
+      ...state.phases,
+      current: focusPhase,
+      phases: updatedStatuses,
     }, projectRoot);
 
+    if (focusPhase !== currentPhase) {
+      await writeProjectFile(CURRENT_PHASE, {
+        phase: focusPhase,
+        role: null,
+        currentTask: null,
+        progress: 0,
+        startedAt: now,
+      }, projectRoot);
+    }
+
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.PHASE_ADVANCED, {
+      completedPhase: completingPhase,
+      activatedPhases,
+      current: focusPhase
+    }, { actor: options.actor, timestamp: now, projectRoot });
+
     console.log('Phase transition successful. Workflow engine state updated.');
 
+    const waitingOn = dependents.filter(dependent => !activatedPhases.includes(dependent));
     return {
       success: true,
-      message: `Advanced to ${PHASE_DEFINITIONS[nextPhase].name} phase.`,
+      message: nextPhase
+        ? `Advanced to ${definitions[nextPhase].name} phase.`
+        : `Completed ${definitions[completingPhase].name} phase.${waitingOn.length > 0 ? ` ${waitingOn.join(', ')} still waiting on prerequisites.` : ''}`,
       nextPhase,
-      transformation: result.transformation,
-      enhancedContext: result.enhancedContext,
+      completedPhase: completingPhase,
+      activatedPhases,
+      activePhases: [...activatedPhases, ...otherActivePhases],
+      checkpoint,
+      qualityOverride,
+      transformation: transitions[0]?.transformation,
+      enhancedContext: transitions[0]?.enhancedContext,
     };
 
   } catch (error) {
     console.error(`Critical error in advancePhase: ${error.message}`);
+    // The phase did not advance, so the recorded override never took effect
+    if (qualityOverride) {
+      await archiveDecision(qualityOverride.decisionId, projectRoot, {
+        reason: `Phase advance failed: ${error.message}`,
+        archivedBy: resolveActor(options.actor)
+      });
+    }
     return {
       success: false,
-      message: `Failed to transition to ${nextPhase} phase.`,
+      message: `Failed to transition to ${nextPhase || 'the next'} phase.`,
       error: error.message,
     };
   }
 }
 
 /**
- * Mark a specific deliverable as complete for the current phase.
+ * Roll the project back to an earlier phase.
+ * The target phase becomes active again, every phase downstream of it that had
+ * started returns to pending, their quality gates are reopened and the
+ * transformations produced from them are flagged as stale. Parallel tracks that
+ * do not depend on the target are left alone. The reason is kept in the rollback
+ * history in phases.json, and .guidant is checkpointed before the rollback.
+ * @param {string} targetPhase - Completed phase to reopen.
+ * @param {string} reason - Why the phase is being reopened.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who rolled the phase back, recorded in the journal.
  */
-export async function markDeliverableComplete(deliverable, projectRoot = process.cwd()) {
+export async function rollbackPhase(targetPhase, reason, projectRoot = process.cwd(), options = {}) {
   const state = await getCurrentWorkflowState(projectRoot);
-  const qualityGates = state.qualityGates;
   const currentPhase = state.currentPhase.phase;
-  
-  const updated = {
-    ...qualityGates,
-    [currentPhase]: {
-      ...(qualityGates[currentPhase] || {}),
-      completed: [...(qualityGates[currentPhase]?.completed || []), deliverable],
-      lastUpdated: new Date().toISOString()
+  const phaseStatuses = state.phases?.phases || {};
+
+  if (!reason || !reason.trim()) {
+    return {
+      success: false,
+      message: 'A reason is required to roll back a phase.',
+      error: 'Missing rollback reason'
+    };
+  }
+
+  if (!state.phaseDefinitions[targetPhase]) {
+    return {
+      success: false,
+      message: `Unknown phase: ${targetPhase}`,
+      error: `Phase "${targetPhase}" is not defined for this project`
+    };
+  }
+
+  if (phaseStatuses[targetPhase]?.status !== 'completed') {
+    return {
+      success: false,
+      message: `Cannot roll back from ${currentPhase} to ${targetPhase}.`,
+      error: 'Rollback target must be a completed phase'
+    };
+  }
+
+  try {
+    const reopenedPhases = [
+      targetPhase,
+      ...getDownstreamPhases(targetPhase, state.phaseDefinitions)
+        .filter(phase => phaseStatuses[phase] && phaseStatuses[phase].status !== 'pending')
+    ];
+    const checkpoint = await takeTransitionCheckpoint(`before-rollback-${targetPhase}`, `Before rolling back to ${targetPhase}: ${reason}`, projectRoot);
+    const now = new Date().toISOString();
+
+    const transitionEngine = new PhaseTransitionEngine(projectRoot);
+    const staleTransformations = await transitionEngine.markTransformationsStale(
+      reopenedPhases,
+      `Rolled back from ${currentPhase} to ${targetPhase}: ${reason}`
+    );
+
+    const updatedStatuses = { ...phaseStatuses };
+    for (const phase of reopenedPhases) {
+      updatedStatuses[phase] = phase === targetPhase
+        ? { ...phaseStatuses[phase], status: 'active', startedAt: now, reopenedAt: now, completedAt: undefined }
+        : { status: 'pending' };
     }
-  };
 
-  await writeProjectFile(QUALITY_GATES, updated, projectRoot);
-  
-  return { success: true, deliverable, phase: currentPhase };
-}
\ No newline at end of file
+    await writeProjectFile(PROJECT_PHASES, {
+      ...state.phases,
+      current: targetPhase,
+      phases: updatedStatuses,
+      rollbacks: [
+        ...(state.phases.rollbacks || []),
+        {
+          fromPhase: currentPhase,
+          toPhase: targetPhase,
+          reason,
+          reopenedPhases,
+          staleTransformations,
+          rolledBackAt: now
+        }
+      ]
+    }, projectRoot);
+
+    await writeProjectFile(CURRENT_PHASE, {
+      phase: targetPhase,
+      role: null,
+      currentTask: null,
+      progress: 0,
+      startedAt: now,
+      rollback: { fromPhase: currentPhase, reason }
+    }, projectRoot);
+
+    const actor = resolveActor(options.actor);
+    const qualityGates = { ...state.qualityGates };
+    for (const phase of reopenedPhases) {
+      qualityGates[phase] = reopenGate(qualityGates[phase], { actor, timestamp: now, note: reason });
+    }
+    await writeProjectFile(QUALITY_GATES, qualityGates, projectRoot);
+
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.PHASE_ROLLED_BACK, {
+      fromPhase: currentPhase,
+      toPhase: targetPhase,
+      reason,
+      reopenedPhases,
+      staleTransformations
+    }, { actor, timestamp: now, projectRoot });
+
+    return {
+      success: true,
+      message: `Rolled back to ${state.phaseDefinitions[targetPhase].name} phase.`,
+      fromPhase: currentPhase,
+      toPhase: targetPhase,
+      reopenedPhases,
+      staleTransformations,
+      checkpoint
+    };
+
+  } catch (error) {
+    console.error(`Critical error in rollbackPhase: ${error.message}`);
+    return {
+      success: false,
+      message: `Failed to roll back to ${targetPhase} phase.`,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Checkpoint .guidant before a phase transition, failing the transition if it cannot be taken.
+ * @returns {Promise<string>} Name of the checkpoint.
+ */
+async function takeTransitionCheckpoint(label, reason, projectRoot) {
+  const result = await createCheckpoint(autoCheckpointName(label), { auto: true, reason, projectRoot });
+  if (!result.success) {
+    throw new Error(`Could not checkpoint project state: ${result.error}`);
+  }
+  return result.checkpoint.name;
+}
+
+/**
+ * Move a deliverable to a new lifecycle state, e.g. in_progress, in_review or approved.
+ * Invalid transitions are rejected; moving to the state a deliverable is already in
+ * changes nothing.
+ * @param {string} deliverable - Deliverable key.
+ * @param {string} toState - One of DELIVERABLE_STATES.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string} [options.phase] - Phase the deliverable belongs to; defaults to the current phase.
+ * @param {string} [options.actor] - Who made the change, recorded in the gate and the journal.
+ * @param {string} [options.note] - Why the change was made.
+ */
+export async function setDeliverableState(deliverable, toState, projectRoot = process.cwd(), options = {}) {
+  try {
+    const state = await getCurrentWorkflowState(projectRoot);
+    const phase = options.phase || state.currentPhase.phase;
+    const actor = resolveActor(options.actor);
+    const now = new Date().toISOString();
+
+    const result = transitionDeliverable(state.qualityGates, phase, deliverable, toState, {
+      actor,
+      timestamp: now,
+      note: options.note
+    });
+
+    if (result.changed) {
+      await writeProjectFile(QUALITY_GATES, result.qualityGates, projectRoot);
+      await appendJournalEvent(JOURNAL_EVENT_TYPES.DELIVERABLE_STATE_CHANGED, {
+        phase,
+        deliverable,
+        from: result.from,
+        to: result.to,
+        note: options.note
+      }, { actor, timestamp: now, projectRoot });
+    }
+
+    const entry = result.qualityGates[phase].deliverables[deliverable];
+    return {
+      success: true,
+      deliverable,
+      phase,
+      from: result.from,
+      state: result.to,
+      changed: result.changed,
+      updatedBy: entry.updatedBy,
+      updatedAt: entry.updatedAt
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to update deliverable ${deliverable}.`,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Mark a specific deliverable as complete (approved) for the current phase.
+ * Completing an already approved deliverable changes nothing.
+ * @param {string} deliverable - Deliverable key.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who completed the deliverable, recorded in the journal.
+ */
+export async function markDeliverableComplete(deliverable, projectRoot = process.cwd(), options = {}) {
+  const result = await setDeliverableState(deliverable, DELIVERABLE_STATES.APPROVED, projectRoot, options);
+  if (!result.success) {
+    return result;
+  }
+
+  return { ...result, completedBy: result.updatedBy, completedAt: result.updatedAt };
+}
+
+/**
+ * Format an implementation ticket as YAML-style text for agents and editors.
+ */
+export function formatImplementationTicket(ticketResult) {
+  const ticket = ticketResult?.task || {};
+  const lines = [];
+
+  const scalarFields = ['id', 'ticket_id', 'title', 'type', 'priority', 'complexity', 'estimated_points', 'status', 'description'];
+  for (const field of scalarFields) {
+    if (ticket[field] !== undefined && ticket[field] !== null) {
+      lines.push(`${field}: ${JSON.stringify(ticket[field])}`);
+    }
+  }
+
+  const listFields = ['acceptance_criteria', 'technical_specifications', 'dependsOn', 'dependencies', 'testing_requirements'];
+  for (const field of listFields) {
+    if (Array.isArray(ticket[field]) && ticket[field].length > 0) {
+      lines.push(`${field}:`);
+      for (const item of ticket[field]) {
+        lines.push(`  - ${JSON.stringify(item)}`);
+      }
+    }
+  }
+
+  if (Array.isArray(ticket.subtasks) && ticket.subtasks.length > 0) {
+    lines.push('subtasks:');
+    for (const subtask of ticket.subtasks) {
+      lines.push(`  - id: ${JSON.stringify(subtask.id)}`);
+      lines.push(`    title: ${JSON.stringify(subtask.title)}`);
+      lines.push(`    status: ${JSON.stringify(subtask.status)}`);
+      if (subtask.acceptanceCriteria?.length > 0) {
+        lines.push('    acceptance_criteria:');
+        for (const criterion of subtask.acceptanceCriteria) {
+          lines.push(`      - ${JSON.stringify(criterion)}`);
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,380 @@
+/**
+ * @file Append-only workflow event journal.
+ * @description Every change to workflow state (phase changes, deliverable state changes,
+ * progress reports, decisions and approvals) is appended as one JSON line to
+ * `.guidant/workflow/journal.jsonl`, recording who made it and when. The state files
+ * remain the fast path for reads; the journal is the history they can be rebuilt from.
+ *
+ * A project that predates the journal gets a `journal_started` snapshot of its state
+ * files as the first entry, so replay always has a starting point.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readProjectFile } from '../file-management/project-structure.js';
+import { withFileLock } from '../file-management/reliable-file-manager.js';
+import {
+  WORKFLOW_JOURNAL,
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  SESSIONS,
+  DECISIONS,
+  APPROVALS
+} from '../constants/paths.js';
+import { DELIVERABLE_STATES, transitionDeliverable, reopenGate, migrateQualityGates } from './deliverable-lifecycle.js';
+
+/**
+ * Journal event types
+ */
+export const JOURNAL_EVENT_TYPES = {
+  JOURNAL_STARTED: 'journal_started',
+  PHASE_ADVANCED: 'phase_advanced',
+  PHASE_ROLLED_BACK: 'phase_rolled_back',
+  DELIVERABLE_COMPLETED: 'deliverable_completed',
+  DELIVERABLE_STATE_CHANGED: 'deliverable_state_changed',
+  DELIVERABLE_FILE_CHANGED: 'deliverable_file_changed',
+  PROGRESS_REPORTED: 'progress_reported',
+  DECISION_RECORDED: 'decision_recorded',
+  DECISION_UPDATED: 'decision_updated',
+  CHECKPOINT_RESTORED: 'checkpoint_restored',
+  APPROVAL_RECORDED: 'approval_recorded',
+  WORKFLOW_MIGRATED: 'workflow_migrated'
+};
+
+/**
+ * Work out who is making a change: an explicit actor, then GUIDANT_ACTOR, then the OS user.
+ * @param {string} [actor] - Actor supplied by the caller.
+ * @returns {string} Actor name.
+ */
+export function resolveActor(actor) {
+  if (actor) return actor;
+  if (process.env.GUIDANT_ACTOR) return process.env.GUIDANT_ACTOR;
+  try {
+    return os.userInfo().username || 'system';
+  } catch {
+    return 'system';
+  }
+}
+
+/**
+ * Append an event to the journal.
+ * @param {string} type - One of JOURNAL_EVENT_TYPES.
+ * @param {object} payload - Event data needed to replay the change.
+ * @param {object} [options]
+ * @param {string} [options.actor] - Who made the change.
+ * @param {string} [options.timestamp] - When the change was made; defaults to now.
+ * @param {string} [options.projectRoot=process.cwd()] - The root directory of the project.
+ * @returns {Promise<object>} The appended event.
+ */
+export async function appendJournalEvent(type, payload, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const journalPath = path.join(projectRoot, WORKFLOW_JOURNAL);
+  await fs.mkdir(path.dirname(journalPath), { recursive: true });
+
+  return await withFileLock(journalPath, async () => {
+    const lastEvent = await readLastJournalEvent(journalPath);
+    const lines = [];
+    let sequence = lastEvent?.sequence || 0;
+
+    // The state files already include this change, so the event is kept for
+    // history but not applied on top of the snapshot during replay
+    const inSnapshot = !lastEvent;
+    if (inSnapshot) {
+      lines.push(createEvent(++sequence, JOURNAL_EVENT_TYPES.JOURNAL_STARTED, await captureWorkflowState(projectRoot), 'system', options.timestamp));
+    }
+
+    const event = createEvent(++sequence, type, payload, resolveActor(options.actor), options.timestamp);
+    if (inSnapshot) {
+      event.inSnapshot = true;
+    }
+    lines.push(event);
+
+    await fs.appendFile(journalPath, lines.map(line => `${JSON.stringify(line)}\n`).join(''), 'utf8');
+    return event;
+  });
+}
+
+/**
+ * Read journal events, oldest first.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string|Date} [options.until] - Only return events at or before this time.
+ * @param {string[]} [options.types] - Only return events of these types.
+ * @returns {Promise<object[]>} Journal events.
+ */
+export async function readJournal(projectRoot = process.cwd(), options = {}) {
+  const events = await readJournalLines(path.join(projectRoot, WORKFLOW_JOURNAL));
+  const until = options.until !== undefined ? parseTimestamp(options.until) : null;
+
+  return events.filter(event =>
+    (until === null || Date.parse(event.timestamp) <= until) &&
+    (!options.types || options.types.includes(event.type))
+  );
+}
+
+/**
+ * Rebuild workflow state by replaying the journal.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @param {object} [options]
+ * @param {string|Date} [options.until] - Rebuild the state as it was at this time.
+ * @returns {Promise<object>} Rebuilt state with the events that produced it.
+ */
+export async function replayWorkflowState(projectRoot = process.cwd(), options = {}) {
+  const events = await readJournal(projectRoot, { until: options.until });
+  return {
+    ...replayEvents(events),
+    until: options.until !== undefined ? new Date(parseTimestamp(options.until)).toISOString() : null,
+    eventCount: events.length,
+    lastEvent: events[events.length - 1] || null
+  };
+}
+
+/**
+ * Fold journal events into workflow state.
+ * @param {object[]} events - Journal events, oldest first.
+ * @returns {{phases: object, currentPhase: object, qualityGates: object, sessions: object[], decisions: object[], approvals: object[]}}
+ */
+export function replayEvents(events) {
+  let state = emptyState();
+
+  for (const event of events) {
+    if (event.inSnapshot) continue;
+    const reducer = EVENT_REDUCERS[event.type];
+    if (reducer) {
+      state = reducer(state, event.payload || {}, event);
+    }
+  }
+
+  return state;
+}
+
+const EVENT_REDUCERS = {
+  [JOURNAL_EVENT_TYPES.JOURNAL_STARTED]: (state, payload) => fromSnapshot(payload),
+
+  [JOURNAL_EVENT_TYPES.CHECKPOINT_RESTORED]: (state, payload) => fromSnapshot(payload.state),
+
+  // Migrations replace phases and gates wholesale, so the event carries the resulting state
+  [JOURNAL_EVENT_TYPES.WORKFLOW_MIGRATED]: (state, payload) => fromSnapshot(payload.state),
+
+  [JOURNAL_EVENT_TYPES.PHASE_ADVANCED]: (state, payload, event) => {
+    const phaseStatuses = { ...state.phases.phases };
+    phaseStatuses[payload.completedPhase] = {
+      ...phaseStatuses[payload.completedPhase],
+      status: 'completed',
+      completedAt: event.timestamp
+    };
+    for (const activated of payload.activatedPhases || []) {
+      phaseStatuses[activated] = { ...phaseStatuses[activated], status: 'active', startedAt: event.timestamp };
+    }
+
+    const focusChanged = payload.current !== state.currentPhase?.phase;
+    return {
+      ...state,
+      phases: { ...state.phases, current: payload.current, phases: phaseStatuses },
+      currentPhase: focusChanged
+        ? { phase: payload.current, role: null, currentTask: null, progress: 0, startedAt: event.timestamp }
+        : state.currentPhase
+    };
+  },
+
+  [JOURNAL_EVENT_TYPES.PHASE_ROLLED_BACK]: (state, payload, event) => {
+    const phaseStatuses = { ...state.phases.phases };
+    const qualityGates = { ...state.qualityGates };
+
+    for (const phase of payload.reopenedPhases) {
+      phaseStatuses[phase] = phase === payload.toPhase
+        ? { ...phaseStatuses[phase], status: 'active', startedAt: event.timestamp, reopenedAt: event.timestamp, completedAt: undefined }
+        : { status: 'pending' };
+
+      qualityGates[phase] = reopenGate(qualityGates[phase], {
+        actor: event.actor,
+        timestamp: event.timestamp,
+        note: payload.reason
+      });
+    }
+
+    return {
+      ...state,
+      phases: {
+        ...state.phases,
+        current: payload.toPhase,
+        phases: phaseStatuses,
+        rollbacks: [
+          ...(state.phases.rollbacks || []),
+          {
+            fromPhase: payload.fromPhase,
+            toPhase: payload.toPhase,
+            reason: payload.reason,
+            reopenedPhases: payload.reopenedPhases,
+            staleTransformations: payload.staleTransformations || [],
+            rolledBackAt: event.timestamp
+          }
+        ]
+      },
+      currentPhase: {
+        phase: payload.toPhase,
+        role: null,
+        currentTask: null,
+        progress: 0,
+        startedAt: event.timestamp,
+        rollback: { fromPhase: payload.fromPhase, reason: payload.reason }
+      },
+      qualityGates
+    };
+  },
+
+  // Written before deliverables had lifecycle states
+  [JOURNAL_EVENT_TYPES.DELIVERABLE_COMPLETED]: (state, payload, event) =>
+    applyDeliverableState(state, { ...payload, to: DELIVERABLE_STATES.APPROVED }, event),
+
+  [JOURNAL_EVENT_TYPES.DELIVERABLE_STATE_CHANGED]: (state, payload, event) =>
+    applyDeliverableState(state, payload, event),
+
+  [JOURNAL_EVENT_TYPES.PROGRESS_REPORTED]: (state, payload) => ({
+    ...state,
+    sessions: [...state.sessions, payload.workLog]
+  }),
+
+  [JOURNAL_EVENT_TYPES.DECISION_RECORDED]: (state, payload) => ({
+    ...state,
+    decisions: [...state.decisions, payload.decision]
+  }),
+
+  [JOURNAL_EVENT_TYPES.APPROVAL_RECORDED]: (state, payload) => ({
+    ...state,
+    approvals: [...state.approvals, payload.approval]
+  }),
+
+  [JOURNAL_EVENT_TYPES.DECISION_UPDATED]: (state, payload) => ({
+    ...state,
+    decisions: state.decisions.map(decision =>
+      decision.id === payload.decision.id ? payload.decision : decision
+    )
+  })
+};
+
+function fromSnapshot(snapshot) {
+  const state = { ...emptyState(), ...structuredClone(snapshot) };
+  return { ...state, qualityGates: migrateQualityGates(state.qualityGates) };
+}
+
+function applyDeliverableState(state, payload, event) {
+  const { qualityGates } = transitionDeliverable(state.qualityGates, payload.phase, payload.deliverable, payload.to, {
+    actor: event.actor,
+    timestamp: event.timestamp,
+    note: payload.note,
+    force: true
+  });
+  return { ...state, qualityGates };
+}
+
+function emptyState() {
+  return {
+    phases: { phases: {} },
+    currentPhase: null,
+    qualityGates: {},
+    sessions: [],
+    decisions: [],
+    approvals: []
+  };
+}
+
+function createEvent(sequence, type, payload, actor, timestamp = new Date().toISOString()) {
+  return {
+    id: `event-${sequence}`,
+    sequence,
+    type,
+    timestamp,
+    actor,
+    payload
+  };
+}
+
+/**
+ * Read the workflow state files that the journal can rebuild.
+ * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
+ * @returns {Promise<object>} Phases, current phase, quality gates, sessions, decisions and approvals.
+ */
+export async function captureWorkflowState(projectRoot = process.cwd()) {
+  const read = (filePath, fallback) => readProjectFile(filePath, projectRoot).catch(() => fallback);
+  const [phases, currentPhase, qualityGates, sessions, decisions, approvals] = await Promise.all([
+    read(PROJECT_PHASES, { phases: {} }),
+    read(CURRENT_PHASE, null),
+    read(QUALITY_GATES, {}),
+    read(SESSIONS, []),
+    read(DECISIONS, []),
+    read(APPROVALS, [])
+  ]);
+
+  return { phases, currentPhase, qualityGates, sessions, decisions, approvals };
+}
+
+async function readJournalLines(journalPath) {
+  let content;
+  try {
+    content = await fs.readFile(journalPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const events = [];
+  for (const [index, line] of content.split('\n').entries()) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      throw new Error(`Corrupt journal entry on line ${index + 1} of ${WORKFLOW_JOURNAL}`);
+    }
+  }
+  return events;
+}
+
+/**
+ * Read the last event of the journal without reading the rest, so appending stays
+ * fast however long the history grows. Reads backwards in growing chunks until the
+ * last line is complete.
+ * @param {string} journalPath - Absolute path of the journal.
+ * @returns {Promise<object|null>} Last event, or null when the journal is empty or missing.
+ */
+async function readLastJournalEvent(journalPath) {
+  let handle;
+  try {
+    handle = await fs.open(journalPath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    for (let chunkSize = 4096; ; chunkSize *= 4) {
+      const length = Math.min(chunkSize, size);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+
+      const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+      // The first line of a chunk may be cut off unless the chunk starts the file
+      if (lines.length > 1 || (length === size && lines.length === 1)) {
+        try {
+          return JSON.parse(lines[lines.length - 1]);
+        } catch {
+          throw new Error(`Corrupt last entry in ${WORKFLOW_JOURNAL}`);
+        }
+      }
+      if (length === size) return null;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function parseTimestamp(value) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return time;
+}
@@ -11,55 +11,122 @@ import {
   QUALITY_GATES,
   CURRENT_ROLE
 } from '../constants/paths.js';
-import { PHASE_DEFINITIONS } from './phase-definitions.js';
+import { PHASE_DEFINITIONS, loadPhaseDefinitions, getPhaseOrder, getReadyPhases } from './phase-definitions.js';
+import { migrateQualityGates, getApprovedDeliverables, getDeliverableState } from './deliverable-lifecycle.js';
 
 /**
  * Get current workflow state by reading all relevant project files.
+ * When current-phase.json names no phase, or one the loaded definitions do not have
+ * (e.g. after switching to custom phases), the first phase that can run is used.
  * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
  * @returns {Promise<object>} An object containing the complete current state of the workflow.
  */
 export async function getCurrentWorkflowState(projectRoot = process.cwd()) {
-  const [phases, currentPhase, qualityGates, currentRole] = await Promise.all([
+  const [phases, currentPhase, qualityGates, currentRole, phaseDefinitions] = await Promise.all([
     readProjectFile(PROJECT_PHASES, projectRoot),
     readProjectFile(CURRENT_PHASE, projectRoot),
     readProjectFile(QUALITY_GATES, projectRoot),
-    readProjectFile(CURRENT_ROLE, projectRoot)
+    readProjectFile(CURRENT_ROLE, projectRoot),
+    loadPhaseDefinitions(projectRoot)
   ]);
 
-  const phaseKey = currentPhase?.phase || 'concept';
+  const phaseKey = resolveCurrentPhase(phases, currentPhase, phaseDefinitions);
 
   return {
     phases,
-    currentPhase,
-    qualityGates,
+    currentPhase: { ...currentPhase, phase: phaseKey },
+    qualityGates: migrateQualityGates(qualityGates),
     currentRole,
-    phaseDefinition: PHASE_DEFINITIONS[phaseKey]
+    phaseDefinitions,
+    phaseDefinition: phaseDefinitions[phaseKey],
+    activePhases: getActivePhases(phases, { phase: phaseKey }, phaseDefinitions)
   };
 }
 
+/**
+ * Get the phase the project is focused on: the one in current-phase.json if the
+ * definitions have it, otherwise an active phase, a phase ready to start or the
+ * first phase of the definitions.
+ * @param {object} phases - Contents of phases.json.
+ * @param {object} currentPhase - Contents of current-phase.json.
+ * @param {object} [phaseDefinitions=PHASE_DEFINITIONS] - Phase definitions keyed by phase.
+ * @returns {string} Phase key.
+ */
+export function resolveCurrentPhase(phases, currentPhase, phaseDefinitions = PHASE_DEFINITIONS) {
+  if (phaseDefinitions[currentPhase?.phase]) {
+    return currentPhase.phase;
+  }
+
+  const known = Object.entries(phases?.phases || {}).filter(([phase]) => phaseDefinitions[phase]);
+  const active = known.find(([, phaseState]) => phaseState.status === 'active');
+  if (active) {
+    return active[0];
+  }
+
+  const completed = known.filter(([, phaseState]) => phaseState.status === 'completed').map(([phase]) => phase);
+  return getReadyPhases(completed, phaseDefinitions)[0] || getPhaseOrder(phaseDefinitions)[0];
+}
+
+/**
+ * Get every phase that is currently active. Phases with all prerequisites complete
+ * can run in parallel, so more than one phase may be active at once.
+ * @param {object} phases - Contents of phases.json.
+ * @param {object} currentPhase - Contents of current-phase.json.
+ * @param {object} [phaseDefinitions] - Loaded phase definitions; when given, phases they do not have are left out.
+ * @returns {string[]} Active phase keys, with the current phase first.
+ */
+export function getActivePhases(phases, currentPhase, phaseDefinitions) {
+  const current = currentPhase?.phase || resolveCurrentPhase(phases, currentPhase, phaseDefinitions);
+  const active = Object.entries(phases?.phases || {})
+    .filter(([phase, phaseState]) => phaseState.status === 'active' && (!phaseDefinitions || phaseDefinitions[phase]))
+    .map(([phase]) => phase);
+
+  return [current, ...active.filter(phase => phase !== current)];
+}
+
+/**
+ * Get every phase marked completed in phases.json.
+ * @param {object} phases - Contents of phases.json.
+ * @returns {string[]} Completed phase keys.
+ */
+export function getCompletedPhases(phases) {
+  return Object.entries(phases?.phases || {})
+    .filter(([, phaseState]) => phaseState.status === 'completed')
+    .map(([phase]) => phase);
+}
+
 /**
  * Check if the current phase's required deliverables have been met.
+ * Only approved deliverables count; anything still in progress or in review is missing.
  * @param {string} phase - The phase to check (e.g., 'implementation').
  * @param {string} [projectRoot=process.cwd()] - The root directory of the project.
- * @returns {Promise<{isComplete: boolean, missing: string[]}>} An object indicating completion status.
+ * @returns {Promise<{isComplete: boolean, missing: string[], deliverables: object}>} Completion status
+ * with the lifecycle state of each required deliverable.
  */
 export async function checkPhaseCompletion(phase, projectRoot = process.cwd()) {
-  const qualityGates = await readProjectFile(QUALITY_GATES, projectRoot);
-  const phaseDefinition = PHASE_DEFINITIONS[phase];
+  const [qualityGates, phaseDefinitions] = await Promise.all([
+    readProjectFile(QUALITY_GATES, projectRoot),
+    loadPhaseDefinitions(projectRoot)
+  ]);
+  const phaseDefinition = phaseDefinitions[phase];
 
   if (!phaseDefinition || !phaseDefinition.requiredDeliverables) {
     console.warn(`No phase definition found for phase: ${phase}`);
-    return { isComplete: true, missing: [] }; // Or handle as an error
+    return { isComplete: true, missing: [], deliverables: {} }; // Or handle as an error
   }
 
-  const completedDeliverables = qualityGates[phase]?.completed || [];
+  const gate = qualityGates[phase];
+  const approvedDeliverables = getApprovedDeliverables(gate);
 
   const missing = phaseDefinition.requiredDeliverables.filter(
-    req => !completedDeliverables.includes(req)
+    req => !approvedDeliverables.includes(req)
   );
 
   return {
     isComplete: missing.length === 0,
     missing,
+    deliverables: Object.fromEntries(
+      phaseDefinition.requiredDeliverables.map(req => [req, getDeliverableState(gate, req)])
+    )
   };
 }
\ No newline at end of file
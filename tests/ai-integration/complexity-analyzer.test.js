@@ -0,0 +1,150 @@
+/**
+ * Complexity Analyzer Tests
+ * Tests for heuristic ticket scoring, the complexity report and how scores steer task generation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import {
+  scoreTicketComplexity,
+  analyzeTicketComplexity
+} from '../../src/ai-integration/complexity-analyzer.js';
+import { expandTicket } from '../../src/workflow-logic/ticket-subtasks.js';
+import { generateNextTask } from '../../src/workflow-logic/task-generation-service.js';
+import { TASK_TICKETS, COMPLEXITY_REPORT } from '../../src/constants/paths.js';
+
+const simpleTicket = {
+  ticket_id: 'IMPL-001',
+  title: 'Add footer links',
+  estimated_points: 1,
+  acceptance_criteria: ['Footer shows privacy and terms links']
+};
+
+const complexTicket = {
+  ticket_id: 'IMPL-002',
+  title: 'Payment integration',
+  description: 'Integrate the payment provider with webhook handling and retries',
+  complexity: 'high',
+  acceptance_criteria: [
+    'Customers can pay by card',
+    'Failed payments are retried',
+    'Webhooks are verified',
+    'Refunds are supported',
+    'Receipts are emailed',
+    'Payments show in the admin view'
+  ],
+  dependsOn: ['IMPL-001', 'IMPL-003']
+};
+
+const mediumTicket = {
+  ticket_id: 'IMPL-003',
+  title: 'User profile page',
+  estimated_points: 5
+};
+
+describe('Complexity Analyzer', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-complexity-'));
+    await initializeProjectStructure(projectRoot);
+    for (const ticket of [simpleTicket, complexTicket, mediumTicket]) {
+      await writeProjectFile(path.join(TASK_TICKETS, `${ticket.ticket_id}.json`), ticket, projectRoot);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should score tickets deterministically with a rationale', () => {
+    const simple = scoreTicketComplexity(simpleTicket);
+    expect(simple).toMatchObject({ complexityScore: 2, recommendedSubtasks: 0, source: 'heuristic' });
+    expect(simple.reasoning).toContain('1 story points');
+
+    const complex = scoreTicketComplexity(complexTicket);
+    // high (7) + 6 criteria (+2) + 2 dependencies (+1) + payment/integration (+1), capped at 10
+    expect(complex.complexityScore).toBe(10);
+    expect(complex.recommendedSubtasks).toBe(8);
+    expect(complex.reasoning).toContain('touches integration, payment');
+
+    expect(scoreTicketComplexity(complexTicket)).toEqual(complex);
+  });
+
+  it('should store scores on tickets and save a report without an AI provider', async () => {
+    const result = await analyzeTicketComplexity(projectRoot, { useAI: false });
+
+    expect(result.success).toBe(true);
+    expect(result.report.tickets.map(entry => entry.ticketId)).toEqual(['IMPL-002', 'IMPL-003', 'IMPL-001']);
+    expect(result.report.summary).toMatchObject({
+      high: 1,
+      medium: 1,
+      low: 1,
+      expansionRecommended: ['IMPL-002', 'IMPL-003']
+    });
+
+    const report = await readProjectFile(COMPLEXITY_REPORT, projectRoot);
+    expect(report.meta).toMatchObject({ ticketsAnalyzed: 3, threshold: 5, sources: ['heuristic'] });
+
+    const stored = await readProjectFile(path.join(TASK_TICKETS, 'IMPL-002.json'), projectRoot);
+    expect(stored.complexityAnalysis).toMatchObject({ complexityScore: 10, recommendedSubtasks: 8, source: 'heuristic' });
+  });
+
+  it('should analyze only the requested tickets and reject unknown ones', async () => {
+    const result = await analyzeTicketComplexity(projectRoot, { ticketIds: ['IMPL-003'], threshold: 8, useAI: false });
+    expect(result.report.tickets).toHaveLength(1);
+    expect(result.report.summary.expansionRecommended).toEqual([]);
+
+    const unknown = await analyzeTicketComplexity(projectRoot, { ticketIds: ['IMPL-404'], useAI: false });
+    expect(unknown.success).toBe(false);
+    expect(unknown.error).toContain('IMPL-404');
+  });
+
+  it('should expand a ticket into its recommended number of subtasks', async () => {
+    await analyzeTicketComplexity(projectRoot, { ticketIds: ['IMPL-003'], useAI: false });
+
+    const result = await expandTicket('IMPL-003', {}, projectRoot);
+    expect(result.subtasks).toHaveLength(4);
+  });
+
+  it('should recommend expanding a complex ticket when it is the next task', async () => {
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-001.json'), { ...simpleTicket, status: 'done' }, projectRoot);
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-003.json'), { ...mediumTicket, status: 'done' }, projectRoot);
+
+    const task = await generateNextTask({}, projectRoot);
+    expect(task.type).toBe('implementation_ticket');
+    expect(task.task.ticket_id).toBe('IMPL-002');
+    expect(task.complexity.complexityScore).toBe(10);
+    expect(task.expansionRecommended).toBe(true);
+    expect(task.warnings[0]).toContain('expand it into 8 subtasks');
+  });
+
+  it('should start the less complex of two tickets with the same priority', async () => {
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-001.json'), { ...simpleTicket, status: 'done' }, projectRoot);
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-002.json'), { ...complexTicket, dependsOn: ['IMPL-001'] }, projectRoot);
+
+    // IMPL-002 comes first in dependency order, but IMPL-003 scores lower
+    const task = await generateNextTask({}, projectRoot);
+    expect(task.task.ticket_id).toBe('IMPL-003');
+    expect(task.complexity.complexityScore).toBeLessThan(10);
+
+    // Once broken down, IMPL-002 can start before IMPL-003, which still needs expanding
+    await expandTicket('IMPL-002', {}, projectRoot);
+    const expanded = await generateNextTask({}, projectRoot);
+    expect(expanded.task.ticket_id).toBe('IMPL-002');
+    expect(expanded.expansionRecommended).toBe(false);
+
+    // Priority still comes before complexity
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-002.json'), { ...complexTicket, dependsOn: ['IMPL-001'], priority: 'low' }, projectRoot);
+    expect((await generateNextTask({}, projectRoot)).task.ticket_id).toBe('IMPL-003');
+    await writeProjectFile(path.join(TASK_TICKETS, 'IMPL-002.json'), { ...complexTicket, dependsOn: ['IMPL-001'], priority: 'high' }, projectRoot);
+    expect((await generateNextTask({}, projectRoot)).task.ticket_id).toBe('IMPL-002');
+  });
+});
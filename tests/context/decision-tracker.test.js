@@ -0,0 +1,115 @@
+/**
+ * Decision Tracker Tests
+ * Tests for searching, reviewing, superseding and archiving decisions and for overdue reviews
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { initializeProjectStructure, readProjectFile } from '../../src/file-management/project-structure.js';
+import {
+  recordDecision,
+  getDecisions,
+  reviewDecision,
+  supersedeDecision,
+  archiveDecision,
+  getOverdueDecisions,
+  isDecisionOverdue,
+  DECISION_STATUSES
+} from '../../src/context/decision-tracker.js';
+import { replayWorkflowState } from '../../src/workflow-logic/workflow-journal.js';
+import { DECISIONS } from '../../src/constants/paths.js';
+
+const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Decision tracker', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-decisions-'));
+    await initializeProjectStructure(projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should search decisions by text, tag and status', async () => {
+    await recordDecision({ title: 'Use PostgreSQL', rationale: 'Relational reporting needs', type: 'technical', tags: ['database'], recordedBy: 'dana' }, projectRoot);
+    await recordDecision({ title: 'Launch in the EU first', description: 'GDPR work is done up front', tags: ['market'] }, projectRoot);
+
+    const byText = await getDecisions({ query: 'reporting' }, projectRoot);
+    expect(byText.decisions.map(decision => decision.title)).toEqual(['Use PostgreSQL']);
+    expect(byText.decisions[0].metadata.recordedBy).toBe('dana');
+    expect((await getDecisions({ query: 'gdpr' }, projectRoot)).total).toBe(1);
+    expect((await getDecisions({ tag: 'market' }, projectRoot)).decisions[0].title).toBe('Launch in the EU first');
+    expect((await getDecisions({ status: DECISION_STATUSES.ACTIVE }, projectRoot)).total).toBe(2);
+
+    expect((await recordDecision({ title: ' ' }, projectRoot)).error).toContain('title');
+    expect((await recordDecision({ title: 'Later', reviewDate: 'someday' }, projectRoot)).error).toContain('Invalid review date');
+  });
+
+  it('should supersede a decision, linking the old and the new one', async () => {
+    const { decision: original } = await recordDecision({
+      title: 'Use REST', type: 'architecture', impact: 'high', phase: 'architecture', tags: ['api']
+    }, projectRoot);
+
+    const result = await supersedeDecision(original.id, { title: 'Use GraphQL', rationale: 'Clients need nested data' }, projectRoot);
+    expect(result.success).toBe(true);
+    expect(result.decision.id).not.toBe(original.id);
+    expect(result.decision).toMatchObject({
+      supersedes: original.id,
+      type: 'architecture',
+      impact: 'high',
+      phase: 'architecture',
+      status: DECISION_STATUSES.ACTIVE
+    });
+    expect(result.decision.metadata.tags).toEqual(['api']);
+    expect(result.superseded).toMatchObject({ status: DECISION_STATUSES.SUPERSEDED, supersededBy: result.decision.id });
+
+    expect((await supersedeDecision(original.id, { title: 'Use gRPC' }, projectRoot)).error).toContain('already superseded');
+    expect((await reviewDecision(original.id, {}, projectRoot)).error).toContain('cannot be reviewed');
+
+    // The journal keeps both the new decision and the change to the old one
+    const replayed = await replayWorkflowState(projectRoot);
+    expect(replayed.decisions).toEqual(await readProjectFile(DECISIONS, projectRoot));
+  });
+
+  it('should report decisions past their review date until they are reviewed', async () => {
+    const { decision: overdue } = await recordDecision({ title: 'Free tier only', reviewDate: daysFromNow(-3) }, projectRoot);
+    await recordDecision({ title: 'Weekly releases', reviewDate: daysFromNow(30) }, projectRoot);
+    const { decision: older } = await recordDecision({ title: 'Single region', reviewDate: daysFromNow(-10) }, projectRoot);
+    await recordDecision({ title: 'No review planned' }, projectRoot);
+
+    const before = await getOverdueDecisions(projectRoot);
+    expect(before.decisions.map(decision => decision.id)).toEqual([older.id, overdue.id]);
+    expect((await getDecisions({ overdue: true }, projectRoot)).total).toBe(2);
+
+    // Reviewing without a next date settles the review that was due
+    const reviewed = await reviewDecision(overdue.id, { outcome: 'still valid', reviewedBy: 'sam' }, projectRoot);
+    expect(reviewed.decision).toMatchObject({ status: DECISION_STATUSES.REVIEWED, reviewedBy: 'sam', reviewOutcome: 'still valid' });
+    expect(isDecisionOverdue(reviewed.decision)).toBe(false);
+
+    // Reviewing with a next date schedules the next review
+    const rescheduled = await reviewDecision(older.id, { nextReviewDate: daysFromNow(2) }, projectRoot);
+    expect(isDecisionOverdue(rescheduled.decision)).toBe(false);
+    expect(isDecisionOverdue(rescheduled.decision, new Date(daysFromNow(3)))).toBe(true);
+
+    expect((await getOverdueDecisions(projectRoot)).total).toBe(0);
+  });
+
+  it('should archive a decision so it is no longer due for review', async () => {
+    const { decision } = await recordDecision({ title: 'Support IE11', reviewDate: daysFromNow(-1) }, projectRoot);
+
+    const archived = await archiveDecision(decision.id, projectRoot, { reason: 'Browser share is negligible', archivedBy: 'dana' });
+    expect(archived.decision).toMatchObject({
+      status: DECISION_STATUSES.ARCHIVED,
+      archiveReason: 'Browser share is negligible',
+      archivedBy: 'dana'
+    });
+    expect((await getOverdueDecisions(projectRoot)).total).toBe(0);
+    expect((await archiveDecision(decision.id, projectRoot)).error).toContain('already archived');
+    expect((await archiveDecision('decision-0', projectRoot)).error).toBe('Decision not found');
+  });
+});
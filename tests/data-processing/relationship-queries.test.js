@@ -0,0 +1,127 @@
+/**
+ * Relationship Query Tests
+ * Tests for neighbors, shortest paths, orphaned deliverables and filtering of the stored relationship graph
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JSONRelationshipStorage } from '../../src/data-processing/storage/json-relationship-storage.js';
+import {
+  loadRelationshipGraph,
+  queryRelationships,
+  findNeighbors,
+  findShortestPath,
+  findOrphanedDeliverables
+} from '../../src/data-processing/relationship-queries.js';
+
+const deliverable = (phase, name) => ({ phase, name, type: name });
+
+const relationship = (id, source, target, type, strength) => ({
+  id,
+  source,
+  target,
+  type,
+  strength,
+  confidence: 0.8,
+  evidence: [{ type: 'explicit_mention', description: 'Mentioned by name' }],
+  metadata: { detectedBy: 'test', detectedAt: new Date().toISOString() }
+});
+
+describe('Relationship queries', () => {
+  let projectRoot;
+  let graph;
+
+  const personas = deliverable('concept', 'user_personas');
+  const prd = deliverable('requirements', 'prd_complete');
+  const wireframes = deliverable('design', 'wireframes');
+  const api = deliverable('architecture', 'api_specification');
+  const monitoring = deliverable('deployment', 'monitoring_setup');
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-relationships-'));
+    const storage = new JSONRelationshipStorage({ backupEnabled: false });
+    const relationships = [
+      relationship('r1', prd, personas, 'derives_from', 0.9),
+      relationship('r2', wireframes, prd, 'depends_on', 0.7),
+      relationship('r3', api, prd, 'depends_on', 0.5),
+      relationship('r4', api, wireframes, 'references', 0.3)
+    ];
+    await storage.storeRelationships(projectRoot, {
+      projectId: 'test',
+      version: '1.0',
+      generatedAt: new Date().toISOString(),
+      lastUpdated: new Date().toISOString(),
+      relationships,
+      deliverables: [personas, prd, wireframes, api, monitoring],
+      statistics: storage.calculateStatistics(relationships),
+      metadata: { generatedBy: 'test', detectionAlgorithms: [] }
+    });
+    graph = await loadRelationshipGraph(projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should filter relationships by type and strength, strongest first', () => {
+    const dependencies = queryRelationships(graph, { relationshipTypes: ['depends_on'] });
+    expect(dependencies.total).toBe(2);
+    expect(dependencies.relationships.map(rel => rel.id)).toEqual(['r2', 'r3']);
+
+    const strong = queryRelationships(graph, { minStrength: 0.5, maxStrength: 0.8 });
+    expect(strong.byType).toEqual({ depends_on: 2 });
+    expect(queryRelationships(graph, { phase: 'concept' }).relationships[0]).toMatchObject({
+      id: 'r1',
+      source: 'requirements_prd_complete',
+      target: 'concept_user_personas'
+    });
+  });
+
+  it('should find neighbors by direction and depth', () => {
+    const direct = findNeighbors(graph, 'prd_complete');
+    expect(direct.neighbors.map(neighbor => neighbor.key)).toEqual([
+      'concept_user_personas',
+      'design_wireframes',
+      'architecture_api_specification'
+    ]);
+    expect(direct.neighbors[0].relationships[0]).toMatchObject({ id: 'r1', direction: 'outgoing' });
+
+    const dependents = findNeighbors(graph, 'requirements_prd_complete', { direction: 'incoming', relationshipTypes: ['depends_on'] });
+    expect(dependents.neighbors.map(neighbor => neighbor.key)).toEqual(['design_wireframes', 'architecture_api_specification']);
+
+    const twoHops = findNeighbors(graph, 'user_personas', { depth: 2 });
+    expect(twoHops.neighbors.map(neighbor => [neighbor.key, neighbor.distance])).toEqual([
+      ['requirements_prd_complete', 1],
+      ['design_wireframes', 2],
+      ['architecture_api_specification', 2]
+    ]);
+
+    expect(findNeighbors(graph, 'nothing').error).toContain('not found');
+  });
+
+  it('should find the shortest path, honouring direction and filters', () => {
+    const result = findShortestPath(graph, 'user_personas', 'api_specification');
+    expect(result.found).toBe(true);
+    expect(result.length).toBe(2);
+    expect(result.path.map(step => step.relationship.id)).toEqual(['r1', 'r3']);
+
+    // Following relationships only from source to target, API reaches personas but not the reverse
+    expect(findShortestPath(graph, 'api_specification', 'user_personas', { direction: 'outgoing' }).length).toBe(2);
+    expect(findShortestPath(graph, 'user_personas', 'api_specification', { direction: 'outgoing' }).found).toBe(false);
+
+    // Only the depends_on relationships connect the API and the wireframes to the PRD
+    const referencesOnly = findShortestPath(graph, 'api_specification', 'prd_complete', { relationshipTypes: ['references', 'derives_from'] });
+    expect(referencesOnly.found).toBe(false);
+    expect(findShortestPath(graph, 'monitoring_setup', 'prd_complete').found).toBe(false);
+  });
+
+  it('should find orphaned deliverables', () => {
+    expect(findOrphanedDeliverables(graph).orphaned.map(entry => entry.key)).toEqual(['deployment_monitoring_setup']);
+
+    const strongOnly = findOrphanedDeliverables(graph, { minStrength: 0.6 });
+    expect(strongOnly.totalDeliverables).toBe(5);
+    expect(strongOnly.orphaned.map(entry => entry.key)).toEqual(['architecture_api_specification', 'deployment_monitoring_setup']);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Checkpoint Manager Tests
+ * Tests for named snapshots of the .guidant directory
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import {
+  createCheckpoint,
+  listCheckpoints,
+  diffCheckpoint,
+  restoreCheckpoint,
+  pruneCheckpoints
+} from '../../src/file-management/checkpoint-manager.js';
+import { advancePhase } from '../../src/workflow-logic/workflow-engine.js';
+import { replayWorkflowState } from '../../src/workflow-logic/workflow-journal.js';
+import {
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PROJECT_CONFIG,
+  PROJECT_PHASES,
+  PHASE_DEFINITIONS_FILE,
+  CHECKPOINTS_DIR,
+  DELIVERABLE_VERSIONS_DIR
+} from '../../src/constants/paths.js';
+
+describe('Checkpoint Manager', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-checkpoints-'));
+    await initializeProjectStructure(projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should snapshot every .guidant file except transient ones', async () => {
+    const result = await createCheckpoint('baseline', { reason: 'Before refactor', projectRoot });
+    expect(result.success).toBe(true);
+    expect(result.checkpoint.reason).toBe('Before refactor');
+
+    const manifest = JSON.parse(await fs.readFile(
+      path.join(projectRoot, CHECKPOINTS_DIR, 'baseline', 'manifest.json'), 'utf8'
+    ));
+    const files = manifest.files.map(file => file.path);
+    expect(files).toContain(path.join('workflow', 'current-phase.json'));
+    expect(files.some(file => file.endsWith('.backup') || file.startsWith('checkpoints'))).toBe(false);
+
+    const duplicate = await createCheckpoint('baseline', { projectRoot });
+    expect(duplicate.success).toBe(false);
+
+    const invalid = await createCheckpoint('../escape', { projectRoot });
+    expect(invalid.success).toBe(false);
+  });
+
+  it('should diff a checkpoint against the current files and restore it', async () => {
+    await createCheckpoint('baseline', { projectRoot });
+    await writeProjectFile(CURRENT_PHASE, { phase: 'design', progress: 10 }, projectRoot);
+    await writeProjectFile('.guidant/context/scratch.json', { note: 'new' }, projectRoot);
+
+    const diff = await diffCheckpoint('baseline', { projectRoot });
+    expect(diff.modified).toEqual([path.join('workflow', 'current-phase.json')]);
+    expect(diff.added).toEqual([path.join('context', 'scratch.json')]);
+
+    const restored = await restoreCheckpoint('baseline', { projectRoot });
+    expect(restored.success).toBe(true);
+    expect(restored.removed).toEqual([path.join('context', 'scratch.json')]);
+    expect((await readProjectFile(CURRENT_PHASE, projectRoot)).phase).toBe('concept');
+
+    // The pre-restore state was checkpointed, so the restore can be undone
+    const undo = await restoreCheckpoint(restored.safetyCheckpoint, { projectRoot });
+    expect(undo.success).toBe(true);
+    expect((await readProjectFile(CURRENT_PHASE, projectRoot)).phase).toBe('design');
+
+    // The journal survives restores and replays to the restored state
+    const replayed = await replayWorkflowState(projectRoot);
+    expect(replayed.currentPhase.phase).toBe('design');
+  });
+
+  it('should checkpoint automatically before a phase transition', async () => {
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, {
+      phases: {
+        discovery: { name: 'Discovery', roles: ['research_agent'], requiredDeliverables: [], nextPhase: 'build' },
+        build: { name: 'Build', roles: ['development_agent'], requiredDeliverables: [], nextPhase: 'complete' }
+      }
+    }, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, { current: 'discovery', phases: { discovery: { status: 'active' } } }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'discovery' }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(true);
+    expect(result.checkpoint).toStartWith('auto-before-advance-discovery-');
+
+    const { checkpoints } = await listCheckpoints(projectRoot);
+    expect(checkpoints[0]).toMatchObject({ name: result.checkpoint, auto: true });
+
+    await restoreCheckpoint(result.checkpoint, { projectRoot, safetyCheckpoint: false });
+    expect((await readProjectFile(CURRENT_PHASE, projectRoot)).phase).toBe('discovery');
+  });
+
+  it('should prune by count, keeping manual checkpoints when asked', async () => {
+    await createCheckpoint('manual', { projectRoot });
+    await createCheckpoint('auto-one', { auto: true, projectRoot });
+    await createCheckpoint('auto-two', { auto: true, projectRoot });
+
+    expect((await pruneCheckpoints({ projectRoot })).success).toBe(false);
+
+    const result = await pruneCheckpoints({ keep: 0, autoOnly: true, projectRoot });
+    expect(result.pruned.sort()).toEqual(['auto-one', 'auto-two']);
+    expect(result.remaining).toBe(1);
+  });
+
+  it('should keep only the newest automatic checkpoints and every manual one', async () => {
+    const config = await readProjectFile(PROJECT_CONFIG, projectRoot);
+    await writeProjectFile(PROJECT_CONFIG, { ...config, checkpoints: { keepAutomatic: 2 } }, projectRoot);
+    await createCheckpoint('manual', { projectRoot });
+    for (const name of ['auto-one', 'auto-two']) {
+      await createCheckpoint(name, { auto: true, projectRoot });
+      // Checkpoints are ordered by creation time, so keep them apart by at least a millisecond
+      const created = Date.now();
+      while (Date.now() === created);
+    }
+
+    const third = await createCheckpoint('auto-three', { auto: true, projectRoot });
+    expect(third.pruned).toEqual(['auto-one']);
+
+    const { checkpoints } = await listCheckpoints(projectRoot);
+    expect(checkpoints.map(checkpoint => checkpoint.name).sort()).toEqual(['auto-three', 'auto-two', 'manual']);
+  });
+
+  it('should leave the deliverable version store out of checkpoints', async () => {
+    const stored = path.join(projectRoot, DELIVERABLE_VERSIONS_DIR, 'abc123');
+    await fs.mkdir(path.dirname(stored), { recursive: true });
+    await fs.writeFile(stored, '# Old brief');
+
+    expect((await createCheckpoint('baseline', { projectRoot })).success).toBe(true);
+    const manifest = JSON.parse(await fs.readFile(
+      path.join(projectRoot, CHECKPOINTS_DIR, 'baseline', 'manifest.json'), 'utf8'
+    ));
+    expect(manifest.files.some(file => file.path.startsWith('history'))).toBe(false);
+
+    // Restoring keeps the versions stored after the checkpoint
+    await fs.writeFile(`${stored}-newer`, '# New brief');
+    expect((await restoreCheckpoint('baseline', { projectRoot, safetyCheckpoint: false })).success).toBe(true);
+    expect(await fs.readFile(`${stored}-newer`, 'utf8')).toBe('# New brief');
+  });
+
+  it('should refuse to restore a manifest that points outside .guidant', async () => {
+    await createCheckpoint('baseline', { projectRoot });
+    const manifestPath = path.join(projectRoot, CHECKPOINTS_DIR, 'baseline', 'manifest.json');
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    const outside = path.join('..', '..', 'escaped.txt');
+    manifest.files.push({ path: outside, hash: 'x', size: 1 });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest));
+    const phaseBefore = await readProjectFile(CURRENT_PHASE, projectRoot);
+
+    const result = await restoreCheckpoint('baseline', { projectRoot, safetyCheckpoint: false });
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('outside .guidant');
+    expect(await readProjectFile(CURRENT_PHASE, projectRoot)).toEqual(phaseBefore);
+    await expect(fs.access(path.join(projectRoot, outside))).rejects.toThrow();
+  });
+});
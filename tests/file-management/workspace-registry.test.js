@@ -0,0 +1,161 @@
+/**
+ * Workspace Registry Tests
+ * Tests for serving several Guidant projects from one process
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { z } from 'zod';
+import { initializeProjectStructure } from '../../src/file-management/project-structure.js';
+import {
+  registerProject,
+  unregisterProject,
+  listWorkspaceProjects,
+  resolveProjectRoot,
+  getWorkspaceStatus,
+  normalizeClientRoots
+} from '../../src/file-management/workspace-registry.js';
+import { withProjectSelection, getProjectRoot, runInSession } from '../../mcp-server/src/tools/shared/project-context.js';
+
+describe('Workspace Registry', () => {
+  let workspaceRoot;
+  let apiRoot;
+  let webRoot;
+  let previousWorkspaceRoot;
+
+  beforeEach(async () => {
+    workspaceRoot = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-workspace-')));
+    apiRoot = path.join(workspaceRoot, 'packages', 'api');
+    webRoot = path.join(workspaceRoot, 'packages', 'web');
+    await fs.mkdir(apiRoot, { recursive: true });
+    await fs.mkdir(webRoot, { recursive: true });
+    await initializeProjectStructure(apiRoot);
+    await initializeProjectStructure(webRoot);
+
+    previousWorkspaceRoot = process.env.GUIDANT_WORKSPACE_ROOT;
+    process.env.GUIDANT_WORKSPACE_ROOT = workspaceRoot;
+  });
+
+  afterEach(async () => {
+    if (previousWorkspaceRoot === undefined) {
+      delete process.env.GUIDANT_WORKSPACE_ROOT;
+    } else {
+      process.env.GUIDANT_WORKSPACE_ROOT = previousWorkspaceRoot;
+    }
+    await fs.rm(workspaceRoot, { recursive: true, force: true });
+  });
+
+  it('should list registered and discovered projects', async () => {
+    const registered = await registerProject({ root: 'packages/api', id: 'api', name: 'API' }, workspaceRoot);
+    expect(registered.success).toBe(true);
+    expect(registered.project.root).toBe(apiRoot);
+
+    const duplicate = await registerProject({ root: apiRoot }, workspaceRoot);
+    expect(duplicate.success).toBe(false);
+
+    const projects = await listWorkspaceProjects(workspaceRoot);
+    expect(projects.map(project => [project.id, project.source])).toEqual([
+      ['api', 'registry'],
+      ['packages-web', 'discovered']
+    ]);
+
+    expect((await unregisterProject('api', workspaceRoot)).success).toBe(true);
+    expect((await unregisterProject('api', workspaceRoot)).success).toBe(false);
+  });
+
+  it('should resolve a project by id or root', async () => {
+    await registerProject({ root: 'packages/api', id: 'api' }, workspaceRoot);
+
+    expect(await resolveProjectRoot({ projectId: 'api' }, workspaceRoot)).toBe(apiRoot);
+    expect(await resolveProjectRoot({ projectRoot: 'packages/web' }, workspaceRoot)).toBe(webRoot);
+    expect(await resolveProjectRoot({}, workspaceRoot)).toBe(workspaceRoot);
+    await expect(resolveProjectRoot({ projectId: 'mobile' }, workspaceRoot)).rejects.toThrow('Unknown project id');
+  });
+
+  it('should limit projects to the client roots', async () => {
+    const clientRoots = normalizeClientRoots([{ uri: pathToFileURL(webRoot).href, name: 'web' }]);
+    expect(clientRoots).toEqual([webRoot]);
+
+    const projects = await listWorkspaceProjects(workspaceRoot, { clientRoots });
+    expect(projects.map(project => project.root)).toEqual([webRoot]);
+
+    await expect(resolveProjectRoot({ projectRoot: apiRoot, clientRoots }, workspaceRoot)).rejects.toThrow("outside the client's roots");
+    expect(await resolveProjectRoot({ clientRoots }, workspaceRoot)).toBe(webRoot);
+    expect((await registerProject({ root: apiRoot }, workspaceRoot, { clientRoots })).success).toBe(false);
+  });
+
+  it('should limit projects to the workspace and registered projects without client roots', async () => {
+    const outsideRoot = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-outside-')));
+    try {
+      await expect(resolveProjectRoot({ projectRoot: outsideRoot }, workspaceRoot)).rejects.toThrow('outside the workspace');
+      await expect(resolveProjectRoot({ projectRoot: '../' }, workspaceRoot)).rejects.toThrow('outside the workspace');
+      expect((await registerProject({ root: outsideRoot }, workspaceRoot)).success).toBe(false);
+
+      // Projects registered before the restriction stay reachable
+      await fs.writeFile(
+        path.join(workspaceRoot, 'guidant-workspace.json'),
+        JSON.stringify({ version: 1, projects: [{ id: 'outside', root: outsideRoot }] })
+      );
+      expect(await resolveProjectRoot({ projectRoot: outsideRoot }, workspaceRoot)).toBe(outsideRoot);
+      expect(await resolveProjectRoot({ projectId: 'outside' }, workspaceRoot)).toBe(outsideRoot);
+    } finally {
+      await fs.rm(outsideRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('should aggregate status across projects', async () => {
+    const status = await getWorkspaceStatus(workspaceRoot);
+
+    expect(status.summary.totalProjects).toBe(2);
+    expect(status.summary.initializedProjects).toBe(2);
+    expect(status.summary.byPhase).toEqual({ concept: 2 });
+    expect(status.projects[0].status).toMatchObject({
+      state: 'active',
+      currentPhase: 'concept',
+      readyToAdvance: false
+    });
+  });
+
+  it('should run tools in the selected project', async () => {
+    await registerProject({ root: 'packages/api', id: 'api' }, workspaceRoot);
+
+    const tool = withProjectSelection({
+      name: 'probe',
+      parameters: z.object({ label: z.string() }),
+      execute: async (args) => ({ args, projectRoot: getProjectRoot() })
+    });
+
+    expect(tool.parameters.shape.projectId).toBeDefined();
+
+    const result = await tool.execute({ label: 'x', projectId: 'api' });
+    expect(result).toEqual({ args: { label: 'x' }, projectRoot: apiRoot });
+
+    const unknown = await tool.execute({ label: 'x', projectId: 'mobile' });
+    expect(JSON.parse(unknown.content[0].text).success).toBe(false);
+  });
+
+  it('should keep the scope of each session to itself', async () => {
+    const tool = withProjectSelection({
+      name: 'probe',
+      parameters: z.object({}),
+      execute: async () => getProjectRoot()
+    });
+    const webSession = { clientRoots: [webRoot], projectRoot: webRoot };
+    const openSession = { clientRoots: [] };
+
+    // Both sessions call at once; neither sees the other's roots
+    const [web, open, refused] = await Promise.all([
+      runInSession(webSession, () => tool.execute({})),
+      runInSession(openSession, () => tool.execute({ projectRoot: apiRoot })),
+      runInSession(webSession, () => tool.execute({ projectRoot: apiRoot }))
+    ]);
+
+    expect(web).toBe(webRoot);
+    expect(open).toBe(apiRoot);
+    expect(JSON.parse(refused.content[0].text).error).toContain("outside the client's roots");
+    expect(runInSession(webSession, () => getProjectRoot())).toBe(webRoot);
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * HTTP Transport Tests
+ * Tests for choosing the MCP transport and for the gateway in front of the HTTP transports
+ */
+
+import { describe, it, expect, beforeEach, afterEach, spyOn } from 'bun:test';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { ListRootsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import GuidantEvolutionServer from '../../mcp-server/src/index.js';
+import {
+  resolveTransportConfig,
+  TRANSPORTS,
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  HEALTH_PATH
+} from '../../mcp-server/src/transport-config.js';
+import { startHttpGateway, createAuthenticator } from '../../mcp-server/src/http-gateway.js';
+
+describe('MCP transport configuration', () => {
+  it('should default to stdio', () => {
+    expect(resolveTransportConfig({ argv: [], env: {} })).toEqual({ transportType: TRANSPORTS.STDIO });
+  });
+
+  it('should read the transport from the environment with flags taking precedence', () => {
+    const env = { GUIDANT_MCP_TRANSPORT: 'sse', GUIDANT_MCP_PORT: '4000', GUIDANT_MCP_AUTH_TOKEN: 'one, two' };
+
+    expect(resolveTransportConfig({ argv: [], env })).toEqual({
+      transportType: TRANSPORTS.SSE,
+      host: DEFAULT_HOST,
+      port: 4000,
+      endpoint: '/sse',
+      healthPath: HEALTH_PATH,
+      authTokens: ['one', 'two'],
+      allowedOrigins: []
+    });
+
+    const config = resolveTransportConfig({ argv: ['--transport', 'http', '--port=5000', '--endpoint', '/rpc'], env });
+    expect(config).toMatchObject({ transportType: TRANSPORTS.HTTP_STREAM, port: 5000, endpoint: '/rpc' });
+    expect(resolveTransportConfig({ argv: ['--transport=http'], env: {} }).port).toBe(DEFAULT_PORT);
+  });
+
+  it('should reject invalid values and unauthenticated public hosts', () => {
+    expect(() => resolveTransportConfig({ argv: ['--transport', 'websocket'], env: {} })).toThrow('Unknown transport');
+    expect(() => resolveTransportConfig({ argv: ['--transport', 'http', '--port', '70000'], env: {} })).toThrow('Invalid port');
+    expect(() => resolveTransportConfig({ argv: ['--transport', 'http', '--endpoint', HEALTH_PATH], env: {} })).toThrow('health check');
+    expect(() => resolveTransportConfig({ argv: ['--transport', 'http', '--port'], env: {} })).toThrow('Missing value for --port');
+    expect(() => resolveTransportConfig({ argv: ['--transport', 'http', '--host', '0.0.0.0'], env: {} })).toThrow('GUIDANT_MCP_AUTH_TOKEN');
+
+    const config = resolveTransportConfig({ argv: ['--transport', 'http', '--host', '0.0.0.0'], env: { GUIDANT_MCP_AUTH_TOKEN: 'secret' } });
+    expect(config.host).toBe('0.0.0.0');
+    expect(config.allowedOrigins).toEqual([]);
+
+    const origins = { GUIDANT_MCP_TRANSPORT: 'http', GUIDANT_MCP_ALLOWED_ORIGINS: 'http://localhost:5173/, https://app.example' };
+    expect(resolveTransportConfig({ env: origins }).allowedOrigins).toEqual(['http://localhost:5173', 'https://app.example']);
+    expect(() => resolveTransportConfig({ env: { ...origins, GUIDANT_MCP_ALLOWED_ORIGINS: '*' } })).toThrow('Invalid origin');
+  });
+});
+
+describe('HTTP gateway', () => {
+  let gateway;
+  let baseUrl;
+  let closed;
+
+  beforeEach(async () => {
+    closed = false;
+    // Stands in for the MCP transport: echoes requests and streams on /stream
+    const handler = {
+      handleRequest: async (request, response) => {
+        if (request.url === '/stream') {
+          response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          response.write('event: endpoint\ndata: /messages\n\n');
+          return;
+        }
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+          response.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+          response.end(JSON.stringify({ method: request.method, url: request.url, body }));
+        });
+      },
+      close: async () => {
+        closed = true;
+      }
+    };
+
+    gateway = await startHttpGateway({
+      host: '127.0.0.1',
+      port: 0,
+      healthPath: HEALTH_PATH,
+      authTokens: ['secret'],
+      allowedOrigins: ['http://localhost:5173'],
+      getHealth: () => ({ sessions: 2 }),
+      handler
+    });
+    baseUrl = gateway.url;
+  });
+
+  afterEach(async () => {
+    await gateway.close();
+    expect(closed).toBe(true);
+  });
+
+  it('should answer the health check without a token', async () => {
+    const response = await fetch(`${baseUrl}${HEALTH_PATH}`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: 'ok', sessions: 2 });
+  });
+
+  it('should reject requests without a valid bearer token', async () => {
+    for (const authorization of [undefined, 'Bearer wrong', 'Basic secret']) {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: authorization ? { authorization } : {},
+        body: '{}'
+      });
+      expect(response.status).toBe(401);
+      expect(response.headers.get('www-authenticate')).toContain('Bearer');
+    }
+  });
+
+  it('should answer CORS preflights from allowed origins only', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'OPTIONS',
+      headers: { origin: 'http://localhost:5173' }
+    });
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-origin')).toBe('http://localhost:5173');
+    expect(response.headers.get('access-control-allow-credentials')).toBeNull();
+    expect(response.headers.get('access-control-expose-headers')).toBe('Mcp-Session-Id');
+
+    // Any other web page the user visits is refused, before and after the preflight
+    for (const method of ['OPTIONS', 'POST']) {
+      const foreign = await fetch(`${baseUrl}/mcp`, {
+        method,
+        headers: { origin: 'https://evil.example', authorization: 'Bearer secret' },
+        body: method === 'POST' ? '{}' : undefined
+      });
+      expect(foreign.status).toBe(403);
+      expect(foreign.headers.get('access-control-allow-origin')).toBeNull();
+    }
+  });
+
+  it('should refuse requests addressed to a foreign host while on loopback', async () => {
+    // A DNS rebinding page reaches 127.0.0.1 under its own name
+    const send = host => new Promise((resolve, reject) => {
+      const request = http.request(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { host, authorization: 'Bearer secret' }
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end('{}');
+    });
+
+    expect(await send('evil.example:3737')).toBe(403);
+    expect(await send(new URL(baseUrl).host)).toBe(200);
+    expect(await send('localhost')).toBe(200);
+    expect(await send('[::1]:3737')).toBe(200);
+  });
+
+  it('should hand authorized requests to the transport and stream responses', async () => {
+    const response = await fetch(`${baseUrl}/mcp?x=1`, {
+      method: 'POST',
+      headers: { authorization: 'Bearer secret' },
+      body: '{"jsonrpc":"2.0"}'
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('mcp-session-id')).toBe('session-1');
+    expect(await response.json()).toEqual({ method: 'POST', url: '/mcp?x=1', body: '{"jsonrpc":"2.0"}' });
+
+    const stream = await fetch(`${baseUrl}/stream`, { headers: { authorization: 'Bearer secret' } });
+    const reader = stream.body.getReader();
+    const { value } = await reader.read();
+    expect(new TextDecoder().decode(value)).toContain('event: endpoint');
+    await reader.cancel();
+  });
+
+  it('should reject sessions started without a token in FastMCP as well', async () => {
+    const authenticate = createAuthenticator(['secret']);
+
+    await expect(authenticate({ headers: { authorization: 'Bearer secret' } })).resolves.toEqual({ authenticated: true });
+    const rejection = await authenticate({ headers: {} }).catch(error => error);
+    expect(rejection).toBeInstanceOf(Response);
+    expect(rejection.status).toBe(401);
+  });
+});
+
+describe('MCP server over HTTP', () => {
+  const authTokens = ['secret'];
+  let server;
+  let clients;
+
+  const start = async transportType => {
+    server = new GuidantEvolutionServer({
+      transportType,
+      host: '127.0.0.1',
+      port: 0,
+      endpoint: transportType === TRANSPORTS.SSE ? '/sse' : '/mcp',
+      healthPath: HEALTH_PATH,
+      authTokens
+    });
+    await server.start();
+    return `${server.gateway.url}${server.transport.endpoint}`;
+  };
+
+  const connect = async (transport, client = new Client({ name: 'http-test', version: '1.0.0' })) => {
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of clients) {
+      await client.close();
+    }
+    await server.stop();
+  });
+
+  it('should serve streamable HTTP only through the gateway', async () => {
+    const createServer = spyOn(http, 'createServer');
+    let url;
+    try {
+      url = await start(TRANSPORTS.HTTP_STREAM);
+      // The gateway is the only server listening; there is no inner port to reach around it
+      expect(createServer).toHaveBeenCalledTimes(1);
+    } finally {
+      createServer.mockRestore();
+    }
+
+    const initialize = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'anonymous', version: '1.0.0' } }
+    };
+    const anonymous = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify(initialize)
+    });
+    expect(anonymous.status).toBe(401);
+    expect(server.server.sessions).toHaveLength(0);
+
+    const client = await connect(new StreamableHTTPClientTransport(new URL(url), {
+      requestInit: { headers: { Authorization: 'Bearer secret' } }
+    }));
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name)).toContain('guidant_get_current_task');
+  });
+
+  it('should serve SSE only through the gateway', async () => {
+    const url = await start(TRANSPORTS.SSE);
+
+    const anonymous = await fetch(url, { headers: { Accept: 'text/event-stream' } });
+    expect(anonymous.status).toBe(401);
+
+    const headers = { Authorization: 'Bearer secret' };
+    const client = await connect(new SSEClientTransport(new URL(url), {
+      requestInit: { headers },
+      eventSourceInit: { fetch: (input, init) => fetch(input, { ...init, headers: { ...init?.headers, ...headers } }) }
+    }));
+    const { tools } = await client.listTools();
+    expect(tools.length).toBeGreaterThan(0);
+  });
+
+  it('should keep the roots each client declares to its own session', async () => {
+    const url = await start(TRANSPORTS.SSE);
+    const headers = { Authorization: 'Bearer secret' };
+    const createTransport = () => new SSEClientTransport(new URL(url), {
+      requestInit: { headers },
+      eventSourceInit: { fetch: (input, init) => fetch(input, { ...init, headers: { ...init?.headers, ...headers } }) }
+    });
+    const clientRoot = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-client-root-')));
+
+    try {
+      const rooted = new Client({ name: 'rooted', version: '1.0.0' }, { capabilities: { roots: { listChanged: true } } });
+      rooted.setRequestHandler(ListRootsRequestSchema, async () => ({ roots: [{ uri: pathToFileURL(clientRoot).href }] }));
+      await connect(createTransport(), rooted);
+      const unrooted = await connect(createTransport());
+
+      // Roots are asked for once a session is initialized
+      const sessions = server.server.sessions;
+      for (let attempt = 0; !(sessions.length === 2 && sessions.every(session => server.server.getSessionScope(session).projectRoot)); attempt++) {
+        if (attempt > 100) throw new Error('Timed out waiting for session scopes');
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      const listProjects = async (client, args = {}) =>
+        JSON.parse((await client.callTool({ name: 'guidant_list_projects', arguments: args })).content[0].text);
+
+      expect((await listProjects(rooted)).clientRoots).toEqual([clientRoot]);
+      expect((await listProjects(unrooted)).clientRoots).toEqual([]);
+
+      // The other client's roots do not widen the scope of a client without any
+      const outside = await listProjects(unrooted, { projectRoot: clientRoot });
+      expect(outside.success).toBe(false);
+      expect(outside.error).toContain('outside the workspace');
+    } finally {
+      await fs.rm(clientRoot, { recursive: true, force: true });
+    }
+  });
+});
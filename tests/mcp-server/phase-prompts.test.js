@@ -0,0 +1,96 @@
+/**
+ * Phase Prompts Tests
+ * Tests for the phase and deliverable prompts and the live context they are filled in with
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { initializeProjectStructure, writeProjectFile } from '../../src/file-management/project-structure.js';
+import {
+  listPhasePrompts,
+  registerPhasePrompts,
+  buildDeliverablePrompt
+} from '../../mcp-server/src/prompts/phase-prompts.js';
+import { createEnhancedContextOrchestrator, ContextInjector } from '../../src/ai-integration/index.js';
+import { runInProject } from '../../mcp-server/src/tools/shared/project-context.js';
+import { PHASE_DEFINITIONS } from '../../src/workflow-logic/phase-definitions.js';
+import { QUALITY_GATES } from '../../src/constants/paths.js';
+
+describe('Phase Prompts', () => {
+  let projectRoot;
+  let orchestrator;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-prompts-'));
+    await initializeProjectStructure(projectRoot);
+    orchestrator = createEnhancedContextOrchestrator({ enableCaching: false });
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should list a prompt for every phase and every required deliverable', () => {
+    const prompts = listPhasePrompts();
+    const names = prompts.map(prompt => prompt.name);
+
+    expect(names).toContain('guidant_start_design_phase');
+    expect(names).toContain('guidant_write_user_personas');
+    expect(names).toContain('guidant_draft_api_specification');
+    expect(prompts.filter(prompt => prompt.kind === 'phase')).toHaveLength(Object.keys(PHASE_DEFINITIONS).length);
+    expect(prompts.find(prompt => prompt.name === 'guidant_draft_api_specification')).toMatchObject({
+      kind: 'deliverable',
+      phase: 'architecture',
+      deliverable: 'api_specification'
+    });
+  });
+
+  it('should fill deliverable prompts with the project context and template', async () => {
+    const prompts = {};
+    registerPhasePrompts({ addPrompt: prompt => { prompts[prompt.name] = prompt; } }, { orchestrator });
+
+    const text = await runInProject(projectRoot, () =>
+      prompts.guidant_write_user_personas.load({ focus: 'mobile users first' })
+    );
+
+    expect(text).toContain('# Write the User Personas');
+    expect(text).toContain('writing the user_personas deliverable for the concept phase');
+    expect(text).toContain('Focus: mobile users first');
+    expect(text).toContain('## Pain Points');
+    expect(text).toContain('.guidant/deliverables/research/user_personas.md');
+  });
+
+  it('should show the state of each deliverable in phase prompts', async () => {
+    await writeProjectFile(QUALITY_GATES, {
+      concept: { deliverables: { market_analysis: { state: 'approved' }, user_personas: { state: 'in_review' } } }
+    }, projectRoot);
+    const prompts = {};
+    registerPhasePrompts({ addPrompt: prompt => { prompts[prompt.name] = prompt; } }, { orchestrator });
+
+    const text = await runInProject(projectRoot, () => prompts.guidant_start_concept_phase.load({}));
+
+    expect(text).toContain('Market Analysis (market_analysis): approved');
+    expect(text).toContain('User Personas (user_personas): in review; prompt guidant_write_user_personas');
+    expect(text).toContain('Competitor Research (competitor_research): not started');
+    expect(text).toContain('generate high-quality, relevant tasks');
+  });
+
+  it('should fall back to the minimal context when context generation fails', async () => {
+    const failing = {
+      injector: new ContextInjector(),
+      generateEnhancedContext: async (root, phase, deliverable) => ({
+        success: false,
+        fallbackContext: orchestrator.generateFallbackContext(root, phase, deliverable)
+      })
+    };
+
+    const text = await buildDeliverablePrompt('api_specification', projectRoot, { orchestrator: failing });
+    expect(text).toContain('# Draft the API Specification');
+    expect(text).toContain('Enhanced context generation failed');
+    expect(text).toContain('Note: the project is currently in the concept phase.');
+
+    await expect(buildDeliverablePrompt('unknown_thing', projectRoot, { orchestrator })).rejects.toThrow('No phase requires');
+  });
+});
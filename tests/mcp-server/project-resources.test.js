@@ -0,0 +1,167 @@
+/**
+ * Project Resources Tests
+ * Tests for the guidant:// resources and notifying subscribed clients of file changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceListChangedNotificationSchema, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { initializeProjectStructure, writeProjectFile } from '../../src/file-management/project-structure.js';
+import {
+  resolveResourceUri,
+  resourceUrisForFile,
+  listProjectResources,
+  registerProjectResources
+} from '../../mcp-server/src/resources/project-resources.js';
+import { ResourceSubscriptions } from '../../mcp-server/src/resources/resource-subscriptions.js';
+import { runInProject } from '../../mcp-server/src/tools/shared/project-context.js';
+import { GuidantMCP } from '../../mcp-server/src/guidant-mcp.js';
+import { PRD_FILE, TASK_TICKETS, CURRENT_PHASE } from '../../src/constants/paths.js';
+
+// Connects a client to a server session working on the given project and records its notifications
+const connectClient = async (server, projectRoot) => {
+  const session = await server.createSession();
+  server.getSessionScope(session).projectRoot = projectRoot;
+
+  const client = new Client({ name: 'resources-test', version: '1.0.0' });
+  const notifications = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+    notifications.push({ updated: notification.params.uri });
+  });
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+    notifications.push({ listChanged: true });
+  });
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([client.connect(clientTransport), server.connectSession(session, serverTransport)]);
+  return { client, session, notifications };
+};
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for notification');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('Project Resources', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-resources-'));
+    await initializeProjectStructure(projectRoot);
+    await fs.writeFile(path.join(projectRoot, PRD_FILE), '# PRD\n');
+    await writeProjectFile(path.join(TASK_TICKETS, 'ticket-one.json'), { id: 'T-1', title: 'Login form' }, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should map URIs to project files and refuse unsafe paths', () => {
+    expect(resolveResourceUri('guidant://workflow/current-phase')).toEqual({ file: CURRENT_PHASE, mimeType: 'application/json' });
+    expect(resolveResourceUri('guidant://deliverables/requirements/prd.md')).toEqual({ file: PRD_FILE, mimeType: 'text/markdown' });
+    expect(resolveResourceUri('guidant://deliverables/../project/config.json')).toBeNull();
+    expect(resolveResourceUri('guidant://deliverables/requirements/.hidden')).toBeNull();
+    expect(resolveResourceUri('guidant://unknown')).toBeNull();
+  });
+
+  it('should list every deliverable and ticket and map changed files back to URIs', async () => {
+    const uris = (await listProjectResources(projectRoot)).map(resource => resource.uri);
+    expect(uris).toContain('guidant://project/phases');
+    expect(uris).toContain('guidant://deliverables/requirements/prd.md');
+    expect(uris).toContain('guidant://tickets/T-1');
+
+    expect(await resourceUrisForFile(PRD_FILE, projectRoot)).toEqual({
+      uris: ['guidant://deliverables/requirements/prd.md', 'guidant://deliverables'],
+      list: 'guidant://deliverables'
+    });
+    // Tickets are named by their ID, not their file name
+    expect((await resourceUrisForFile(`${TASK_TICKETS}/ticket-one.json`, projectRoot)).uris[0]).toBe('guidant://tickets/T-1');
+    expect((await resourceUrisForFile(CURRENT_PHASE, projectRoot)).uris).toEqual(['guidant://workflow/current-phase']);
+  });
+
+  it('should load resources for the selected project', async () => {
+    const resources = {};
+    const templates = {};
+    registerProjectResources({
+      addResource: resource => { resources[resource.uri] = resource; },
+      addResourceTemplate: template => { templates[template.uriTemplate] = template; }
+    });
+
+    await runInProject(projectRoot, async () => {
+      expect((await templates['guidant://deliverables/{directory}/{file}'].load({ directory: 'requirements', file: 'prd.md' })).text).toBe('# PRD\n');
+      expect(JSON.parse((await templates['guidant://tickets/{ticketId}'].load({ ticketId: 'T-1' })).text)).toEqual({ id: 'T-1', title: 'Login form' });
+      expect(JSON.parse((await resources['guidant://tickets'].load()).text)[0].uri).toBe('guidant://tickets/T-1');
+      await expect(templates['guidant://tickets/{ticketId}'].load({ ticketId: 'T-9' })).rejects.toThrow('Ticket not found');
+    });
+  });
+
+  it('should notify subscribed sessions when the files behind their resources change', async () => {
+    const server = new GuidantMCP({ name: 'guidant-test', version: '1.0.0' });
+    registerProjectResources(server);
+    const subscriptions = new ResourceSubscriptions({ debounceMs: 50 });
+    server.on('connecting', ({ session }) => subscriptions.attach(session));
+
+    const otherRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-resources-other-'));
+    await initializeProjectStructure(otherRoot);
+    await fs.writeFile(path.join(otherRoot, PRD_FILE), '# Other PRD\n');
+
+    const connections = [];
+    const prdUri = 'guidant://deliverables/requirements/prd.md';
+
+    try {
+      const subscribed = await connectClient(server, projectRoot);
+      const other = await connectClient(server, projectRoot);
+      const elsewhere = await connectClient(server, otherRoot);
+      connections.push(subscribed, other, elsewhere);
+
+      // Announced in the reply to initialize
+      expect(subscribed.client.getServerCapabilities().resources).toMatchObject({ subscribe: true, listChanged: true });
+
+      // Each session lists the resources of its own project
+      const listUris = async ({ client }) => (await client.listResources()).resources.map(resource => resource.uri);
+      expect(await listUris(subscribed)).toContain('guidant://tickets/T-1');
+      expect(await listUris(elsewhere)).not.toContain('guidant://tickets/T-1');
+
+      await subscribed.client.subscribeResource({ uri: prdUri });
+      await other.client.subscribeResource({ uri: 'guidant://tickets' });
+      await elsewhere.client.subscribeResource({ uri: prdUri });
+      await expect(subscribed.client.subscribeResource({ uri: 'guidant://nope' })).rejects.toThrow('Unknown resource');
+
+      await fs.writeFile(path.join(projectRoot, PRD_FILE), '# PRD v2\n');
+      await waitFor(() => subscribed.notifications.length > 0);
+      expect(subscribed.notifications).toEqual([{ updated: prdUri }]);
+      expect(other.notifications).toEqual([]);
+
+      // Adding a deliverable changes the resource list for the sessions on that project
+      await fs.writeFile(path.join(projectRoot, '.guidant/deliverables/requirements/user_stories.md'), '# Stories\n');
+      await waitFor(() => other.notifications.length > 0);
+      expect(other.notifications).toEqual([{ listChanged: true }]);
+
+      // The same URI in another project is watched for its own subscriber only
+      await fs.writeFile(path.join(otherRoot, PRD_FILE), '# Other PRD v2\n');
+      await waitFor(() => elsewhere.notifications.length > 0);
+      expect(elsewhere.notifications).toEqual([{ updated: prdUri }]);
+      expect(subscribed.notifications).toEqual([{ updated: prdUri }, { listChanged: true }]);
+
+      await subscribed.client.unsubscribeResource({ uri: prdUri });
+      subscribed.notifications.length = 0;
+      await fs.writeFile(path.join(projectRoot, PRD_FILE), '# PRD v3\n');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(subscribed.notifications).toEqual([]);
+    } finally {
+      for (const { client, session } of connections) {
+        await client.close();
+        await server.closeSession(session);
+      }
+      await subscriptions.close();
+      await fs.rm(otherRoot, { recursive: true, force: true });
+    }
+  }, 15000);
+});
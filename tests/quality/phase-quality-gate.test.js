@@ -0,0 +1,240 @@
+/**
+ * Phase Quality Gate Tests
+ * Tests for quality thresholds and blocking rules enforced on phase advancement
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { advancePhase, markDeliverableComplete } from '../../src/workflow-logic/workflow-engine.js';
+import { acceptPhaseQuality, checkPhaseApprovals, recordApproval } from '../../src/workflow-logic/phase-approvals.js';
+import { getCurrentWorkflowState } from '../../src/workflow-logic/workflow-state-manager.js';
+import { checkPhaseQuality } from '../../src/quality/phase-quality-gate.js';
+import { QualityOrchestrator } from '../../src/quality/quality-orchestrator.js';
+import { getDecisions } from '../../src/context/decision-tracker.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PHASE_DEFINITIONS_FILE,
+  DELIVERABLES_DIR,
+  DECISIONS
+} from '../../src/constants/paths.js';
+
+const weakBrief = `# Brief
+
+Some notes.
+`;
+
+const strongBrief = `# Product Brief
+
+## Executive Summary
+This brief describes a scheduling assistant for small clinics. It covers the problem we are solving,
+the people we are solving it for and how we will know that the product works once it ships.
+
+## Problem Statement
+Clinic staff spend hours every week rescheduling appointments by phone. Missed appointments cost
+clinics revenue and leave patients waiting longer for care than they need to.
+
+## Target Audience
+- Front desk staff at clinics with fewer than twenty practitioners
+- Practice managers who own the clinic calendar
+- Patients who book and move appointments themselves
+
+## Goals
+1. Reduce time spent rescheduling by half within three months of launch
+2. Cut missed appointments by a quarter through reminders and easy rebooking
+3. Let patients move their own appointments without calling the clinic
+
+## Scope
+The first release covers booking, rescheduling and reminders. Billing and clinical records stay in
+the systems clinics already use, and we integrate with them through their existing exports.
+
+## Success Metrics
+We will track rescheduling time, missed appointment rate and the share of bookings made by patients.
+Each metric is measured monthly and compared with the baseline we collect during the pilot.
+
+## Risks
+Clinics may be reluctant to change their booking process. We will run a pilot with three clinics and
+adjust the onboarding based on what we learn before opening the product to everyone.
+`;
+
+// Small custom workflow so advancing does not run the built-in transformers
+const phaseDefinitions = {
+  phases: {
+    discovery: {
+      name: 'Discovery',
+      roles: ['research_agent'],
+      requiredDeliverables: ['product_brief'],
+      qualityThresholds: { product_brief: 70 },
+      deliverableDirectory: 'discovery',
+      nextPhase: 'build'
+    },
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+describe('Phase Quality Gate', () => {
+  let projectRoot;
+
+  async function writeBrief(content) {
+    const directory = path.join(projectRoot, DELIVERABLES_DIR, 'discovery');
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, 'product-brief.md'), content);
+  }
+
+  async function useDefinitions(discovery) {
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, {
+      phases: { ...phaseDefinitions.phases, discovery: { ...phaseDefinitions.phases.discovery, ...discovery } }
+    }, projectRoot);
+  }
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-quality-gate-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, {
+      current: 'discovery',
+      phases: { discovery: { status: 'active' }, build: { status: 'pending' } }
+    }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'discovery', progress: 0 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+    await markDeliverableComplete('product_brief', projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should refuse to advance with feedback when a deliverable scores below its threshold', async () => {
+    await writeBrief(weakBrief);
+
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Quality gate failed');
+    expect(result.qualityFailures).toHaveLength(1);
+
+    const [failure] = result.qualityFailures;
+    expect(failure).toMatchObject({ deliverable: 'product_brief', minScore: 70, passed: false });
+    expect(failure.score).toBeLessThan(70);
+    expect(failure.reason).toContain('below 70');
+    expect(failure.feedback.improvements.length).toBeGreaterThan(0);
+  });
+
+  it('should refuse to advance when the deliverable file is missing', async () => {
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(false);
+    expect(result.qualityFailures[0].reason).toContain('no file found');
+  });
+
+  it('should advance once the deliverable meets its threshold', async () => {
+    await writeBrief(strongBrief);
+
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(true);
+    expect(result.nextPhase).toBe('build');
+    expect(result.qualityOverride).toBeUndefined();
+  });
+
+  it('should advance on an override a person recorded and keep it as a decision', async () => {
+    await writeBrief(weakBrief);
+    const accepted = await acceptPhaseQuality('discovery', {
+      approver: 'dana',
+      comment: 'Pilot deadline, brief is expanded during build'
+    }, projectRoot);
+    expect(accepted.success).toBe(true);
+
+    const result = await advancePhase(projectRoot, undefined, { actor: 'agent' });
+    expect(result.success).toBe(true);
+    expect(result.qualityOverride).toMatchObject({
+      reason: 'Pilot deadline, brief is expanded during build',
+      acceptedBy: 'dana',
+      approvalId: accepted.approval.id
+    });
+
+    const { decisions } = await getDecisions({ phase: 'discovery' }, projectRoot);
+    const decision = decisions.find(entry => entry.id === result.qualityOverride.decisionId);
+    expect(decision.rationale).toBe('Pilot deadline, brief is expanded during build');
+    expect(decision.metadata.recordedBy).toBe('dana');
+    expect(decision.metadata.tags).toContain('quality-override');
+    expect(decision.metadata.context.failures[0].deliverable).toBe('product_brief');
+  });
+
+  it('should not count quality overrides as approvals or from before the phase was reopened', async () => {
+    await writeBrief(weakBrief);
+    await acceptPhaseQuality('discovery', { comment: 'Pilot deadline' }, projectRoot);
+    expect((await checkPhaseApprovals('discovery', projectRoot)).approvals).toEqual([]);
+
+    const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+    phases.phases.discovery.reopenedAt = new Date(Date.now() + 1000).toISOString();
+    await writeProjectFile(PROJECT_PHASES, phases, projectRoot);
+
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(false);
+    expect(result.qualityFailures).toHaveLength(1);
+  });
+
+  it('should refuse overrides without a reason or for inactive phases', async () => {
+    expect((await acceptPhaseQuality('discovery', { comment: ' ' }, projectRoot)).error).toContain('reason is required');
+    expect((await acceptPhaseQuality('build', { comment: 'Pilot deadline' }, projectRoot)).error).toContain('not active');
+    expect((await recordApproval('discovery', { role: 'quality_override', comment: 'Pilot deadline' }, projectRoot)).success).toBe(false);
+  });
+
+  it('should not advance on an override that could not be recorded', async () => {
+    await writeBrief(weakBrief);
+    await acceptPhaseQuality('discovery', { comment: 'Pilot deadline' }, projectRoot);
+    await fs.writeFile(path.join(projectRoot, DECISIONS), '{not json');
+
+    const result = await advancePhase(projectRoot);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Could not record the quality override');
+
+    const state = await getCurrentWorkflowState(projectRoot);
+    expect(state.currentPhase.phase).toBe('discovery');
+    expect(state.phases.phases.discovery.status).toBe('active');
+  });
+
+  it('should fail deliverables that fail a blocking rule regardless of score', async () => {
+    await useDefinitions({ qualityThresholds: { product_brief: 0 }, blockingRules: ['content-length'] });
+    await writeBrief(weakBrief);
+
+    const state = await getCurrentWorkflowState(projectRoot);
+    const gate = await checkPhaseQuality('discovery', state, projectRoot);
+    expect(gate.isReady).toBe(false);
+    expect(gate.failures[0].failedBlockingRules).toEqual(['content-length']);
+    expect(gate.failures[0].reason).toContain('failed blocking rules: content-length');
+  });
+
+  it('should not check phases without thresholds or blocking rules', async () => {
+    await useDefinitions({ qualityThresholds: undefined });
+
+    const state = await getCurrentWorkflowState(projectRoot);
+    expect(await checkPhaseQuality('discovery', state, projectRoot)).toEqual({ isReady: true, results: [], failures: [] });
+  });
+
+  it('should use the configured minimum score for transition readiness', () => {
+    const orchestrator = new QualityOrchestrator(projectRoot, { cacheEnabled: false });
+    const qualityScore = {
+      overallScore: 72,
+      passThreshold: 75,
+      ruleResults: [{ ruleId: 'content-length', passed: true }, { ruleId: 'structure-completeness', passed: false }]
+    };
+
+    expect(orchestrator.assessTransitionReadiness(qualityScore, { configuration: { minScore: 70 } })).toBe(true);
+    expect(orchestrator.assessTransitionReadiness(qualityScore, { configuration: { minScore: 80 } })).toBe(false);
+    expect(orchestrator.assessTransitionReadiness(qualityScore, {
+      configuration: { minScore: 70, blockingRules: ['structure-completeness'] }
+    })).toBe(false);
+  });
+});
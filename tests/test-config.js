@@ -34,12 +34,13 @@ const mockAIResponse = {
 // Wrap fetch with rate limiting for AI API calls
 const originalFetch = global.fetch;
 global.fetch = async (url, options) => {
-  // Detect AI provider from URL
+  // Detect AI provider from URL; the MCP SDK passes URL and Request objects
+  const href = url instanceof Request ? url.url : String(url);
   let provider = 'default';
-  if (url.includes('openrouter.ai')) provider = 'openrouter';
-  else if (url.includes('anthropic.com')) provider = 'anthropic';
-  else if (url.includes('perplexity.ai')) provider = 'perplexity';
-  else if (url.includes('mistral.ai')) provider = 'mistral';
+  if (href.includes('openrouter.ai')) provider = 'openrouter';
+  else if (href.includes('anthropic.com')) provider = 'anthropic';
+  else if (href.includes('perplexity.ai')) provider = 'perplexity';
+  else if (href.includes('mistral.ai')) provider = 'mistral';
 
   // Use rate limiting for AI API calls
   if (provider !== 'default') {
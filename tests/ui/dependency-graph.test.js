@@ -7,6 +7,7 @@ import { describe, it, expect, beforeEach } from 'bun:test';
 import React from 'react';
 import { render } from 'ink-testing-library';
 import { DependencyGraph } from '../../src/ui/ink/components/DependencyGraph.jsx';
+import { buildTicketGraph } from '../../src/workflow-logic/task-dependencies.js';
 
 describe('DependencyGraph Component', () => {
   let mockTasks;
@@ -359,4 +360,22 @@ describe('DependencyGraph Component', () => {
       expect(output).toContain('75%'); // Current task progress
     });
   });
+
+  describe('Ticket Graph', () => {
+    it('should draw implementation tickets linked with dependsOn', () => {
+      const graph = buildTicketGraph([
+        { id: 'T-1', title: 'Schema', priority: 'high', status: 'done' },
+        { id: 'T-2', title: 'API', priority: 'high', status: 'pending', dependsOn: ['T-1'] },
+        { id: 'T-3', title: 'UI', priority: 'medium', status: 'pending', dependsOn: ['T-2'] }
+      ]);
+
+      const { lastFrame } = render(<DependencyGraph tasks={graph.nodes} compact={true} />);
+
+      const output = lastFrame();
+      expect(output).toContain('API');
+      expect(output).not.toContain('Schema'); // Done tickets are hidden like completed tasks
+      expect(output).toMatch(/UI \(medium\) 🚫/); // UI waits on the API ticket
+      expect(output).not.toMatch(/API \(high\) 🚫/);
+    });
+  });
 });
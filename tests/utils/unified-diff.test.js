@@ -0,0 +1,67 @@
+/**
+ * Unified Diff Tests
+ * Tests for line diffs and unified diff hunks between deliverable versions
+ */
+
+import { describe, it, expect } from 'bun:test';
+import { createUnifiedDiff, diffLines } from '../../src/utils/unified-diff.js';
+
+const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+const text = list => `${list.join('\n')}\n`;
+
+describe('createUnifiedDiff', () => {
+  it('should return an empty diff for identical texts', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toEqual({ diff: '', added: 0, removed: 0 });
+  });
+
+  it('should mark removed and added lines', () => {
+    expect(diffLines('a\nb\nc\n', 'a\nx\nc\n')).toEqual([
+      { type: ' ', line: 'a' },
+      { type: '-', line: 'b' },
+      { type: '+', line: 'x' },
+      { type: ' ', line: 'c' }
+    ]);
+  });
+
+  it('should print hunks with three lines of context', () => {
+    const before = lines(20);
+    const after = [...before];
+    after[9] = 'changed';
+
+    const { diff, added, removed } = createUnifiedDiff(text(before), text(after), { fromLabel: 'prd.md@v1', toLabel: 'prd.md@v2' });
+    expect(added).toBe(1);
+    expect(removed).toBe(1);
+    expect(diff).toBe([
+      '--- prd.md@v1',
+      '+++ prd.md@v2',
+      '@@ -7,7 +7,7 @@',
+      ' line 7',
+      ' line 8',
+      ' line 9',
+      '-line 10',
+      '+changed',
+      ' line 11',
+      ' line 12',
+      ' line 13',
+      ''
+    ].join('\n'));
+  });
+
+  it('should merge changes whose context overlaps and split distant ones', () => {
+    const before = lines(40);
+    const near = [...before];
+    near[5] = 'a';
+    near[10] = 'b';
+    expect(createUnifiedDiff(text(before), text(near)).diff.match(/^@@/gm)).toHaveLength(1);
+
+    const far = [...before];
+    far[5] = 'a';
+    far[30] = 'b';
+    const { diff } = createUnifiedDiff(text(before), text(far));
+    expect(diff.match(/^@@.*@@$/gm)).toEqual(['@@ -3,7 +3,7 @@', '@@ -28,7 +28,7 @@']);
+  });
+
+  it('should diff against an empty text', () => {
+    expect(createUnifiedDiff('', 'new\n').diff).toBe('--- a\n+++ b\n@@ -0,0 +1 @@\n+new\n');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Workflow Migration Tests
+ * Tests for planning, applying and reverting a move to another project type or complexity
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { AdaptiveWorkflowGenerator } from '../../src/workflow-intelligence/adaptive-workflow.js';
+import { PROJECT_TYPES, COMPLEXITY_LEVELS } from '../../src/workflow-intelligence/project-classifier.js';
+import {
+  migrateWorkflow,
+  revertWorkflowMigration,
+  getWorkflowMigrations,
+  MIGRATION_DIRECTIONS,
+  MIGRATION_STATUSES
+} from '../../src/workflow-intelligence/workflow-migration.js';
+import { transitionDeliverable, DELIVERABLE_STATES } from '../../src/workflow-logic/deliverable-lifecycle.js';
+import { readJournal, JOURNAL_EVENT_TYPES } from '../../src/workflow-logic/workflow-journal.js';
+import { PROJECT_METADATA, PROJECT_PHASES, QUALITY_GATES, WORKFLOW_MIGRATIONS } from '../../src/constants/paths.js';
+
+describe('Workflow Migration', () => {
+  let projectRoot;
+  let approved;
+
+  const readWorkflow = async () => ({
+    phases: await readProjectFile(PROJECT_PHASES, projectRoot),
+    qualityGates: await readProjectFile(QUALITY_GATES, projectRoot)
+  });
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-migration-'));
+    await initializeProjectStructure(projectRoot);
+
+    const generator = new AdaptiveWorkflowGenerator();
+    const workflow = await generator.generateWorkflow({
+      type: 'prototype',
+      projectType: PROJECT_TYPES.prototype,
+      complexity: COMPLEXITY_LEVELS.simple
+    }, projectRoot);
+    await generator.applyWorkflow(workflow, projectRoot);
+
+    // Finish the concept phase of the prototype
+    approved = workflow.qualityGates.concept.required[0];
+    const { qualityGates } = transitionDeliverable(workflow.qualityGates, 'concept', approved, DELIVERABLE_STATES.APPROVED);
+    await writeProjectFile(QUALITY_GATES, qualityGates, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should plan a migration without changing anything on a dry run', async () => {
+    const before = await readWorkflow();
+
+    const result = await migrateWorkflow({ projectType: 'product', complexity: 'simple' }, projectRoot, { dryRun: true });
+    expect(result).toMatchObject({ success: true, dryRun: true, applied: false });
+    expect(result.plan.direction).toBe(MIGRATION_DIRECTIONS.UPGRADE);
+    expect(result.plan.phases.added).toEqual(['requirements', 'architecture', 'deployment']);
+    expect(result.plan.phases.removed).toEqual([]);
+    expect(result.plan.deliverables.carriedOver).toEqual([{ phase: 'concept', deliverable: approved }]);
+    expect(result.plan.gates.newlyRequired.some(gate => gate.phase === 'architecture')).toBe(true);
+
+    expect(await readWorkflow()).toEqual(before);
+    expect(await getWorkflowMigrations(projectRoot)).toEqual([]);
+  });
+
+  it('should apply a migration and keep approved deliverables', async () => {
+    const result = await migrateWorkflow({ projectType: 'product' }, projectRoot, { actor: 'lead' });
+    expect(result).toMatchObject({ success: true, applied: true, migration: { id: 'MIG-001' } });
+
+    const { phases, qualityGates } = await readWorkflow();
+    expect(Object.keys(qualityGates)).toEqual(PROJECT_TYPES.product.phases);
+    expect(phases.phases.requirements.status).toBe('pending');
+    expect(qualityGates.concept.deliverables[approved].state).toBe(DELIVERABLE_STATES.APPROVED);
+
+    const metadata = await readProjectFile(PROJECT_METADATA, projectRoot);
+    expect(metadata.workflow).toMatchObject({ projectType: 'product', complexity: 'enterprise' });
+
+    const events = await readJournal(projectRoot, { types: [JOURNAL_EVENT_TYPES.WORKFLOW_MIGRATED] });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ actor: 'lead', payload: { migrationId: 'MIG-001', reverted: false } });
+  });
+
+  it('should revert the latest migration to the previous workflow', async () => {
+    const before = await readWorkflow();
+    await migrateWorkflow({ projectType: 'product' }, projectRoot);
+
+    const result = await revertWorkflowMigration(undefined, projectRoot);
+    expect(result).toMatchObject({ success: true, discardedChanges: false, migration: { id: 'MIG-001' } });
+    expect(await readWorkflow()).toEqual(before);
+
+    const [migration] = await readProjectFile(WORKFLOW_MIGRATIONS, projectRoot);
+    expect(migration.status).toBe(MIGRATION_STATUSES.REVERTED);
+
+    const again = await revertWorkflowMigration('MIG-001', projectRoot);
+    expect(again.success).toBe(false);
+  });
+
+  it('should refuse to revert over later changes unless forced', async () => {
+    const before = await readWorkflow();
+    await migrateWorkflow({ projectType: 'product' }, projectRoot);
+
+    const { qualityGates } = await readWorkflow();
+    const required = qualityGates.requirements.required[0];
+    const changed = transitionDeliverable(qualityGates, 'requirements', required, DELIVERABLE_STATES.IN_PROGRESS);
+    await writeProjectFile(QUALITY_GATES, changed.qualityGates, projectRoot);
+
+    const refused = await revertWorkflowMigration('MIG-001', projectRoot);
+    expect(refused.success).toBe(false);
+    expect(refused.error).toContain('force');
+
+    const forced = await revertWorkflowMigration('MIG-001', projectRoot, { force: true });
+    expect(forced).toMatchObject({ success: true, discardedChanges: true });
+    expect(await readWorkflow()).toEqual(before);
+  });
+});
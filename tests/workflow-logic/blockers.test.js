@@ -0,0 +1,177 @@
+/**
+ * Blocker Tests
+ * Tests for blocker records and how they keep blocked work out of task generation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import {
+  getBlockers,
+  createBlocker,
+  recordReportedBlockers,
+  resolveBlocker,
+  BLOCKER_STATUSES
+} from '../../src/workflow-logic/blockers.js';
+import {
+  generateNextTask,
+  getDeliverableTaskKey,
+  getTicketTaskKey
+} from '../../src/workflow-logic/task-generation-service.js';
+import { reportTicketProgress } from '../../src/workflow-logic/ticket-subtasks.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PHASE_DEFINITIONS_FILE,
+  TASK_TICKETS,
+  DEPENDENCIES
+} from '../../src/constants/paths.js';
+
+const tickets = [
+  { id: 'T-1', title: 'Schema', priority: 'critical', status: 'pending' },
+  { id: 'T-2', title: 'API', priority: 'high', status: 'pending' }
+];
+
+const phaseDefinitions = {
+  phases: {
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+const capabilities = { roles: ['development_agent'] };
+
+describe('Blockers', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-blockers-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, { current: 'build', phases: { build: { status: 'active' } } }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'build', progress: 0 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+    for (const ticket of tickets) {
+      await writeProjectFile(path.join(TASK_TICKETS, `${ticket.id}.json`), { ...ticket, phase: 'build' }, projectRoot);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should record blockers with an ID, severity, target and owner', async () => {
+    const result = await createBlocker({
+      description: 'Waiting for database credentials',
+      ticketId: 'T-1',
+      severity: 'high',
+      owner: 'ops',
+      reportedBy: 'dev'
+    }, projectRoot);
+
+    expect(result.success).toBe(true);
+    expect(result.blocker).toMatchObject({
+      id: 'BLK-001',
+      severity: 'high',
+      target: { type: 'ticket', id: 'T-1' },
+      owner: 'ops',
+      status: BLOCKER_STATUSES.OPEN,
+      reportedBy: 'dev'
+    });
+
+    const stored = await readProjectFile(DEPENDENCIES, projectRoot);
+    expect(stored.blockers).toHaveLength(1);
+    expect(stored.tasks).toEqual([]);
+  });
+
+  it('should turn reported blockers into records without duplicating open ones', async () => {
+    await recordReportedBlockers(['Design not signed off'], { deliverable: 'code' }, projectRoot);
+    const again = await recordReportedBlockers(['Design not signed off', 'No test data'], { deliverable: 'code' }, projectRoot);
+
+    expect(again.created.map(blocker => blocker.id)).toEqual(['BLK-002']);
+    expect(again.existing.map(blocker => blocker.id)).toEqual(['BLK-001']);
+    expect(again.created[0].target).toEqual({ type: 'deliverable', id: 'code', phase: 'build' });
+  });
+
+  it('should skip blocked work and hand open blockers out with the task', async () => {
+    await createBlocker({ description: 'Waiting for credentials', ticketId: 'T-1', severity: 'critical' }, projectRoot);
+
+    const task = await generateNextTask(capabilities, projectRoot);
+    expect(task.task.id).toBe('T-2');
+    expect(task.openBlockers.map(blocker => blocker.id)).toEqual(['BLK-001']);
+  });
+
+  it('should report when all open work is blocked', async () => {
+    await createBlocker({ description: 'Waiting for credentials', ticketId: 'T-1' }, projectRoot);
+    await createBlocker({ description: 'API spec missing', ticketId: 'T-2' }, projectRoot);
+    await createBlocker({ description: 'Repository access', deliverable: 'code' }, projectRoot);
+
+    const task = await generateNextTask(capabilities, projectRoot);
+    expect(task.type).toBe('blocked');
+    expect(task.openBlockers).toHaveLength(3);
+  });
+
+  it('should report blocked work apart from work claimed by other agents', async () => {
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, {
+      phases: { build: { ...phaseDefinitions.phases.build, requiredDeliverables: ['code', 'docs'] } }
+    }, projectRoot);
+    await createBlocker({ description: 'Waiting for credentials', ticketId: 'T-1' }, projectRoot);
+    await createBlocker({ description: 'Repository access', deliverable: 'code' }, projectRoot);
+
+    const task = await generateNextTask(capabilities, projectRoot, {
+      excludeTasks: [getTicketTaskKey('T-2'), getDeliverableTaskKey('build', 'docs')]
+    });
+    expect(task.type).toBe('no_available_task');
+    expect(task.message).toContain('1 open task is claimed by another agent and 1 is blocked');
+    expect(task.blockedWork).toEqual([{ phase: 'build', deliverable: 'code' }]);
+    expect(task.claimedWork).toEqual([{ phase: 'build', deliverable: 'docs' }]);
+  });
+
+  it('should pick blocked work up again once the blocker is resolved', async () => {
+    await createBlocker({ description: 'Waiting for credentials', ticketId: 'T-1' }, projectRoot);
+
+    const resolved = await resolveBlocker('BLK-001', { resolution: 'Credentials shared', resolvedBy: 'ops' }, projectRoot);
+    expect(resolved.blocker).toMatchObject({ status: 'resolved', resolution: 'Credentials shared', resolvedBy: 'ops' });
+
+    const task = await generateNextTask(capabilities, projectRoot);
+    expect(task.task.id).toBe('T-1');
+    expect(task.openBlockers).toBeUndefined();
+
+    expect(await getBlockers(projectRoot, { status: BLOCKER_STATUSES.OPEN })).toEqual([]);
+    expect(await getBlockers(projectRoot, { ticketId: 'T-1' })).toHaveLength(1);
+  });
+
+  it('should offer a ticket reported as blocked again once its last blocker is resolved', async () => {
+    await reportTicketProgress('T-1', 'blocked', {}, projectRoot);
+    await recordReportedBlockers(['Waiting for credentials', 'No staging database'], { ticketId: 'T-1' }, projectRoot);
+    expect((await generateNextTask(capabilities, projectRoot)).task.id).toBe('T-2');
+
+    const first = await resolveBlocker('BLK-001', { resolution: 'Credentials shared' }, projectRoot);
+    expect(first.message).toContain('still blocked by BLK-002');
+    expect((await generateNextTask(capabilities, projectRoot)).task.id).toBe('T-2');
+
+    const last = await resolveBlocker('BLK-002', { resolution: 'Database provisioned' }, projectRoot);
+    expect(last.ticketStatus).toBe('in_progress');
+    expect((await readProjectFile(path.join(TASK_TICKETS, 'T-1.json'), projectRoot)).status).toBe('in_progress');
+    expect((await generateNextTask(capabilities, projectRoot)).task.id).toBe('T-1');
+  });
+
+  it('should reject incomplete or unknown blockers', async () => {
+    expect((await createBlocker({ description: 'Something' }, projectRoot)).error).toContain('must name the ticket or deliverable');
+    expect((await createBlocker({ description: 'Something', ticketId: 'T-9' }, projectRoot)).error).toContain('Unknown ticket');
+    expect((await createBlocker({ description: 'Something', ticketId: 'T-1', severity: 'urgent' }, projectRoot)).error).toContain('Unknown severity');
+    expect((await resolveBlocker('BLK-404', { resolution: 'Done' }, projectRoot)).error).toContain('Unknown blocker');
+    expect((await resolveBlocker('BLK-001', {}, projectRoot)).error).toContain('resolution is required');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Deliverable Templates Tests
+ * Tests for deliverable scaffolding templates, project overrides and the sections the
+ * structure rule expects
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { initializeProjectStructure, writeProjectFile } from '../../src/file-management/project-structure.js';
+import {
+  DELIVERABLE_TEMPLATES,
+  getDeliverableTemplate,
+  getTemplateSections,
+  listDeliverableTemplates,
+  renderDeliverableTemplate
+} from '../../src/workflow-logic/deliverable-templates.js';
+import { PHASE_DEFINITIONS } from '../../src/workflow-logic/phase-definitions.js';
+import { StructureCompletenessRule } from '../../src/quality/rules/structure-completeness-rule.js';
+import { DELIVERABLE_TEMPLATES_DIR, PROJECT_CONFIG } from '../../src/constants/paths.js';
+
+const customApiTemplate = `# API Contract
+
+## Endpoints
+
+## Webhooks
+
+## Rate Limits
+`;
+
+// Parse rendered Markdown into the shape the structure rule reads
+const toMarkdownContent = markdown => {
+  const headings = [...markdown.matchAll(/^(#{1,6})\s+(.+)$/gm)].map(match => ({ level: match[1].length, text: match[2] }));
+  return {
+    type: 'markdown',
+    title: headings.find(heading => heading.level === 1)?.text,
+    headings,
+    sections: headings.filter(heading => heading.level === 2).map(heading => ({ heading: heading.text }))
+  };
+};
+
+describe('Deliverable Templates', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-templates-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PROJECT_CONFIG, { name: 'Task Tracker' }, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should have a built-in template for every required deliverable', () => {
+    const required = Object.values(PHASE_DEFINITIONS).flatMap(phase => phase.requiredDeliverables);
+    expect(required.filter(deliverable => !DELIVERABLE_TEMPLATES[deliverable])).toEqual([]);
+  });
+
+  it('should render a skeleton that passes the structure rule', async () => {
+    const { template, content } = await renderDeliverableTemplate('market_analysis', projectRoot);
+    expect(template.source).toBe('built-in');
+    expect(content).toStartWith('# Market Analysis: Task Tracker\n');
+    expect(content).toContain('## Competitive Analysis\n\n<!-- ');
+
+    const rule = new StructureCompletenessRule();
+    const result = await rule.evaluate(toMarkdownContent(content), { deliverableType: 'market_analysis', projectRoot });
+    expect(result.details.missing).toEqual([]);
+    expect(result.details.requirements.requiredSections).toEqual(
+      ['executive summary', 'market overview', 'target audience', 'competitive analysis', 'opportunities']
+    );
+
+    const { content: bare } = await renderDeliverableTemplate('market_analysis', projectRoot, { includeGuidance: false });
+    expect(bare).not.toContain('<!--');
+  });
+
+  it('should use a project override for the template and the structure rule', async () => {
+    const overridePath = path.join(projectRoot, DELIVERABLE_TEMPLATES_DIR, 'api_specification.md');
+    await fs.mkdir(path.dirname(overridePath), { recursive: true });
+    await fs.writeFile(overridePath, customApiTemplate, 'utf8');
+
+    const template = await getDeliverableTemplate('api_specification', projectRoot);
+    expect(template).toMatchObject({ title: 'API Contract', source: 'project', path: `${DELIVERABLE_TEMPLATES_DIR}/api_specification.md` });
+    expect(await getTemplateSections('api_specification', projectRoot)).toEqual(['endpoints', 'webhooks', 'rate limits']);
+    expect((await renderDeliverableTemplate('api_specification', projectRoot)).content).toBe(customApiTemplate);
+
+    const rule = new StructureCompletenessRule();
+    const builtInShape = toMarkdownContent([
+      '# API Specification',
+      ...DELIVERABLE_TEMPLATES.api_specification.sections.map(([heading]) => `## ${heading}`)
+    ].join('\n'));
+    const result = await rule.evaluate(builtInShape, { deliverableType: 'api_specification', projectRoot });
+    expect(result.details.missing).toEqual(['webhooks', 'rate limits']);
+
+    const listed = await listDeliverableTemplates(projectRoot);
+    expect(listed.find(entry => entry.type === 'api_specification')).toMatchObject({ source: 'project', phase: 'architecture' });
+  });
+
+  it('should fall back to a generic skeleton that the structure rule does not check', async () => {
+    const template = await getDeliverableTemplate('release_notes', projectRoot);
+    expect(template.source).toBe('generic');
+    expect(template.title).toBe('Release Notes');
+    expect(await getTemplateSections('release_notes', projectRoot)).toEqual([]);
+    expect(await getDeliverableTemplate('../secrets', projectRoot)).toMatchObject({ source: 'generic' });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Deliverable Versions Tests
+ * Tests for keeping, comparing and restoring saved versions of deliverables
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { initializeProjectStructure } from '../../src/file-management/project-structure.js';
+import {
+  saveDeliverableVersion,
+  recordDeliverableVersion,
+  getDeliverableVersions,
+  getDeliverableVersion,
+  diffDeliverableVersions,
+  restoreDeliverableVersion,
+  scoreDeliverableVersion,
+  VERSION_SOURCES
+} from '../../src/workflow-logic/deliverable-versions.js';
+import { REQUIREMENTS_DIR } from '../../src/constants/paths.js';
+
+const prdV1 = `# Product Requirements
+
+## Features
+- Create tasks
+- Assign tasks
+`;
+
+const prdV2 = `# Product Requirements
+
+## Features
+- Create tasks
+- Assign tasks to teammates
+- Track progress on a board
+`;
+
+describe('Deliverable Versions', () => {
+  let projectRoot;
+  const prdFile = path.join(REQUIREMENTS_DIR, 'prd.md');
+
+  const save = (content, author) => saveDeliverableVersion(prdFile, content, {
+    deliverable: 'prd_complete',
+    phase: 'requirements',
+    author,
+    projectRoot
+  });
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-versions-'));
+    await initializeProjectStructure(projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should keep every save that changes the content as a version', async () => {
+    const first = await save(prdV1, 'agent-a');
+    const second = await save(prdV2, 'agent-b');
+    const repeated = await save(prdV2, 'agent-b');
+
+    expect(first).toMatchObject({ created: true, version: { version: 1, author: 'agent-a', phase: 'requirements' } });
+    expect(second).toMatchObject({ created: true, version: { version: 2, author: 'agent-b', source: VERSION_SOURCES.SAVE } });
+    expect(repeated).toMatchObject({ created: false, version: { version: 2 } });
+    expect(first.version.contentHash).not.toBe(second.version.contentHash);
+
+    expect(await fs.readFile(path.join(projectRoot, prdFile), 'utf8')).toBe(prdV2);
+
+    const byName = await getDeliverableVersions('prd_complete', projectRoot);
+    const byPath = await getDeliverableVersions('requirements/prd.md', projectRoot);
+    expect(byName.file).toBe('.guidant/deliverables/requirements/prd.md');
+    expect(byPath.versions).toEqual(byName.versions);
+    expect(byName.versions).toHaveLength(2);
+
+    expect((await getDeliverableVersion('prd_complete', 1, projectRoot)).content).toBe(prdV1);
+  });
+
+  it('should record hand edits and show a unified diff between versions', async () => {
+    await save(prdV1, 'agent-a');
+    await fs.writeFile(path.join(projectRoot, prdFile), prdV2, 'utf8');
+
+    const edited = await recordDeliverableVersion(prdFile, { author: 'editor', projectRoot });
+    expect(edited.version).toMatchObject({ version: 2, source: VERSION_SOURCES.EDIT, deliverable: 'prd_complete' });
+
+    const result = await diffDeliverableVersions('prd_complete', 1, undefined, projectRoot);
+    expect(result).toMatchObject({ success: true, identical: false, added: 2, removed: 1 });
+    expect(result.diff).toContain('--- .guidant/deliverables/requirements/prd.md@v1');
+    expect(result.diff).toContain('-- Assign tasks\n+- Assign tasks to teammates\n+- Track progress on a board');
+
+    const missing = await diffDeliverableVersions('prd_complete', 1, 9, projectRoot);
+    expect(missing.success).toBe(false);
+  });
+
+  it('should restore an older version as a new version', async () => {
+    await save(prdV1, 'agent-a');
+    await save(prdV2, 'agent-b');
+
+    const result = await restoreDeliverableVersion('prd_complete', 1, projectRoot, { author: 'lead' });
+    expect(result).toMatchObject({
+      success: true,
+      created: true,
+      version: { version: 3, source: VERSION_SOURCES.RESTORE, restoredFrom: 1, author: 'lead' }
+    });
+    expect(await fs.readFile(path.join(projectRoot, prdFile), 'utf8')).toBe(prdV1);
+
+    const { versions } = await getDeliverableVersions('prd_complete', projectRoot);
+    expect(versions.map(version => version.version)).toEqual([1, 2, 3]);
+    expect(versions[2].contentHash).toBe(versions[0].contentHash);
+  });
+
+  it('should track a quality score for each version', async () => {
+    await save(prdV1, 'agent-a');
+    const quality = await scoreDeliverableVersion('prd_complete', 1, projectRoot);
+    expect(quality.success).toBe(true);
+
+    const { versions } = await getDeliverableVersions('prd_complete', projectRoot);
+    expect(versions[0].quality).toMatchObject({ score: quality.score, readyForTransition: quality.readyForTransition });
+  });
+});
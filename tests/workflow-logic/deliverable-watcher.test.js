@@ -0,0 +1,130 @@
+/**
+ * Deliverable Watcher Tests
+ * Tests for re-processing deliverable files that are edited outside Guidant
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { DeliverableWatcher } from '../../src/workflow-logic/deliverable-watcher.js';
+import { readJournal, JOURNAL_EVENT_TYPES } from '../../src/workflow-logic/workflow-journal.js';
+import {
+  DELIVERABLE_QUALITY,
+  REQUIREMENTS_DIR,
+  RESEARCH_DIR,
+  TRANSFORMATIONS
+} from '../../src/constants/paths.js';
+
+const prd = `# Product Requirements
+
+## Overview
+A task tracker for small teams, based on the findings in market_analysis.md.
+
+## Features
+- Create and assign tasks
+- Track progress on a board
+- Notify assignees of changes
+`;
+
+const marketAnalysis = `# Market Analysis
+
+## Findings
+Small teams want a simple task tracker without heavy setup.
+`;
+
+describe('Deliverable Watcher', () => {
+  let projectRoot;
+  let watcher;
+
+  const write = async (relativePath, content) => {
+    const filePath = path.join(projectRoot, relativePath);
+    await fs.writeFile(filePath, content, 'utf8');
+    return filePath;
+  };
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-watch-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(TRANSFORMATIONS, {
+      requirements_to_design: { fromPhase: 'requirements', toPhase: 'design' },
+      concept_to_requirements: { fromPhase: 'concept', toPhase: 'requirements' }
+    }, projectRoot);
+    watcher = new DeliverableWatcher(projectRoot, { debounceMs: 50, actor: 'tester' });
+  });
+
+  afterEach(async () => {
+    await watcher.close();
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should re-validate an edited deliverable and log the change', async () => {
+    const filePath = await write(path.join(REQUIREMENTS_DIR, 'prd_complete.md'), prd);
+
+    const result = await watcher.syncDeliverable(filePath, 'change');
+    expect(result).toMatchObject({
+      event: 'change',
+      phase: 'requirements',
+      deliverable: 'prd_complete',
+      file: '.guidant/deliverables/requirements/prd_complete.md',
+      version: 1,
+      analysis: { success: true },
+      staleTransformations: ['requirements_to_design']
+    });
+    expect(result.quality.success).toBe(true);
+
+    const quality = await readProjectFile(DELIVERABLE_QUALITY, projectRoot);
+    expect(quality[result.file].score).toBe(result.quality.score);
+
+    const transformations = await readProjectFile(TRANSFORMATIONS, projectRoot);
+    expect(transformations.requirements_to_design.stale).toBe(true);
+    expect(transformations.concept_to_requirements.stale).toBeUndefined();
+
+    const events = await readJournal(projectRoot, { types: [JOURNAL_EVENT_TYPES.DELIVERABLE_FILE_CHANGED] });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ actor: 'tester', payload: { event: 'change', deliverable: 'prd_complete' } });
+  });
+
+  it('should update the relationships of the changed deliverable only', async () => {
+    await write(path.join(RESEARCH_DIR, 'market_analysis.md'), marketAnalysis);
+    const prdPath = await write(path.join(REQUIREMENTS_DIR, 'prd_complete.md'), prd);
+
+    const added = await watcher.syncDeliverable(prdPath, 'add');
+    expect(added.relationships).toBeGreaterThan(0);
+
+    const graph = await watcher.relationshipOrchestrator.storage.getAllRelationships(projectRoot);
+    expect(graph.deliverables.map(deliverable => deliverable.name).sort()).toEqual(['market_analysis', 'prd_complete']);
+    expect(graph.relationships.some(rel => rel.source.name === 'prd_complete' && rel.target.name === 'market_analysis')).toBe(true);
+
+    await fs.rm(prdPath);
+    const removed = await watcher.syncDeliverable(prdPath, 'unlink');
+    expect(removed.relationships).toBe(0);
+    expect(removed.quality).toBeNull();
+
+    const quality = await readProjectFile(DELIVERABLE_QUALITY, projectRoot);
+    expect(quality[removed.file]).toBeUndefined();
+  });
+
+  it('should pick up file changes while watching', async () => {
+    const synced = new Promise((resolve, reject) => {
+      watcher.options.onSync = resolve;
+      watcher.options.onError = reject;
+    });
+    await watcher.start();
+
+    await write(path.join(REQUIREMENTS_DIR, 'user_stories.md'), '# User Stories\n\n- As a lead I want to assign tasks\n');
+    await write(path.join(REQUIREMENTS_DIR, 'notes.png'), 'not a deliverable');
+
+    const result = await synced;
+    expect(result).toMatchObject({ event: 'add', phase: 'requirements', deliverable: 'user_stories' });
+
+    await watcher.idle();
+    const events = await readJournal(projectRoot, { types: [JOURNAL_EVENT_TYPES.DELIVERABLE_FILE_CHANGED] });
+    expect(events.map(event => event.payload.deliverable)).toEqual(['user_stories']);
+  });
+});
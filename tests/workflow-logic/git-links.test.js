@@ -0,0 +1,168 @@
+/**
+ * Git Link Tests
+ * Tests for linking commits in a local git repository to tickets and deliverables
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { getHeadCommit } from '../../src/file-management/git-repository.js';
+import {
+  getGitLinks,
+  suggestCompletedTickets,
+  getCompletionSuggestions,
+  recordDeliverableCommit,
+  getDeliverableCommits
+} from '../../src/workflow-logic/git-links.js';
+import { TASK_TICKETS } from '../../src/constants/paths.js';
+
+const execFileAsync = promisify(execFile);
+
+const tickets = [
+  { id: 'T-1', title: 'Schema', status: 'pending' },
+  { id: 'T-2', title: 'API', status: 'in_progress' },
+  { id: 'T-3', title: 'UI', status: 'pending' },
+  { id: 'T-4', title: 'Docs', status: 'done' }
+];
+
+// Commits are made with a fixed identity and without the user's git config
+const gitEnv = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test Author',
+  GIT_AUTHOR_EMAIL: 'author@example.com',
+  GIT_COMMITTER_NAME: 'Test Author',
+  GIT_COMMITTER_EMAIL: 'author@example.com',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+  GIT_CONFIG_NOSYSTEM: '1'
+};
+
+describe('Git Links', () => {
+  let projectRoot;
+
+  const git = async (...args) => (await execFileAsync('git', args, { cwd: projectRoot, env: gitEnv })).stdout.trim();
+  const commit = message => git('commit', '--allow-empty', '-q', '-m', message);
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-git-'));
+    await initializeProjectStructure(projectRoot);
+    for (const ticket of tickets) {
+      await writeProjectFile(path.join(TASK_TICKETS, `${ticket.id}.json`), ticket, projectRoot);
+    }
+
+    await git('init', '-q', '-b', 'main');
+    await commit('Initial commit');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should link commits through trailers', async () => {
+    await commit('Add users table\n\nGuidant-Ticket: T-1');
+    await commit('Write docs\n\nRefs: t-4, T-1\nGuidant-Deliverable: wireframes');
+
+    const links = await getGitLinks(projectRoot);
+    expect(links.available).toBe(true);
+    expect(links.mainBranch).toBe('main');
+
+    const schema = links.tickets.find(ticket => ticket.ticketId === 'T-1');
+    expect(schema.commits.map(entry => entry.subject)).toEqual(['Write docs', 'Add users table']);
+    expect(schema.commits.every(entry => entry.source === 'trailer' && entry.merged)).toBe(true);
+
+    expect(links.tickets.find(ticket => ticket.ticketId === 'T-4').commits).toHaveLength(1);
+    expect(links.deliverables).toEqual([
+      expect.objectContaining({ deliverable: 'wireframes', commits: [expect.objectContaining({ subject: 'Write docs' })] })
+    ]);
+  });
+
+  it('should link commits through branch names and merge commits', async () => {
+    await git('checkout', '-q', '-b', 'feature/T-2-api');
+    await commit('Add API routes');
+
+    await git('checkout', '-q', 'main');
+    await git('checkout', '-q', '-b', 'feature/T-3-ui');
+    await commit('Build login form');
+    await git('checkout', '-q', 'main');
+    await git('merge', '-q', '--no-ff', '-m', "Merge branch 'feature/T-3-ui'", 'feature/T-3-ui');
+    await git('branch', '-q', '-D', 'feature/T-3-ui');
+
+    const links = await getGitLinks(projectRoot);
+
+    const api = links.tickets.find(ticket => ticket.ticketId === 'T-2');
+    expect(api.merged).toBe(false);
+    expect(api.commits[0]).toMatchObject({ subject: 'Add API routes', source: 'branch', branch: 'feature/T-2-api', merged: false });
+
+    const ui = links.tickets.find(ticket => ticket.ticketId === 'T-3');
+    expect(ui.merged).toBe(true);
+    expect(ui.commits[0].subject).toBe("Merge branch 'feature/T-3-ui'");
+  });
+
+  it('should suggest tickets whose commits are merged and that are not done', async () => {
+    await commit('Add users table\n\nGuidant-Ticket: T-1');
+    await commit('Write docs\n\nGuidant-Ticket: T-4');
+    await git('checkout', '-q', '-b', 'T-2');
+    await commit('Start API');
+
+    const suggestions = suggestCompletedTickets(await getGitLinks(projectRoot));
+    expect(suggestions.map(suggestion => suggestion.ticketId)).toEqual(['T-1']);
+    expect(suggestions[0].mergedCommits).toHaveLength(1);
+  });
+
+  it('should keep completion suggestions until a ref or a ticket changes', async () => {
+    await commit('Add users table\n\nGuidant-Ticket: T-1');
+
+    const first = await getCompletionSuggestions(projectRoot);
+    expect(first.map(suggestion => suggestion.ticketId)).toEqual(['T-1']);
+    // Nothing changed, so the history is not read again
+    expect(await getCompletionSuggestions(projectRoot)).toBe(first);
+
+    await commit('Add API routes\n\nGuidant-Ticket: T-2');
+    const afterCommit = await getCompletionSuggestions(projectRoot);
+    expect(afterCommit.map(suggestion => suggestion.ticketId)).toEqual(['T-1', 'T-2']);
+
+    await writeProjectFile(path.join(TASK_TICKETS, 'T-1.json'), { ...tickets[0], status: 'done' }, projectRoot);
+    const afterDone = await getCompletionSuggestions(projectRoot);
+    expect(afterDone.map(suggestion => suggestion.ticketId)).toEqual(['T-2']);
+  });
+
+  it('should treat a merged branch that still exists as merged', async () => {
+    await git('checkout', '-q', '-b', 'feature/T-2-api');
+    await commit('Add API routes');
+    await git('checkout', '-q', 'main');
+    await git('merge', '-q', '--ff-only', 'feature/T-2-api');
+
+    const links = await getGitLinks(projectRoot);
+    expect(links.tickets.find(ticket => ticket.ticketId === 'T-2').merged).toBe(true);
+  });
+
+  it('should record the commit checked out when a deliverable is saved', async () => {
+    await commit('Add wireframes');
+    const head = await git('rev-parse', 'HEAD');
+
+    const record = await recordDeliverableCommit('wireframes', '.guidant/deliverables/wireframes/home.md', projectRoot);
+    expect(record).toMatchObject({ deliverable: 'wireframes', sha: head, branch: 'main', dirty: true });
+
+    expect(await getDeliverableCommits(projectRoot, { deliverable: 'wireframes' })).toHaveLength(1);
+    const links = await getGitLinks(projectRoot);
+    expect(links.deliverables[0].saves[0].sha).toBe(head);
+  });
+
+  it('should report git as unavailable outside a repository', async () => {
+    const plainRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-nogit-'));
+    try {
+      await initializeProjectStructure(plainRoot);
+      expect(await getHeadCommit(plainRoot)).toBeNull();
+      expect(await getGitLinks(plainRoot)).toMatchObject({ success: true, available: false });
+      expect(await recordDeliverableCommit('wireframes', 'home.md', plainRoot)).toBeNull();
+    } finally {
+      await fs.rm(plainRoot, { recursive: true, force: true });
+    }
+  });
+});
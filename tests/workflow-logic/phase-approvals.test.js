@@ -0,0 +1,124 @@
+/**
+ * Phase Approval Tests
+ * Tests for human sign-off approvals as a phase gate
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { advancePhase, markDeliverableComplete, rollbackPhase } from '../../src/workflow-logic/workflow-engine.js';
+import { recordApproval, checkPhaseApprovals } from '../../src/workflow-logic/phase-approvals.js';
+import { replayWorkflowState } from '../../src/workflow-logic/workflow-journal.js';
+import { generateProgressReport } from '../../src/reporting/report-generator.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  APPROVALS,
+  PHASE_DEFINITIONS_FILE
+} from '../../src/constants/paths.js';
+
+// Small custom workflow so advancing does not run the built-in transformers
+const phaseDefinitions = {
+  phases: {
+    discovery: {
+      name: 'Discovery',
+      roles: ['research_agent'],
+      requiredDeliverables: ['brief'],
+      requiredApprovals: ['product_owner', 'tech_lead'],
+      nextPhase: 'build'
+    },
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+describe('Phase Approvals', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-approvals-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, {
+      current: 'discovery',
+      phases: { discovery: { status: 'active' }, build: { status: 'pending' } }
+    }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'discovery', progress: 0 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+    await markDeliverableComplete('brief', projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should refuse to advance until every required approval exists', async () => {
+    const blocked = await advancePhase(projectRoot);
+    expect(blocked.success).toBe(false);
+    expect(blocked.missingApprovals).toEqual(['product_owner', 'tech_lead']);
+
+    const first = await recordApproval('discovery', { role: 'product_owner', approver: 'dana', comment: 'Scope agreed' }, projectRoot);
+    expect(first.success).toBe(true);
+    expect(first.missing).toEqual(['tech_lead']);
+    expect((await advancePhase(projectRoot)).missingApprovals).toEqual(['tech_lead']);
+
+    // The last missing role is used when none is given
+    const second = await recordApproval('discovery', { approver: 'eli', comment: 'Feasible' }, projectRoot);
+    expect(second.approval.role).toBe('tech_lead');
+
+    const advanced = await advancePhase(projectRoot);
+    expect(advanced.success).toBe(true);
+    expect(advanced.nextPhase).toBe('build');
+  });
+
+  it('should record who approved, when and why', async () => {
+    const result = await recordApproval('discovery', { role: 'product_owner', approver: 'dana', comment: '  Scope agreed ' }, projectRoot);
+
+    const approvals = await readProjectFile(APPROVALS, projectRoot);
+    expect(approvals).toEqual([result.approval]);
+    expect(result.approval).toMatchObject({ phase: 'discovery', role: 'product_owner', approver: 'dana', comment: 'Scope agreed' });
+    expect(Number.isNaN(Date.parse(result.approval.approvedAt))).toBe(false);
+
+    const replayed = await replayWorkflowState(projectRoot);
+    expect(replayed.approvals).toEqual(approvals);
+  });
+
+  it('should reject approvals without a comment, from other roles or for inactive phases', async () => {
+    expect((await recordApproval('discovery', { role: 'product_owner', comment: ' ' }, projectRoot)).error).toContain('comment is required');
+    expect((await recordApproval('discovery', { role: 'intern', comment: 'Looks fine' }, projectRoot)).error).toContain('does not require approval from "intern"');
+    expect((await recordApproval('discovery', { comment: 'Looks fine' }, projectRoot)).error).toContain('Specify the role');
+    expect((await recordApproval('build', { comment: 'Looks fine' }, projectRoot)).error).toContain('not active');
+  });
+
+  it('should not count approvals given before the phase was reopened', async () => {
+    await recordApproval('discovery', { role: 'product_owner', comment: 'Scope agreed' }, projectRoot);
+    await recordApproval('discovery', { role: 'tech_lead', comment: 'Feasible' }, projectRoot);
+    await advancePhase(projectRoot);
+    await rollbackPhase('discovery', 'Scope changed', projectRoot);
+
+    const status = await checkPhaseApprovals('discovery', projectRoot);
+    expect(status.isApproved).toBe(false);
+    expect(status.missing).toEqual(['product_owner', 'tech_lead']);
+  });
+
+  it('should include the approval history in the progress report', async () => {
+    await recordApproval('discovery', { role: 'product_owner', approver: 'dana', comment: 'Scope agreed' }, projectRoot);
+
+    const result = await generateProgressReport(projectRoot);
+    expect(result.success).toBe(true);
+    expect(result.report.approvals.total).toBe(1);
+    expect(result.report.approvals.history[0]).toMatchObject({ role: 'product_owner', approver: 'dana' });
+    expect(result.report.approvals.pending).toEqual({ discovery: ['tech_lead'] });
+  });
+});
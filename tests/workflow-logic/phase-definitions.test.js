@@ -0,0 +1,161 @@
+/**
+ * Phase Definitions Tests
+ * Tests for per-project phase definitions loaded from .guidant/workflow/
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  PHASE_DEFINITIONS,
+  resolvePhaseDefinitions,
+  loadPhaseDefinitions,
+  getPhaseOrder,
+  getDeliverableDirectory
+} from '../../src/workflow-logic/phase-definitions.js';
+import { initializeProjectStructure, writeProjectFile, readProjectFile } from '../../src/file-management/project-structure.js';
+import { getCurrentWorkflowState, generateNextTask, advancePhase } from '../../src/workflow-logic/workflow-engine.js';
+import { PHASE_DEFINITIONS_FILE, QUALITY_GATES, PROJECT_PHASES } from '../../src/constants/paths.js';
+
+const securityReview = {
+  name: 'Security Review',
+  description: 'Threat modelling and security sign-off',
+  roles: ['security_agent'],
+  requiredDeliverables: ['threat_model'],
+  nextPhase: 'implementation'
+};
+
+describe('Phase Definitions', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-phases-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('resolvePhaseDefinitions', () => {
+    it('should insert a custom phase when extending the defaults', () => {
+      const definitions = resolvePhaseDefinitions({
+        extendDefaults: true,
+        phases: {
+          architecture: { nextPhase: 'security_review' },
+          security_review: securityReview
+        }
+      });
+
+      expect(definitions.architecture.nextPhase).toBe('security_review');
+      expect(definitions.architecture.requiredDeliverables).toEqual(PHASE_DEFINITIONS.architecture.requiredDeliverables);
+      expect(definitions.security_review.name).toBe('Security Review');
+      expect(getPhaseOrder(definitions)).toEqual([
+        'concept', 'requirements', 'design', 'architecture', 'security_review', 'implementation', 'deployment'
+      ]);
+    });
+
+    it('should replace the defaults when not extending', () => {
+      const definitions = resolvePhaseDefinitions({
+        phases: {
+          compliance: { ...securityReview, name: 'Compliance', nextPhase: 'complete' }
+        }
+      });
+
+      expect(Object.keys(definitions)).toEqual(['compliance']);
+    });
+
+    it('should reject incomplete definitions for new phases', () => {
+      expect(() => resolvePhaseDefinitions({
+        phases: { compliance: { name: 'Compliance', nextPhase: 'complete' } }
+      })).toThrow('Invalid definition for phase "compliance"');
+    });
+
+    it('should reject links to unknown phases', () => {
+      expect(() => resolvePhaseDefinitions({
+        extendDefaults: true,
+        phases: { deployment: { nextPhase: 'operations' } }
+      })).toThrow('links to unknown phase "operations"');
+    });
+
+    it('should reject cyclic phase chains', () => {
+      expect(() => resolvePhaseDefinitions({
+        extendDefaults: true,
+        phases: { deployment: { nextPhase: 'concept' } }
+      })).toThrow('contains a cycle');
+    });
+  });
+
+  describe('loadPhaseDefinitions', () => {
+    it('should fall back to the built-in phases when no file exists', async () => {
+      const definitions = await loadPhaseDefinitions(projectRoot);
+      expect(definitions).toBe(PHASE_DEFINITIONS);
+    });
+
+    it('should load project phases from the workflow directory', async () => {
+      const filePath = path.join(projectRoot, PHASE_DEFINITIONS_FILE);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        extendDefaults: true,
+        phases: {
+          architecture: { nextPhase: 'security_review' },
+          security_review: securityReview
+        }
+      }));
+
+      const definitions = await loadPhaseDefinitions(projectRoot);
+      expect(definitions.security_review.roles).toEqual(['security_agent']);
+      expect(getDeliverableDirectory('security_review', definitions)).toBe('security_review');
+      expect(getDeliverableDirectory('design', definitions)).toBe('wireframes');
+    });
+  });
+
+  describe('custom phases in a project', () => {
+    // Replaces the built-in phases, so there is no concept phase to fall back to
+    const customPhases = {
+      phases: {
+        discovery: {
+          name: 'Discovery',
+          description: 'Understand the problem',
+          roles: ['research_agent'],
+          requiredDeliverables: ['brief'],
+          nextPhase: 'delivery'
+        },
+        delivery: {
+          name: 'Delivery',
+          description: 'Build and ship',
+          roles: ['development_agent'],
+          requiredDeliverables: ['release'],
+          nextPhase: 'complete'
+        }
+      }
+    };
+
+    beforeEach(async () => {
+      // Initialized with the built-in phases, then switched to custom ones
+      await initializeProjectStructure(projectRoot);
+      await writeProjectFile(PHASE_DEFINITIONS_FILE, customPhases, projectRoot);
+    });
+
+    it('should start from the first custom phase instead of concept', async () => {
+      const state = await getCurrentWorkflowState(projectRoot);
+      expect(state.currentPhase.phase).toBe('discovery');
+      expect(state.activePhases).toEqual(['discovery']);
+      expect(state.phaseDefinition.name).toBe('Discovery');
+
+      const task = await generateNextTask({ roles: ['research_agent'] }, projectRoot);
+      expect(task.phase).toBe('discovery');
+      expect(task.deliverable).toBe('brief');
+    });
+
+    it('should advance through the custom phases', async () => {
+      await writeProjectFile(QUALITY_GATES, { discovery: { completed: ['brief'] } }, projectRoot);
+
+      const result = await advancePhase(projectRoot);
+      expect(result.success).toBe(true);
+      expect(result.completedPhase).toBe('discovery');
+      expect(result.nextPhase).toBe('delivery');
+      expect((await readProjectFile(PROJECT_PHASES, projectRoot)).current).toBe('delivery');
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Phase Graph Tests
+ * Tests for parallel phase tracks driven by phase prerequisites
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import {
+  PHASE_DEFINITIONS,
+  resolvePhaseDefinitions,
+  getPhasePrerequisites,
+  getDependentPhases,
+  getDownstreamPhases,
+  getReadyPhases,
+  getPhaseOrder
+} from '../../src/workflow-logic/phase-definitions.js';
+import { advancePhase, rollbackPhase, getActivePhases } from '../../src/workflow-logic/workflow-engine.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PHASE_DEFINITIONS_FILE
+} from '../../src/constants/paths.js';
+
+const phase = (name, nextPhase, extra = {}) => ({
+  name,
+  roles: ['development_agent'],
+  requiredDeliverables: [`${name.toLowerCase()}_done`],
+  nextPhase,
+  ...extra
+});
+
+// discovery -> (ux, api) -> build: ux and api run in parallel
+const parallelPhases = {
+  phases: {
+    discovery: phase('Discovery', 'ux'),
+    ux: phase('Ux', 'build'),
+    api: phase('Api', 'build', { prerequisites: ['discovery'] }),
+    build: phase('Build', 'complete', { prerequisites: ['ux', 'api'] })
+  }
+};
+
+// research and legal both start the project; launch joins plan and legal
+const twoRootPhases = {
+  phases: {
+    research: phase('Research', 'plan'),
+    legal: phase('Legal', 'launch', { prerequisites: [] }),
+    plan: phase('Plan', 'launch'),
+    launch: phase('Launch', 'complete', { prerequisites: ['plan', 'legal'] })
+  }
+};
+
+describe('Phase Graph', () => {
+  describe('graph helpers', () => {
+    const definitions = resolvePhaseDefinitions(parallelPhases);
+
+    it('should derive prerequisites from nextPhase links when none are listed', () => {
+      expect(getPhasePrerequisites('requirements')).toEqual(['concept']);
+      expect(getPhasePrerequisites('ux', definitions)).toEqual(['discovery']);
+      expect(getPhasePrerequisites('build', definitions)).toEqual(['ux', 'api']);
+    });
+
+    it('should find dependent and downstream phases', () => {
+      expect(getDependentPhases('discovery', definitions)).toEqual(['ux', 'api']);
+      expect(getDownstreamPhases('discovery', definitions)).toEqual(['ux', 'api', 'build']);
+      expect(getPhaseOrder(definitions)).toEqual(['discovery', 'ux', 'api', 'build']);
+    });
+
+    it('should only report a phase ready once all prerequisites are complete', () => {
+      expect(getReadyPhases(['discovery'], definitions)).toEqual(['ux', 'api']);
+      expect(getReadyPhases(['discovery', 'ux'], definitions)).toEqual(['api']);
+      expect(getReadyPhases(['discovery', 'ux', 'api'], definitions)).toEqual(['build']);
+      expect(getReadyPhases([], PHASE_DEFINITIONS)).toEqual(['concept']);
+    });
+
+    it('should reject prerequisite cycles', () => {
+      expect(() => resolvePhaseDefinitions({
+        phases: {
+          ...parallelPhases.phases,
+          discovery: phase('Discovery', 'ux', { prerequisites: ['build'] })
+        }
+      })).toThrow('Phase prerequisites contain a cycle');
+    });
+
+    it('should list the current phase first among active phases', () => {
+      const phases = { phases: { ux: { status: 'active' }, api: { status: 'active' } } };
+      expect(getActivePhases(phases, { phase: 'api' })).toEqual(['api', 'ux']);
+    });
+  });
+
+  describe('advancePhase', () => {
+    let projectRoot;
+
+    const completeDeliverables = async (...phaseKeys) => {
+      const gates = await readProjectFile(QUALITY_GATES, projectRoot);
+      for (const key of phaseKeys) {
+        gates[key] = { completed: [`${key}_done`] };
+      }
+      await writeProjectFile(QUALITY_GATES, gates, projectRoot);
+    };
+
+    beforeEach(async () => {
+      projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-phase-graph-'));
+      await initializeProjectStructure(projectRoot);
+      await writeProjectFile(PHASE_DEFINITIONS_FILE, parallelPhases, projectRoot);
+      await writeProjectFile(PROJECT_PHASES, {
+        current: 'discovery',
+        phases: {
+          discovery: { status: 'active' },
+          ux: { status: 'pending' },
+          api: { status: 'pending' },
+          build: { status: 'pending' }
+        }
+      }, projectRoot);
+      await writeProjectFile(CURRENT_PHASE, { phase: 'discovery', progress: 0 }, projectRoot);
+      await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should start every dependent phase once a shared prerequisite completes', async () => {
+      await completeDeliverables('discovery');
+
+      const result = await advancePhase(projectRoot);
+      expect(result.success).toBe(true);
+      expect(result.activatedPhases).toEqual(['ux', 'api']);
+
+      const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+      expect(phases.current).toBe('ux');
+      expect(phases.phases.discovery.status).toBe('completed');
+      expect(phases.phases.ux.status).toBe('active');
+      expect(phases.phases.api.status).toBe('active');
+    });
+
+    it('should wait for every prerequisite before starting a joining phase', async () => {
+      await completeDeliverables('discovery', 'ux', 'api');
+      await advancePhase(projectRoot);
+
+      const first = await advancePhase(projectRoot, 'api');
+      expect(first.success).toBe(true);
+      expect(first.activatedPhases).toEqual([]);
+      expect(first.message).toContain('build still waiting on prerequisites');
+
+      const second = await advancePhase(projectRoot, 'ux');
+      expect(second.activatedPhases).toEqual(['build']);
+
+      const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+      expect(phases.current).toBe('build');
+      expect(phases.phases.build.status).toBe('active');
+    });
+
+    it('should start every root phase when the project is initialized', async () => {
+      const rootedProject = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-phase-roots-'));
+      try {
+        await fs.mkdir(path.join(rootedProject, path.dirname(PHASE_DEFINITIONS_FILE)), { recursive: true });
+        await fs.writeFile(path.join(rootedProject, PHASE_DEFINITIONS_FILE), JSON.stringify(twoRootPhases));
+        await initializeProjectStructure(rootedProject);
+
+        const phases = await readProjectFile(PROJECT_PHASES, rootedProject);
+        expect(phases.current).toBe('research');
+        expect(Object.entries(phases.phases).filter(([, entry]) => entry.status === 'active').map(([key]) => key))
+          .toEqual(['research', 'legal']);
+        expect((await readProjectFile(CURRENT_PHASE, rootedProject)).phase).toBe('research');
+      } finally {
+        await fs.rm(rootedProject, { recursive: true, force: true });
+      }
+    });
+
+    it('should start a root phase that never started instead of stalling at a join', async () => {
+      // Only one of the two roots is active, as in projects set up before every root was started
+      await writeProjectFile(PHASE_DEFINITIONS_FILE, twoRootPhases, projectRoot);
+      await writeProjectFile(PROJECT_PHASES, {
+        current: 'research',
+        phases: {
+          research: { status: 'active' },
+          legal: { status: 'pending' },
+          plan: { status: 'pending' },
+          launch: { status: 'pending' }
+        }
+      }, projectRoot);
+      await writeProjectFile(CURRENT_PHASE, { phase: 'research', progress: 0 }, projectRoot);
+      await completeDeliverables('research', 'plan', 'legal');
+
+      const research = await advancePhase(projectRoot);
+      expect(research.activatedPhases).toEqual(['legal', 'plan']);
+      expect(research.nextPhase).toBe('plan');
+
+      // launch still waits on legal, which keeps the project moving
+      const plan = await advancePhase(projectRoot);
+      expect(plan.success).toBe(true);
+      expect(plan.message).toContain('launch still waiting on prerequisites');
+      expect((await readProjectFile(PROJECT_PHASES, projectRoot)).current).toBe('legal');
+      expect((await readProjectFile(CURRENT_PHASE, projectRoot)).phase).toBe('legal');
+
+      const legal = await advancePhase(projectRoot);
+      expect(legal.activatedPhases).toEqual(['launch']);
+      expect((await readProjectFile(PROJECT_PHASES, projectRoot)).current).toBe('launch');
+    });
+
+    it('should refuse to advance a phase that is not active', async () => {
+      const result = await advancePhase(projectRoot, 'build');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('not active');
+    });
+
+    it('should leave parallel tracks alone when rolling back one branch', async () => {
+      await completeDeliverables('discovery', 'ux');
+      await advancePhase(projectRoot);
+      await advancePhase(projectRoot, 'ux');
+
+      const result = await rollbackPhase('ux', 'Flows missed accessibility', projectRoot);
+      expect(result.success).toBe(true);
+      expect(result.reopenedPhases).toEqual(['ux']);
+
+      const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+      expect(phases.phases.ux.status).toBe('active');
+      expect(phases.phases.api.status).toBe('active');
+    });
+  });
+});
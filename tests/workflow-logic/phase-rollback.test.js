@@ -0,0 +1,105 @@
+/**
+ * Phase Rollback Tests
+ * Tests for reopening an earlier phase with rollbackPhase
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { rollbackPhase } from '../../src/workflow-logic/workflow-engine.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  TRANSFORMATIONS
+} from '../../src/constants/paths.js';
+
+describe('Phase Rollback', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-rollback-'));
+    await initializeProjectStructure(projectRoot);
+
+    const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+    phases.current = 'design';
+    phases.phases.concept = { status: 'completed' };
+    phases.phases.requirements = { status: 'completed' };
+    phases.phases.design = { status: 'active' };
+    await writeProjectFile(PROJECT_PHASES, phases, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'design', progress: 40 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {
+      concept: { completed: ['market_analysis', 'user_personas', 'competitor_research'] },
+      requirements: { completed: ['prd_complete', 'user_stories', 'feature_specifications'] },
+      design: { completed: ['wireframes'] }
+    }, projectRoot);
+    await writeProjectFile(TRANSFORMATIONS, {
+      concept_to_requirements: { type: 'concept_to_requirements' },
+      requirements_to_design: { type: 'requirements_to_design' }
+    }, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should move the project back to the target phase and record why', async () => {
+    const result = await rollbackPhase('requirements', 'Auth requirements were missing', projectRoot);
+
+    expect(result.success).toBe(true);
+    expect(result.reopenedPhases).toEqual(['requirements', 'design']);
+
+    const phases = await readProjectFile(PROJECT_PHASES, projectRoot);
+    expect(phases.current).toBe('requirements');
+    expect(phases.phases.requirements.status).toBe('active');
+    expect(phases.phases.design.status).toBe('pending');
+    expect(phases.phases.concept.status).toBe('completed');
+    expect(phases.rollbacks[0]).toMatchObject({
+      fromPhase: 'design',
+      toPhase: 'requirements',
+      reason: 'Auth requirements were missing'
+    });
+
+    const currentPhase = await readProjectFile(CURRENT_PHASE, projectRoot);
+    expect(currentPhase.phase).toBe('requirements');
+    expect(currentPhase.progress).toBe(0);
+  });
+
+  it('should reopen quality gates from the target phase onward', async () => {
+    await rollbackPhase('requirements', 'Auth requirements were missing', projectRoot);
+
+    const gates = await readProjectFile(QUALITY_GATES, projectRoot);
+    expect(gates.requirements.status).toBe('reopened');
+    expect(gates.requirements.completed).toEqual([]);
+    expect(gates.requirements.previouslyCompleted).toContain('prd_complete');
+    expect(gates.design.completed).toEqual([]);
+    expect(gates.concept.completed).toHaveLength(3);
+  });
+
+  it('should flag downstream transformations as stale', async () => {
+    const result = await rollbackPhase('requirements', 'Auth requirements were missing', projectRoot);
+    expect(result.staleTransformations).toEqual(['requirements_to_design']);
+
+    const transformations = await readProjectFile(TRANSFORMATIONS, projectRoot);
+    expect(transformations.requirements_to_design.stale).toBe(true);
+    expect(transformations.requirements_to_design.staleReason).toContain('Auth requirements were missing');
+    expect(transformations.concept_to_requirements.stale).toBeUndefined();
+  });
+
+  it('should refuse to roll forward or without a reason', async () => {
+    const forward = await rollbackPhase('architecture', 'Skip ahead', projectRoot);
+    expect(forward.success).toBe(false);
+
+    const noReason = await rollbackPhase('concept', '  ', projectRoot);
+    expect(noReason.success).toBe(false);
+
+    const unknown = await rollbackPhase('operations', 'Unknown phase', projectRoot);
+    expect(unknown.success).toBe(false);
+  });
+});
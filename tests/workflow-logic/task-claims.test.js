@@ -0,0 +1,194 @@
+/**
+ * Task Claim Tests
+ * Tests for handing tasks to several agents under expiring leases
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { withFileLock } from '../../src/file-management/reliable-file-manager.js';
+import {
+  claimNextTask,
+  getTaskClaims,
+  renewTaskClaims,
+  releaseTaskClaims
+} from '../../src/workflow-logic/task-claims.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PHASE_DEFINITIONS_FILE,
+  TASK_TICKETS,
+  TASK_CLAIMS
+} from '../../src/constants/paths.js';
+
+const tickets = [
+  { id: 'T-1', title: 'Schema', priority: 'critical', status: 'pending' },
+  { id: 'T-2', title: 'API', priority: 'high', status: 'pending' },
+  { id: 'T-3', title: 'UI', priority: 'medium', status: 'pending' }
+];
+
+const phaseDefinitions = {
+  phases: {
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+const capabilities = { roles: ['development_agent'] };
+
+describe('Task Claims', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-claims-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, { current: 'build', phases: { build: { status: 'active' } } }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'build', progress: 0 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+    for (const ticket of tickets) {
+      await writeProjectFile(path.join(TASK_TICKETS, `${ticket.id}.json`), { ...ticket, phase: 'build' }, projectRoot);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should hand different tasks to different agents', async () => {
+    const first = await claimNextTask(capabilities, 'agent-a', projectRoot);
+    const second = await claimNextTask(capabilities, 'agent-b', projectRoot);
+
+    expect(first.task.task.id).toBe('T-1');
+    expect(second.task.task.id).toBe('T-2');
+    expect(first.claim).toMatchObject({ taskKey: 'ticket:T-1', agentId: 'agent-a', title: 'Schema' });
+
+    const claims = await getTaskClaims(projectRoot);
+    expect(claims.map(claim => [claim.agentId, claim.taskKey])).toEqual([
+      ['agent-a', 'ticket:T-1'],
+      ['agent-b', 'ticket:T-2']
+    ]);
+  });
+
+  it('should give an agent its own task back and keep one lease per agent', async () => {
+    const first = await claimNextTask(capabilities, 'agent-a', projectRoot);
+    const again = await claimNextTask(capabilities, 'agent-a', projectRoot);
+
+    expect(again.task.task.id).toBe('T-1');
+    expect(again.claim.claimedAt).toBe(first.claim.claimedAt);
+    expect(again.released).toEqual([]);
+    expect(await getTaskClaims(projectRoot)).toHaveLength(1);
+  });
+
+  it('should not hand the same task to agents claiming at the same time', async () => {
+    const results = await Promise.all(['agent-a', 'agent-b', 'agent-c'].map(agentId =>
+      claimNextTask(capabilities, agentId, projectRoot)
+    ));
+
+    const claimed = results.map(result => result.claim.taskKey).sort();
+    expect(claimed).toEqual(['ticket:T-1', 'ticket:T-2', 'ticket:T-3']);
+  });
+
+  it('should release expired leases automatically', async () => {
+    await writeProjectFile(TASK_CLAIMS, [{
+      taskKey: 'ticket:T-1',
+      agentId: 'crashed-agent',
+      claimedAt: '2024-01-01T00:00:00.000Z',
+      renewedAt: '2024-01-01T00:00:00.000Z',
+      expiresAt: '2024-01-01T00:15:00.000Z'
+    }], projectRoot);
+
+    expect(await getTaskClaims(projectRoot)).toEqual([]);
+
+    const result = await claimNextTask(capabilities, 'agent-b', projectRoot);
+    expect(result.task.task.id).toBe('T-1');
+
+    const stored = await readProjectFile(TASK_CLAIMS, projectRoot);
+    expect(stored.map(claim => claim.agentId)).toEqual(['agent-b']);
+  });
+
+  it('should renew and release an agent\'s leases', async () => {
+    const { claim } = await claimNextTask(capabilities, 'agent-a', projectRoot, { leaseMinutes: 1 });
+
+    const renewed = await renewTaskClaims('agent-a', projectRoot, { leaseMinutes: 60 });
+    expect(renewed.renewed).toHaveLength(1);
+    expect(Date.parse(renewed.renewed[0].expiresAt)).toBeGreaterThan(Date.parse(claim.expiresAt));
+
+    const released = await releaseTaskClaims({ agentId: 'agent-a' }, projectRoot);
+    expect(released.released.map(entry => entry.taskKey)).toEqual(['ticket:T-1']);
+    expect(await getTaskClaims(projectRoot)).toEqual([]);
+
+    expect((await releaseTaskClaims({}, projectRoot)).success).toBe(false);
+    expect((await claimNextTask(capabilities, '', projectRoot)).success).toBe(false);
+  });
+
+  it('should let only one holder into a file lock at a time', async () => {
+    const lockedFile = path.join(projectRoot, 'locked.json');
+    let inside = 0;
+    let overlapped = false;
+
+    await Promise.all([1, 2, 3].map(() => withFileLock(lockedFile, async () => {
+      inside++;
+      overlapped = overlapped || inside > 1;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inside--;
+    })));
+
+    expect(overlapped).toBe(false);
+    await expect(fs.access(`${lockedFile}.lock`)).rejects.toThrow();
+  }, 15000);
+
+  it('should break a stale lock once and never remove a lock taken after it', async () => {
+    const lockedFile = path.join(projectRoot, 'locked.json');
+    const lockPath = `${lockedFile}.lock`;
+    const age = async () => {
+      const past = new Date(Date.now() - 60000);
+      await fs.utimes(lockPath, past, past);
+    };
+
+    // Several waiters find the same stale lock; only one of them may get in at a time
+    await fs.writeFile(lockPath, JSON.stringify({ pid: 999999, token: 'crashed' }));
+    await age();
+    let inside = 0;
+    let overlapped = false;
+    await Promise.all([1, 2, 3].map(() => withFileLock(lockedFile, async () => {
+      inside++;
+      overlapped = overlapped || inside > 1;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inside--;
+    })));
+    expect(overlapped).toBe(false);
+
+    // A holder whose lock went stale and was taken over must not release the new holder's lock
+    let releaseSecond;
+    let second;
+    await withFileLock(lockedFile, async () => {
+      await age();
+      await new Promise(resolve => {
+        second = withFileLock(lockedFile, async () => {
+          resolve();
+          await new Promise(done => { releaseSecond = done; });
+        });
+      });
+    });
+    const secondLock = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    expect(secondLock.pid).toBe(process.pid);
+    expect(secondLock.token).toBeString();
+
+    releaseSecond();
+    await second;
+    await expect(fs.access(lockPath)).rejects.toThrow();
+    expect((await fs.readdir(projectRoot)).filter(name => name.startsWith('locked.json.lock'))).toEqual([]);
+  }, 15000);
+});
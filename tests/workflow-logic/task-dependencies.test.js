@@ -0,0 +1,179 @@
+/**
+ * Task Dependency Tests
+ * Tests for ticket dependency links, cycle checks and topological task selection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { generateNextTask } from '../../src/workflow-logic/workflow-engine.js';
+import {
+  buildTicketGraph,
+  findDependencyCycles,
+  getUnblockedTickets,
+  getTicketGraph,
+  setTicketDependencies,
+  topologicalOrder,
+  validateTicketDependencies
+} from '../../src/workflow-logic/task-dependencies.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  PHASE_DEFINITIONS_FILE,
+  TASK_TICKETS
+} from '../../src/constants/paths.js';
+
+const tickets = [
+  { id: 'T-1', title: 'Schema', priority: 'medium', status: 'completed' },
+  { id: 'T-2', title: 'API', priority: 'medium', status: 'pending', dependsOn: ['T-1'] },
+  { id: 'T-3', title: 'UI', priority: 'critical', status: 'pending', dependsOn: ['T-2'] },
+  { id: 'T-4', title: 'Docs', priority: 'low', status: 'pending' },
+  { id: 'T-5', title: 'Auth', priority: 'high', status: 'pending', dependsOn: ['T-1'] }
+];
+
+// Small custom workflow so task generation does not depend on the built-in phases
+const phaseDefinitions = {
+  phases: {
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+describe('Task Dependencies', () => {
+  describe('graph', () => {
+    it('should order tickets after their dependencies, highest priority first', () => {
+      const { order, unordered } = topologicalOrder(tickets);
+      expect(order).toEqual(['T-1', 'T-5', 'T-2', 'T-3', 'T-4']);
+      expect(unordered).toEqual([]);
+    });
+
+    it('should pick the highest-priority ticket whose dependencies are done', () => {
+      expect(getUnblockedTickets(tickets).map(ticket => ticket.id)).toEqual(['T-5', 'T-2', 'T-4']);
+
+      const graph = buildTicketGraph(tickets);
+      expect(graph.next).toBe('T-5');
+      expect(graph.nodes.find(node => node.id === 'T-3').blockedBy).toEqual(['T-2']);
+      expect(graph.edges).toContainEqual({ from: 'T-2', to: 'T-3', type: 'dependency' });
+    });
+
+    it('should report cycles and links to unknown tickets', () => {
+      const cyclic = [
+        { id: 'A', status: 'pending', dependsOn: ['C'] },
+        { id: 'B', status: 'pending', dependsOn: ['A'] },
+        { id: 'C', status: 'pending', dependsOn: ['B', 'Z'] },
+        { id: 'D', status: 'pending' }
+      ];
+
+      expect(findDependencyCycles(cyclic)).toEqual([['A', 'C', 'B', 'A']]);
+
+      const graph = buildTicketGraph(cyclic);
+      expect(graph.missing).toEqual([{ ticket: 'C', dependsOn: 'Z' }]);
+      expect(graph.unordered).toEqual(['A', 'B', 'C']);
+      expect(graph.next).toBe('D');
+    });
+
+    it('should read legacy dependencies lists', () => {
+      const legacy = [
+        { ticket_id: 'IMPL-001', status: 'pending' },
+        { ticket_id: 'IMPL-002', status: 'pending', priority: 'high', dependencies: ['IMPL-001'] }
+      ];
+      expect(buildTicketGraph(legacy).next).toBe('IMPL-001');
+    });
+
+    it('should not treat the prose dependencies of generated tickets as links', () => {
+      // Shaped like the tickets the AI task generator writes
+      const generated = [
+        {
+          ticket_id: 'IMPL-001',
+          title: 'Core features',
+          priority: 'high',
+          status: 'pending',
+          dependencies: ['Database schema design completed', 'API specifications finalized', 'UI/UX designs approved']
+        },
+        {
+          ticket_id: 'IMPL-002',
+          title: 'Deployment',
+          priority: 'medium',
+          status: 'pending',
+          dependencies: ['Core features implementation completed', 'IMPL-001']
+        }
+      ];
+
+      expect(getUnblockedTickets(generated).map(ticket => ticket.ticket_id)).toEqual(['IMPL-001']);
+      expect(validateTicketDependencies(generated)).toEqual({ valid: true, cycles: [], missing: [] });
+      expect(buildTicketGraph(generated).nodes.find(node => node.id === 'IMPL-002').blockedBy).toEqual(['IMPL-001']);
+    });
+  });
+
+  describe('project tickets', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-dependencies-'));
+      await initializeProjectStructure(projectRoot);
+      await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+      await writeProjectFile(PROJECT_PHASES, { current: 'build', phases: { build: { status: 'active' } } }, projectRoot);
+      await writeProjectFile(CURRENT_PHASE, { phase: 'build', progress: 0 }, projectRoot);
+      await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+      for (const ticket of tickets) {
+        await writeProjectFile(path.join(TASK_TICKETS, `${ticket.id}.json`), { ...ticket, phase: 'build' }, projectRoot);
+      }
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should hand out the next unblocked ticket as the next task', async () => {
+      const task = await generateNextTask({ roles: ['development_agent'] }, projectRoot);
+      expect(task.type).toBe('implementation_ticket');
+      expect(task.task.id).toBe('T-5');
+      expect(task.phase).toBe('build');
+    });
+
+    it('should skip tickets of phases that are not active', async () => {
+      await writeProjectFile(path.join(TASK_TICKETS, 'T-5.json'), { ...tickets[4], phase: 'deployment' }, projectRoot);
+
+      const task = await generateNextTask({ roles: ['development_agent'] }, projectRoot);
+      expect(task.task.id).toBe('T-2');
+    });
+
+    it('should keep the prose dependencies of a ticket when setting its links', async () => {
+      const prose = ['Database schema design completed'];
+      await writeProjectFile(path.join(TASK_TICKETS, 'T-4.json'), { ...tickets[3], phase: 'build', dependencies: prose }, projectRoot);
+
+      expect((await setTicketDependencies('T-4', ['T-3'], projectRoot)).success).toBe(true);
+      const stored = await readProjectFile(path.join(TASK_TICKETS, 'T-4.json'), projectRoot);
+      expect(stored.dependsOn).toEqual(['T-3']);
+      expect(stored.dependencies).toEqual(prose);
+    });
+
+    it('should update links and refuse ones that create a cycle', async () => {
+      const result = await setTicketDependencies('T-4', ['T-3'], projectRoot);
+      expect(result.success).toBe(true);
+      expect((await readProjectFile(path.join(TASK_TICKETS, 'T-4.json'), projectRoot)).dependsOn).toEqual(['T-3']);
+
+      const cyclic = await setTicketDependencies('T-2', ['T-1', 'T-4'], projectRoot);
+      expect(cyclic.success).toBe(false);
+      expect(cyclic.error).toContain('cycle');
+
+      const unknown = await setTicketDependencies('T-2', ['T-9'], projectRoot);
+      expect(unknown.error).toContain('Unknown tickets: T-9');
+
+      const graph = await getTicketGraph(projectRoot);
+      expect(graph.cycles).toEqual([]);
+      expect(graph.nodes.find(node => node.id === 'T-4').blockedBy).toEqual(['T-3']);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Ticket Subtask Tests
+ * Tests for expanding tickets into ordered subtasks and rolling progress up from them
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import {
+  expandTicket,
+  setSubtaskStatus,
+  reportTicketProgress,
+  rollupSubtasks,
+  SUBTASK_STATUSES
+} from '../../src/workflow-logic/ticket-subtasks.js';
+import { formatImplementationTicket } from '../../src/workflow-logic/workflow-engine.js';
+import { TASK_TICKETS } from '../../src/constants/paths.js';
+
+const ticket = {
+  ticket_id: 'IMPL-001',
+  title: 'Implement login',
+  status: 'Ready for Implementation',
+  acceptance_criteria: [
+    'Users can sign in with email and password',
+    'Wrong passwords show an error',
+    'Sessions expire after a day'
+  ],
+  implementation_guide: '1. Add the users table\n2. Build the login endpoint\n3. Add session handling\n4. Build the login form\n5. Write tests'
+};
+
+describe('Ticket Subtasks', () => {
+  let projectRoot;
+  const ticketFile = path.join(TASK_TICKETS, 'IMPL-001.json');
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-subtasks-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(ticketFile, ticket, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should expand a ticket into ordered subtasks with their own criteria', async () => {
+    const result = await expandTicket('IMPL-001', { count: 3 }, projectRoot);
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('fallback');
+    expect(result.subtasks.map(subtask => subtask.id)).toEqual(['IMPL-001.1', 'IMPL-001.2', 'IMPL-001.3']);
+    expect(result.subtasks.map(subtask => subtask.title)).toEqual([
+      'Add the users table',
+      'Add session handling',
+      'Build the login form'
+    ]);
+    expect(result.subtasks[1].dependsOn).toEqual(['IMPL-001.1']);
+    expect(result.subtasks.every(subtask => subtask.status === SUBTASK_STATUSES.PENDING)).toBe(true);
+    expect(result.subtasks.flatMap(subtask => subtask.acceptanceCriteria)).toHaveLength(3);
+
+    const stored = await readProjectFile(ticketFile, projectRoot);
+    expect(stored.subtasks).toEqual(result.subtasks);
+    expect(stored).toMatchObject({ progress: 0, status: 'pending' });
+  });
+
+  it('should not replace existing subtasks unless forced', async () => {
+    await expandTicket('IMPL-001', { count: 3 }, projectRoot);
+
+    const again = await expandTicket('IMPL-001', { count: 2 }, projectRoot);
+    expect(again.success).toBe(false);
+    expect(again.error).toContain('already has 3 subtasks');
+
+    const forced = await expandTicket('IMPL-001', { count: 2, force: true }, projectRoot);
+    expect(forced.subtasks).toHaveLength(2);
+  });
+
+  it('should roll ticket progress up from subtask reports', async () => {
+    await expandTicket('IMPL-001', { count: 4 }, projectRoot);
+
+    const first = await reportTicketProgress('IMPL-001', 'completed', { subtaskId: 'IMPL-001.1' }, projectRoot);
+    expect(first).toMatchObject({ subtask: 'IMPL-001.1', subtaskStatus: 'completed', progress: 25, status: 'in_progress' });
+
+    // Reporting on the parent does not override what its subtasks say
+    const parent = await reportTicketProgress('IMPL-001', 'completed', {}, projectRoot);
+    expect(parent).toMatchObject({ progress: 25, status: 'in_progress', completed: 1, total: 4, rolledUp: true });
+
+    for (const subtaskId of ['2', '3', '4']) {
+      await setSubtaskStatus('IMPL-001', subtaskId, SUBTASK_STATUSES.COMPLETED, projectRoot);
+    }
+    const stored = await readProjectFile(ticketFile, projectRoot);
+    expect(stored).toMatchObject({ progress: 100, status: 'completed' });
+  });
+
+  it('should take the reported status on tickets without subtasks', async () => {
+    const result = await reportTicketProgress('IMPL-001', 'completed', {}, projectRoot);
+    expect(result).toMatchObject({ status: 'completed', progress: 100, rolledUp: false });
+  });
+
+  it('should reject unknown tickets, subtasks and statuses', async () => {
+    await expandTicket('IMPL-001', { count: 2 }, projectRoot);
+
+    expect((await expandTicket('IMPL-404', {}, projectRoot)).error).toContain('Unknown ticket');
+    expect((await setSubtaskStatus('IMPL-001', '9', 'completed', projectRoot)).error).toContain('no subtask "IMPL-001.9"');
+    expect((await setSubtaskStatus('IMPL-001', '1', 'finished', projectRoot)).error).toContain('Unknown subtask status');
+  });
+
+  it('should summarize blocked subtasks', () => {
+    expect(rollupSubtasks([
+      { status: 'completed' },
+      { status: 'blocked' },
+      { status: 'pending' }
+    ])).toEqual({ progress: 33, status: 'blocked', completed: 1, total: 3 });
+  });
+
+  it('should include subtasks in the formatted ticket', async () => {
+    const { ticket: expanded } = await expandTicket('IMPL-001', { count: 2 }, projectRoot);
+
+    const formatted = formatImplementationTicket({ task: expanded });
+    expect(formatted).toContain('subtasks:');
+    expect(formatted).toContain('id: "IMPL-001.2"');
+  });
+});
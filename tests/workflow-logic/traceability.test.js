@@ -0,0 +1,133 @@
+/**
+ * Traceability Tests
+ * Tests for stable requirement IDs and the requirements traceability matrix
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { initializeProjectStructure, writeProjectFile } from '../../src/file-management/project-structure.js';
+import {
+  extractRequirements,
+  assignRequirementIds,
+  getRequirements
+} from '../../src/workflow-logic/requirements-registry.js';
+import { buildTraceabilityMatrix } from '../../src/workflow-logic/traceability.js';
+import {
+  ARCHITECTURE_DIR,
+  REQUIREMENTS_DIR,
+  TASK_TICKETS,
+  TRACEABILITY_MATRIX,
+  TRACEABILITY_REPORT,
+  TRANSFORMATIONS
+} from '../../src/constants/paths.js';
+
+const prd = `# Bookshop
+
+## Features
+- Shoppers can add books to a shopping cart
+- As a shopper, I want to pay with a credit card so that checkout is quick
+- Admins must export monthly sales reports as CSV
+
+## Out of scope
+- Native mobile apps for phones and tablets
+`;
+
+describe('Requirements Traceability', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-trace-'));
+    await initializeProjectStructure(projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should extract requirements and user stories outside skipped sections', () => {
+    const requirements = extractRequirements(`${prd}\n## Notes\n- REQ-010: Orders are archived after a year\n`);
+
+    expect(requirements.map(requirement => requirement.kind)).toEqual(['requirement', 'story', 'requirement', 'requirement']);
+    expect(requirements[1].text).toContain('pay with a credit card');
+    expect(requirements[3]).toMatchObject({ id: 'REQ-010', text: 'Orders are archived after a year' });
+    expect(requirements.some(requirement => requirement.text.includes('mobile'))).toBe(false);
+  });
+
+  it('should keep requirement IDs stable across edits and never reuse removed ones', async () => {
+    const first = await assignRequirementIds(prd, 'prd', projectRoot);
+    expect(first.requirements.map(requirement => requirement.id)).toEqual(['REQ-001', 'US-001', 'REQ-002']);
+
+    const edited = prd
+      .replace('- Shoppers can add books to a shopping cart\n', '')
+      .replace('monthly sales reports', 'monthly sales reports quickly')
+      .replace('## Out of scope', '- Shoppers can save books to a wishlist\n\n## Out of scope');
+    const second = await assignRequirementIds(edited, 'prd', projectRoot);
+
+    expect(second.updated).toEqual(['REQ-002']);
+    expect(second.removed).toEqual(['REQ-001']);
+    expect(second.added).toEqual(['REQ-003']);
+
+    const active = await getRequirements(projectRoot);
+    expect(active.map(requirement => requirement.id)).toEqual(['REQ-002', 'REQ-003', 'US-001']);
+    const all = await getRequirements(projectRoot, { includeRemoved: true });
+    expect(all.find(requirement => requirement.id === 'REQ-001').status).toBe('removed');
+  });
+
+  it('should trace requirements to design, API, tickets and tests and report gaps', async () => {
+    await assignRequirementIds(prd, 'prd', projectRoot);
+    await writeProjectFile(TRANSFORMATIONS, {
+      requirements_to_design: {
+        componentSpecs: [{ id: 'CS-1', name: 'CreditCardForm', description: 'Component for credit card payment at checkout' }]
+      }
+    }, projectRoot);
+    await fs.writeFile(
+      path.join(projectRoot, ARCHITECTURE_DIR, 'api_specification.md'),
+      '# API\n\n## Payments\n\n- POST /api/payments takes the credit card for checkout\n\n## Reports\n\n- GET /api/reports/sales (REQ-002)\n'
+    );
+    await writeProjectFile(path.join(TASK_TICKETS, 'T-1.json'), {
+      id: 'T-1',
+      title: 'Card payments',
+      description: 'Charge the card',
+      requirementIds: ['US-001'],
+      subtasks: [{ id: 'S-1', title: 'Write payment tests' }]
+    }, projectRoot);
+
+    const result = await buildTraceabilityMatrix(projectRoot);
+    expect(result.success).toBe(true);
+
+    const story = result.requirements.find(row => row.id === 'US-001');
+    expect(story.coverage).toBe('full');
+    expect(story.links.design[0]).toMatchObject({ id: 'CS-1', match: 'text' });
+    expect(story.links.api.map(link => link.id)).toEqual(['POST /api/payments']);
+    expect(story.links.tickets[0]).toMatchObject({ id: 'T-1', match: 'explicit' });
+    expect(story.links.tests.map(link => link.id)).toEqual(['T-1/S-1']);
+
+    const reports = result.requirements.find(row => row.id === 'REQ-002');
+    expect(reports.coverage).toBe('partial');
+    expect(reports.links.api[0]).toMatchObject({ id: 'GET /api/reports/sales', match: 'explicit' });
+    expect(reports.missing).toEqual(['design', 'tickets', 'tests']);
+
+    expect(result.gaps.map(gap => gap.id)).toEqual(['REQ-001']);
+    expect(result.summary).toMatchObject({ requirements: 3, fullyTraced: 1, partiallyTraced: 1, uncovered: 1 });
+
+    const saved = JSON.parse(await fs.readFile(path.join(projectRoot, TRACEABILITY_MATRIX), 'utf8'));
+    expect(saved.gaps.map(gap => gap.id)).toEqual(['REQ-001']);
+    const markdown = await fs.readFile(path.join(projectRoot, TRACEABILITY_REPORT), 'utf8');
+    expect(markdown).toContain('| **US-001**');
+    expect(markdown).toContain('## Gaps');
+    expect(markdown).toContain('- **REQ-001** Shoppers can add books to a shopping cart');
+  });
+
+  it('should register requirements written straight into requirements deliverables', async () => {
+    await fs.writeFile(path.join(projectRoot, REQUIREMENTS_DIR, 'user_stories.md'), '# Stories\n\n- As a reader, I want to review books I bought\n');
+
+    const result = await buildTraceabilityMatrix(projectRoot, { write: false });
+
+    expect(result.requirements).toHaveLength(1);
+    expect(result.requirements[0]).toMatchObject({ id: 'US-001', coverage: 'none', sources: [`${REQUIREMENTS_DIR}/user_stories.md`] });
+    expect(result.files).toBeNull();
+    await expect(fs.access(path.join(projectRoot, TRACEABILITY_MATRIX))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Workflow Journal Tests
+ * Tests for the append-only event journal and state replay
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  initializeProjectStructure,
+  readProjectFile,
+  writeProjectFile
+} from '../../src/file-management/project-structure.js';
+import { markDeliverableComplete, advancePhase, rollbackPhase } from '../../src/workflow-logic/workflow-engine.js';
+import { recordDecision } from '../../src/context/decision-tracker.js';
+import {
+  appendJournalEvent,
+  readJournal,
+  replayWorkflowState,
+  JOURNAL_EVENT_TYPES
+} from '../../src/workflow-logic/workflow-journal.js';
+import {
+  PROJECT_PHASES,
+  CURRENT_PHASE,
+  QUALITY_GATES,
+  DECISIONS,
+  PHASE_DEFINITIONS_FILE,
+  WORKFLOW_JOURNAL
+} from '../../src/constants/paths.js';
+
+// Small custom workflow so advancing does not run the built-in transformers
+const phaseDefinitions = {
+  phases: {
+    discovery: {
+      name: 'Discovery',
+      roles: ['research_agent'],
+      requiredDeliverables: ['brief'],
+      nextPhase: 'build'
+    },
+    build: {
+      name: 'Build',
+      roles: ['development_agent'],
+      requiredDeliverables: ['code'],
+      nextPhase: 'complete'
+    }
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Workflow Journal', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'guidant-journal-'));
+    await initializeProjectStructure(projectRoot);
+    await writeProjectFile(PHASE_DEFINITIONS_FILE, phaseDefinitions, projectRoot);
+    await writeProjectFile(PROJECT_PHASES, {
+      current: 'discovery',
+      phases: { discovery: { status: 'active' }, build: { status: 'pending' } }
+    }, projectRoot);
+    await writeProjectFile(CURRENT_PHASE, { phase: 'discovery', progress: 0 }, projectRoot);
+    await writeProjectFile(QUALITY_GATES, {}, projectRoot);
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should record who completed a deliverable and when', async () => {
+    const result = await markDeliverableComplete('brief', projectRoot, { actor: 'alice' });
+    expect(result.completedBy).toBe('alice');
+
+    const events = await readJournal(projectRoot);
+    expect(events.map(event => event.type)).toEqual([
+      JOURNAL_EVENT_TYPES.JOURNAL_STARTED,
+      JOURNAL_EVENT_TYPES.DELIVERABLE_STATE_CHANGED
+    ]);
+    expect(events[1]).toMatchObject({
+      actor: 'alice',
+      timestamp: result.completedAt,
+      payload: { phase: 'discovery', deliverable: 'brief', from: 'not_started', to: 'approved' }
+    });
+  });
+
+  it('should rebuild the current state files by replaying the journal', async () => {
+    await markDeliverableComplete('brief', projectRoot, { actor: 'alice' });
+    await advancePhase(projectRoot, null, { actor: 'bob' });
+    await markDeliverableComplete('code', projectRoot, { actor: 'carol' });
+    await rollbackPhase('discovery', 'Brief missed a persona', projectRoot, { actor: 'bob' });
+    await recordDecision({ title: 'Use SQLite', phase: 'discovery' }, projectRoot);
+
+    const replayed = await replayWorkflowState(projectRoot);
+    expect(replayed.phases).toEqual(await readProjectFile(PROJECT_PHASES, projectRoot));
+    expect(replayed.currentPhase).toEqual(await readProjectFile(CURRENT_PHASE, projectRoot));
+    expect(replayed.qualityGates).toEqual(await readProjectFile(QUALITY_GATES, projectRoot));
+    expect(replayed.decisions).toEqual(await readProjectFile(DECISIONS, projectRoot));
+  });
+
+  it('should rebuild the state as it was at an earlier time', async () => {
+    await markDeliverableComplete('brief', projectRoot);
+    await sleep(5);
+    const beforeAdvance = new Date().toISOString();
+    await sleep(5);
+    await advancePhase(projectRoot);
+
+    const past = await replayWorkflowState(projectRoot, { until: beforeAdvance });
+    expect(past.currentPhase.phase).toBe('discovery');
+    expect(past.phases.phases.build.status).toBe('pending');
+    expect(past.qualityGates.discovery.completed).toEqual(['brief']);
+
+    const now = await replayWorkflowState(projectRoot);
+    expect(now.currentPhase.phase).toBe('build');
+    expect(now.phases.phases.discovery.status).toBe('completed');
+  });
+
+  it('should number events from the last entry, however long it is', async () => {
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.PROGRESS_REPORTED, { workLog: { notes: 'x'.repeat(20000) } }, { projectRoot });
+    await appendJournalEvent(JOURNAL_EVENT_TYPES.PROGRESS_REPORTED, { workLog: { notes: 'short' } }, { projectRoot, actor: 'agent-1' });
+    const last = await appendJournalEvent(JOURNAL_EVENT_TYPES.PROGRESS_REPORTED, { workLog: { notes: 'y'.repeat(20000) } }, { projectRoot });
+
+    const events = await readJournal(projectRoot);
+    expect(events.map(event => event.sequence)).toEqual([1, 2, 3, 4]);
+    expect(events[2].actor).toBe('agent-1');
+    expect(last.id).toBe('event-4');
+  });
+
+  it('should reject invalid timestamps and corrupt entries', async () => {
+    await markDeliverableComplete('brief', projectRoot);
+    await expect(replayWorkflowState(projectRoot, { until: 'yesterday-ish' })).rejects.toThrow('Invalid timestamp');
+
+    await fs.appendFile(path.join(projectRoot, WORKFLOW_JOURNAL), '{not json\n');
+    await expect(readJournal(projectRoot)).rejects.toThrow('Corrupt journal entry on line 3');
+  });
+});
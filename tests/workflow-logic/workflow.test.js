@@ -4,7 +4,13 @@
  * and the main workflow engine to ensure they function correctly after the refactoring.
  */
 
-import { describe, it, expect, beforeEach, mock } from 'bun:test';
+import { describe, it, expect, beforeEach, afterAll, mock } from 'bun:test';
+import * as ProjectStructure from '../../src/file-management/project-structure.js';
+import * as WorkflowJournal from '../../src/workflow-logic/workflow-journal.js';
+
+// Keep the real implementations so the module mocks can be undone for other suites
+const realProjectStructure = { ...ProjectStructure };
+const realWorkflowJournal = { ...WorkflowJournal };
 
 // Mock dependencies before importing the modules under test
 const mockReadProjectFile = mock(() => Promise.resolve({}));
@@ -14,6 +20,12 @@ mock.module('../../src/file-management/project-structure.js', () => ({
   writeProjectFile: mockWriteProjectFile,
 }));
 
+// The journal writes through fs, so it would land in the working directory
+mock.module('../../src/workflow-logic/workflow-journal.js', () => ({
+  ...realWorkflowJournal,
+  appendJournalEvent: mock(() => Promise.resolve({}))
+}));
+
 mock.module('../../src/ai-integration/task-generator.js', () => ({
   generateAITask: mock(() => Promise.resolve({ success: true, task: { ticket_id: 'ai-gen-task' } })),
 }));
@@ -25,6 +37,11 @@ import * as WorkflowEngine from '../../src/workflow-logic/workflow-engine.js';
 
 describe('Guidant Workflow Logic Suite', () => {
 
+  afterAll(() => {
+    mock.module('../../src/file-management/project-structure.js', () => realProjectStructure);
+    mock.module('../../src/workflow-logic/workflow-journal.js', () => realWorkflowJournal);
+  });
+
   // To be populated with mock data
   let mockFileContents;
 